@@ -5,6 +5,7 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 const { GroqAnalyzer } = require('./src/services/groqAnalyzer.js');
 const { HealthInsuranceClaimAnalyzer } = require('./src/services/healthInsuranceAnalyzer.js');
 const { PlanManager } = require('./src/services/planManager.js');
@@ -12,6 +13,13 @@ const { ClaimEligibilityEngine } = require('./src/services/claimEligibilityEngin
 const { ChatOrchestrator } = require('./src/services/chatOrchestrator.js');
 const { ResponseFormatter } = require('./src/services/responseFormatter.js');
 const { PlanContextManager } = require('./src/services/planContextManager.js');
+const { ClaimsLedger } = require('./src/services/claimsLedger.js');
+const { HybridAdjudicator } = require('./src/services/hybridAdjudicator.js');
+const { ClaimSimulator } = require('./src/services/claimSimulator.js');
+const { BatchClaimProcessor } = require('./src/services/batchClaimProcessor.js');
+const { ClaimDocuments } = require('./src/services/claimDocuments.js');
+const { ClaimCases, ClaimCaseError } = require('./src/services/claimCases.js');
+const { ReviewerRegistry } = require('./src/services/reviewerRegistry.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,6 +34,8 @@ const limiter = rateLimit({
 app.use(limiter);
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+// Runtime stores (claims ledger) live under storage/ and are never served as static files
+app.use('/storage', (req, res) => res.status(404).json({ error: 'Not found' }));
 app.use(express.static(path.join(__dirname)));
 
 // Enhanced logging
@@ -38,7 +48,26 @@ app.use((req, res, next) => {
 const groqAnalyzer = new GroqAnalyzer();
 const healthAnalyzer = new HealthInsuranceClaimAnalyzer();
 const planManager = new PlanManager();
-const claimEligibilityEngine = new ClaimEligibilityEngine();
+const claimsLedger = new ClaimsLedger();
+const claimEligibilityEngine = new ClaimEligibilityEngine({ claimsLedger });
+const claimDocuments = new ClaimDocuments();
+const reviewerRegistry = ReviewerRegistry.fromEnv();
+const claimCases = new ClaimCases({ engine: claimEligibilityEngine, reviewers: reviewerRegistry, documents: claimDocuments });
+const hybridAdjudicator = new HybridAdjudicator({ engine: claimEligibilityEngine, groqAnalyzer });
+const claimSimulator = new ClaimSimulator({ engine: claimEligibilityEngine });
+const batchClaimProcessor = new BatchClaimProcessor({ engine: claimEligibilityEngine });
+
+// Batch uploads are held in memory; one CSV or JSON file per request
+const batchUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: 1 } }).single('file');
+
+// Claim documents: up to 10 PDF or image files per request, one document type each
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 10 },
+  fileFilter: (req, file, callback) => ClaimDocuments.isAllowedMimeType(file.mimetype) ?
+    callback(null, true) :
+    callback(new Error(`${file.originalname} must be one of: ${ClaimDocuments.allowedMimeTypes.join(', ')}`))
+}).array('files', 10);
 
 // ===== INITIALIZE MODULAR SERVICES =====
 const planContextManager = new PlanContextManager(planManager);
@@ -337,6 +366,13 @@ app.post('/api/plans/create', async (req, res) => {
         return res.status(400).json({ error: `Missing required field: ${field}` });
       }
     }
+
+    if (planData.disease_rule_overrides !== undefined) {
+      const overridesError = claimEligibilityEngine.validateDiseaseRuleOverrides(planData.disease_rule_overrides);
+      if (overridesError) {
+        return res.status(400).json({ error: overridesError });
+      }
+    }
     
     const result = await planManager.createPlan(planData);
     console.log('✅ Plan created successfully');
@@ -350,13 +386,13 @@ app.post('/api/plans/create', async (req, res) => {
 // Get specific plan for editing
 app.get('/api/plans/get', async (req, res) => {
   try {
-    const { filePath } = req.query;
+    const { filePath, normalized } = req.query;
     if (!filePath) {
       return res.status(400).json({ error: 'filePath parameter is required' });
     }
     
     console.log('📄 Getting plan for editing:', filePath);
-    const planData = await planManager.getPlan(filePath);
+    const planData = await planManager.getPlan(filePath, { normalized: normalized === 'true' });
     
     console.log('✅ Plan data retrieved successfully');
     res.json(planData);
@@ -369,13 +405,13 @@ app.get('/api/plans/get', async (req, res) => {
 // POST version for plan details (used by claim assessment)
 app.post('/api/plans/get', async (req, res) => {
   try {
-    const { filePath } = req.body;
+    const { filePath, normalized } = req.body;
     if (!filePath) {
       return res.status(400).json({ error: 'filePath parameter is required' });
     }
     
     console.log('📄 Getting plan details:', filePath);
-    const planData = await planManager.getPlan(filePath);
+    const planData = await planManager.getPlan(filePath, { normalized: normalized === true });
     
     console.log('✅ Plan details retrieved successfully');
     res.json(planData);
@@ -394,6 +430,13 @@ app.post('/api/plans/update', async (req, res) => {
     if (!originalFilePath || !fileName || !book || !data) {
       return res.status(400).json({ error: 'Missing required fields: originalFilePath, fileName, book, data' });
     }
+
+    if (data.disease_rule_overrides !== undefined) {
+      const overridesError = claimEligibilityEngine.validateDiseaseRuleOverrides(data.disease_rule_overrides);
+      if (overridesError) {
+        return res.status(400).json({ error: overridesError });
+      }
+    }
     
     const result = await planManager.updatePlan(originalFilePath, fileName, book, data);
     console.log('✅ Plan updated successfully');
@@ -478,13 +521,25 @@ app.post('/api/claims/analyze', async (req, res) => {
   }
 });
 
-// New advanced claim eligibility analysis using intelligent engine
-app.post('/api/claims/analyze-questionnaire', async (req, res) => {
+// New advanced claim eligibility analysis using intelligent engine.
+// mode=hybrid (in the body or query) has the LLM review the engine's verdict
+app.post('/api/claims/analyze-questionnaire', (req, res) =>
+  analyzeQuestionnaire(req, res, (req.body?.mode || req.query.mode) === 'hybrid' ? 'hybrid' : 'rules'));
+
+// Former LLM-only analysis: the rules engine now decides and the LLM reviews its verdict
+app.post('/api/claims/analyze-questionnaire-ai', (req, res) => analyzeQuestionnaire(req, res, 'hybrid'));
+
+async function analyzeQuestionnaire(req, res, mode) {
   try {
-    console.log('🔍 Received advanced claim analysis request...');
+    console.log(`🔍 Received advanced claim analysis request (${mode})...`);
     
     const claimData = req.body;
-    
+
+    const validationError = claimEligibilityEngine.validateClaimRequest(claimData);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
     // Check if plan_file_path is provided (new hierarchical selection)
     let planFilePath = claimData.plan_file_path;
     
@@ -520,8 +575,20 @@ app.post('/api/claims/analyze-questionnaire', async (req, res) => {
       console.log('📋 Found plan:', selectedPlan.planName, 'from file:', planFilePath);
     }
 
-    // Use the intelligent claim eligibility engine
-    const analysisResult = await claimEligibilityEngine.analyzeClaimEligibility(claimData, planFilePath);
+    // Use the intelligent claim eligibility engine; in hybrid mode the LLM reviews its verdict
+    const analysisResult = mode === 'hybrid' ?
+      await hybridAdjudicator.adjudicate(claimData, planFilePath) :
+      await claimEligibilityEngine.analyzeClaimEligibility(claimData, planFilePath);
+
+    // Every submission is kept as a claim case with this analysis as its snapshot;
+    // the payable amount is booked in the ledger only when a reviewer settles the case
+    const claimCase = await claimCases.create({ ...claimData, plan_file_path: planFilePath }, {
+      status: 'submitted',
+      analysis: analysisResult,
+      changed_by: claimData.submitted_by
+    });
+    analysisResult.claim_id = claimCase.claim_id;
+    analysisResult.case_status = claimCase.status;
     
     // Add chat support flag for eligible claims
     if (analysisResult.eligible) {
@@ -544,85 +611,438 @@ app.post('/api/claims/analyze-questionnaire', async (req, res) => {
       message: error.message
     });
   }
+}
+
+// What-if: the earliest date a condition becomes claimable and the projected payable amount
+app.post('/api/claims/simulate', async (req, res) => {
+  try {
+    const { plan_file_path, ...scenario } = req.body;
+    if (!plan_file_path) {
+      return res.status(400).json({ error: 'plan_file_path is required' });
+    }
+
+    const validationError = claimSimulator.validateScenario(scenario);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const simulation = await claimSimulator.simulate(scenario, plan_file_path);
+    res.json(simulation);
+  } catch (error) {
+    console.error('❌ Claim simulation failed:', error);
+    res.status(500).json({ error: 'Claim simulation failed', message: error.message });
+  }
 });
 
-// Legacy AI-based analysis endpoint (fallback)
-app.post('/api/claims/analyze-questionnaire-ai', async (req, res) => {
+// Screen many claims at once: a CSV or JSON file upload (field "file") or a JSON body { claims: [...] }.
+// plan_file_path in the request applies to claims that do not name their own plan
+app.post('/api/claims/batch', (req, res, next) => {
+  batchUpload(req, res, (error) => error ? res.status(400).json({ error: `Upload failed: ${error.message}` }) : next());
+}, async (req, res) => {
   try {
-    console.log('🔍 Received AI-based claim analysis request...');
-    
-    const claimData = req.body;
-    
-    // Validate required fields
-    const requiredFields = ['plan_name', 'sum_insured', 'patient_name', 'patient_age', 'claim_amount'];
-    for (const field of requiredFields) {
-      if (!claimData[field]) {
-        return res.status(400).json({ error: `Missing required field: ${field}` });
+    let claims;
+    try {
+      claims = req.file ?
+        BatchClaimProcessor.parseUpload(req.file.buffer, req.file.originalname, req.file.mimetype) :
+        req.body?.claims;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const batchError = BatchClaimProcessor.validateBatch(claims);
+    if (batchError) {
+      return res.status(400).json({ error: batchError });
+    }
+
+    const defaults = req.body?.plan_file_path ? { plan_file_path: req.body.plan_file_path } : {};
+    const batch = await batchClaimProcessor.process(claims, defaults);
+    res.json({
+      batch_id: batch.batch_id,
+      created_at: batch.created_at,
+      summary: batch.summary,
+      results: batch.results.map(({ result, ...row }) => row),
+      result_files: {
+        json: `/api/claims/batch/${batch.batch_id}/results?format=json`,
+        csv: `/api/claims/batch/${batch.batch_id}/results?format=csv`
       }
+    });
+  } catch (error) {
+    console.error('❌ Batch claim analysis failed:', error);
+    res.status(500).json({ error: 'Batch claim analysis failed', message: error.message });
+  }
+});
+
+// Download a batch's per-claim results (format=csv for a spreadsheet, json for the full analyses)
+app.get('/api/claims/batch/:batchId/results', async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const contents = await batchClaimProcessor.getResults(req.params.batchId, format);
+    if (contents === null) {
+      return res.status(404).json({ error: 'Batch not found' });
     }
 
-    // Calculate policy age in days
-    const policyStartDate = new Date(claimData.policy_start_date);
-    const currentDate = new Date();
-    const policyAgeDays = Math.floor((currentDate - policyStartDate) / (1000 * 60 * 60 * 24));
-
-    // Build comprehensive analysis prompt for AI
-    const analysisPrompt = `
-You are an expert insurance claim analyst. Analyze the following health insurance claim for eligibility:
-
-CLAIM DETAILS:
-- Plan Name: ${claimData.plan_name}
-- Sum Insured: ${claimData.sum_insured}
-- Patient Name: ${claimData.patient_name}
-- Patient Age: ${claimData.patient_age} years
-- Patient Gender: ${claimData.patient_gender}
-- Policy Start Date: ${claimData.policy_start_date}
-- Policy Age: ${policyAgeDays} days
-- Treatment Type: ${claimData.treatment_type}
-- Medical Condition: ${claimData.medical_condition}
-- Claim Amount: ₹${claimData.claim_amount}
-- Pre-existing Disease: ${claimData.pre_existing_disease ? 'Yes' : 'No'}
-- Emergency Treatment: ${claimData.emergency_treatment ? 'Yes' : 'No'}
-- Consumables Required: ${claimData.consumables_required ? 'Yes' : 'No'}
-- Additional Info: ${claimData.additional_info}
-
-Please provide a detailed analysis in JSON format with eligibility decision and reasoning.
-`;
-
-    // Get AI analysis using Groq
-    const aiResponse = await groqAnalyzer.analyzeQuery(analysisPrompt);
-    
-    // Try to parse JSON response from AI
-    let analysisResult;
-    try {
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysisResult = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in AI response');
+    res.type(format === 'csv' ? 'text/csv' : 'application/json');
+    res.attachment(`${req.params.batchId}.${format}`);
+    res.send(contents);
+  } catch (error) {
+    console.error('❌ Error reading batch results:', error);
+    res.status(500).json({ error: 'Failed to read batch results', message: error.message });
+  }
+});
+
+// ===== CLAIM DOCUMENTS API =====
+
+// Documents the insurer accepts
+app.get('/api/claims/documents/requirements', (req, res) => {
+  res.json({ documents: claimEligibilityEngine.documentRequirements.documents });
+});
+
+// Document checklist for a claim (submitted_documents marks what has been provided)
+app.post('/api/claims/documents/checklist', (req, res) => {
+  try {
+    const validationError = claimEligibilityEngine.validateClaimRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    res.json(claimEligibilityEngine.assessDocuments(req.body, req.body.submitted_documents || []));
+  } catch (error) {
+    console.error('❌ Error building document checklist:', error);
+    res.status(500).json({ error: 'Failed to build document checklist', message: error.message });
+  }
+});
+
+// Upload documents for a claim: files[] with one document_types entry per file, in order.
+// The first upload must include the claim details (field "claim", JSON) the checklist is built from
+app.post('/api/claims/:claimId/documents', (req, res, next) => {
+  documentUpload(req, res, (error) => error ? res.status(400).json({ error: `Upload failed: ${error.message}` }) : next());
+}, async (req, res) => {
+  try {
+    const { claimId } = req.params;
+    if (!ClaimDocuments.isValidClaimId(claimId)) {
+      return res.status(400).json({ error: 'claimId may only contain letters, numbers, - and _, and cannot be __proto__, constructor or prototype' });
+    }
+
+    const files = req.file ? [req.file] : (req.files || []);
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'At least one file is required (field "files")' });
+    }
+
+    const documentTypes = [].concat(req.body.document_types || []).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean);
+    if (documentTypes.length !== files.length) {
+      return res.status(400).json({ error: `document_types must name one document type per file (${files.length} files, ${documentTypes.length} types)` });
+    }
+    const unknownType = documentTypes.find(type => !claimEligibilityEngine.documentRequirements.isKnownDocument(type));
+    if (unknownType) {
+      return res.status(400).json({ error: `Unknown document type: ${unknownType}` });
+    }
+    const mismatched = files.find(file => !ClaimDocuments.hasFileSignature(file.mimetype, file.buffer));
+    if (mismatched) {
+      return res.status(400).json({ error: `${mismatched.originalname} is not a valid ${mismatched.mimetype} file` });
+    }
+
+    // A claim case's own details decide its checklist; uploads cannot replace them
+    const claimCase = await claimCases.get(claimId);
+    let claimData = null;
+    if (req.body.claim && claimCase) {
+      return res.status(400).json({ error: `Claim ${claimId} is a claim case; its claim details cannot be changed with an upload` });
+    } else if (req.body.claim) {
+      try {
+        claimData = JSON.parse(req.body.claim);
+      } catch (error) {
+        return res.status(400).json({ error: 'claim must be valid JSON' });
       }
-    } catch (parseError) {
-      console.log('Failed to parse AI JSON response, creating structured response...');
-      analysisResult = analyzeClaimWithBusinessRules(claimData, policyAgeDays, aiResponse);
+      const validationError = claimEligibilityEngine.validateClaimRequest(claimData);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    } else if (!claimCase && !(await claimDocuments.getClaim(claimId))?.claim_data) {
+      return res.status(400).json({ error: 'claim details (field "claim") are required with the first upload' });
     }
 
-    // Ensure all required fields are present
-    analysisResult.patient_name = claimData.patient_name;
-    analysisResult.patient_age = claimData.patient_age;
-    analysisResult.medical_condition = claimData.medical_condition;
-    analysisResult.treatment_type = claimData.treatment_type;
-    analysisResult.claim_amount = claimData.claim_amount;
-    analysisResult.sum_insured = claimData.sum_insured;
+    const added = await claimDocuments.addDocuments(claimId, files.map((file, index) => ({
+      document_type: documentTypes[index],
+      original_name: file.originalname,
+      mime_type: file.mimetype,
+      buffer: file.buffer
+    })), claimData);
 
-    console.log('✅ AI-based claim analysis completed');
-    res.json(analysisResult);
-    
+    console.log(`📎 ${added.length} document(s) attached to claim ${claimId}`);
+    res.json({ success: true, uploaded: added, ...(await getDocumentStatus(claimId)) });
   } catch (error) {
-    console.error('❌ AI claim analysis failed:', error);
-    res.status(500).json({
-      error: 'Claim analysis failed',
-      message: error.message
+    console.error('❌ Error uploading claim documents:', error);
+    res.status(500).json({ error: 'Failed to upload claim documents', message: error.message });
+  }
+});
+
+// Uploaded documents, the checklist and what is still missing before the claim is ready
+app.get('/api/claims/:claimId/documents', async (req, res) => {
+  try {
+    const status = await getDocumentStatus(req.params.claimId);
+    if (!status) {
+      return res.status(404).json({ error: 'No documents found for this claim' });
+    }
+    res.json(status);
+  } catch (error) {
+    console.error('❌ Error reading claim documents:', error);
+    res.status(500).json({ error: 'Failed to read claim documents', message: error.message });
+  }
+});
+
+// Remove an uploaded document (e.g., a wrong or unreadable file)
+app.delete('/api/claims/:claimId/documents/:documentId', async (req, res) => {
+  try {
+    if (!ClaimDocuments.isValidClaimId(req.params.claimId)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const removed = await claimDocuments.removeDocument(req.params.claimId, req.params.documentId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true, ...(await getDocumentStatus(req.params.claimId)) });
+  } catch (error) {
+    console.error('❌ Error removing claim document:', error);
+    res.status(500).json({ error: 'Failed to remove claim document', message: error.message });
+  }
+});
+
+async function getDocumentStatus(claimId) {
+  if (!ClaimDocuments.isValidClaimId(claimId)) {
+    return null;
+  }
+  // A claim case's details always build the checklist; uploaded details only stand in without one
+  const claimCase = await claimCases.get(claimId);
+  if (claimCase) {
+    const status = await claimCases.documentStatus(claimCase);
+    return { claim_id: claimId, claim_data: claimCase.claim_data, ...status, updated_at: claimCase.updated_at };
+  }
+  const claim = await claimDocuments.getClaim(claimId);
+  if (!claim) {
+    return null;
+  }
+
+  const uploadedTypes = [...new Set(claim.documents.map(document => document.document_type))];
+  const assessment = claimEligibilityEngine.assessDocuments(claim.claim_data, uploadedTypes);
+  return {
+    claim_id: claimId,
+    claim_data: claim.claim_data,
+    documents: claim.documents,
+    checklist: assessment.documents,
+    missing: assessment.missing,
+    ready: assessment.ready,
+    updated_at: claim.updated_at
+  };
+}
+
+// HTTP status for a request ClaimCases refused
+const CLAIM_CASE_ERROR_STATUS = { invalid: 400, unauthorized: 401, conflict: 409 };
+
+// ===== CLAIM CASES API =====
+
+// List cases, newest first: status (comma-separated), claim_type, policy_number, patient_name, from, to, limit, offset
+app.get('/api/claims/cases', async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : [];
+    const unknownStatus = statuses.find(status => !ClaimCases.statuses.includes(status));
+    if (unknownStatus) {
+      return res.status(400).json({ error: `status must be one of: ${ClaimCases.statuses.join(', ')}` });
+    }
+    for (const field of ['from', 'to']) {
+      if (req.query[field] && isNaN(new Date(req.query[field]).getTime())) {
+        return res.status(400).json({ error: `${field} must be a valid date` });
+      }
+    }
+
+    res.json(await claimCases.list(req.query));
+  } catch (error) {
+    console.error('❌ Error listing claim cases:', error);
+    res.status(500).json({ error: 'Failed to list claim cases', message: error.message });
+  }
+});
+
+// Save a draft case; submitting it later runs the analysis
+app.post('/api/claims/cases', async (req, res) => {
+  try {
+    const { created_by, ...claimData } = req.body || {};
+    const validationError = claimEligibilityEngine.validateClaimRequest(claimData) ||
+      (claimData.plan_file_path ? null : 'plan_file_path is required');
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const claimCase = await claimCases.create(claimData, { status: 'draft', changed_by: created_by });
+    res.status(201).json(claimCase);
+  } catch (error) {
+    console.error('❌ Error creating claim case:', error);
+    res.status(500).json({ error: 'Failed to create claim case', message: error.message });
+  }
+});
+
+// Case detail with its analysis snapshot, history and documents
+app.get('/api/claims/cases/:claimId', async (req, res) => {
+  try {
+    const claimCase = await claimCases.get(req.params.claimId);
+    if (!claimCase) {
+      return res.status(404).json({ error: 'Claim case not found' });
+    }
+
+    const documents = await getDocumentStatus(claimCase.claim_id);
+    res.json({
+      ...claimCase,
+      documents: {
+        uploaded: documents.documents,
+        checklist: documents.checklist,
+        missing: documents.missing,
+        ready: documents.ready
+      }
     });
+  } catch (error) {
+    console.error('❌ Error reading claim case:', error);
+    res.status(500).json({ error: 'Failed to read claim case', message: error.message });
+  }
+});
+
+// Change a case's status: { status, changed_by, note, approved_amount }
+// Approving, rejecting and settling need a reviewer's X-Reviewer-Token header (see CLAIM_REVIEWERS)
+app.post('/api/claims/cases/:claimId/transitions', async (req, res) => {
+  try {
+    const claimCase = await claimCases.get(req.params.claimId);
+    if (!claimCase) {
+      return res.status(404).json({ error: 'Claim case not found' });
+    }
+    if (ClaimCases.requiresReviewer(req.body)) {
+      if (!reviewerRegistry.enabled) {
+        return res.status(403).json({ error: 'Claim decisions are disabled: no reviewers are configured' });
+      }
+      if (!reviewerRegistry.authenticate(req.get('X-Reviewer-Token'))) {
+        return res.status(401).json({ error: 'A valid X-Reviewer-Token header is required' });
+      }
+    }
+    const validationError = ClaimCases.validateTransition(claimCase, req.body, await claimCases.documentStatus(claimCase));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = await claimCases.transition(claimCase.claim_id, req.body, req.get('X-Reviewer-Token'));
+    res.json(updated);
+  } catch (error) {
+    if (error instanceof ClaimCaseError) {
+      return res.status(CLAIM_CASE_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    console.error('❌ Error changing claim case status:', error);
+    res.status(500).json({ error: 'Failed to change claim case status', message: error.message });
+  }
+});
+
+// ===== VERDICT OVERRIDES API =====
+
+// Override the engine's verdict or payable amount: { verdict, payable_amount, reason_code, comment }
+// The reviewer is identified by the X-Reviewer-Token header (see CLAIM_REVIEWERS)
+app.post('/api/claims/cases/:claimId/override', async (req, res) => {
+  try {
+    if (!reviewerRegistry.enabled) {
+      return res.status(403).json({ error: 'Verdict overrides are disabled: no reviewers are configured' });
+    }
+    if (!reviewerRegistry.authenticate(req.get('X-Reviewer-Token'))) {
+      return res.status(401).json({ error: 'A valid X-Reviewer-Token header is required' });
+    }
+
+    const claimCase = await claimCases.get(req.params.claimId);
+    if (!claimCase) {
+      return res.status(404).json({ error: 'Claim case not found' });
+    }
+    const validationError = ClaimCases.validateOverride(claimCase, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = await claimCases.override(claimCase.claim_id, req.get('X-Reviewer-Token'), req.body);
+    res.json({ ...updated, effective_verdict: ClaimCases.effectiveVerdict(updated) });
+  } catch (error) {
+    if (error instanceof ClaimCaseError) {
+      return res.status(CLAIM_CASE_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    console.error('❌ Error overriding claim verdict:', error);
+    res.status(500).json({ error: 'Failed to override claim verdict', message: error.message });
+  }
+});
+
+app.get('/api/claims/overrides/reason-codes', (req, res) => {
+  res.json({
+    reason_codes: Object.entries(ClaimCases.overrideReasonCodes).map(([code, description]) => ({ code, description }))
+  });
+});
+
+// How often reviewers overturn the engine, by reason code and direction
+app.get('/api/claims/overrides/stats', async (req, res) => {
+  try {
+    res.json(await claimCases.overrideStats());
+  } catch (error) {
+    console.error('❌ Error reading override statistics:', error);
+    res.status(500).json({ error: 'Failed to read override statistics', message: error.message });
+  }
+});
+
+// ===== CLAIMS LEDGER API =====
+
+// Ledger writes change a policy's remaining sum insured, so only reviewers make them
+function requireReviewer(req, res, next) {
+  if (!reviewerRegistry.enabled) {
+    return res.status(403).json({ error: 'Ledger changes are disabled: no reviewers are configured' });
+  }
+  if (!reviewerRegistry.authenticate(req.get('X-Reviewer-Token'))) {
+    return res.status(401).json({ error: 'A valid X-Reviewer-Token header is required' });
+  }
+  next();
+}
+
+// Policy-year summary (with policy_start_date) or all entries for a policy/member
+app.get('/api/claims/ledger', async (req, res) => {
+  try {
+    const { policy_number, member_id, policy_start_date, as_of } = req.query;
+    if (!policy_number) {
+      return res.status(400).json({ error: 'policy_number parameter is required' });
+    }
+
+    if (policy_start_date) {
+      const summary = await claimsLedger.getPolicyYearSummary(policy_number, member_id || null, { policy_start_date, as_of });
+      return res.json(summary);
+    }
+
+    const entries = await claimsLedger.getEntries(policy_number, member_id || null);
+    res.json({ policy_number, member_id: member_id || null, entries });
+  } catch (error) {
+    console.error('❌ Error reading claims ledger:', error);
+    res.status(500).json({ error: 'Failed to read claims ledger', message: error.message });
+  }
+});
+
+// Record an approved claim amount (reviewers only)
+app.post('/api/claims/ledger', requireReviewer, async (req, res) => {
+  try {
+    const validationError = ClaimsLedger.validateClaim(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const entry = await claimsLedger.recordClaim(req.body);
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error('❌ Error recording claim in ledger:', error);
+    res.status(500).json({ error: 'Failed to record claim', message: error.message });
+  }
+});
+
+// Remove a ledger entry, e.g. a reversed settlement (reviewers only)
+app.delete('/api/claims/ledger/:entryId', requireReviewer, async (req, res) => {
+  try {
+    const removed = await claimsLedger.removeEntry(req.params.entryId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Ledger entry not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error removing ledger entry:', error);
+    res.status(500).json({ error: 'Failed to remove ledger entry', message: error.message });
   }
 });
 
@@ -669,9 +1089,20 @@ async function startServer() {
         console.log(`- GET  /api/claims/companies - Get insurance companies`);
         console.log(`- POST /api/claims/analyze - Analyze claims (legacy)`);
         console.log(`- POST /api/claims/analyze-questionnaire - New questionnaire-based analysis`);
+        console.log(`- POST /api/claims/analyze-questionnaire-ai - Rules verdict reviewed by AI (hybrid)`);
+        console.log(`- POST /api/claims/simulate - Earliest eligible date and projected amount for a condition`);
+        console.log(`- POST /api/claims/batch - Screen a CSV or JSON batch of claims`);
+        console.log(`- POST /api/claims/:claimId/documents - Upload claim documents and check what is missing`);
+        console.log(`- GET  /api/claims/cases - List and filter claim cases`);
+        console.log(`- POST /api/claims/cases/:claimId/transitions - Change a claim case's status`);
+        console.log(`- POST /api/claims/cases/:claimId/override - Reviewer override of the engine's verdict`);
+        console.log(`- GET  /api/claims/overrides/stats - How often reviewers overturn the engine`);
+        console.log(`- GET  /api/claims/ledger - Claims ledger for a policy/member`);
+        console.log(`- POST /api/claims/ledger - Record an approved claim amount`);
+        console.log(`- DELETE /api/claims/ledger/:entryId - Remove a ledger entry`);
         console.log(`- GET  /api/plans/list - Get all plans`);
         console.log(`- GET  /api/plans/stats - Get dashboard statistics`);
-        console.log(`- GET  /api/plans/get - Get specific plan for editing`);
+        console.log(`- GET  /api/plans/get - Get specific plan for editing (?normalized=true adds typed view)`);
         console.log(`- POST /api/plans/create - Create new plan`);
         console.log(`- POST /api/plans/update - Update existing plan`);
         console.log(`- POST /api/plans/delete - Delete plan`);
@@ -0,0 +1,318 @@
+/**
+ * Batch Claim Processor - Screens many claims at once through ClaimEligibilityEngine
+ *
+ * Claims come from a CSV file (one claim per row, a header row naming the claim
+ * fields) or a JSON array. Each claim is validated and analysed with bounded
+ * concurrency; a claim that fails never stops the batch. The per-claim results
+ * are written as JSON and CSV under storage/batches/ (or CLAIM_BATCHES_PATH)
+ * together with an aggregate summary. Screening records nothing in the ledger.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_CLAIMS = 500;
+const DEFAULT_CONCURRENCY = 4;
+const TOP_REJECTION_REASONS = 5;
+
+// CSV cells are text; these claim fields are read as numbers and booleans
+const NUMERIC_FIELDS = ['claim_amount', 'patient_age', 'delivery_number', 'newborn_expenses', 'room_charge_per_day',
+    'length_of_stay', 'hospitalisation_hours', 'claim_free_years', 'prior_claims_paid'];
+const BOOLEAN_FIELDS = ['emergency_treatment', 'pre_existing_disease', 'consumables_required', 'congenital_condition'];
+
+// Columns of the per-claim CSV result file
+const RESULT_COLUMNS = ['row', 'claim_id', 'patient_name', 'claim_type', 'plan_file_path', 'status', 'eligible',
+    'claim_amount', 'payable_amount', 'confidence', 'red_flag_score', 'rejection_reasons', 'review_flags', 'error'];
+
+class BatchClaimProcessor {
+    /**
+     * @param {Object} options - { engine: ClaimEligibilityEngine, storageDir, concurrency }
+     */
+    constructor(options) {
+        this.engine = options.engine;
+        this.storageDir = options.storageDir || process.env.CLAIM_BATCHES_PATH || path.join(__dirname, '../../storage/batches');
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    }
+
+    /**
+     * Claims from an uploaded file; CSV unless the file is named or typed as JSON
+     * @returns {Array} - Claim objects
+     */
+    static parseUpload(buffer, fileName = '', mimeType = '') {
+        const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+        const isJson = /\.json$/i.test(fileName) || mimeType === 'application/json';
+        if (!isJson) {
+            return this.parseCsv(text);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON file: ${error.message}`);
+        }
+        if (!Array.isArray(data)) {
+            throw new Error('JSON file must contain an array of claims');
+        }
+        return data;
+    }
+
+    /**
+     * Parse CSV text (RFC 4180 quoting) into one claim per row. Empty cells are
+     * left out; cells holding a JSON array or object (bill_items, policy_members) are parsed.
+     */
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            if (quoted) {
+                if (char === '"' && text[index + 1] === '"') {
+                    cell += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[index + 1] === '\n') index++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (quoted) {
+            throw new Error('Invalid CSV file: unterminated quoted field');
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        const [header, ...records] = rows.filter(cells => cells.some(value => value.trim()));
+        if (!header) {
+            throw new Error('CSV file is empty');
+        }
+        const fields = header.map(field => field.trim());
+
+        return records.map((cells, index) => {
+            if (cells.length > fields.length) {
+                throw new Error(`Invalid CSV file: row ${index + 1} has more cells than the header`);
+            }
+            const claim = {};
+            fields.forEach((field, column) => {
+                const value = (cells[column] || '').trim();
+                if (field && value) {
+                    claim[field] = this.parseCsvValue(field, value, index + 1);
+                }
+            });
+            return claim;
+        });
+    }
+
+    static parseCsvValue(field, value, row) {
+        if (/^[[{]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw new Error(`Invalid CSV file: row ${row} ${field} is not valid JSON`);
+            }
+        }
+        if (NUMERIC_FIELDS.includes(field) && value !== '' && isFinite(Number(value))) {
+            return Number(value);
+        }
+        if (BOOLEAN_FIELDS.includes(field)) {
+            return ['true', 'yes', '1'].includes(value.toLowerCase());
+        }
+        return value;
+    }
+
+    /**
+     * @returns {string|null} - Error message, or null when the batch can be processed
+     */
+    static validateBatch(claims) {
+        if (!Array.isArray(claims) || claims.length === 0) {
+            return 'The batch must contain at least one claim';
+        }
+        if (claims.length > MAX_CLAIMS) {
+            return `A batch may contain at most ${MAX_CLAIMS} claims`;
+        }
+        return null;
+    }
+
+    /**
+     * Analyse every claim in the batch and store the results
+     * @param {Array} claims - Claim objects as sent to /api/claims/analyze-questionnaire
+     * @param {Object} [defaults] - Fields applied to claims that do not set them (e.g. plan_file_path)
+     * @returns {Promise<Object>} - { batch_id, created_at, summary, results }
+     */
+    async process(claims, defaults = {}) {
+        const batchError = BatchClaimProcessor.validateBatch(claims);
+        if (batchError) {
+            throw new Error(batchError);
+        }
+
+        const batchId = `batch_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+        console.log(`📦 Processing ${claims.length} claims in ${batchId} (concurrency ${this.concurrency})`);
+
+        // A fixed number of workers take the next unprocessed claim until none remain
+        const results = new Array(claims.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < claims.length) {
+                const index = next++;
+                results[index] = await this.processClaim(claims[index], index + 1, defaults);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, claims.length) }, worker));
+
+        const batch = {
+            batch_id: batchId,
+            created_at: new Date().toISOString(),
+            summary: this.summarize(results),
+            results: results
+        };
+        await this.save(batch);
+
+        console.log(`✅ Batch ${batchId} completed: ${batch.summary.eligible}/${batch.summary.total_claims} eligible`);
+        return batch;
+    }
+
+    /**
+     * Analyse one claim; invalid claims and analysis failures are reported on the row
+     */
+    async processClaim(claim, row, defaults) {
+        const isObject = claim && typeof claim === 'object' && !Array.isArray(claim);
+        const claimData = { ...defaults, ...(isObject ? claim : {}) };
+        const base = {
+            row: row,
+            claim_id: claimData.claim_id || null,
+            patient_name: claimData.patient_name || null,
+            claim_type: claimData.claim_type || null,
+            plan_file_path: claimData.plan_file_path || null
+        };
+
+        const validationError = (isObject ? null : 'Each claim must be an object') ||
+            this.engine.validateClaimRequest(claimData) ||
+            (claimData.plan_file_path ? null : 'plan_file_path is required');
+        if (validationError) {
+            return { ...base, status: 'invalid', eligible: null, error: validationError };
+        }
+
+        try {
+            const result = await this.engine.analyzeClaimEligibility(claimData, claimData.plan_file_path);
+            return {
+                ...base,
+                status: result.status || (result.eligible ? 'eligible' : 'not_eligible'),
+                eligible: result.eligible,
+                claim_amount: result.financial_breakdown?.total_claim ?? result.claim_amount,
+                payable_amount: result.eligible ? (result.financial_breakdown?.final_amount ?? 0) : 0,
+                confidence: result.confidence ?? null,
+                red_flag_score: result.red_flags?.score ?? null,
+                rejection_reasons: result.rejection_reasons,
+                review_flags: result.review_flags.map(flag => flag.reason),
+                error: null,
+                result: result
+            };
+        } catch (error) {
+            console.error(`❌ Batch claim ${row} failed:`, error.message);
+            return { ...base, status: 'error', eligible: null, error: error.message };
+        }
+    }
+
+    /**
+     * Aggregate counts, amounts and the most common rejection reasons
+     */
+    summarize(results) {
+        const byStatus = {};
+        const reasons = new Map();
+        for (const result of results) {
+            byStatus[result.status] = (byStatus[result.status] || 0) + 1;
+            for (const reason of result.rejection_reasons || []) {
+                reasons.set(reason, (reasons.get(reason) || 0) + 1);
+            }
+        }
+
+        const analysed = results.filter(result => result.eligible !== null);
+        return {
+            total_claims: results.length,
+            analysed: analysed.length,
+            eligible: analysed.filter(result => result.eligible).length,
+            not_eligible: analysed.filter(result => !result.eligible).length,
+            invalid: byStatus.invalid || 0,
+            errors: byStatus.error || 0,
+            by_status: byStatus,
+            total_claimed: analysed.reduce((sum, result) => sum + (Number(result.claim_amount) || 0), 0),
+            total_payable: analysed.reduce((sum, result) => sum + result.payable_amount, 0),
+            top_rejection_reasons: [...reasons.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, TOP_REJECTION_REASONS)
+                .map(([reason, count]) => ({ reason: reason, count: count }))
+        };
+    }
+
+    /**
+     * Write the batch as JSON (full results) and CSV (one row per claim)
+     */
+    async save(batch) {
+        try {
+            await fs.mkdir(this.storageDir, { recursive: true });
+            await fs.writeFile(this.getFilePath(batch.batch_id, 'json'), JSON.stringify(batch, null, 2), 'utf-8');
+            await fs.writeFile(this.getFilePath(batch.batch_id, 'csv'), BatchClaimProcessor.toCsv(batch.results), 'utf-8');
+        } catch (error) {
+            throw new Error(`Failed to save batch results: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stored batch results
+     * @param {string} format - json | csv
+     * @returns {Promise<string|null>} - File contents, or null when the batch does not exist
+     */
+    async getResults(batchId, format = 'json') {
+        if (!/^batch_\d+_[0-9a-f]{8}$/.test(batchId)) {
+            return null;
+        }
+        try {
+            return await fs.readFile(this.getFilePath(batchId, format === 'csv' ? 'csv' : 'json'), 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new Error(`Failed to read batch results: ${error.message}`);
+        }
+    }
+
+    getFilePath(batchId, extension) {
+        return path.join(this.storageDir, `${batchId}.${extension}`);
+    }
+
+    /**
+     * Per-claim results as CSV. Text cells that a spreadsheet would run as a formula
+     * (starting with =, +, - or @; claim fields and reasons come from uploads) are prefixed with '
+     */
+    static toCsv(results) {
+        const escape = (value) => {
+            let text = Array.isArray(value) ? value.join('; ') : (value === null || value === undefined ? '' : String(value));
+            if (typeof value !== 'number' && /^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [RESULT_COLUMNS.join(','), ...results.map(result => RESULT_COLUMNS.map(column => escape(result[column])).join(','))].join('\n') + '\n';
+    }
+}
+
+module.exports = { BatchClaimProcessor };
@@ -2,6 +2,8 @@
  * Chat Orchestrator - Main controller for chat interface
  * Handles plan loading, context management, and response formatting
  */
+const { PlanNormalizer } = require('./planNormalizer.js');
+
 class ChatOrchestrator {
     constructor(groqAnalyzer, planManager) {
         this.groqAnalyzer = groqAnalyzer;
@@ -87,13 +89,13 @@ class ChatOrchestrator {
         }
 
         try {
-            const planData = await this.planManager.getPlan(planId);
+            const planData = await this.planManager.getPlan(planId, { normalized: true });
             
             if (!planData) {
                 throw new Error(`Plan not found: ${planId}`);
             }
 
-            console.log('✅ Complete plan data loaded:', planData.planName || 'Unknown Plan');
+            console.log('✅ Complete plan data loaded:', this.extractPlanContext(planData).planName);
             return planData;
             
         } catch (error) {
@@ -139,7 +141,10 @@ USER QUESTION: "${message}"
 SELECTED PLAN: ${planContext.company} - ${planContext.planName} (${planContext.sumInsured})
 
 COMPLETE PLAN DATA (USE THIS FOR ACCURATE RESPONSES):
-${JSON.stringify(planData, null, 2)}
+${JSON.stringify(planData.data, null, 2)}
+
+STRUCTURED PLAN FIELDS (amounts in rupees, durations in days, percentages as numbers; null where the plan gives no value):
+${JSON.stringify(this.structuredPlanFields(planData), null, 2)}
 
 CONVERSATION HISTORY:
 ${this.formatConversationHistory(session.history)}
@@ -166,7 +171,7 @@ Provide a comprehensive, accurate response based on the complete plan data provi
     }
 
     /**
-     * Extract plan context from plan data
+     * Extract plan context from a getPlan() result
      */
     extractPlanContext(planData) {
         if (!planData) {
@@ -177,13 +182,29 @@ Provide a comprehensive, accurate response based on the complete plan data provi
             };
         }
 
+        const normalized = this.normalizedPlan(planData);
         return {
-            company: planData.company || planData.plan_details?.Company || 'Unknown',
-            planName: planData.planName || planData.plan_details?.['Plan Name'] || 'Unknown Plan',
-            sumInsured: planData.sumInsuredRange || planData.plan_details?.['Sum Insured Range'] || 'Unknown'
+            company: normalized.details.company || 'Unknown',
+            planName: normalized.details.plan_name || 'Unknown Plan',
+            sumInsured: normalized.sources['details.sum_insured'] || 'Unknown'
         };
     }
 
+    /**
+     * Normalized view of a getPlan() result
+     */
+    normalizedPlan(planData) {
+        return planData.normalized || PlanNormalizer.normalize(planData.data);
+    }
+
+    /**
+     * Typed plan fields for the prompt; the raw text behind them is already in the plan data
+     */
+    structuredPlanFields(planData) {
+        const { sources, ...fields } = this.normalizedPlan(planData);
+        return fields;
+    }
+
     /**
      * Format conversation history
      */
@@ -0,0 +1,516 @@
+/**
+ * Claim Cases - Persistent claim records with a status lifecycle
+ *
+ * Every submission is stored as a case with a generated claim ID, the claim
+ * details, the engine's analysis snapshot and a history of status transitions.
+ * Cases are kept in a local JSON file outside the statically served paths
+ * (storage/claim-cases.json by default, or CLAIM_CASES_PATH). Documents are
+ * attached through ClaimDocuments under the same claim ID.
+ *
+ *   draft -> submitted -> under_review -> approved | partially_approved | rejected
+ *   approved | partially_approved -> settled (recorded in the claims ledger)
+ *   rejected -> under_review (reopened)
+ *
+ * Decisions and settlement are made by reviewers authenticated against the
+ * ReviewerRegistry. A claim is approved only on an eligible verdict and for no
+ * more than that verdict's payable amount, and rejected only on a not_eligible one.
+ * It is approved and settled only once its document checklist is complete, unless
+ * a reviewer's override records that the documents were verified (DOCUMENTS_VERIFIED).
+ *
+ * A reviewer can override the engine's verdict or payable amount with a reason
+ * code and comment; this is the only way to decide against the engine. The
+ * analysis snapshot is never changed: overrides are kept beside it, and the
+ * latest one is the case's effective verdict.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ReviewerRegistry } = require('./reviewerRegistry.js');
+const { ClaimDocuments } = require('./claimDocuments.js');
+
+const TRANSITIONS = {
+    draft: ['submitted'],
+    submitted: ['under_review', 'approved', 'partially_approved', 'rejected'],
+    under_review: ['approved', 'partially_approved', 'rejected'],
+    approved: ['settled'],
+    partially_approved: ['settled'],
+    rejected: ['under_review'],
+    settled: []
+};
+const DECISION_STATUSES = ['approved', 'partially_approved'];
+// Statuses only an authenticated reviewer can move a case to
+const REVIEWER_STATUSES = ['approved', 'partially_approved', 'rejected', 'settled'];
+// Statuses that pay the claim, which its documents must support
+const PAYING_STATUSES = ['approved', 'partially_approved', 'settled'];
+const VERDICTS = ['eligible', 'partially_eligible', 'not_eligible'];
+
+// Why a reviewer overrode the engine
+const OVERRIDE_REASON_CODES = {
+    EMERGENCY_NOT_RECOGNISED: 'Emergency treatment the engine did not recognise',
+    WAITING_PERIOD_SERVED: 'Waiting period served (continuity, portability or corrected dates)',
+    DIAGNOSIS_CORRECTED: 'Diagnosis differs from the condition on the claim',
+    PLAN_TERM_INTERPRETATION: 'Plan term read differently from the engine',
+    DOCUMENTS_VERIFIED: 'Documents seen that settle a flagged or failed check',
+    BILL_VERIFIED: 'Payable amount corrected after checking the bills',
+    EXCLUSION_APPLIES: 'An exclusion applies that the engine missed',
+    FRAUD_SUSPECTED: 'Claim suspected to be fraudulent',
+    EX_GRATIA: 'Paid as a goodwill (ex gratia) settlement',
+    OTHER: 'Other reason, explained in the comment'
+};
+
+/**
+ * A request ClaimCases refuses: code is invalid, unauthorized or conflict
+ */
+class ClaimCaseError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ClaimCaseError';
+        this.code = code;
+    }
+}
+
+class ClaimCases {
+    /**
+     * @param {Object} options - { engine: ClaimEligibilityEngine, reviewers: ReviewerRegistry,
+     *   documents: ClaimDocuments, filePath }
+     */
+    constructor(options) {
+        this.engine = options.engine;
+        // With no registry nobody can decide a claim
+        this.reviewers = options.reviewers || new ReviewerRegistry();
+        this.documents = options.documents || new ClaimDocuments();
+        this.filePath = options.filePath || process.env.CLAIM_CASES_PATH || path.join(__dirname, '../../storage/claim-cases.json');
+        // Writes are serialised so concurrent requests cannot drop each other's cases
+        this.writeQueue = Promise.resolve();
+    }
+
+    static get statuses() {
+        return Object.keys(TRANSITIONS);
+    }
+
+    static get overrideReasonCodes() {
+        return OVERRIDE_REASON_CODES;
+    }
+
+    /**
+     * Read all cases; a missing file is an empty store
+     */
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+            return Array.isArray(data.cases) ? data.cases : [];
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw new Error(`Failed to read claim cases: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write all cases atomically (temp file + rename)
+     */
+    async save(cases) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ version: 1, cases: cases }, null, 2), 'utf-8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Run a read-modify-write against the cases file in order
+     */
+    update(mutator) {
+        const run = this.writeQueue.then(async () => {
+            const cases = await this.load();
+            const result = await mutator(cases);
+            await this.save(cases);
+            return result;
+        });
+        // Keep the queue alive after a failed write
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * @returns {string} - e.g. CLM-20261019-3FA2C1
+     */
+    static generateClaimId() {
+        const date = new Date().toISOString().split('T')[0].replace(/-/g, '');
+        return `CLM-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    }
+
+    /**
+     * Store a new case
+     * @param {Object} claimData - Claim details as sent for analysis
+     * @param {Object} options - { status: draft | submitted, analysis, changed_by }
+     * @returns {Promise<Object>} - The stored case
+     */
+    async create(claimData, options = {}) {
+        const now = new Date().toISOString();
+        const status = options.status || 'submitted';
+        const claimCase = {
+            claim_id: ClaimCases.generateClaimId(),
+            status: status,
+            claim_data: claimData,
+            analysis: options.analysis || null,
+            analysed_at: options.analysis ? now : null,
+            approved_amount: null,
+            overrides: [],
+            ledger_entry_id: null,
+            created_at: now,
+            updated_at: now,
+            history: [{ from: null, to: status, changed_by: options.changed_by || 'claimant', changed_at: now, note: null }]
+        };
+
+        await this.update(cases => cases.push(claimCase));
+        console.log(`🗂️ Claim case ${claimCase.claim_id} created (${status})`);
+        return claimCase;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - The case, or null when there is no such claim ID
+     */
+    async get(claimId) {
+        const cases = await this.load();
+        return cases.find(claimCase => claimCase.claim_id === claimId) || null;
+    }
+
+    /**
+     * Cases matching the filters, newest first
+     * @param {Object} filters - { status, claim_type, policy_number, patient_name, from, to, limit, offset }
+     * @returns {Promise<Object>} - { total, cases: [summary] }
+     */
+    async list(filters = {}) {
+        const statuses = filters.status ? String(filters.status).split(',') : null;
+        const patientName = filters.patient_name ? String(filters.patient_name).toLowerCase() : null;
+        const matches = (await this.load()).filter(claimCase =>
+            (!statuses || statuses.includes(claimCase.status)) &&
+            (!filters.claim_type || claimCase.claim_data.claim_type === filters.claim_type) &&
+            (!filters.policy_number || String(claimCase.claim_data.policy_number) === String(filters.policy_number)) &&
+            (!patientName || String(claimCase.claim_data.patient_name || '').toLowerCase().includes(patientName)) &&
+            (!filters.from || claimCase.created_at >= new Date(filters.from).toISOString()) &&
+            (!filters.to || claimCase.created_at <= new Date(`${filters.to}T23:59:59.999Z`).toISOString())
+        ).sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+        const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+        const limit = Math.min(200, Math.max(1, parseInt(filters.limit, 10) || 50));
+        return {
+            total: matches.length,
+            offset: offset,
+            limit: limit,
+            cases: matches.slice(offset, offset + limit).map(claimCase => ClaimCases.summarize(claimCase))
+        };
+    }
+
+    /**
+     * The fields a case list shows
+     */
+    static summarize(claimCase) {
+        const analysis = claimCase.analysis;
+        const verdict = ClaimCases.effectiveVerdict(claimCase);
+        return {
+            claim_id: claimCase.claim_id,
+            status: claimCase.status,
+            claim_type: claimCase.claim_data.claim_type || null,
+            patient_name: claimCase.claim_data.patient_name || null,
+            policy_number: claimCase.claim_data.policy_number || null,
+            plan_file_path: claimCase.claim_data.plan_file_path || null,
+            claim_amount: analysis?.financial_breakdown?.total_claim ?? claimCase.claim_data.claim_amount ?? null,
+            payable_amount: verdict ? verdict.payable_amount : null,
+            verdict: verdict ? verdict.status : null,
+            overridden: verdict?.source === 'override',
+            red_flag_score: analysis?.red_flags?.score ?? null,
+            approved_amount: claimCase.approved_amount,
+            created_at: claimCase.created_at,
+            updated_at: claimCase.updated_at
+        };
+    }
+
+    /**
+     * Whether the requested status is a decision or settlement, which a reviewer makes
+     */
+    static requiresReviewer(request) {
+        return REVIEWER_STATUSES.includes(request?.status);
+    }
+
+    /**
+     * The case's documents against the checklist built from its own claim details
+     * @returns {Promise<Object>} - { documents, checklist, missing, ready }
+     */
+    async documentStatus(claimCase) {
+        const uploaded = (await this.documents.getClaim(claimCase.claim_id))?.documents || [];
+        const assessment = this.engine.assessDocuments(claimCase.claim_data, [...new Set(uploaded.map(document => document.document_type))]);
+        return { documents: uploaded, checklist: assessment.documents, missing: assessment.missing, ready: assessment.ready };
+    }
+
+    /**
+     * @param {Object|null} documents - documentStatus() of the case; paying a claim needs it ready
+     * @returns {string|null} - Error message, or null when the case may move to the requested status
+     */
+    static validateTransition(claimCase, request, documents = null) {
+        if (!request || !ClaimCases.statuses.includes(request.status)) {
+            return `status must be one of: ${ClaimCases.statuses.join(', ')}`;
+        }
+        // A reviewer's name comes from the registry, not the request
+        if (!ClaimCases.requiresReviewer(request) &&
+            (!request.changed_by || typeof request.changed_by !== 'string' || !request.changed_by.trim())) {
+            return 'changed_by is required';
+        }
+        if (!TRANSITIONS[claimCase.status].includes(request.status)) {
+            return `A ${claimCase.status} claim cannot move to ${request.status}` +
+                (TRANSITIONS[claimCase.status].length > 0 ? ` (allowed: ${TRANSITIONS[claimCase.status].join(', ')})` : '');
+        }
+
+        const hasAmount = request.approved_amount !== undefined && request.approved_amount !== null;
+        if (hasAmount && !DECISION_STATUSES.includes(request.status)) {
+            return 'approved_amount is only set when a claim is approved or partially approved';
+        }
+        if (request.status === 'rejected') {
+            const verdict = ClaimCases.effectiveVerdict(claimCase);
+            if (verdict?.eligible) {
+                return `The ${verdict.source} verdict is ${verdict.status}: record an override before rejecting this claim`;
+            }
+        }
+        if (DECISION_STATUSES.includes(request.status)) {
+            const verdict = ClaimCases.effectiveVerdict(claimCase);
+            if (!verdict) {
+                return 'Only an analysed claim can be approved';
+            }
+            if (!verdict.eligible) {
+                return `The ${verdict.source} verdict is ${verdict.status}: record an override before approving this claim`;
+            }
+            if (hasAmount && !(Number(request.approved_amount) >= 0)) {
+                return 'approved_amount must be a non-negative number';
+            }
+            if (hasAmount && Number(request.approved_amount) > verdict.payable_amount) {
+                return `approved_amount cannot exceed the payable amount (₹${verdict.payable_amount.toLocaleString('en-IN')}); ` +
+                    'record an override to pay more';
+            }
+        }
+        if (PAYING_STATUSES.includes(request.status) && !documents?.ready &&
+            !(claimCase.overrides || []).some(override => override.reason_code === 'DOCUMENTS_VERIFIED')) {
+            const missing = (documents?.missing || []).map(document => document.name).join(', ');
+            return `Documents are missing${missing ? ` (${missing})` : ''}: upload them, or record a DOCUMENTS_VERIFIED override`;
+        }
+        return null;
+    }
+
+    /**
+     * Move a case to a new status and record who did it. Submitting a draft runs the
+     * analysis; approving fixes the approved amount (the effective verdict's payable amount
+     * unless given); settling records the approved amount in the claims ledger.
+     * @param {Object} request - { status, changed_by, note, approved_amount }; changed_by is
+     *   the reviewer's name for decisions and settlement
+     * @param {string|null} reviewerToken - Required for decisions and settlement
+     * @returns {Promise<Object|null>} - The updated case, or null when there is no such claim ID
+     * @throws {ClaimCaseError} - invalid, unauthorized, or conflict when another request moved the case first
+     */
+    async transition(claimId, request, reviewerToken = null) {
+        const current = await this.get(claimId);
+        if (!current) {
+            return null;
+        }
+        const documents = await this.documentStatus(current);
+        const error = ClaimCases.validateTransition(current, request, documents);
+        if (error) {
+            throw new ClaimCaseError(error, 'invalid');
+        }
+        let changedBy = request.changed_by;
+        if (ClaimCases.requiresReviewer(request)) {
+            changedBy = this.reviewers.authenticate(reviewerToken);
+            if (!changedBy) {
+                throw new ClaimCaseError(`Only an authenticated reviewer can move a claim to ${request.status}`, 'unauthorized');
+            }
+        }
+
+        // Side effects run before the status changes, so a failure leaves the case where it was
+        const changes = {};
+        if (request.status === 'submitted' && !current.analysis) {
+            changes.analysis = await this.engine.analyzeClaimEligibility(current.claim_data, current.claim_data.plan_file_path);
+            changes.analysed_at = new Date().toISOString();
+        }
+        if (DECISION_STATUSES.includes(request.status)) {
+            changes.approved_amount = request.approved_amount !== undefined && request.approved_amount !== null ?
+                Number(request.approved_amount) :
+                (ClaimCases.effectiveVerdict(current)?.payable_amount ?? 0);
+        }
+        if (request.status === 'settled' && !current.ledger_entry_id) {
+            const entry = await this.engine.recordApprovedClaim(
+                { ...current.claim_data, claim_reference: current.claim_id },
+                { ...current.analysis, eligible: true },
+                current.approved_amount
+            );
+            changes.ledger_entry_id = entry?.entry_id || null;
+        }
+
+        return this.update(cases => {
+            const claimCase = cases.find(candidate => candidate.claim_id === claimId);
+            // Another request may have moved the case while the side effects ran
+            const conflict = ClaimCases.validateTransition(claimCase, request, documents);
+            if (conflict) {
+                throw new ClaimCaseError(conflict, 'conflict');
+            }
+
+            const now = new Date().toISOString();
+            Object.assign(claimCase, changes);
+            claimCase.history.push({
+                from: claimCase.status,
+                to: request.status,
+                changed_by: changedBy.trim(),
+                changed_at: now,
+                note: request.note || null
+            });
+            claimCase.status = request.status;
+            claimCase.updated_at = now;
+            console.log(`🗂️ Claim case ${claimId}: ${claimCase.history[claimCase.history.length - 1].from} → ${request.status} by ${changedBy}`);
+            return claimCase;
+        });
+    }
+
+    /**
+     * The verdict the case stands on: the latest reviewer override, else the engine's
+     * @returns {Object|null} - { status, eligible, payable_amount, source }, or null before analysis
+     */
+    static effectiveVerdict(claimCase) {
+        const override = claimCase.overrides?.[claimCase.overrides.length - 1];
+        if (override) {
+            return { ...override.verdict, source: 'override' };
+        }
+        return claimCase.analysis ? { ...ClaimCases.engineVerdict(claimCase.analysis), source: 'engine' } : null;
+    }
+
+    static engineVerdict(analysis) {
+        return {
+            status: analysis.status || (analysis.eligible ? 'eligible' : 'not_eligible'),
+            eligible: analysis.eligible,
+            payable_amount: analysis.eligible ? analysis.financial_breakdown?.final_amount ?? 0 : 0
+        };
+    }
+
+    /**
+     * @param {Object} request - { verdict, payable_amount, reason_code, comment }
+     * @returns {string|null} - Error message, or null when the override can be applied
+     */
+    static validateOverride(claimCase, request) {
+        if (!claimCase.analysis) {
+            return 'Only an analysed claim can be overridden';
+        }
+        if (claimCase.status === 'settled') {
+            return 'A settled claim cannot be overridden';
+        }
+        if (!request || !Object.prototype.hasOwnProperty.call(OVERRIDE_REASON_CODES, request.reason_code)) {
+            return `reason_code must be one of: ${Object.keys(OVERRIDE_REASON_CODES).join(', ')}`;
+        }
+        if (typeof request.comment !== 'string' || !request.comment.trim()) {
+            return 'comment is required';
+        }
+        if (request.verdict === undefined && (request.payable_amount === undefined || request.payable_amount === null)) {
+            return 'An override must change the verdict, the payable amount, or both';
+        }
+        if (request.verdict !== undefined && !VERDICTS.includes(request.verdict)) {
+            return `verdict must be one of: ${VERDICTS.join(', ')}`;
+        }
+
+        const current = ClaimCases.effectiveVerdict(claimCase);
+        const verdict = request.verdict || current.status;
+        const hasAmount = request.payable_amount !== undefined && request.payable_amount !== null;
+        if (hasAmount && !(Number(request.payable_amount) >= 0)) {
+            return 'payable_amount must be a non-negative number';
+        }
+        const claimAmount = claimCase.analysis.financial_breakdown?.total_claim ?? claimCase.analysis.claim_amount;
+        if (hasAmount && Number(request.payable_amount) > Number(claimAmount)) {
+            return `payable_amount cannot exceed the claim amount (₹${Number(claimAmount).toLocaleString('en-IN')})`;
+        }
+        if (verdict === 'not_eligible' && hasAmount && Number(request.payable_amount) > 0) {
+            return 'A not_eligible verdict pays nothing';
+        }
+        // A rejection turned into a payment needs the amount the reviewer accepts
+        if (verdict !== 'not_eligible' && !current.eligible && !hasAmount) {
+            return 'payable_amount is required when a rejected claim is made payable';
+        }
+        return null;
+    }
+
+    /**
+     * Record a reviewer's override beside the engine's analysis
+     * @param {string} reviewerToken - The reviewer's token; the name recorded comes from the registry
+     * @param {Object} request - { verdict, payable_amount, reason_code, comment }
+     * @returns {Promise<Object|null>} - The updated case, or null when there is no such claim ID
+     */
+    async override(claimId, reviewerToken, request) {
+        const reviewer = this.reviewers.authenticate(reviewerToken);
+        if (!reviewer) {
+            throw new ClaimCaseError('Only an authenticated reviewer can override a verdict', 'unauthorized');
+        }
+
+        return this.update(cases => {
+            const claimCase = cases.find(candidate => candidate.claim_id === claimId);
+            if (!claimCase) {
+                return null;
+            }
+            const error = ClaimCases.validateOverride(claimCase, request);
+            if (error) {
+                throw new ClaimCaseError(error, 'invalid');
+            }
+
+            const previous = ClaimCases.effectiveVerdict(claimCase);
+            const status = request.verdict || previous.status;
+            const hasAmount = request.payable_amount !== undefined && request.payable_amount !== null;
+            const payable = status === 'not_eligible' ? 0 : (hasAmount ? Number(request.payable_amount) : previous.payable_amount);
+            const now = new Date().toISOString();
+
+            claimCase.overrides = claimCase.overrides || [];
+            claimCase.overrides.push({
+                override_id: crypto.randomUUID(),
+                reviewer: reviewer,
+                reason_code: request.reason_code,
+                comment: request.comment.trim(),
+                engine_verdict: ClaimCases.engineVerdict(claimCase.analysis),
+                previous_verdict: { status: previous.status, eligible: previous.eligible, payable_amount: previous.payable_amount },
+                verdict: { status: status, eligible: status !== 'not_eligible', payable_amount: payable },
+                created_at: now
+            });
+            claimCase.updated_at = now;
+            console.log(`🧑‍⚖️ Claim case ${claimId}: ${previous.status} → ${status} (₹${payable.toLocaleString('en-IN')}) overridden by ${reviewer} [${request.reason_code}]`);
+            return claimCase;
+        });
+    }
+
+    /**
+     * How often reviewers disagree with the engine, across every analysed case
+     * @returns {Promise<Object>} - { analysed_cases, overridden_cases, override_rate, by_reason_code, by_direction, amount_change }
+     */
+    async overrideStats() {
+        const analysed = (await this.load()).filter(claimCase => claimCase.analysis);
+        const overridden = analysed.filter(claimCase => claimCase.overrides?.length > 0);
+        const byReasonCode = {};
+        const byDirection = {};
+        let amountChange = 0;
+
+        for (const claimCase of overridden) {
+            for (const override of claimCase.overrides) {
+                byReasonCode[override.reason_code] = (byReasonCode[override.reason_code] || 0) + 1;
+            }
+            // Compare the engine's verdict with where the reviewers left the case
+            const engine = ClaimCases.engineVerdict(claimCase.analysis);
+            const final = ClaimCases.effectiveVerdict(claimCase);
+            const direction = engine.eligible === final.eligible ?
+                (engine.payable_amount === final.payable_amount ? 'unchanged' : 'amount_changed') :
+                (final.eligible ? 'rejection_overturned' : 'approval_overturned');
+            byDirection[direction] = (byDirection[direction] || 0) + 1;
+            amountChange += final.payable_amount - engine.payable_amount;
+        }
+
+        return {
+            analysed_cases: analysed.length,
+            overridden_cases: overridden.length,
+            override_rate: analysed.length > 0 ? Math.round((overridden.length / analysed.length) * 1000) / 1000 : 0,
+            by_reason_code: byReasonCode,
+            by_direction: byDirection,
+            amount_change: amountChange
+        };
+    }
+}
+
+module.exports = { ClaimCases, ClaimCaseError };
@@ -0,0 +1,176 @@
+/**
+ * Claim Documents - Files uploaded against a claim, and the claim details they are checked against
+ *
+ * Uploaded files are kept under storage/claim-documents/<claim_id>/ (or
+ * CLAIM_DOCUMENTS_PATH) and indexed in index.json beside them. Each claim keeps
+ * the claim details its document checklist is built from; the claim is ready
+ * once every document on the checklist has been uploaded.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CLAIM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Names that would reach Object.prototype if used as an index key
+const RESERVED_CLAIM_IDS = ['__proto__', 'constructor', 'prototype'];
+const ALLOWED_MIME_TYPES = {
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png'
+};
+// Leading bytes of each allowed type; the declared MIME type alone is the client's word
+const FILE_SIGNATURES = {
+    'application/pdf': [Buffer.from('%PDF-')],
+    'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+    'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])]
+};
+
+class ClaimDocuments {
+    constructor(directory = process.env.CLAIM_DOCUMENTS_PATH) {
+        this.directory = directory || path.join(__dirname, '../../storage/claim-documents');
+        this.indexPath = path.join(this.directory, 'index.json');
+        // Writes are serialised so concurrent uploads cannot drop each other's entries
+        this.writeQueue = Promise.resolve();
+    }
+
+    static isValidClaimId(claimId) {
+        return typeof claimId === 'string' && CLAIM_ID_PATTERN.test(claimId) && !RESERVED_CLAIM_IDS.includes(claimId);
+    }
+
+    static isAllowedMimeType(mimeType) {
+        return Object.prototype.hasOwnProperty.call(ALLOWED_MIME_TYPES, mimeType);
+    }
+
+    /**
+     * Whether the file's content starts the way its MIME type says it should
+     */
+    static hasFileSignature(mimeType, buffer) {
+        const signatures = ClaimDocuments.isAllowedMimeType(mimeType) ? FILE_SIGNATURES[mimeType] : [];
+        return Buffer.isBuffer(buffer) && signatures.some(signature => buffer.subarray(0, signature.length).equals(signature));
+    }
+
+    static get allowedMimeTypes() {
+        return Object.keys(ALLOWED_MIME_TYPES);
+    }
+
+    /**
+     * Read the index; a missing file is an empty store. Claims are keyed on a
+     * prototype-less object so no claim ID can resolve to an inherited property.
+     * @returns {Promise<Object>} - { claims: { [claim_id]: { claim_data, documents, updated_at } } }
+     */
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.indexPath, 'utf-8'));
+            return { claims: Object.assign(Object.create(null), data.claims) };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { claims: Object.create(null) };
+            }
+            throw new Error(`Failed to read claim documents: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write the index atomically (temp file + rename)
+     */
+    async save(index) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ version: 1, ...index }, null, 2), 'utf-8');
+        await fs.rename(tempPath, this.indexPath);
+    }
+
+    /**
+     * Run a read-modify-write against the index in order
+     */
+    update(mutator) {
+        const run = this.writeQueue.then(async () => {
+            const index = await this.load();
+            const result = await mutator(index);
+            await this.save(index);
+            return result;
+        });
+        // Keep the queue alive after a failed write
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    static findClaim(index, claimId) {
+        return Object.hasOwn(index.claims, claimId) ? index.claims[claimId] : null;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - { claim_id, claim_data, documents, updated_at }, or null for an unknown claim
+     */
+    async getClaim(claimId) {
+        const claim = ClaimDocuments.findClaim(await this.load(), claimId);
+        return claim ? { claim_id: claimId, ...claim } : null;
+    }
+
+    /**
+     * Store files against a claim, optionally replacing its claim details
+     * @param {string} claimId
+     * @param {Array} files - [{ document_type, original_name, mime_type, buffer }]
+     * @param {Object|null} claimData - Claim details the checklist is built from
+     * @returns {Promise<Array>} - The stored document entries
+     */
+    async addDocuments(claimId, files, claimData = null) {
+        return this.update(async (index) => {
+            if (!ClaimDocuments.isValidClaimId(claimId)) {
+                throw new Error(`Invalid claim ID: ${claimId}`);
+            }
+            const mismatched = files.find(file => !ClaimDocuments.hasFileSignature(file.mime_type, file.buffer));
+            if (mismatched) {
+                throw new Error(`${mismatched.original_name} is not a valid ${mismatched.mime_type} file`);
+            }
+            const claim = ClaimDocuments.findClaim(index, claimId) || { claim_data: null, documents: [] };
+            if (claimData) {
+                claim.claim_data = claimData;
+            }
+
+            const claimDirectory = path.join(this.directory, claimId);
+            await fs.mkdir(claimDirectory, { recursive: true });
+
+            const added = [];
+            for (const file of files) {
+                const documentId = `doc_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+                const storedAs = `${documentId}${ALLOWED_MIME_TYPES[file.mime_type]}`;
+                await fs.writeFile(path.join(claimDirectory, storedAs), file.buffer);
+                added.push({
+                    document_id: documentId,
+                    document_type: file.document_type,
+                    original_name: file.original_name,
+                    mime_type: file.mime_type,
+                    size: file.buffer.length,
+                    sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+                    stored_as: storedAs,
+                    uploaded_at: new Date().toISOString()
+                });
+            }
+
+            claim.documents.push(...added);
+            claim.updated_at = new Date().toISOString();
+            index.claims[claimId] = claim;
+            return added;
+        });
+    }
+
+    /**
+     * Remove a document and its file
+     * @returns {Promise<boolean>} - false when the claim has no such document
+     */
+    async removeDocument(claimId, documentId) {
+        return this.update(async (index) => {
+            const claim = ClaimDocuments.findClaim(index, claimId);
+            const position = claim ? claim.documents.findIndex(document => document.document_id === documentId) : -1;
+            if (position === -1) return false;
+
+            const [removed] = claim.documents.splice(position, 1);
+            await fs.rm(path.join(this.directory, claimId, removed.stored_as), { force: true });
+            claim.updated_at = new Date().toISOString();
+            return true;
+        });
+    }
+}
+
+module.exports = { ClaimDocuments };
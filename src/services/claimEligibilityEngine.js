@@ -1,100 +1,365 @@
 const { PlanManager } = require('./planManager.js');
+const { WaitingPeriodParser } = require('./waitingPeriodParser.js');
+const { PlanNormalizer } = require('./planNormalizer.js');
+const { LimitParser } = require('./limitParser.js');
+const { ClaimsLedger } = require('./claimsLedger.js');
+const { PolicyMembers } = require('./policyMembers.js');
+const { DiseaseRuleSet } = require('./diseaseRuleSet.js');
+const { MedicalVocabulary } = require('./medicalVocabulary.js');
+const { DayCareCatalogue } = require('./dayCareCatalogue.js');
+const { DocumentRequirements } = require('./documentRequirements.js');
+const { ClaimRedFlags } = require('./claimRedFlags.js');
 const fs = require('fs');
 const path = require('path');
 
+// Applied when a plan does not state a waiting period in a parseable form
+const DEFAULT_WAITING_PERIODS = {
+    initial: 30,
+    specific_disease: 730,
+    pre_existing: 1095
+};
+
+// Ported cover keeps its waiting-period credit only when it ran on without a longer break
+const PORTABILITY_MAX_GAP_DAYS = 30;
+
+// Shorter stays are payable only as day care procedures
+const MIN_HOSPITALISATION_HOURS = 24;
+
+// Diagnoses resolved below this confidence, or by approximate spelling, are still adjudicated
+// on the code but flagged for review
+const LOW_DIAGNOSIS_CONFIDENCE = 0.75;
+
+// Verdict confidence starts at 1 and is scaled down by each source of doubt
+const CONFIDENCE_WEIGHTS = {
+    unreadable_plan_field: 0.8,
+    review_flag: 0.9,
+    unrecognised_condition: 0.8,
+    documents_missing: 0.85
+};
+
+// Maternity claims: accepted delivery_type values and the maternity cover field that caps each
+const DELIVERY_TYPES = {
+    normal: { label: 'Normal delivery', field: 'normal_delivery', aliases: ['normal', 'vaginal', 'nvd'] },
+    caesarean: { label: 'Caesarean delivery', field: 'caesarean_delivery', aliases: ['caesarean', 'cesarean', 'c-section', 'c section', 'csection', 'lscs'] }
+};
+
+// Disease-specific limits: a plan field or a special feature matching `feature` caps the
+// payable amount when the claimed condition matches one of the conditions or ICD-10 code prefixes
+const DISEASE_SPECIFIC_LIMITS = [
+    { id: 'cataract', conditions: ['cataract'], codes: ['H25', 'H26', 'H28'], field: 'sub_limits.cataract', unit_input: 'eyes_operated' },
+    { id: 'asthma', conditions: ['asthma'], codes: ['J45', 'J46'], feature: /ASTHMA/ },
+    { id: 'bariatric_surgery', conditions: ['bariatric', 'obesity', 'gastric bypass', 'sleeve gastrectomy'], codes: ['E66'], feature: /BARIATRIC/ },
+    { id: 'modern_treatment', conditions: ['robotic surgery', 'stem cell', 'immunotherapy', 'cyberknife', 'deep brain stimulation', 'oral chemotherapy'], field: 'coverages.modern_treatments', feature: /MODERN TREATMENT/ },
+    { id: 'home_care', conditions: ['home care', 'home treatment'], feature: /HOME CARE/ },
+    { id: 'hospice_care', conditions: ['hospice', 'palliative'], feature: /HOSPICE/ },
+    { id: 'rehabilitation', conditions: ['rehabilitation', 'pain management', 'physiotherapy'], feature: /REHABILITATION/ },
+    { id: 'animal_bite', conditions: ['animal bite', 'dog bite', 'snake bite', 'rabies'], codes: ['W53', 'W54', 'W55', 'X20', 'A82'], feature: /ANIMAL BITE/ },
+    { id: 'repatriation', conditions: ['repatriation', 'mortal remains'], feature: /REPATRIATION/ },
+    { id: 'op_consultation', conditions: ['op consultation', 'outpatient consultation', 'out patient consultation'], feature: /OP CONSULTATION/ }
+];
+
+// Bill item categories; associated charges are reduced in proportion when the room exceeds its limit.
+// plan_field names the normalized plan field that can reduce the line
+const BILL_ITEM_CATEGORIES = {
+    room: { label: 'Room rent', associated: false, plan_field: 'sub_limits.room_rent_per_day' },
+    icu: { label: 'ICU charges', associated: false, plan_field: 'sub_limits.icu_per_day' },
+    surgeon_fees: { label: 'Surgeon fees', associated: true, plan_field: 'sub_limits.room_rent_per_day' },
+    doctor_fees: { label: 'Doctor / consultant fees', associated: true, plan_field: 'sub_limits.room_rent_per_day' },
+    nursing: { label: 'Nursing charges', associated: true, plan_field: 'sub_limits.room_rent_per_day' },
+    ot_charges: { label: 'Operation theatre charges', associated: true, plan_field: 'sub_limits.room_rent_per_day' },
+    pharmacy: { label: 'Pharmacy', associated: false, plan_field: null },
+    consumables: { label: 'Consumables', associated: false, plan_field: 'coverages.consumables' },
+    implants: { label: 'Implants', associated: false, plan_field: null },
+    diagnostics: { label: 'Diagnostics', associated: false, plan_field: null },
+    pre_hospitalisation: { label: 'Pre-hospitalisation bills', associated: false, plan_field: 'coverages.pre_hospitalisation_days' },
+    post_hospitalisation: { label: 'Post-hospitalisation bills', associated: false, plan_field: 'coverages.post_hospitalisation_days' },
+    ambulance: { label: 'Ambulance', associated: false, plan_field: 'coverages.emergency_ambulance' },
+    other: { label: 'Other hospital charges', associated: true, plan_field: 'sub_limits.room_rent_per_day' }
+};
+
 class ClaimEligibilityEngine {
-    constructor() {
+    constructor(options = {}) {
         this.planManager = new PlanManager();
+        this.claimsLedger = options.claimsLedger || new ClaimsLedger();
         this.diseaseRules = this.loadDiseaseRules();
+        this.vocabulary = this.loadMedicalVocabulary();
+        this.dayCareCatalogue = this.loadDayCareCatalogue();
+        this.documentRequirements = this.loadDocumentRequirements();
+        this.redFlags = new ClaimRedFlags();
+        // Rule sets with a plan's overrides merged in, per raw plan object
+        this.planDiseaseRules = new WeakMap();
     }
 
     /**
-     * Load disease rules from JSON file
+     * Load and validate disease rules from the JSON file.
+     * A missing file falls back to built-in rules; an invalid file stops startup
+     * rather than silently changing decisions.
      */
     loadDiseaseRules() {
+        const diseaseRulesPath = path.join(__dirname, '../../data/disease-rules.json');
+        if (fs.existsSync(diseaseRulesPath)) {
+            const ruleSet = DiseaseRuleSet.fromFile(diseaseRulesPath);
+            console.log(`✅ Disease rules loaded from JSON file (${ruleSet.rules.length} rules)`);
+            return ruleSet;
+        }
+
+        console.warn('⚠️ Could not find disease rules JSON, using defaults:', diseaseRulesPath);
+        return DiseaseRuleSet.fromData({
+            covered: {
+                'cataract': { waiting_period: 730, specific_disease: true, requires_hospital: true, risk_level: 'low' },
+                'hernia': { waiting_period: 730, specific_disease: true, requires_hospital: true, risk_level: 'medium' },
+                'kidney stone': { waiting_period: 730, specific_disease: true, requires_hospital: true, risk_level: 'medium' },
+                'gallbladder': { waiting_period: 730, specific_disease: true, requires_hospital: true, risk_level: 'medium' },
+                'arthritis': { waiting_period: 730, specific_disease: true, requires_hospital: false, risk_level: 'medium' },
+                'diabetes': { waiting_period: 1095, requires_hospital: false, risk_level: 'high' },
+                'hypertension': { waiting_period: 1095, requires_hospital: false, risk_level: 'high' },
+                'heart disease': { waiting_period: 730, requires_hospital: true, risk_level: 'high' },
+                'cancer': { waiting_period: 730, requires_hospital: true, risk_level: 'high' },
+                'stroke': { waiting_period: 730, requires_hospital: true, risk_level: 'high' },
+                'tuberculosis': { waiting_period: 365, requires_hospital: true, risk_level: 'medium' },
+                'pneumonia': { waiting_period: 30, requires_hospital: true, risk_level: 'low' },
+                'appendicitis': { waiting_period: 30, requires_hospital: true, risk_level: 'low' },
+                'fracture': { waiting_period: 0, requires_hospital: true, risk_level: 'low' },
+                'fever': { waiting_period: 30, requires_hospital: false, risk_level: 'low' },
+                'surgery': { waiting_period: 730, requires_hospital: true, risk_level: 'medium' },
+                'accident': { waiting_period: 0, requires_hospital: true, risk_level: 'low' },
+                'maternity': { waiting_period: 1095, requires_hospital: true, risk_level: 'medium' },
+                'delivery': { waiting_period: 1095, requires_hospital: true, risk_level: 'medium' }
+            },
+            excluded: {
+                'cosmetic surgery': 'Cosmetic procedures are not covered',
+                'dental treatment': 'Dental treatments require separate coverage',
+                'infertility': 'Infertility treatments are excluded',
+                'experimental treatment': 'Experimental treatments are not covered',
+                'self-inflicted injury': 'Self-inflicted injuries are excluded',
+                'substance abuse': 'Substance abuse related treatments are excluded',
+                'war injury': 'War-related injuries are excluded',
+                'suicide attempt': 'Suicide attempts are excluded'
+            },
+            conditional: {
+                'pre-existing condition': 'Requires 3-4 year waiting period',
+                'chronic disease': 'May require ongoing documentation',
+                'genetic disorder': 'May require genetic counseling'
+            }
+        }, 'built-in defaults');
+    }
+
+    /**
+     * Load the ICD-10 vocabulary. Without it conditions are matched on their text alone;
+     * an invalid file stops startup.
+     */
+    loadMedicalVocabulary() {
+        const vocabularyPath = path.join(__dirname, '../../data/medical-vocabulary.json');
+        if (fs.existsSync(vocabularyPath)) {
+            const vocabulary = MedicalVocabulary.fromFile(vocabularyPath);
+            console.log(`✅ Medical vocabulary loaded (${vocabulary.entries.length} ICD-10 codes)`);
+            return vocabulary;
+        }
+
+        console.warn('⚠️ Could not find medical vocabulary JSON, matching conditions on text only:', vocabularyPath);
+        return new MedicalVocabulary([]);
+    }
+
+    /**
+     * Load the day care procedure catalogue. Without it no short stay qualifies as day care;
+     * an invalid file stops startup.
+     */
+    loadDayCareCatalogue() {
+        const cataloguePath = path.join(__dirname, '../../data/day-care-procedures.json');
+        if (fs.existsSync(cataloguePath)) {
+            const catalogue = DayCareCatalogue.fromFile(cataloguePath);
+            console.log(`✅ Day care catalogue loaded (${catalogue.procedures.length} procedures)`);
+            return catalogue;
+        }
+
+        console.warn('⚠️ Could not find day care catalogue JSON, short stays will not qualify as day care:', cataloguePath);
+        return new DayCareCatalogue([]);
+    }
+
+    /**
+     * Load the claim document requirements. Without them claims carry no document
+     * checklist; an invalid file stops startup.
+     */
+    loadDocumentRequirements() {
+        const requirementsPath = path.join(__dirname, '../../data/document-requirements.json');
+        if (fs.existsSync(requirementsPath)) {
+            const requirements = DocumentRequirements.fromFile(requirementsPath);
+            console.log(`✅ Document requirements loaded (${requirements.documents.length} documents, ${requirements.requirements.length} requirements)`);
+            return requirements;
+        }
+
+        console.warn('⚠️ Could not find document requirements JSON, claims will carry no document checklist:', requirementsPath);
+        return new DocumentRequirements();
+    }
+
+    /**
+     * The disease rules for a plan: the global rules with the plan's
+     * disease_rule_overrides block merged over them
+     * @returns {Object} - { ruleSet, overridden, added, disabled }
+     */
+    getDiseaseRules(plan) {
+        if (!plan?.disease_rule_overrides) {
+            return { ruleSet: this.diseaseRules, overridden: [], added: [], disabled: [] };
+        }
+        if (!this.planDiseaseRules.has(plan)) {
+            const planName = plan.plan_details?.['Plan Name'] || plan.planName || 'plan';
+            const rulebook = this.diseaseRules.withOverrides(plan.disease_rule_overrides, planName);
+            console.log(`📐 ${planName}: ${rulebook.overridden.length} disease rules overridden, ${rulebook.added.length} added, ${rulebook.disabled.length} disabled`);
+            this.planDiseaseRules.set(plan, rulebook);
+        }
+        return this.planDiseaseRules.get(plan);
+    }
+
+    /**
+     * @returns {string|null} - Error message, or null when the plan's override block can be merged
+     */
+    validateDiseaseRuleOverrides(overrides) {
         try {
-            const diseaseRulesPath = path.join(__dirname, '../../data/disease-rules.json');
-            const rawData = fs.readFileSync(diseaseRulesPath, 'utf8');
-            const rules = JSON.parse(rawData);
-            console.log('✅ Disease rules loaded from JSON file');
-            return rules;
+            this.diseaseRules.withOverrides(overrides);
+            return null;
         } catch (error) {
-            console.warn('⚠️ Could not load disease rules from JSON, using defaults:', error.message);
-            // Fallback to hardcoded rules if JSON loading fails
-            return {
-                covered: {
-                    'cataract': { waiting_period: 730, requires_hospital: true, risk_level: 'low' },
-                    'hernia': { waiting_period: 730, requires_hospital: true, risk_level: 'medium' },
-                    'kidney stone': { waiting_period: 730, requires_hospital: true, risk_level: 'medium' },
-                    'gallbladder': { waiting_period: 730, requires_hospital: true, risk_level: 'medium' },
-                    'arthritis': { waiting_period: 730, requires_hospital: false, risk_level: 'medium' },
-                    'diabetes': { waiting_period: 1095, requires_hospital: false, risk_level: 'high' },
-                    'hypertension': { waiting_period: 1095, requires_hospital: false, risk_level: 'high' },
-                    'heart disease': { waiting_period: 730, requires_hospital: true, risk_level: 'high' },
-                    'cancer': { waiting_period: 730, requires_hospital: true, risk_level: 'high' },
-                    'stroke': { waiting_period: 730, requires_hospital: true, risk_level: 'high' },
-                    'tuberculosis': { waiting_period: 365, requires_hospital: true, risk_level: 'medium' },
-                    'pneumonia': { waiting_period: 30, requires_hospital: true, risk_level: 'low' },
-                    'appendicitis': { waiting_period: 30, requires_hospital: true, risk_level: 'low' },
-                    'fracture': { waiting_period: 0, requires_hospital: true, risk_level: 'low' },
-                    'fever': { waiting_period: 30, requires_hospital: false, risk_level: 'low' },
-                    'surgery': { waiting_period: 730, requires_hospital: true, risk_level: 'medium' },
-                    'accident': { waiting_period: 0, requires_hospital: true, risk_level: 'low' },
-                    'maternity': { waiting_period: 1095, requires_hospital: true, risk_level: 'medium' },
-                    'delivery': { waiting_period: 1095, requires_hospital: true, risk_level: 'medium' }
-                },
-                excluded: {
-                    'cosmetic surgery': 'Cosmetic procedures are not covered',
-                    'dental treatment': 'Dental treatments require separate coverage',
-                    'infertility': 'Infertility treatments are excluded',
-                    'experimental treatment': 'Experimental treatments are not covered',
-                    'self-inflicted injury': 'Self-inflicted injuries are excluded',
-                    'substance abuse': 'Substance abuse related treatments are excluded',
-                    'war injury': 'War-related injuries are excluded',
-                    'suicide attempt': 'Suicide attempts are excluded'
-                },
-                conditional: {
-                    'pre-existing condition': 'Requires 3-4 year waiting period',
-                    'chronic disease': 'May require ongoing documentation',
-                    'genetic disorder': 'May require genetic counseling'
-                }
-            };
+            return error.message;
+        }
+    }
+
+    /**
+     * Which disease rules came from the plan and which from the global rulebook
+     */
+    summarizeDiseaseRules(rulebook, result) {
+        const matched = new Map();
+        for (const entry of result.rule_trace) {
+            const ruleId = entry.rule_id.match(/^(?:disease_rule|specific_disease_waiting)\.(.+)$/)?.[1];
+            if (ruleId && entry.source) {
+                matched.set(ruleId, entry.source);
+            }
         }
+
+        return {
+            plan_overrides: rulebook.ruleSet !== this.diseaseRules,
+            overridden: rulebook.overridden,
+            added: rulebook.added,
+            disabled: rulebook.disabled,
+            rules_from_plan: rulebook.ruleSet.rules.filter(rule => rule.source === 'plan').length,
+            rules_from_global: rulebook.ruleSet.rules.filter(rule => rule.source === 'global').length,
+            matched: [...matched].map(([ruleId, source]) => ({ rule_id: ruleId, source: source }))
+        };
     }
 
     /**
      * Main eligibility analysis function
      * @param {Object} claimData - Claim information from frontend
      * @param {string} planFilePath - Path to the selected plan JSON
+     * @param {Object} [options] - { as_of }: date the policy age is measured on (defaults to today)
      * @returns {Object} Eligibility analysis result
      */
-    async analyzeClaimEligibility(claimData, planFilePath) {
+    async analyzeClaimEligibility(claimData, planFilePath, options = {}) {
         try {
             console.log('🔍 Starting claim eligibility analysis...');
             console.log('📄 Plan file path:', planFilePath);
             console.log('📋 Claim data:', claimData);
 
+            // An itemised bill, when given, determines the claim amount
+            if (Array.isArray(claimData.bill_items)) {
+                const billError = this.validateBillItems(claimData.bill_items) || this.validateHospitalisationDates(claimData);
+                if (billError) {
+                    throw new Error(billError);
+                }
+                claimData = {
+                    ...claimData,
+                    claim_amount: claimData.bill_items.reduce((sum, item) => sum + Number(item.amount), 0)
+                };
+            }
+
+            if (claimData.claim_type === 'Maternity') {
+                const maternityError = this.validateMaternityClaim(claimData);
+                if (maternityError) {
+                    throw new Error(maternityError);
+                }
+            }
+
+            const priorCoverageError = this.validatePriorCoverage(claimData);
+            if (priorCoverageError) {
+                throw new Error(priorCoverageError);
+            }
+
+            // Claims are adjudicated on the ICD-10 code the condition resolves to
+            const conditionText = claimData.illness_type || claimData.medical_condition;
+            if (conditionText || claimData.icd10_code) {
+                claimData = { ...claimData, diagnosis: this.vocabulary.resolve(conditionText, claimData.icd10_code) };
+                console.log(`🏷️ Diagnosis: ${claimData.diagnosis.code || 'unresolved'} (${claimData.diagnosis.match_type}, confidence ${claimData.diagnosis.confidence})`);
+            }
+
+            // Submitted documents answer the questions they prove, e.g. an FIR answers rta_proof
+            if (Array.isArray(claimData.submitted_documents)) {
+                claimData = { ...claimData, ...this.documentRequirements.confirmedAnswers(claimData, claimData.submitted_documents) };
+            }
+
             // Load plan details
-            const planDetails = await this.planManager.getPlan(planFilePath);
+            const planDetails = await this.planManager.getPlan(planFilePath, { normalized: true });
             const plan = planDetails.data;
+            const rulebook = this.getDiseaseRules(plan);
 
             // Calculate policy age
             const policyStartDate = new Date(claimData.policy_start_date);
-            const currentDate = new Date();
-            const policyAgeDays = Math.floor((currentDate - policyStartDate) / (1000 * 60 * 60 * 24));
+            const currentDate = options.as_of ? new Date(options.as_of) : new Date();
+            let policyAgeDays = Math.floor((currentDate - policyStartDate) / (1000 * 60 * 60 * 24));
+
+            // Family floater: validate every insured member; waiting periods run from the claimant's joining date
+            let policyValidation = null;
+            if (Array.isArray(claimData.policy_members)) {
+                const shapeError = PolicyMembers.validateShape(claimData.policy_members, claimData.member_id);
+                if (shapeError) {
+                    throw new Error(shapeError);
+                }
+
+                policyValidation = PolicyMembers.validate(claimData.policy_members, PlanNormalizer.normalize(plan), {
+                    policy_start_date: claimData.policy_start_date,
+                    policy_type: claimData.policy_type,
+                    as_of: claimData.claim_date
+                });
+                const claimant = policyValidation.members.find(member => member.member_id === String(claimData.member_id)) ||
+                    policyValidation.members[0];
+                claimData = {
+                    ...claimData,
+                    member_id: claimant.member_id,
+                    patient_age: claimData.patient_age ?? claimant.age,
+                    policy_type: policyValidation.policy_type,
+                    member: claimant
+                };
+                policyAgeDays = PolicyMembers.coverageDays(claimant, claimData.policy_start_date, currentDate);
+            }
+
+            // Earlier claims in this policy year reduce the available cover
+            const ledgerSummary = await this.getLedgerSummary(claimData);
+            if (ledgerSummary) {
+                claimData = {
+                    ...claimData,
+                    prior_claims_paid: ledgerSummary.total_paid,
+                    ledger_usage: ledgerSummary.by_limit
+                };
+            }
+
+            // Continuous cover with an earlier insurer counts towards waiting periods, up to its sum insured
+            const portability = claimData.prior_coverage ? this.resolvePortability(claimData, policyAgeDays) : null;
+            if (portability?.credit_days > 0) {
+                policyAgeDays = portability.credited_policy_age_days;
+                // Cover above the ported sum insured serves its waiting periods afresh
+                if (portability.top_up_sum_insured > 0 && claimData.claim_amount > portability.prior_sum_insured) {
+                    console.log('🔁 Checking the top-up above the ported sum insured without portability credit...');
+                    const fresh = this.runClaimFlow(claimData, plan, portability.fresh_policy_age_days);
+                    // Only waiting periods hold back the top-up; other reasons the claim fails are judged on the credited run
+                    portability.top_up_waiting_rules = fresh.rule_trace
+                        .filter(entry => /_waiting(\.|$)/.test(entry.rule_id) && entry.outcome === 'failed')
+                        .map(entry => entry.rule_id);
+                    portability.top_up_waiting = portability.top_up_waiting_rules.length > 0;
+                }
+                claimData = { ...claimData, portability: portability };
+            }
 
             console.log('📅 Policy age in days:', policyAgeDays);
 
             // Determine claim flow and perform appropriate analysis
-            let eligibilityResult;
-            if (claimData.claim_type === 'Accident') {
-                eligibilityResult = this.analyzeAccidentClaim(claimData, plan, policyAgeDays);
-            } else if (claimData.claim_type === 'Illness') {
-                eligibilityResult = this.analyzeIllnessClaim(claimData, plan, policyAgeDays);
-            } else {
-                // Legacy flow for backward compatibility
-                eligibilityResult = this.performEligibilityChecks(claimData, plan, policyAgeDays);
-            }
+            const eligibilityResult = this.runClaimFlow(claimData, plan, policyAgeDays);
             
             // Add plan-specific information
             eligibilityResult.plan_details = {
@@ -104,6 +369,36 @@ class ClaimEligibilityEngine {
                 policy_age_days: policyAgeDays
             };
 
+            eligibilityResult.diagnosis = claimData.diagnosis || null;
+
+            if (portability) {
+                eligibilityResult.portability = portability;
+                this.tracePortability(eligibilityResult, portability);
+            }
+            eligibilityResult.disease_rules = this.summarizeDiseaseRules(rulebook, eligibilityResult);
+
+            if (ledgerSummary) {
+                const { entries, ...summary } = ledgerSummary;
+                eligibilityResult.ledger = { ...summary, entry_ids: entries.map(entry => entry.entry_id) };
+            }
+
+            if (policyValidation) {
+                eligibilityResult.policy = this.summarizePolicyMembers(policyValidation, ledgerSummary, eligibilityResult);
+            }
+
+            eligibilityResult.document_checklist = this.assessDocuments(claimData, claimData.submitted_documents || []);
+
+            // Graded verdict: doubts about the plan or the claim send it to review
+            this.assessVerdict(eligibilityResult, claimData, plan);
+
+            // Fraud and anomaly indicators, scored for reviewers; they do not change the verdict
+            eligibilityResult.red_flags = this.redFlags.assess(claimData, eligibilityResult, {
+                policy_age_days: policyAgeDays,
+                served_waiting_periods: this.getServedWaitingPeriods(eligibilityResult, claimData, plan, rulebook),
+                prior_claims: await this.getPriorClaims(claimData),
+                as_of: currentDate
+            });
+
             // Generate detailed recommendations
             eligibilityResult.recommendations = this.generateRecommendations(eligibilityResult, plan);
             
@@ -120,10 +415,117 @@ class ClaimEligibilityEngine {
         }
     }
 
+    /**
+     * Adjudicate the claim through its claim type's flow
+     */
+    runClaimFlow(claimData, plan, policyAgeDays) {
+        if (claimData.claim_type === 'Accident') {
+            return this.analyzeAccidentClaim(claimData, plan, policyAgeDays);
+        } else if (claimData.claim_type === 'Illness') {
+            return this.analyzeIllnessClaim(claimData, plan, policyAgeDays);
+        } else if (claimData.claim_type === 'Maternity') {
+            return this.analyzeMaternityClaim(claimData, plan, policyAgeDays);
+        }
+        // Legacy flow for backward compatibility
+        return this.performEligibilityChecks(claimData, plan, policyAgeDays);
+    }
+
+    /**
+     * Waiting-period credit for cover ported from another insurer. Tenure served under
+     * the prior policy counts from its start to the day this cover began (the member's
+     * joining date on a floater), provided any break between them is short. The credit
+     * holds up to the prior sum insured; a higher sum insured is a top-up that serves
+     * its waiting periods from this policy's start.
+     * @param {Object} claimData - Claim inputs with prior_coverage { insurer, start_date, end_date, sum_insured }
+     * @param {number} policyAgeDays - Days of cover under this policy
+     * @returns {Object} - { insurer, prior_start_date, prior_end_date, prior_sum_insured, cover_start_date, gap_days,
+     *   credit_days, fresh_policy_age_days, credited_policy_age_days, top_up_sum_insured, top_up_waiting,
+     *   top_up_waiting_rules, detail }
+     */
+    resolvePortability(claimData, policyAgeDays) {
+        const prior = claimData.prior_coverage;
+        const coverStart = new Date(claimData.member?.date_of_joining || claimData.policy_start_date);
+        const priorStart = new Date(prior.start_date);
+        const priorEnd = prior.end_date ? new Date(prior.end_date) : coverStart;
+        const gapDays = Math.max(0, Math.floor((coverStart - priorEnd) / (1000 * 60 * 60 * 24)));
+        const continuous = gapDays <= PORTABILITY_MAX_GAP_DAYS;
+        const creditDays = continuous ? Math.max(0, Math.floor((Math.min(priorEnd, coverStart) - priorStart) / (1000 * 60 * 60 * 24))) : 0;
+        const priorSumInsured = this.parseSumInsured(prior.sum_insured);
+        const topUp = Math.max(0, this.parseSumInsured(claimData.sum_insured) - priorSumInsured);
+
+        return {
+            insurer: prior.insurer,
+            prior_start_date: priorStart.toISOString().split('T')[0],
+            prior_end_date: prior.end_date || null,
+            prior_sum_insured: priorSumInsured,
+            cover_start_date: coverStart.toISOString().split('T')[0],
+            gap_days: gapDays,
+            credit_days: creditDays,
+            fresh_policy_age_days: policyAgeDays,
+            credited_policy_age_days: policyAgeDays + creditDays,
+            top_up_sum_insured: topUp,
+            top_up_waiting: false,
+            top_up_waiting_rules: [],
+            detail: continuous ?
+                `${creditDays} days of continuous cover with ${prior.insurer} credited up to ₹${priorSumInsured.toLocaleString('en-IN')}` :
+                `Break of ${gapDays} days after the ${prior.insurer} policy (more than ${PORTABILITY_MAX_GAP_DAYS}): no waiting-period credit`
+        };
+    }
+
+    tracePortability(result, portability) {
+        this.traceRule(result, {
+            rule_id: 'portability_credit',
+            claim_input: {
+                insurer: portability.insurer,
+                prior_start_date: portability.prior_start_date,
+                prior_end_date: portability.prior_end_date,
+                prior_sum_insured: portability.prior_sum_insured
+            },
+            outcome: portability.credit_days > 0 ? 'applied' : 'not_applicable',
+            detail: portability.detail
+        });
+    }
+
+    /**
+     * Prior continuous cover, when given, must name the insurer, a start date before
+     * this cover began and the sum insured it carried
+     * @returns {string|null} - Error message, or null when there is no prior cover or it is usable
+     */
+    validatePriorCoverage(claimData) {
+        const prior = claimData.prior_coverage;
+        if (prior === undefined || prior === null) {
+            return null;
+        }
+        if (typeof prior !== 'object' || Array.isArray(prior)) {
+            return 'prior_coverage must be an object with insurer, start_date and sum_insured';
+        }
+        if (typeof prior.insurer !== 'string' || !prior.insurer.trim()) {
+            return 'prior_coverage.insurer is required';
+        }
+        for (const field of ['start_date', 'end_date']) {
+            if ((field === 'start_date' || prior[field]) && isNaN(new Date(prior[field]).getTime())) {
+                return `prior_coverage.${field} must be a valid date`;
+            }
+        }
+        const coverStart = new Date(claimData.policy_start_date);
+        if (!isNaN(coverStart.getTime()) && new Date(prior.start_date) >= coverStart) {
+            return 'prior_coverage.start_date must be before policy_start_date';
+        }
+        if (prior.end_date && new Date(prior.end_date) < new Date(prior.start_date)) {
+            return 'prior_coverage.end_date cannot be before its start_date';
+        }
+        if (!(LimitParser.parseAmount(prior.sum_insured) > 0)) {
+            return 'prior_coverage.sum_insured must be a positive amount (e.g. 500000 or "5L")';
+        }
+        return null;
+    }
+
     /**
      * Analyze Accident Claims with specific flow logic
      */
     analyzeAccidentClaim(claimData, plan, policyAgeDays) {
+        const waitingPeriods = this.resolvePlanWaitingPeriods(plan, claimData);
+        const initialWaitingDays = waitingPeriods.initial.days;
         const result = {
             eligible: true,
             risk_level: 'low',
@@ -139,6 +541,10 @@ class ClaimEligibilityEngine {
             coverage_details: this.extractCoverageDetails(plan),
             financial_breakdown: {},
             claim_type: 'Accident',
+            applied_waiting_periods: waitingPeriods,
+            rule_trace: [],
+            review_flags: [],
+            rule_effects: [],
             accident_details: {
                 type: claimData.accident_type,
                 date: claimData.accident_date,
@@ -156,14 +562,17 @@ class ClaimEligibilityEngine {
             result.risk_level = 'low';
             result.summary = 'RTA claim with proper documentation - Eligible for instant processing';
             // Skip initial waiting period check for RTA with docs
+            this.traceRule(result, {
+                rule_id: 'initial_waiting',
+                plan_field: 'waiting_periods.initial',
+                plan_value: waitingPeriods.initial.plan_value,
+                claim_input: { accident_type: claimData.accident_type, rta_proof: claimData.rta_proof },
+                outcome: 'waived',
+                detail: 'Documented road traffic accidents carry no waiting period'
+            });
         } else {
             // Check initial waiting period for other cases
-            if (policyAgeDays < 30) {
-                result.eligible = false;
-                result.rejection_reasons.push('Policy is in initial waiting period (30 days)');
-                result.waiting_periods.initial_waiting = `${30 - policyAgeDays} days remaining`;
-                result.risk_level = 'high';
-            }
+            this.checkInitialWaitingPeriod(result, policyAgeDays, waitingPeriods);
         }
 
         // 2. Accident-specific logic
@@ -176,7 +585,17 @@ class ClaimEligibilityEngine {
                 result.eligible = false;
                 result.rejection_reasons.push('RTA claims require police documentation (FIR, accident report)');
                 result.risk_level = 'high';
+            } else {
+                // Not answered: the documents must be seen before the claim can be approved
+                result.review_flags.push({ rule_id: 'rta_documentation', reason: 'Police documentation (FIR, accident report) not confirmed' });
             }
+            this.traceRule(result, {
+                rule_id: 'rta_documentation',
+                claim_input: { rta_proof: claimData.rta_proof },
+                outcome: claimData.rta_proof === 'No' ? 'failed' : (claimData.rta_proof === 'Yes' ? 'passed' : 'flagged'),
+                effect: claimData.rta_proof === 'No' ? 'rejects_claim' : 'none',
+                detail: 'RTA claims require police documentation (FIR, accident report)'
+            });
         } else if (claimData.accident_type === 'Domestic') {
             // Domestic Accident Logic
             const accidentDate = new Date(claimData.accident_date);
@@ -193,19 +612,36 @@ class ClaimEligibilityEngine {
                 result.rejection_reasons.push('Accident occurred before policy start date');
                 result.risk_level = 'high';
             }
+            this.traceRule(result, {
+                rule_id: 'accident_before_policy',
+                claim_input: { accident_date: claimData.accident_date, policy_start_date: claimData.policy_start_date },
+                outcome: accidentDate < policyStartDate ? 'failed' : 'passed',
+                effect: accidentDate < policyStartDate ? 'rejects_claim' : 'none'
+            });
             
-            // Check if policy had minimum 30 days before accident (waiting period check)
-            const daysBetweenPolicyAndAccident = Math.floor((accidentDate - policyStartDate) / (1000 * 60 * 60 * 24));
+            // Check if policy had cleared the plan's initial waiting period before the accident
+            // (tenure ported from a previous insurer counts towards it)
+            const daysBetweenPolicyAndAccident = Math.floor((accidentDate - policyStartDate) / (1000 * 60 * 60 * 24)) +
+                (claimData.portability?.credit_days || 0);
             console.log('  ⏰ Days between policy start and accident:', daysBetweenPolicyAndAccident);
             
-            if (daysBetweenPolicyAndAccident < 30) {
-                console.log('  ❌ Waiting period violation (less than 30 days)');
+            if (daysBetweenPolicyAndAccident < initialWaitingDays) {
+                console.log(`  ❌ Waiting period violation (less than ${initialWaitingDays} days)`);
                 result.eligible = false;
-                result.rejection_reasons.push('Domestic accidents within 30 days of policy start are not covered');
+                result.rejection_reasons.push(`Domestic accidents within ${initialWaitingDays} days of policy start are not covered`);
                 result.risk_level = 'high';
             } else {
-                console.log('  ✅ Waiting period satisfied (30+ days)');
+                console.log(`  ✅ Waiting period satisfied (${initialWaitingDays}+ days)`);
             }
+            this.traceRule(result, {
+                rule_id: 'domestic_accident_waiting',
+                plan_field: 'waiting_periods.initial',
+                plan_value: waitingPeriods.initial.plan_value,
+                claim_input: { days_from_policy_start_to_accident: daysBetweenPolicyAndAccident },
+                outcome: daysBetweenPolicyAndAccident < initialWaitingDays ? 'failed' : 'passed',
+                effect: daysBetweenPolicyAndAccident < initialWaitingDays ? 'rejects_claim' : 'none',
+                detail: `Domestic accidents need ${initialWaitingDays} days from policy start (${waitingPeriods.initial.source})`
+            });
 
             // Check documentation requirements
             console.log('  🏥 Medical consultation:', claimData.medical_consultation);
@@ -219,6 +655,19 @@ class ClaimEligibilityEngine {
             } else {
                 console.log('  ✅ Documentation requirements satisfied');
             }
+            const documented = claimData.medical_consultation !== 'No' && claimData.medical_records !== 'No';
+            const unconfirmed = [['medical_consultation', 'Medical consultation'], ['medical_records', 'Medical records']]
+                .filter(([field]) => !['Yes', 'No'].includes(claimData[field]))
+                .map(([, label]) => label);
+            if (documented && unconfirmed.length > 0) {
+                result.review_flags.push({ rule_id: 'domestic_accident_documentation', reason: `${unconfirmed.join(' and ')} not confirmed for the domestic accident` });
+            }
+            this.traceRule(result, {
+                rule_id: 'domestic_accident_documentation',
+                claim_input: { medical_consultation: claimData.medical_consultation, medical_records: claimData.medical_records },
+                outcome: !documented ? 'failed' : (unconfirmed.length > 0 ? 'flagged' : 'passed'),
+                effect: documented ? 'none' : 'rejects_claim'
+            });
 
             if (result.eligible) {
                 console.log('  ✅ Domestic accident claim approved');
@@ -230,9 +679,12 @@ class ClaimEligibilityEngine {
         }
 
         // 3. Check claim amount vs sum insured
-        this.checkClaimAmountLimits(result, claimData);
+        this.checkClaimAmountLimits(result, claimData, plan);
 
-        // 4. Calculate financial breakdown
+        // 4. Stays under 24 hours must be day care procedures
+        this.checkDayCareEligibility(result, claimData, plan);
+
+        // 5. Calculate financial breakdown
         this.calculateFinancialBreakdown(result, claimData, plan);
 
         // Generate summary if not set
@@ -249,6 +701,7 @@ class ClaimEligibilityEngine {
      * Analyze Illness Claims with disease database logic
      */
     analyzeIllnessClaim(claimData, plan, policyAgeDays) {
+        const waitingPeriods = this.resolvePlanWaitingPeriods(plan, claimData);
         const result = {
             eligible: true,
             risk_level: 'low',
@@ -264,6 +717,10 @@ class ClaimEligibilityEngine {
             coverage_details: this.extractCoverageDetails(plan),
             financial_breakdown: {},
             claim_type: 'Illness',
+            applied_waiting_periods: waitingPeriods,
+            rule_trace: [],
+            review_flags: [],
+            rule_effects: [],
             illness_details: {
                 type: claimData.illness_type,
                 pre_existing: claimData.pre_existing_disease,
@@ -279,34 +736,33 @@ class ClaimEligibilityEngine {
             result.rejection_reasons.push('Congenital conditions (present from birth) are not covered');
             result.risk_level = 'high';
         }
+        this.traceRule(result, {
+            rule_id: 'congenital_condition',
+            claim_input: { congenital_condition: Boolean(claimData.congenital_condition) },
+            outcome: claimData.congenital_condition ? 'failed' : 'passed',
+            effect: claimData.congenital_condition ? 'rejects_claim' : 'none'
+        });
 
         // 2. Check pre-existing disease waiting period
-        if (claimData.pre_existing_disease && policyAgeDays < 1095) { // 3 years
-            result.eligible = false;
-            result.rejection_reasons.push('Pre-existing disease waiting period not completed (3 years)');
-            result.waiting_periods.pre_existing_disease = `${Math.ceil((1095 - policyAgeDays) / 365)} years remaining`;
-            result.risk_level = 'high';
-        }
+        this.checkPreExistingDiseaseWaiting(result, claimData, policyAgeDays, waitingPeriods);
 
-        // 3. Check against disease database
-        const illnessType = (claimData.illness_type || '').toLowerCase();
-        this.checkIllnessAgainstDatabase(result, illnessType, policyAgeDays);
+        // 3. Check against disease database, on the resolved ICD-10 code where there is one
+        this.traceDiagnosis(result, claimData);
+        this.checkIllnessAgainstDatabase(result, claimData, policyAgeDays, waitingPeriods, this.getDiseaseRules(plan).ruleSet);
 
         // 4. Check initial waiting period
-        if (policyAgeDays < 30) {
-            result.eligible = false;
-            result.rejection_reasons.push('Policy is in initial waiting period (30 days)');
-            result.waiting_periods.initial_waiting = `${30 - policyAgeDays} days remaining`;
-            result.risk_level = 'high';
-        }
+        this.checkInitialWaitingPeriod(result, policyAgeDays, waitingPeriods);
 
         // 5. Check claim amount vs sum insured
-        this.checkClaimAmountLimits(result, claimData);
+        this.checkClaimAmountLimits(result, claimData, plan);
 
         // 6. Age-related restrictions
         this.checkAgeRestrictions(result, claimData, plan);
 
-        // 7. Calculate financial breakdown
+        // 7. Stays under 24 hours must be day care procedures
+        this.checkDayCareEligibility(result, claimData, plan);
+
+        // 8. Calculate financial breakdown
         this.calculateFinancialBreakdown(result, claimData, plan);
 
         // Generate summary if not set
@@ -320,123 +776,236 @@ class ClaimEligibilityEngine {
     }
 
     /**
-     * Check illness against disease database with enhanced matching
+     * Analyze Maternity Claims against the plan's maternity cover.
+     * Claim inputs: delivery_type (normal | caesarean), delivery_number (1 for the first delivery),
+     * previous_delivery_date, newborn_expenses (the part of claim_amount spent on the newborn)
      */
-    checkIllnessAgainstDatabase(result, illnessType, policyAgeDays) {
-        console.log(`🔍 Checking illness: "${illnessType}" against disease database`);
+    analyzeMaternityClaim(claimData, plan, policyAgeDays) {
+        const waitingPeriods = this.resolvePlanWaitingPeriods(plan, claimData);
+        const deliveryType = this.getDeliveryType(claimData.delivery_type);
+        const result = {
+            eligible: true,
+            risk_level: 'low',
+            summary: '',
+            patient_name: claimData.patient_name,
+            patient_age: claimData.patient_age,
+            medical_condition: claimData.medical_condition || (deliveryType ? DELIVERY_TYPES[deliveryType].label : 'Maternity'),
+            treatment_type: 'Maternity',
+            claim_amount: claimData.claim_amount || 0,
+            sum_insured: claimData.sum_insured,
+            rejection_reasons: [],
+            waiting_periods: {},
+            coverage_details: this.extractCoverageDetails(plan),
+            financial_breakdown: {},
+            claim_type: 'Maternity',
+            applied_waiting_periods: waitingPeriods,
+            rule_trace: [],
+            review_flags: [],
+            rule_effects: []
+        };
 
-        // Normalize illness type for better matching
-        const normalizedIllness = illnessType.toLowerCase().trim();
+        console.log('🤱 Analyzing maternity claim:', claimData.delivery_type, 'delivery', claimData.delivery_number || 1);
 
-        // Check permanent exclusions first
-        for (const [excludedDisease, reason] of Object.entries(this.diseaseRules.excluded)) {
-            if (this.matchesDisease(normalizedIllness, excludedDisease)) {
-                console.log(`❌ Found excluded disease match: ${excludedDisease}`);
-                result.eligible = false;
-                result.rejection_reasons.push(`${reason} - ${excludedDisease} is permanently excluded`);
-                result.risk_level = 'high';
-                return;
-            }
+        // 1. Maternity cover, delivery count, waiting periods and the delivery limit
+        this.checkMaternityEligibility(result, claimData, plan, policyAgeDays);
+
+        // 2. Check initial waiting period
+        this.checkInitialWaitingPeriod(result, policyAgeDays, waitingPeriods);
+
+        // 3. Check claim amount vs sum insured
+        this.checkClaimAmountLimits(result, claimData, plan);
+
+        // 4. Calculate financial breakdown, capped by the delivery and newborn limits
+        this.calculateFinancialBreakdown(result, claimData, plan);
+
+        // Generate summary if not set
+        if (!result.summary) {
+            result.summary = result.eligible ?
+                'Maternity claim appears eligible for processing' :
+                `Maternity claim not eligible: ${result.rejection_reasons.join(', ')}`;
         }
 
-        // Check covered diseases with waiting periods
-        let diseaseMatched = false;
-        for (const [disease, rules] of Object.entries(this.diseaseRules.covered)) {
-            if (this.matchesDisease(normalizedIllness, disease)) {
-                console.log(`✅ Found covered disease match: ${disease} (waiting: ${rules.waiting_period} days)`);
-                diseaseMatched = true;
-                const waitingPeriod = rules.waiting_period;
-                
-                if (policyAgeDays < waitingPeriod) {
-                    result.eligible = false;
-                    result.rejection_reasons.push(`Specific disease waiting period not completed for ${disease} (${Math.ceil(waitingPeriod / 365)} year${waitingPeriod > 365 ? 's' : ''})`);
-                    result.waiting_periods.specific_disease = `${Math.ceil((waitingPeriod - policyAgeDays) / 365)} year${(waitingPeriod - policyAgeDays) > 365 ? 's' : ''} remaining`;
-                    result.risk_level = 'high';
-                } else {
-                    console.log(`✅ Waiting period satisfied for ${disease}`);
-                }
-                
-                // Set risk level based on disease
-                if (rules.risk_level === 'high' && result.risk_level !== 'high') {
-                    result.risk_level = rules.risk_level;
-                } else if (rules.risk_level === 'medium' && result.risk_level === 'low') {
-                    result.risk_level = rules.risk_level;
-                }
-                
-                return;
-            }
+        return result;
+    }
+
+    /**
+     * Check illness against the disease rules: rule effects first, then the covered disease's waiting period
+     */
+    checkIllnessAgainstDatabase(result, claimData, policyAgeDays, waitingPeriods, diseaseRules = this.diseaseRules) {
+        const illnessType = (claimData.illness_type || '').toLowerCase().trim();
+        console.log(`🔍 Checking illness: "${illnessType}" against disease database`);
+
+        // Exclusions and other rule effects; a rejected claim needs no waiting period check
+        if (this.applyDiseaseRules(result, claimData, illnessType, policyAgeDays, diseaseRules)) {
+            return;
         }
 
-        // If no exact match found, log for debugging
-        if (!diseaseMatched) {
+        // Check covered diseases with waiting periods
+        const match = this.matchCoveredDisease(diseaseRules, illnessType, claimData.diagnosis, waitingPeriods);
+        if (!match) {
             console.log(`⚠️ No disease match found for: "${illnessType}". Treating as general illness.`);
             result.risk_level = 'medium';
+            this.traceRule(result, {
+                rule_id: 'specific_disease_waiting',
+                claim_input: { illness_type: illnessType },
+                outcome: 'not_applicable',
+                detail: 'No disease rule matched; treated as general illness'
+            });
+            return;
+        }
+
+        const { rule } = match;
+        const waitingPeriod = this.getDiseaseWaitingDays(rule, waitingPeriods);
+        console.log(`✅ Found covered disease match: ${rule.name} (waiting: ${waitingPeriod} days)`);
+
+        if (policyAgeDays < waitingPeriod) {
+            result.eligible = false;
+            result.rejection_reasons.push(`Specific disease waiting period not completed for ${rule.name} (${WaitingPeriodParser.describe(waitingPeriod)})`);
+            result.waiting_periods.specific_disease = `${WaitingPeriodParser.describe(waitingPeriod - policyAgeDays)} remaining`;
+            result.risk_level = 'high';
+        } else {
+            console.log(`✅ Waiting period satisfied for ${rule.name}`);
+        }
+        this.traceDiseaseWaiting(result, match, waitingPeriods, { illness_type: illnessType, policy_age_days: policyAgeDays },
+            policyAgeDays < waitingPeriod);
+
+        // Set risk level based on disease
+        if (rule.risk_level === 'high' && result.risk_level !== 'high') {
+            result.risk_level = rule.risk_level;
+        } else if (rule.risk_level === 'medium' && result.risk_level === 'low') {
+            result.risk_level = rule.risk_level;
+        }
+    }
+
+    /**
+     * The covered disease whose waiting period applies. When the condition text and the
+     * ICD-10 code match different rules, the one with the longer waiting period is used.
+     * @param {Object|null} diagnosis - Resolved diagnosis (see MedicalVocabulary.resolve)
+     * @returns {Object|null} - { rule, matched_on, code_mismatch }
+     */
+    matchCoveredDisease(diseaseRules, condition, diagnosis, waitingPeriods) {
+        const matches = diseaseRules.match(condition, 'covered', diagnosis?.code, ClaimEligibilityEngine.diagnosisMatchOptions(diagnosis));
+        const agreed = matches.find(match => !match.code_mismatch);
+        const conflicting = matches.find(match => match.code_mismatch);
+        if (!agreed || !conflicting) {
+            return matches[0] || null;
         }
+        return this.getDiseaseWaitingDays(conflicting.rule, waitingPeriods) > this.getDiseaseWaitingDays(agreed.rule, waitingPeriods) ?
+            conflicting : agreed;
     }
 
     /**
-     * Enhanced disease matching with fuzzy logic and synonyms
+     * Disease rules cross-check the text only against a code stated on the claim;
+     * a code resolved from the text already reflects it
      */
-    matchesDisease(illnessType, diseaseKey) {
-        const illness = illnessType.toLowerCase();
-        const disease = diseaseKey.toLowerCase();
+    static diagnosisMatchOptions(diagnosis) {
+        return { code_from_text: diagnosis?.match_type !== 'code' };
+    }
 
-        // Direct match
-        if (illness.includes(disease) || disease.includes(illness)) {
-            return true;
+    /**
+     * Trace the ICD-10 code the condition resolved to; approximate matches need review
+     */
+    traceDiagnosis(result, claimData) {
+        const diagnosis = claimData.diagnosis;
+        if (!diagnosis) return;
+
+        const uncertain = diagnosis.code !== null &&
+            (diagnosis.match_type === 'approximate' || diagnosis.confidence < LOW_DIAGNOSIS_CONFIDENCE);
+        if (uncertain) {
+            result.review_flags.push({
+                rule_id: 'diagnosis_code',
+                reason: `"${diagnosis.input}" was read as ${diagnosis.code} ${diagnosis.name} with ${Math.round(diagnosis.confidence * 100)}% confidence: confirm the diagnosis code`
+            });
+            result.risk_level = result.risk_level === 'low' ? 'medium' : result.risk_level;
         }
+        this.traceRule(result, {
+            rule_id: 'diagnosis_code',
+            claim_input: { condition: diagnosis.input, icd10_code: claimData.icd10_code || null },
+            outcome: diagnosis.code === null ? 'not_applicable' : (uncertain ? 'flagged' : 'passed'),
+            detail: diagnosis.code === null ?
+                'No ICD-10 code found; disease rules match on the text' :
+                `${diagnosis.code}${diagnosis.name ? ` ${diagnosis.name}` : ''} (${diagnosis.match_type} match on "${diagnosis.matched_on}", confidence ${diagnosis.confidence})`
+        });
+    }
 
-        // Handle common synonyms and variations
-        const synonymMap = {
-            'piles': ['hemorrhoids', 'haemorrhoids'],
-            'hemorrhoids': ['piles', 'haemorrhoids'],
-            'haemorrhoids': ['piles', 'hemorrhoids'],
-            'heart disease': ['cardiac', 'heart attack', 'coronary', 'myocardial'],
-            'diabetes': ['diabetic', 'blood sugar', 'glucose'],
-            'hypertension': ['high blood pressure', 'bp', 'blood pressure'],
-            'kidney stone': ['renal stone', 'kidney stones', 'renal calculi'],
-            'gallbladder': ['gall bladder', 'cholecystitis', 'gallstones'],
-            'dental treatment': ['dental', 'tooth', 'teeth', 'oral', 'dentist'],
-            'cosmetic surgery': ['cosmetic', 'aesthetic', 'beauty', 'plastic surgery']
+    /**
+     * Apply the effects of every disease rule matching the condition whose conditions hold.
+     * Rejections and review flags apply now; caps and co-pays are kept in result.rule_effects
+     * for the financial breakdown.
+     * @returns {boolean} - true when a rule rejected the claim
+     */
+    applyDiseaseRules(result, claimData, condition, policyAgeDays, diseaseRules = this.diseaseRules) {
+        const context = {
+            age: claimData.patient_age,
+            gender: claimData.patient_gender,
+            treatment_type: claimData.treatment_type,
+            emergency: Boolean(claimData.emergency_treatment),
+            policy_tenure_days: policyAgeDays
         };
-
-        // Check if disease has synonyms
-        if (synonymMap[disease]) {
-            for (const synonym of synonymMap[disease]) {
-                if (illness.includes(synonym)) {
-                    return true;
-                }
-            }
+        let rejected = false;
+        const matches = diseaseRules.match(condition, null, claimData.diagnosis?.code, ClaimEligibilityEngine.diagnosisMatchOptions(claimData.diagnosis));
+
+        // The condition stated matches rules the ICD-10 code does not: both are applied, and a person confirms the diagnosis
+        const mismatched = [...new Set(matches.filter(match => match.code_mismatch).map(match => match.rule.name))];
+        if (mismatched.length > 0) {
+            result.review_flags.push({
+                rule_id: 'diagnosis_code_mismatch',
+                reason: `"${condition}" matches ${mismatched.join(', ')}, but ICD-10 code ${claimData.diagnosis.code} does not: confirm the diagnosis`
+            });
+            result.risk_level = result.risk_level === 'low' ? 'medium' : result.risk_level;
         }
 
-        // Check reverse mapping (if illness is a key in synonym map)
-        for (const [key, synonyms] of Object.entries(synonymMap)) {
-            if (illness.includes(key) && synonyms.includes(disease)) {
-                return true;
+        for (const { rule, matched_on } of matches) {
+            if (rule.effects.length === 0) continue;
+
+            const evaluation = diseaseRules.evaluateConditions(rule, context);
+            const trace = {
+                rule_id: `disease_rule.${rule.id}`,
+                plan_field: rule.source === 'plan' ? 'disease_rule_overrides' : null,
+                source: rule.source,
+                claim_input: { condition: condition, ...Object.fromEntries(Object.keys({ ...rule.when, ...rule.unless }).map(key => [key, context[key] ?? null])) },
+                detail: `Matched "${matched_on}" (${rule.category})`
+            };
+            if (!evaluation.applies) {
+                this.traceRule(result, { ...trace, outcome: 'not_applicable', detail: `${trace.detail}; ${evaluation.reason}` });
+                continue;
             }
-        }
 
-        // Partial word matching for compound terms
-        const illnessWords = illness.split(/\s+/);
-        const diseaseWords = disease.split(/\s+/);
-        
-        for (const illnessWord of illnessWords) {
-            for (const diseaseWord of diseaseWords) {
-                if (illnessWord.length > 3 && diseaseWord.length > 3) {
-                    if (illnessWord.includes(diseaseWord) || diseaseWord.includes(illnessWord)) {
-                        return true;
-                    }
+            for (const effect of rule.effects) {
+                if (effect.type === 'reject') {
+                    console.log(`❌ Disease rule ${rule.id} rejects the claim`);
+                    result.eligible = false;
+                    result.rejection_reasons.push(`${effect.reason} - ${rule.name} is ${rule.category === 'excluded' ? 'permanently excluded' : 'not payable'}`);
+                    result.risk_level = 'high';
+                    rejected = true;
+                    this.traceRule(result, { ...trace, outcome: 'failed', effect: 'rejects_claim', detail: `${trace.detail}; ${effect.reason}` });
+                } else if (effect.type === 'flag_review') {
+                    result.review_flags.push({ rule_id: rule.id, source: rule.source, reason: effect.reason });
+                    result.risk_level = result.risk_level === 'low' ? 'medium' : result.risk_level;
+                    this.traceRule(result, { ...trace, outcome: 'flagged', detail: `${trace.detail}; ${effect.reason}` });
+                } else {
+                    // Caps and co-pays are traced when the financial breakdown applies them
+                    result.rule_effects.push({ rule_id: rule.id, rule_name: rule.name, source: rule.source, ...effect });
                 }
             }
         }
 
-        return false;
+        if (!rejected) {
+            this.traceRule(result, {
+                rule_id: 'excluded_disease',
+                claim_input: { condition: condition },
+                outcome: 'passed'
+            });
+        }
+        return rejected;
     }
 
     /**
      * Perform comprehensive eligibility checks
      */
     performEligibilityChecks(claimData, plan, policyAgeDays) {
+        const waitingPeriods = this.resolvePlanWaitingPeriods(plan, claimData);
+        const diseaseRules = this.getDiseaseRules(plan).ruleSet;
         const result = {
             eligible: true,
             risk_level: 'low',
@@ -450,29 +1019,35 @@ class ClaimEligibilityEngine {
             rejection_reasons: [],
             waiting_periods: {},
             coverage_details: this.extractCoverageDetails(plan),
-            financial_breakdown: {}
+            financial_breakdown: {},
+            applied_waiting_periods: waitingPeriods,
+            rule_trace: [],
+            review_flags: [],
+            rule_effects: []
         };
 
-        // 1. Check initial waiting period (30 days)
-        this.checkInitialWaitingPeriod(result, policyAgeDays);
+        // 1. Check initial waiting period
+        this.checkInitialWaitingPeriod(result, policyAgeDays, waitingPeriods);
 
         // 2. Check pre-existing disease waiting period
-        this.checkPreExistingDiseaseWaiting(result, claimData, policyAgeDays);
+        this.checkPreExistingDiseaseWaiting(result, claimData, policyAgeDays, waitingPeriods);
 
-        // 3. Check specific disease waiting periods
-        this.checkSpecificDiseaseWaiting(result, claimData, policyAgeDays);
+        // 3. Check specific disease waiting periods, on the resolved ICD-10 code where there is one
+        this.traceDiagnosis(result, claimData);
+        this.checkSpecificDiseaseWaiting(result, claimData, policyAgeDays, waitingPeriods, diseaseRules);
 
         // 4. Check claim amount vs sum insured
-        this.checkClaimAmountLimits(result, claimData);
+        this.checkClaimAmountLimits(result, claimData, plan);
 
         // 5. Check age-related restrictions
         this.checkAgeRestrictions(result, claimData, plan);
 
-        // 6. Check treatment type coverage
+        // 6. Check treatment type coverage, including day care for stays under 24 hours
         this.checkTreatmentTypeCoverage(result, claimData, plan);
+        this.checkDayCareEligibility(result, claimData, plan);
 
         // 7. Check excluded diseases
-        this.checkExcludedDiseases(result, claimData);
+        this.checkExcludedDiseases(result, claimData, policyAgeDays, diseaseRules);
 
         // 8. Check maternity coverage
         this.checkMaternityCoverage(result, claimData, plan, policyAgeDays);
@@ -487,78 +1062,284 @@ class ClaimEligibilityEngine {
     }
 
     /**
-     * Check initial waiting period (30 days)
+     * Resolve the plan's waiting periods into day counts
+     * @param {Object} plan - Plan JSON data
+     * @param {Object} claimData - Claim information (policy_term_years selects conditional variants)
+     * @returns {Object} - { initial, specific_disease, pre_existing } each { days, source, plan_value }
+     */
+    resolvePlanWaitingPeriods(plan, claimData = {}) {
+        const planWaiting = PlanNormalizer.normalize(plan).waiting_periods;
+        const resolved = {};
+
+        for (const period of Object.keys(DEFAULT_WAITING_PERIODS)) {
+            const parsed = planWaiting[period];
+            const days = WaitingPeriodParser.resolve(parsed, claimData);
+
+            resolved[period] = days !== null ? {
+                days: days,
+                source: 'plan',
+                plan_value: parsed.raw
+            } : {
+                days: DEFAULT_WAITING_PERIODS[period],
+                source: 'default',
+                plan_value: parsed ? parsed.raw : null
+            };
+        }
+
+        console.log('⏳ Resolved waiting periods:', Object.entries(resolved).map(([period, value]) => `${period}=${value.days}d (${value.source})`).join(', '));
+        return resolved;
+    }
+
+    /**
+     * Waiting days for a disease from the rulebook, replaced by the plan's
+     * specific-disease period when the rule is one of the specific diseases
+     * (specific_disease: true) and the plan states the period.
+     * A waiting period set in the plan's rule overrides is used as is.
+     */
+    getDiseaseWaitingDays(rule, waitingPeriods) {
+        if (this.usesPlanSpecificDiseaseWaiting(rule, waitingPeriods)) {
+            return waitingPeriods.specific_disease.days;
+        }
+        return rule.waiting_period;
+    }
+
+    usesPlanSpecificDiseaseWaiting(rule, waitingPeriods) {
+        return rule.specific_disease === true &&
+            waitingPeriods?.specific_disease.source === 'plan' &&
+            !rule.overridden_fields?.includes('waiting_period');
+    }
+
+    /**
+     * Trace a specific disease waiting check; the plan field is reported only
+     * when the plan's period replaced the rulebook value
+     */
+    traceDiseaseWaiting(result, match, waitingPeriods, claimInput, failed) {
+        const { rule, matched_on } = match;
+        const waitingPeriod = this.getDiseaseWaitingDays(rule, waitingPeriods);
+        const fromPlan = this.usesPlanSpecificDiseaseWaiting(rule, waitingPeriods);
+
+        this.traceRule(result, {
+            rule_id: `specific_disease_waiting.${rule.id}`,
+            plan_field: fromPlan ? 'waiting_periods.specific_disease' : (rule.source === 'plan' ? 'disease_rule_overrides' : null),
+            plan_value: fromPlan ? waitingPeriods.specific_disease.plan_value : null,
+            source: rule.source,
+            claim_input: claimInput,
+            outcome: failed ? 'failed' : 'passed',
+            effect: failed ? 'rejects_claim' : 'none',
+            detail: `Matched "${matched_on}": ${waitingPeriod} days required (${fromPlan ? 'plan' : `${rule.source} disease rules`})`
+        });
+    }
+
+    /**
+     * Check initial waiting period
      */
-    checkInitialWaitingPeriod(result, policyAgeDays) {
-        const initialWaitingDays = 30;
+    checkInitialWaitingPeriod(result, policyAgeDays, waitingPeriods) {
+        const initialWaitingDays = waitingPeriods ? waitingPeriods.initial.days : DEFAULT_WAITING_PERIODS.initial;
         
         if (policyAgeDays < initialWaitingDays) {
             result.eligible = false;
-            result.rejection_reasons.push(`Policy is in initial waiting period (${initialWaitingDays} days)`);
+            result.rejection_reasons.push(`Policy is in initial waiting period (${WaitingPeriodParser.describe(initialWaitingDays)})`);
             result.waiting_periods.initial_waiting = `${initialWaitingDays - policyAgeDays} days remaining`;
             result.risk_level = 'high';
         }
+        this.traceRule(result, {
+            rule_id: 'initial_waiting',
+            plan_field: 'waiting_periods.initial',
+            plan_value: waitingPeriods?.initial.plan_value,
+            claim_input: { policy_age_days: policyAgeDays },
+            outcome: policyAgeDays < initialWaitingDays ? 'failed' : 'passed',
+            effect: policyAgeDays < initialWaitingDays ? 'rejects_claim' : 'none',
+            detail: `${initialWaitingDays} days required (${waitingPeriods ? waitingPeriods.initial.source : 'default'})`
+        });
     }
 
     /**
      * Check pre-existing disease waiting period
      */
-    checkPreExistingDiseaseWaiting(result, claimData, policyAgeDays) {
+    checkPreExistingDiseaseWaiting(result, claimData, policyAgeDays, waitingPeriods) {
+        const trace = {
+            rule_id: 'pre_existing_waiting',
+            plan_field: 'waiting_periods.pre_existing',
+            plan_value: waitingPeriods?.pre_existing.plan_value,
+            claim_input: { pre_existing_disease: Boolean(claimData.pre_existing_disease), policy_age_days: policyAgeDays },
+            outcome: 'not_applicable'
+        };
+
         if (claimData.pre_existing_disease) {
-            const preExistingWaitingDays = 1095; // 3 years
+            const preExistingWaitingDays = waitingPeriods ? waitingPeriods.pre_existing.days : DEFAULT_WAITING_PERIODS.pre_existing;
+            trace.outcome = 'passed';
+            trace.detail = `${preExistingWaitingDays} days required (${waitingPeriods ? waitingPeriods.pre_existing.source : 'default'})`;
             
             if (policyAgeDays < preExistingWaitingDays) {
                 result.eligible = false;
-                result.rejection_reasons.push('Pre-existing disease waiting period not completed (3 years)');
-                result.waiting_periods.pre_existing_disease = `${Math.ceil((preExistingWaitingDays - policyAgeDays) / 365)} years remaining`;
+                result.rejection_reasons.push(`Pre-existing disease waiting period not completed (${WaitingPeriodParser.describe(preExistingWaitingDays)})`);
+                result.waiting_periods.pre_existing_disease = `${WaitingPeriodParser.describe(preExistingWaitingDays - policyAgeDays)} remaining`;
                 result.risk_level = 'high';
+                trace.outcome = 'failed';
+                trace.effect = 'rejects_claim';
             }
         }
+        this.traceRule(result, trace);
     }
 
     /**
      * Check specific disease waiting periods
      */
-    checkSpecificDiseaseWaiting(result, claimData, policyAgeDays) {
+    checkSpecificDiseaseWaiting(result, claimData, policyAgeDays, waitingPeriods, diseaseRules = this.diseaseRules) {
         const condition = claimData.medical_condition.toLowerCase();
         console.log(`🔍 Checking specific disease waiting for: "${condition}"`);
         
         // Check if condition matches any known diseases
-        for (const [disease, rules] of Object.entries(this.diseaseRules.covered)) {
-            if (this.matchesDisease(condition, disease)) {
-                console.log(`✅ Found disease match: ${disease} (waiting: ${rules.waiting_period} days)`);
-                const waitingPeriod = rules.waiting_period;
-                
-                // Emergency treatments may have relaxed waiting periods
-                if (!claimData.emergency_treatment && policyAgeDays < waitingPeriod) {
-                    result.eligible = false;
-                    result.rejection_reasons.push(`Specific disease waiting period not completed for ${disease} (${Math.ceil(waitingPeriod / 365)} year${waitingPeriod > 365 ? 's' : ''})`);
-                    result.waiting_periods.specific_disease = `${Math.ceil((waitingPeriod - policyAgeDays) / 365)} year${(waitingPeriod - policyAgeDays) > 365 ? 's' : ''} remaining`;
-                } else {
-                    console.log(`✅ Waiting period satisfied for ${disease}`);
-                }
-                
-                // Set risk level based on disease
-                if (rules.risk_level === 'high' && result.risk_level !== 'high') {
-                    result.risk_level = rules.risk_level;
-                }
-                
-                break;
+        const match = this.matchCoveredDisease(diseaseRules, condition, claimData.diagnosis, waitingPeriods);
+        if (match) {
+            const { rule } = match;
+            const waitingPeriod = this.getDiseaseWaitingDays(rule, waitingPeriods);
+            console.log(`✅ Found disease match: ${rule.name} (waiting: ${waitingPeriod} days)`);
+            
+            // Emergency treatments may have relaxed waiting periods
+            const waiting = !claimData.emergency_treatment && policyAgeDays < waitingPeriod;
+            if (waiting) {
+                result.eligible = false;
+                result.rejection_reasons.push(`Specific disease waiting period not completed for ${rule.name} (${WaitingPeriodParser.describe(waitingPeriod)})`);
+                result.waiting_periods.specific_disease = `${WaitingPeriodParser.describe(waitingPeriod - policyAgeDays)} remaining`;
+            } else {
+                console.log(`✅ Waiting period satisfied for ${rule.name}`);
             }
+            this.traceDiseaseWaiting(result, match, waitingPeriods, {
+                medical_condition: claimData.medical_condition,
+                emergency_treatment: Boolean(claimData.emergency_treatment),
+                policy_age_days: policyAgeDays
+            }, waiting);
+            
+            // Set risk level based on disease
+            if (rule.risk_level === 'high' && result.risk_level !== 'high') {
+                result.risk_level = rule.risk_level;
+            }
+            return;
         }
+
+        this.traceRule(result, {
+            rule_id: 'specific_disease_waiting',
+            claim_input: { medical_condition: claimData.medical_condition },
+            outcome: 'not_applicable',
+            detail: 'No disease rule matched'
+        });
     }
 
     /**
-     * Check claim amount vs sum insured limits
+     * Check claim amount vs the effective sum insured (bonus and restoration included)
      */
-    checkClaimAmountLimits(result, claimData) {
-        const sumInsuredValue = this.parseSumInsured(claimData.sum_insured);
+    checkClaimAmountLimits(result, claimData, plan) {
+        const coverage = this.calculateEffectiveSumInsured(claimData, plan);
+        result.sum_insured_details = coverage;
         
-        if (claimData.claim_amount > sumInsuredValue) {
+        if (claimData.claim_amount > coverage.effective_sum_insured) {
             result.eligible = false;
-            result.rejection_reasons.push(`Claim amount (₹${claimData.claim_amount.toLocaleString()}) exceeds sum insured (₹${sumInsuredValue.toLocaleString()})`);
+            result.rejection_reasons.push(`Claim amount (₹${claimData.claim_amount.toLocaleString('en-IN')}) exceeds available sum insured (₹${coverage.effective_sum_insured.toLocaleString('en-IN')})`);
             result.risk_level = 'high';
         }
+
+        if (coverage.claim_free_years > 0) {
+            this.traceRule(result, {
+                rule_id: 'no_claim_bonus',
+                plan_field: 'renewal.no_claim_bonus',
+                plan_value: coverage.bonus_plan_value,
+                claim_input: { claim_free_years: coverage.claim_free_years },
+                outcome: coverage.bonus_amount > 0 ? 'applied' : 'not_applicable',
+                effect: coverage.bonus_amount > 0 ? 'increases_cover' : 'none',
+                amount: coverage.bonus_amount,
+                detail: `${coverage.bonus_percentage}% bonus on the sum insured`
+            });
+        }
+        if (coverage.restore_plan_value && coverage.remaining_before_restore < claimData.claim_amount) {
+            this.traceRule(result, {
+                rule_id: 'sum_insured_restore',
+                plan_field: 'coverages.si_restore',
+                plan_value: coverage.restore_plan_value,
+                claim_input: { claim_amount: claimData.claim_amount, prior_claims_paid: coverage.prior_claims_paid },
+                outcome: coverage.restore_triggered ? 'applied' : 'not_applicable',
+                effect: coverage.restore_triggered ? 'increases_cover' : 'none',
+                amount: coverage.restored_amount,
+                detail: coverage.notes.join('; ') || null
+            });
+        }
+        this.traceRule(result, {
+            rule_id: 'claim_amount_limit',
+            claim_input: {
+                claim_amount: claimData.claim_amount,
+                sum_insured: claimData.sum_insured,
+                prior_claims_paid: coverage.prior_claims_paid
+            },
+            outcome: claimData.claim_amount > coverage.effective_sum_insured ? 'failed' : 'passed',
+            effect: claimData.claim_amount > coverage.effective_sum_insured ? 'rejects_claim' : 'none',
+            detail: `Available sum insured ₹${coverage.effective_sum_insured.toLocaleString('en-IN')}`
+        });
+    }
+
+    /**
+     * Effective sum insured available for this claim.
+     * Claim inputs: claim_free_years (no claim bonus) and prior_claims_paid (this policy year).
+     * @returns {Object} - Nominal, bonus, prior claims, restoration and effective sum insured
+     */
+    calculateEffectiveSumInsured(claimData, plan) {
+        const normalized = PlanNormalizer.normalize(plan);
+        const nominal = this.parseSumInsured(claimData.sum_insured);
+        const claimFreeYears = Math.max(0, Math.floor(Number(claimData.claim_free_years) || 0));
+        const priorClaimsPaid = Math.max(0, Number(claimData.prior_claims_paid) || 0);
+        const bonusRule = normalized.renewal?.no_claim_bonus;
+        const restoreRule = normalized.coverages?.si_restore;
+        const notes = [];
+
+        // No claim bonus accumulates per claim-free year up to the plan maximum
+        let bonusPercentage = 0;
+        if (bonusRule?.available && claimFreeYears > 0) {
+            bonusPercentage = bonusRule.percentage_per_year !== null ?
+                Math.min(bonusRule.percentage_per_year * claimFreeYears, bonusRule.max_percentage) :
+                bonusRule.max_percentage;
+        } else if (claimFreeYears > 0) {
+            notes.push('Plan does not state a no claim bonus; claim-free years not credited');
+        }
+        const bonusAmount = Math.round(nominal * bonusPercentage / 100);
+
+        const remaining = Math.max(0, nominal + bonusAmount - priorClaimsPaid);
+        const claimAmount = Number(claimData.claim_amount) || 0;
+        let restoredAmount = 0;
+
+        // Claims beyond the base cover and bonus have already drawn on the restoration
+        const restoreConsumed = Math.max(0, priorClaimsPaid - nominal - bonusAmount);
+        const restoreAvailable = restoreRule?.available ?
+            Math.max(0, Math.round(nominal * restoreRule.percentage / 100) - restoreConsumed) : 0;
+
+        // Restoration refills the sum insured once it is exhausted
+        if (restoreRule?.available && claimAmount > remaining) {
+            if (restoreAvailable === 0) {
+                notes.push('Restoration already used this policy year');
+            } else if (restoreRule.same_claim) {
+                restoredAmount = restoreAvailable;
+                notes.push(`Sum insured restored by ${restoreRule.percentage}% and usable for this claim`);
+            } else if (priorClaimsPaid > 0) {
+                // A single claim can never exceed the base cover plus bonus
+                restoredAmount = Math.min(restoreAvailable, nominal + bonusAmount - remaining);
+                notes.push(`Sum insured restored by ${restoreRule.percentage}% after earlier claims this policy year`);
+            } else {
+                notes.push('Restoration cannot be used for the claim that exhausts the sum insured');
+            }
+        }
+
+        return {
+            nominal_sum_insured: nominal,
+            claim_free_years: claimFreeYears,
+            bonus_percentage: bonusPercentage,
+            bonus_amount: bonusAmount,
+            bonus_plan_value: normalized.sources['renewal.no_claim_bonus'] || null,
+            prior_claims_paid: priorClaimsPaid,
+            remaining_before_restore: remaining,
+            restore_triggered: restoredAmount > 0,
+            restored_amount: restoredAmount,
+            restore_plan_value: normalized.sources['coverages.si_restore'] || null,
+            effective_sum_insured: remaining + restoredAmount,
+            notes: notes
+        };
     }
 
     /**
@@ -569,107 +1350,492 @@ class ClaimEligibilityEngine {
      */
     checkAgeRestrictions(result, claimData, plan) {
         console.log(`👤 Checking age restrictions for patient age: ${claimData.patient_age}`);
-        
-        // Check plan age entry limits
-        const ageEntry = plan.plan_details?.['Adult Age Entry (MIN-MAX)'] || '';
-        const ageMatch = ageEntry.match(/(\d+)(?:\s*-\s*(\d+))?/);
-        
-        if (ageMatch) {
-            const minAge = parseInt(ageMatch[1]);
-            const maxAge = ageMatch[2] ? parseInt(ageMatch[2]) : 100;
-            
-            console.log(`📋 Plan age limits: ${minAge}-${maxAge} years`);
-            
-            if (claimData.patient_age < minAge || claimData.patient_age > maxAge) {
-                console.log(`❌ Patient age ${claimData.patient_age} is outside plan coverage range`);
+
+        // Policy members are checked against the adult or child range at their entry age
+        if (claimData.member) {
+            const field = `details.${claimData.member.band}_entry_age`;
+            this.traceRule(result, {
+                rule_id: 'member_eligibility',
+                plan_field: field,
+                plan_value: PlanNormalizer.normalize(plan).sources[field] || null,
+                claim_input: {
+                    member_id: claimData.member.member_id,
+                    relationship: claimData.member.relationship,
+                    age_at_entry: claimData.member.age_at_entry,
+                    date_of_joining: claimData.member.date_of_joining
+                },
+                outcome: claimData.member.eligible ? 'passed' : 'failed',
+                effect: claimData.member.eligible ? 'none' : 'rejects_claim',
+                detail: claimData.member.issues.join('; ') || null
+            });
+            if (!claimData.member.eligible) {
                 result.eligible = false;
-                result.rejection_reasons.push(`Patient age (${claimData.patient_age}) is outside plan coverage range (${minAge}-${maxAge} years)`);
+                result.rejection_reasons.push(...claimData.member.issues.map(issue => `Member ${claimData.member.member_id}: ${issue}`));
                 result.risk_level = 'high';
                 return;
-            } else {
-                console.log(`✅ Patient age ${claimData.patient_age} is within plan coverage range`);
             }
+        } else if (!this.checkAdultEntryAge(result, claimData, plan)) {
+            return;
         }
 
         // Age-based risk assessment
         if (claimData.patient_age > 60) {
             console.log(`⚠️ Patient age > 60, adjusting risk level`);
             result.risk_level = result.risk_level === 'low' ? 'medium' : result.risk_level;
+            this.traceRule(result, {
+                rule_id: 'senior_patient_risk',
+                claim_input: { patient_age: claimData.patient_age },
+                outcome: 'flagged',
+                detail: 'Patients above 60 are assessed at medium risk or higher'
+            });
         }
 
         // Log co-pay eligibility check
-        const subLimits = plan.sub_limits || {};
-        const planCopay = subLimits['Co - Pay'];
-        if (planCopay && planCopay !== 'NO' && planCopay !== 'Co - Pay') {
-            console.log(`💰 Co-pay rule found: "${planCopay}" - will be evaluated in financial breakdown`);
+        const normalized = PlanNormalizer.normalize(plan);
+        if (normalized.sub_limits.copay?.available) {
+            console.log(`💰 Co-pay rule found: "${normalized.sources['sub_limits.copay']}" - will be evaluated in financial breakdown`);
         }
     }
 
     /**
-     * Check treatment type coverage
+     * Check a single patient's age against the plan's adult entry range
+     * @returns {boolean} - false when the patient is outside the range
+     */
+    checkAdultEntryAge(result, claimData, plan) {
+        // Check plan age entry limits
+        const normalized = PlanNormalizer.normalize(plan);
+        const ageEntry = normalized.details.adult_entry_age;
+        const trace = {
+            rule_id: 'age_entry',
+            plan_field: 'details.adult_entry_age',
+            plan_value: normalized.sources['details.adult_entry_age'] || null,
+            claim_input: { patient_age: claimData.patient_age },
+            outcome: 'not_applicable'
+        };
+        
+        if (ageEntry?.offered && ageEntry.min_age_years !== null) {
+            const minAge = ageEntry.min_age_years;
+            // Open-ended ranges ("50Y - Whole Life") have no upper bound
+            const maxAge = ageEntry.max_age_years ?? Infinity;
+            const range = maxAge === Infinity ? `${minAge}+` : `${minAge}-${maxAge}`;
+            
+            console.log(`📋 Plan age limits: ${range} years`);
+            
+            if (claimData.patient_age < minAge || claimData.patient_age > maxAge) {
+                console.log(`❌ Patient age ${claimData.patient_age} is outside plan coverage range`);
+                result.eligible = false;
+                result.rejection_reasons.push(`Patient age (${claimData.patient_age}) is outside plan coverage range (${range} years)`);
+                result.risk_level = 'high';
+                this.traceRule(result, { ...trace, outcome: 'failed', effect: 'rejects_claim' });
+                return false;
+            }
+            console.log(`✅ Patient age ${claimData.patient_age} is within plan coverage range`);
+            trace.outcome = 'passed';
+        }
+        this.traceRule(result, trace);
+        return true;
+    }
+
+    /**
+     * Check treatment type coverage
      */
     checkTreatmentTypeCoverage(result, claimData, plan) {
         const treatmentType = claimData.treatment_type.toLowerCase();
         const basicCoverages = plan.basic_coverages || {};
         
         // Check specific treatment coverage
-        if (treatmentType.includes('ayush') && basicCoverages['Non-Allopathic Treatment (AYUSH)'] === 'NO') {
-            result.eligible = false;
-            result.rejection_reasons.push('AYUSH treatments are not covered under this plan');
+        if (treatmentType.includes('ayush')) {
+            const excluded = basicCoverages['Non-Allopathic Treatment (AYUSH)'] === 'NO';
+            if (excluded) {
+                result.eligible = false;
+                result.rejection_reasons.push('AYUSH treatments are not covered under this plan');
+            }
+            this.traceRule(result, {
+                rule_id: 'ayush_coverage',
+                plan_field: 'coverages.ayush',
+                plan_value: basicCoverages['Non-Allopathic Treatment (AYUSH)'],
+                claim_input: { treatment_type: claimData.treatment_type },
+                outcome: excluded ? 'failed' : 'passed',
+                effect: excluded ? 'rejects_claim' : 'none'
+            });
         }
         
-        if (treatmentType.includes('domicilary') && basicCoverages['Domicilary Expenses'] === 'NO') {
-            result.eligible = false;
-            result.rejection_reasons.push('Domiciliary expenses are not covered under this plan');
+        if (treatmentType.includes('domicilary')) {
+            const excluded = basicCoverages['Domicilary Expenses'] === 'NO';
+            if (excluded) {
+                result.eligible = false;
+                result.rejection_reasons.push('Domiciliary expenses are not covered under this plan');
+            }
+            this.traceRule(result, {
+                rule_id: 'domiciliary_coverage',
+                plan_field: 'coverages.domiciliary',
+                plan_value: basicCoverages['Domicilary Expenses'],
+                claim_input: { treatment_type: claimData.treatment_type },
+                outcome: excluded ? 'failed' : 'passed',
+                effect: excluded ? 'rejects_claim' : 'none'
+            });
         }
         
-        if (claimData.consumables_required && basicCoverages['Consumables'] === 'NO') {
-            result.rejection_reasons.push('Consumables are not covered under this plan');
-            result.risk_level = 'medium';
+        if (claimData.consumables_required) {
+            const excluded = basicCoverages['Consumables'] === 'NO';
+            if (excluded) {
+                result.rejection_reasons.push('Consumables are not covered under this plan');
+                result.risk_level = 'medium';
+            }
+            this.traceRule(result, {
+                rule_id: 'consumables_coverage',
+                plan_field: 'coverages.consumables',
+                plan_value: basicCoverages['Consumables'],
+                claim_input: { consumables_required: true },
+                outcome: excluded ? 'flagged' : 'passed',
+                detail: excluded ? 'Consumables will not be paid; the claim itself remains eligible' : null
+            });
         }
     }
 
     /**
-     * Check excluded diseases
+     * Stays shorter than 24 hours are payable only as day care: the procedure must be in the
+     * day care catalogue and the plan's day care wording must cover it.
+     * Claim inputs: hospitalisation_hours, procedure (defaults to the claimed condition)
      */
-    checkExcludedDiseases(result, claimData) {
-        const condition = claimData.medical_condition.toLowerCase();
-        
-        for (const [excludedDisease, reason] of Object.entries(this.diseaseRules.excluded)) {
-            if (condition.includes(excludedDisease)) {
-                result.eligible = false;
-                result.rejection_reasons.push(`${reason} - ${excludedDisease} is excluded`);
-                result.risk_level = 'high';
-                break;
-            }
+    checkDayCareEligibility(result, claimData, plan) {
+        if (claimData.hospitalisation_hours === undefined || claimData.hospitalisation_hours === null || claimData.hospitalisation_hours === '') {
+            return;
+        }
+
+        const hours = Number(claimData.hospitalisation_hours);
+        const procedureText = claimData.procedure || claimData.illness_type || claimData.medical_condition || '';
+        const normalized = PlanNormalizer.normalize(plan);
+        const dayCare = normalized.coverages.day_care;
+        const planValue = normalized.sources['coverages.day_care'] || null;
+        const claimInput = { hospitalisation_hours: hours, procedure: procedureText || null };
+
+        if (hours >= MIN_HOSPITALISATION_HOURS) {
+            result.day_care = { stay_type: 'inpatient', hospitalisation_hours: hours, procedure: null, plan_value: planValue, qualifies: true };
+            this.traceRule(result, {
+                rule_id: 'minimum_hospitalisation',
+                claim_input: claimInput,
+                outcome: 'passed',
+                detail: `${hours} hours meets the ${MIN_HOSPITALISATION_HOURS}-hour requirement`
+            });
+            return;
+        }
+
+        const procedure = this.dayCareCatalogue.match(procedureText);
+        result.day_care = { stay_type: 'short_stay', hospitalisation_hours: hours, procedure: procedure, plan_value: planValue, qualifies: false };
+
+        if (!procedure) {
+            result.eligible = false;
+            result.rejection_reasons.push(`Hospitalisation of ${hours} hours is less than the required ${MIN_HOSPITALISATION_HOURS} hours, and ${procedureText ? `"${procedureText}" is not a listed day care procedure` : 'no day care procedure was given'}`);
+            result.risk_level = 'high';
+            this.traceRule(result, {
+                rule_id: 'minimum_hospitalisation',
+                claim_input: claimInput,
+                outcome: 'failed',
+                effect: 'rejects_claim',
+                detail: 'Not in the day care procedure catalogue'
+            });
+            return;
+        }
+
+        this.traceRule(result, {
+            rule_id: 'minimum_hospitalisation',
+            claim_input: claimInput,
+            outcome: 'waived',
+            detail: `Day care procedure: ${procedure.name} (matched "${procedure.matched_on}")`
+        });
+
+        const trace = { rule_id: 'day_care_coverage', plan_field: 'coverages.day_care', plan_value: planValue, claim_input: { procedure: procedure.name } };
+        if (dayCare?.covered === false) {
+            result.eligible = false;
+            result.rejection_reasons.push(`Day care procedures are not covered under this plan (${procedure.name}, ${hours} hours)`);
+            result.risk_level = 'high';
+            this.traceRule(result, { ...trace, outcome: 'failed', effect: 'rejects_claim' });
+            return;
+        }
+
+        result.day_care.stay_type = 'day_care';
+        result.day_care.qualifies = true;
+        if (!dayCare) {
+            result.review_flags.push({ rule_id: 'day_care_coverage', reason: `Plan does not state day care cover: confirm ${procedure.name} is payable as day care` });
+            result.risk_level = result.risk_level === 'low' ? 'medium' : result.risk_level;
+            this.traceRule(result, { ...trace, outcome: 'flagged', detail: 'Day care cover not stated in the plan' });
+        } else if (!dayCare.unlimited) {
+            // "541 PROCEDURES", "AS PER LIST": the insurer's own list decides
+            result.review_flags.push({ rule_id: 'day_care_coverage', reason: `Plan covers listed day care procedures (${planValue}): confirm ${procedure.name} is on the insurer's list` });
+            result.risk_level = result.risk_level === 'low' ? 'medium' : result.risk_level;
+            this.traceRule(result, { ...trace, outcome: 'flagged', detail: 'Plan limits day care to its own procedure list' });
+        } else {
+            this.traceRule(result, { ...trace, outcome: 'passed', detail: 'Plan covers all day care procedures' });
         }
     }
 
     /**
-     * Check maternity coverage
+     * Check excluded diseases
+     */
+    checkExcludedDiseases(result, claimData, policyAgeDays, diseaseRules = this.diseaseRules) {
+        this.applyDiseaseRules(result, claimData, claimData.medical_condition.toLowerCase(), policyAgeDays, diseaseRules);
+    }
+
+    /**
+     * Check maternity coverage when a legacy claim describes a delivery or pregnancy
      */
     checkMaternityCoverage(result, claimData, plan, policyAgeDays) {
         if (claimData.treatment_type.toLowerCase().includes('maternity') || 
             claimData.medical_condition.toLowerCase().includes('delivery') ||
             claimData.medical_condition.toLowerCase().includes('pregnancy')) {
-            
-            const maternityCover = plan.maternity_cover || {};
-            const waitingPeriod1st = maternityCover['WAITING PERIOD 1st DELIVERY'];
-            
-            if (waitingPeriod1st && waitingPeriod1st.includes('36 MONTHS')) {
-                const requiredDays = 1095; // 36 months
-                
-                if (policyAgeDays < requiredDays) {
-                    result.eligible = false;
-                    result.rejection_reasons.push('Maternity waiting period not completed (36 months required)');
-                    result.waiting_periods.maternity = `${Math.ceil((requiredDays - policyAgeDays) / 30)} months remaining`;
+            this.checkMaternityEligibility(result, claimData, plan, policyAgeDays);
+        }
+    }
+
+    /**
+     * Maternity inputs are checked before analysis; delivery_type is required
+     * @returns {string|null} - Error message, or null when the inputs are usable
+     */
+    validateMaternityClaim(claimData) {
+        if (!this.getDeliveryType(claimData.delivery_type)) {
+            return `delivery_type must be one of: ${Object.keys(DELIVERY_TYPES).join(', ')}`;
+        }
+        if (claimData.delivery_number !== undefined && claimData.delivery_number !== null && claimData.delivery_number !== '' &&
+            !(Number.isInteger(Number(claimData.delivery_number)) && Number(claimData.delivery_number) >= 1)) {
+            return 'delivery_number must be a whole number of at least 1';
+        }
+        if (claimData.previous_delivery_date && isNaN(new Date(claimData.previous_delivery_date).getTime())) {
+            return 'previous_delivery_date must be a valid date';
+        }
+        if (claimData.newborn_expenses !== undefined && claimData.newborn_expenses !== null && claimData.newborn_expenses !== '' &&
+            !(Number(claimData.newborn_expenses) >= 0)) {
+            return 'newborn_expenses must be a non-negative number';
+        }
+        return null;
+    }
+
+    /**
+     * @returns {string|null} - normal | caesarean, or null when the value is not recognised
+     */
+    getDeliveryType(value) {
+        const text = String(value || '').toLowerCase().trim();
+        return Object.keys(DELIVERY_TYPES).find(type => DELIVERY_TYPES[type].aliases.includes(text)) || null;
+    }
+
+    /**
+     * The plan's maternity cover in one place: availability, waiting periods,
+     * the number of deliveries covered, and the delivery and newborn limits
+     * @returns {Object|null} - null when the plan has no maternity section
+     */
+    resolveMaternityCover(plan) {
+        const normalized = PlanNormalizer.normalize(plan);
+        const maternity = normalized.maternity;
+        if (!maternity) {
+            return null;
+        }
+
+        const sources = normalized.sources;
+        // "AFTER 36 MONTHS, MAX 2 DELIVERY" or "RS.25,000 PER DELIVERY (MAX 2 DELIVERIES)"
+        const maxDeliveries = [
+            ...['first_delivery_waiting', 'second_delivery_waiting'].map(field => ({ field: field, count: maternity[field]?.max_deliveries })),
+            ...Object.values(DELIVERY_TYPES).map(type => {
+                const match = String(sources[`maternity.${type.field}`] || '').match(/MAX\.?\s*(\d+)\s*DELIVER/i);
+                return { field: type.field, count: match ? parseInt(match[1], 10) : null };
+            })
+        ].find(candidate => Number.isInteger(candidate.count)) || null;
+
+        return {
+            available: maternity.available,
+            plan_value: sources['maternity.availability'] || null,
+            first_delivery_waiting: maternity.first_delivery_waiting,
+            second_delivery_waiting: maternity.second_delivery_waiting,
+            max_deliveries: maxDeliveries ? maxDeliveries.count : null,
+            max_deliveries_field: maxDeliveries ? `maternity.${maxDeliveries.field}` : null,
+            delivery_limits: Object.fromEntries(Object.entries(DELIVERY_TYPES).map(([type, definition]) => [type, {
+                limit: maternity[definition.field],
+                plan_field: `maternity.${definition.field}`,
+                plan_value: sources[`maternity.${definition.field}`] || null
+            }])),
+            newborn: {
+                limit: maternity.newborn_cover,
+                plan_field: 'maternity.newborn_cover',
+                plan_value: sources['maternity.newborn_cover'] || null
+            }
+        };
+    }
+
+    /**
+     * Check a delivery against the plan's maternity cover. The first-delivery waiting
+     * period runs from policy start for every delivery; later deliveries also need the
+     * second-delivery period, counted from the previous delivery when the plan says so.
+     * Sets result.maternity_details, which calculateFinancialBreakdown uses for the caps.
+     */
+    checkMaternityEligibility(result, claimData, plan, policyAgeDays) {
+        const cover = this.resolveMaternityCover(plan);
+        const deliveryNumber = Number(claimData.delivery_number) || 1;
+        const deliveryType = this.getDeliveryType(claimData.delivery_type);
+        const reject = (reason) => {
+            result.eligible = false;
+            result.rejection_reasons.push(reason);
+            result.risk_level = 'high';
+        };
+        const flag = (ruleId, reason) => {
+            result.review_flags.push({ rule_id: ruleId, reason: reason });
+            result.risk_level = result.risk_level === 'low' ? 'medium' : result.risk_level;
+        };
+
+        result.maternity_details = {
+            delivery_number: deliveryNumber,
+            delivery_type: deliveryType,
+            previous_delivery_date: claimData.previous_delivery_date || null,
+            newborn_expenses: Number(claimData.newborn_expenses) || 0,
+            max_deliveries: cover?.max_deliveries ?? null,
+            plan_value: cover?.plan_value ?? null,
+            limits: []
+        };
+
+        // 1. The plan must offer maternity cover at all
+        const availability = { rule_id: 'maternity_availability', plan_field: 'maternity.availability', plan_value: cover?.plan_value ?? null, claim_input: { claim_type: claimData.claim_type || null } };
+        if (!cover || !cover.available) {
+            reject('Maternity expenses are not covered under this plan');
+            this.traceRule(result, { ...availability, outcome: 'failed', effect: 'rejects_claim', detail: cover ? 'Plan maternity cover is NO' : 'Plan has no maternity section' });
+            return;
+        }
+        this.traceRule(result, { ...availability, outcome: 'passed' });
+
+        // 2. Number of deliveries covered
+        if (cover.max_deliveries !== null) {
+            const exceeded = deliveryNumber > cover.max_deliveries;
+            if (exceeded) {
+                reject(`Plan covers at most ${cover.max_deliveries} deliveries; this is delivery ${deliveryNumber}`);
+            }
+            this.traceRule(result, {
+                rule_id: 'maternity_delivery_count',
+                plan_field: cover.max_deliveries_field,
+                plan_value: PlanNormalizer.normalize(plan).sources[cover.max_deliveries_field] ?? null,
+                claim_input: { delivery_number: deliveryNumber },
+                outcome: exceeded ? 'failed' : 'passed',
+                effect: exceeded ? 'rejects_claim' : 'none',
+                detail: `Maximum ${cover.max_deliveries} deliveries`
+            });
+        }
+
+        // 3. First-delivery waiting, from policy start
+        const first = cover.first_delivery_waiting;
+        const firstTrace = { rule_id: 'maternity_waiting', plan_field: 'maternity.first_delivery_waiting', plan_value: first?.raw ?? null, claim_input: { policy_age_days: policyAgeDays } };
+        const firstDays = WaitingPeriodParser.resolve(first, claimData);
+        if (first?.applies === false) {
+            this.traceRule(result, { ...firstTrace, outcome: 'passed', detail: 'Plan sets no maternity waiting period' });
+        } else if (firstDays === null) {
+            flag('maternity_waiting', 'Plan does not state how long the maternity waiting period is: confirm it has been served');
+            this.traceRule(result, { ...firstTrace, outcome: 'flagged', detail: 'Waiting period not stated in the plan' });
+        } else {
+            const failed = policyAgeDays < firstDays;
+            if (failed) {
+                reject(`Maternity waiting period not completed (${WaitingPeriodParser.describe(firstDays)} required)`);
+                result.waiting_periods.maternity = `${Math.ceil((firstDays - policyAgeDays) / 30)} months remaining`;
+            }
+            this.traceRule(result, { ...firstTrace, outcome: failed ? 'failed' : 'passed', effect: failed ? 'rejects_claim' : 'none', detail: `${firstDays} days from policy start` });
+        }
+
+        // 4. Later deliveries: the second-delivery waiting period
+        if (deliveryNumber > 1) {
+            const second = cover.second_delivery_waiting;
+            const secondTrace = { rule_id: 'maternity_second_delivery_waiting', plan_field: 'maternity.second_delivery_waiting', plan_value: second?.raw ?? null };
+            if (!second || second.applies === false) {
+                this.traceRule(result, { ...secondTrace, claim_input: { delivery_number: deliveryNumber }, outcome: 'not_applicable', detail: 'Plan sets no separate waiting period for later deliveries' });
+            } else if (second.days === null) {
+                flag('maternity_second_delivery_waiting', 'Plan applies a waiting period to later deliveries without stating its length');
+                this.traceRule(result, { ...secondTrace, claim_input: { delivery_number: deliveryNumber }, outcome: 'flagged', detail: 'Waiting period not stated in the plan' });
+            } else if (second.from_previous_delivery && !claimData.previous_delivery_date) {
+                flag('maternity_second_delivery_waiting', `Previous delivery date needed: the plan requires ${WaitingPeriodParser.describe(second.days)} between deliveries`);
+                this.traceRule(result, { ...secondTrace, claim_input: { delivery_number: deliveryNumber, previous_delivery_date: null }, outcome: 'flagged', detail: 'Counted from the previous delivery, which was not given' });
+            } else {
+                const asOf = new Date(claimData.admission_date || claimData.claim_date || Date.now());
+                const elapsed = second.from_previous_delivery ?
+                    Math.floor((asOf - new Date(claimData.previous_delivery_date)) / (1000 * 60 * 60 * 24)) :
+                    policyAgeDays;
+                const failed = elapsed < second.days;
+                if (failed) {
+                    reject(`Delivery ${deliveryNumber} is within the ${WaitingPeriodParser.describe(second.days)} waiting period ${second.from_previous_delivery ? 'after the previous delivery' : 'for later deliveries'}`);
+                    result.waiting_periods.maternity = `${Math.ceil((second.days - elapsed) / 30)} months remaining`;
                 }
+                this.traceRule(result, {
+                    ...secondTrace,
+                    claim_input: second.from_previous_delivery ?
+                        { delivery_number: deliveryNumber, previous_delivery_date: claimData.previous_delivery_date, days_since_previous_delivery: elapsed } :
+                        { delivery_number: deliveryNumber, policy_age_days: policyAgeDays },
+                    outcome: failed ? 'failed' : 'passed',
+                    effect: failed ? 'rejects_claim' : 'none',
+                    detail: `${second.days} days ${second.from_previous_delivery ? 'from the previous delivery' : 'from policy start'}`
+                });
             }
         }
+
+        // 5. The delivery must be covered for its type; the cap itself is applied in the financial breakdown
+        const delivery = deliveryType ? cover.delivery_limits[deliveryType] : null;
+        const deliveryTrace = { rule_id: 'maternity_delivery_cover', plan_field: delivery?.plan_field ?? null, plan_value: delivery?.plan_value ?? null, claim_input: { delivery_type: claimData.delivery_type || null } };
+        if (!deliveryType) {
+            flag('maternity_delivery_cover', 'Delivery type not given: the delivery limit was not applied');
+            this.traceRule(result, { ...deliveryTrace, outcome: 'flagged', detail: 'Delivery type needed to choose the normal or caesarean limit' });
+        } else if (!delivery.limit) {
+            flag('maternity_delivery_cover', `Plan does not state a limit for ${DELIVERY_TYPES[deliveryType].label.toLowerCase()}`);
+            this.traceRule(result, { ...deliveryTrace, outcome: 'flagged', detail: 'Delivery limit not stated in the plan' });
+        } else if (delivery.limit.covered === false) {
+            reject(`${DELIVERY_TYPES[deliveryType].label} is not covered under this plan`);
+            this.traceRule(result, { ...deliveryTrace, outcome: 'failed', effect: 'rejects_claim' });
+        } else {
+            this.traceRule(result, { ...deliveryTrace, outcome: 'passed' });
+        }
     }
 
     /**
-     * Calculate financial breakdown including co-pay with enhanced age-based logic
+     * Maternity caps: the delivery limit for the delivery type applies to the mother's
+     * share of the claim, and the newborn cover to newborn_expenses
+     * @param {number} amount - Claim amount left after sub-limit deductions
+     * @returns {Object} - { limits: [...], deductions: [...] }
+     */
+    applyMaternityLimits(result, claimData, plan, amount) {
+        const cover = this.resolveMaternityCover(plan);
+        const details = result.maternity_details;
+        const limits = [];
+        const deductions = [];
+        if (!cover || !cover.available || amount <= 0) {
+            return { limits: limits, deductions: deductions };
+        }
+
+        const newbornAmount = Math.min(amount, details.newborn_expenses);
+        const portions = [
+            { limit_id: 'newborn', label: 'Newborn cover', amount: newbornAmount, ...cover.newborn },
+            details.delivery_type && { limit_id: 'delivery', label: DELIVERY_TYPES[details.delivery_type].label, amount: amount - newbornAmount, ...cover.delivery_limits[details.delivery_type] }
+        ].filter(portion => portion && portion.amount > 0);
+
+        for (const portion of portions) {
+            if (!portion.limit) {
+                continue;
+            }
+            // Newborn expenses under a plan without newborn cover are not payable at all
+            const evaluation = portion.limit.covered === false ?
+                { cap: 0, basis: 'not covered' } :
+                this.evaluatePlanLimit(portion.limit, claimData, portion.amount);
+            if (evaluation.cap === null) {
+                continue;
+            }
+
+            limits.push({ limit_id: portion.limit_id, plan_field: portion.plan_field, plan_value: portion.plan_value, amount: portion.amount, cap: evaluation.cap, basis: evaluation.basis });
+            if (portion.amount > evaluation.cap) {
+                deductions.push({
+                    type: 'maternity_limit',
+                    limit_id: portion.limit_id,
+                    description: `${portion.label} limited to ${evaluation.basis}`,
+                    amount: portion.amount - evaluation.cap,
+                    plan_field: portion.plan_field,
+                    plan_value: portion.plan_value
+                });
+            }
+        }
+
+        return { limits: limits, deductions: deductions };
+    }
+
+    /**
+     * Calculate financial breakdown including room rent deductions and co-pay
      */
     calculateFinancialBreakdown(result, claimData, plan) {
         let copayPercentage = 0;
@@ -677,174 +1843,1035 @@ class ClaimEligibilityEngine {
         let copayReason = '';
         
         console.log(`💰 Calculating financial breakdown for patient age: ${claimData.patient_age}`);
+
+        // Sub-limit deductions come off the claim before co-pay is applied; an
+        // itemised bill is adjudicated line by line instead
+        let roomRent;
+        if (Array.isArray(claimData.bill_items) && claimData.bill_items.length > 0) {
+            const adjudication = this.adjudicateBillItems(claimData, plan);
+            result.bill_adjudication = adjudication;
+            roomRent = { deductions: adjudication.deductions, summary: adjudication.room_rent };
+        } else {
+            roomRent = this.calculateRoomRentDeductions(claimData, plan);
+        }
+        const deductions = roomRent.deductions;
+
+        // Disease-specific caps apply to what remains after sub-limit deductions
+        const diseaseLimits = this.applyDiseaseSpecificLimits(claimData, plan,
+            claimData.claim_amount - deductions.reduce((sum, deduction) => sum + deduction.amount, 0));
+        if (diseaseLimits.deduction) {
+            deductions.push(diseaseLimits.deduction);
+        }
+
+        // Maternity claims are capped by the plan's delivery and newborn limits
+        if (result.maternity_details) {
+            const maternityLimits = this.applyMaternityLimits(result, claimData, plan,
+                claimData.claim_amount - deductions.reduce((sum, deduction) => sum + deduction.amount, 0));
+            result.maternity_details.limits = maternityLimits.limits;
+            deductions.push(...maternityLimits.deductions);
+        }
+
+        // Caps from the disease rules apply after the plan's own limits
+        for (const effect of (result.rule_effects || []).filter(effect => effect.type === 'cap')) {
+            const remaining = claimData.claim_amount - deductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+            const cap = effect.amount || Math.round(this.parseSumInsured(claimData.sum_insured) * effect.percentage_of_si / 100);
+            if (remaining > cap) {
+                deductions.push({
+                    type: 'rule_cap',
+                    limit_id: effect.rule_id,
+                    description: `${effect.rule_name} limited to ₹${cap.toLocaleString('en-IN')} by disease rules`,
+                    amount: remaining - cap,
+                    source: effect.source,
+                    plan_field: effect.source === 'plan' ? 'disease_rule_overrides' : null,
+                    plan_value: null
+                });
+            }
+        }
+
+        // Ported cover: the top-up above the prior sum insured is still in its waiting period
+        if (claimData.portability?.top_up_waiting) {
+            const remaining = claimData.claim_amount - deductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+            const cap = claimData.portability.prior_sum_insured;
+            if (remaining > cap) {
+                deductions.push({
+                    type: 'portability_top_up',
+                    description: `Cover above the ported ₹${cap.toLocaleString('en-IN')} sum insured is still in its waiting period`,
+                    amount: remaining - cap,
+                    plan_field: null,
+                    plan_value: null
+                });
+            }
+        }
+
+        const totalDeductions = deductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+        const admissibleAmount = Math.max(0, claimData.claim_amount - totalDeductions);
         
-        // Plan-specific co-pay check with enhanced age-based parsing
-        const subLimits = plan.sub_limits || {};
-        const planCopay = subLimits['Co - Pay'];
+        // Plan-specific co-pay, which may depend on the patient's age or a pre-existing disease
+        const planCopay = PlanNormalizer.normalize(plan).sub_limits.copay;
         
-        if (planCopay && planCopay !== 'NO' && planCopay !== 'Co - Pay') {
-            console.log(`📋 Plan co-pay rule: "${planCopay}"`);
-            
-            // Parse age-based co-pay conditions
-            const ageBasedCopay = this.parseAgeBasedCopay(planCopay, claimData.patient_age);
-            if (ageBasedCopay.applies) {
-                copayPercentage = ageBasedCopay.percentage;
-                copayReason = ageBasedCopay.reason;
-                console.log(`✅ Age-based co-pay applied: ${copayPercentage}% (${copayReason})`);
+        if (planCopay?.available) {
+            const patientCopay = this.planCopayFor(planCopay, claimData);
+            if (patientCopay.applies) {
+                copayPercentage = patientCopay.percentage;
+                copayReason = patientCopay.reason;
+                console.log(`✅ Plan co-pay applied: ${copayPercentage}% (${copayReason})`);
             } else {
-                console.log(`✅ No age-based co-pay applicable for age ${claimData.patient_age}`);
+                console.log(`✅ ${patientCopay.reason}`);
             }
         } else {
             console.log('📋 No plan-specific co-pay rules found or co-pay is disabled');
         }
+
+        // Co-pays from the disease rules are added to the plan co-pay
+        const ruleCopays = (result.rule_effects || []).filter(effect => effect.type === 'copay').map(effect => ({
+            rule_id: effect.rule_id,
+            source: effect.source,
+            percentage: effect.percentage,
+            amount: Math.round(admissibleAmount * (effect.percentage / 100)),
+            reason: effect.reason || `Co-pay for ${effect.rule_name}`
+        }));
+        if (ruleCopays.length > 0) {
+            copayPercentage = Math.min(100, copayPercentage + ruleCopays.reduce((sum, copay) => sum + copay.percentage, 0));
+            copayReason = [copayReason, ...ruleCopays.map(copay => copay.reason)].filter(Boolean).join('; ');
+        }
         
-        // Calculate co-pay amount
+        // Calculate co-pay amount on the admissible amount
         if (copayPercentage > 0) {
-            copayAmount = Math.round(claimData.claim_amount * (copayPercentage / 100));
+            copayAmount = Math.round(admissibleAmount * (copayPercentage / 100));
         }
         
-        const finalAmount = claimData.claim_amount - copayAmount;
+        const finalAmount = admissibleAmount - copayAmount;
         
         result.financial_breakdown = {
             total_claim: claimData.claim_amount,
             sum_insured: claimData.sum_insured,
+            deductions: deductions,
+            total_deductions: totalDeductions,
+            admissible_amount: admissibleAmount,
+            room_rent: roomRent.summary,
+            disease_limits: diseaseLimits.limits,
             copay_amount: copayAmount,
             copay_percentage: copayPercentage,
             copay_reason: copayReason,
+            rule_copays: ruleCopays,
             final_amount: finalAmount,
             patient_age: claimData.patient_age
         };
         
+        this.traceFinancialBreakdown(result, claimData, plan);
         console.log(`💰 Financial breakdown calculated:`, result.financial_breakdown);
     }
 
     /**
-     * Parse age-based co-pay conditions from plan data
-     * @param {string} copayRule - The co-pay rule from plan (e.g., ">60YEARS AGE ENTRY -10%")
-     * @param {number} patientAge - The patient's age
-     * @returns {Object} - { applies: boolean, percentage: number, reason: string }
+     * Trace the sub-limit, disease limit and co-pay rules behind the payable amount
      */
-    parseAgeBasedCopay(copayRule, patientAge) {
-        const rule = copayRule.toString().toUpperCase();
-        console.log(`🔍 Parsing co-pay rule: "${rule}" for patient age: ${patientAge}`);
-        
-        // Pattern 1: ">60YEARS AGE ENTRY -10%" or similar
-        const ageGreaterPattern = />(\d+)\s*YEARS?\s*.*?(\d+)%/i;
-        const ageGreaterMatch = rule.match(ageGreaterPattern);
-        
-        if (ageGreaterMatch) {
-            const ageThreshold = parseInt(ageGreaterMatch[1]);
-            const percentage = parseInt(ageGreaterMatch[2]);
-            
-            console.log(`📊 Found age threshold rule: age > ${ageThreshold} = ${percentage}% co-pay`);
-            
-            if (patientAge > ageThreshold) {
-                return {
-                    applies: true,
-                    percentage: percentage,
-                    reason: `Age-based co-pay for patients above ${ageThreshold} years`
-                };
-            } else {
-                return {
-                    applies: false,
-                    percentage: 0,
-                    reason: `Patient age ${patientAge} is below co-pay threshold of ${ageThreshold} years`
-                };
+    traceFinancialBreakdown(result, claimData, plan) {
+        const normalized = PlanNormalizer.normalize(plan);
+        const sources = normalized.sources;
+        const breakdown = result.financial_breakdown;
+        const roomRent = breakdown.room_rent;
+        const claimInputs = {
+            room_rent_excess: roomRent && { room_category: roomRent.room_category, room_charge_per_day: roomRent.room_charge_per_day, length_of_stay: roomRent.length_of_stay },
+            icu_excess: roomRent && { icu_charge_per_day: roomRent.icu_charge_per_day, icu_days: roomRent.icu_days },
+            proportionate_deduction: roomRent && { room_charge_per_day: roomRent.room_charge_per_day, proportion_applied: roomRent.proportion_applied },
+            rule_cap: { condition: claimData.illness_type || claimData.medical_condition || null },
+            portability_top_up: claimData.portability && {
+                prior_sum_insured: claimData.portability.prior_sum_insured,
+                fresh_policy_age_days: claimData.portability.fresh_policy_age_days
             }
+        };
+
+        if (roomRent && !breakdown.deductions.some(deduction => ['room_rent_excess', 'icu_excess'].includes(deduction.type))) {
+            this.traceRule(result, {
+                rule_id: 'room_rent_limit',
+                plan_field: 'sub_limits.room_rent_per_day',
+                plan_value: roomRent.room_plan_value,
+                claim_input: claimInputs.room_rent_excess,
+                outcome: 'passed',
+                detail: roomRent.notes.join('; ') || null
+            });
         }
-        
-        // Pattern 2: ">=60YEARS -10%" or similar
-        const ageGreaterEqualPattern = />=(\d+)\s*YEARS?\s*.*?(\d+)%/i;
-        const ageGreaterEqualMatch = rule.match(ageGreaterEqualPattern);
-        
-        if (ageGreaterEqualMatch) {
-            const ageThreshold = parseInt(ageGreaterEqualMatch[1]);
-            const percentage = parseInt(ageGreaterEqualMatch[2]);
-            
-            console.log(`📊 Found age threshold rule: age >= ${ageThreshold} = ${percentage}% co-pay`);
-            
-            if (patientAge >= ageThreshold) {
-                return {
-                    applies: true,
-                    percentage: percentage,
-                    reason: `Age-based co-pay for patients ${ageThreshold} years and above`
-                };
-            } else {
+
+        for (const deduction of breakdown.deductions.filter(deduction => claimInputs[deduction.type] !== undefined)) {
+            this.traceRule(result, {
+                rule_id: deduction.type === 'rule_cap' ? `disease_rule.${deduction.limit_id}` : deduction.type,
+                plan_field: deduction.plan_field,
+                source: deduction.source,
+                plan_value: deduction.plan_value,
+                claim_input: claimInputs[deduction.type],
+                outcome: 'applied',
+                effect: 'reduces_payable',
+                amount: deduction.amount,
+                detail: deduction.description
+            });
+        }
+
+        // Every matching disease limit is reported; only the most restrictive one reduces the payable amount
+        const diseaseDeduction = breakdown.deductions.find(deduction => deduction.type === 'disease_limit');
+        for (const limit of breakdown.disease_limits) {
+            const binding = diseaseDeduction?.limit_id === limit.limit_id && diseaseDeduction.plan_value === limit.plan_value;
+            this.traceRule(result, {
+                rule_id: `disease_limit.${limit.limit_id}`,
+                plan_field: limit.plan_field,
+                plan_value: limit.plan_value,
+                claim_input: { condition: claimData.illness_type || claimData.medical_condition || null },
+                outcome: binding ? 'applied' : 'passed',
+                effect: binding ? 'reduces_payable' : 'none',
+                amount: binding ? diseaseDeduction.amount : 0,
+                detail: `Capped at ${limit.basis}`
+            });
+        }
+
+        // Maternity: the delivery limit and the newborn cover, each on its share of the claim
+        for (const limit of result.maternity_details?.limits || []) {
+            const deduction = breakdown.deductions.find(candidate => candidate.type === 'maternity_limit' && candidate.limit_id === limit.limit_id);
+            this.traceRule(result, {
+                rule_id: `maternity_limit.${limit.limit_id}`,
+                plan_field: limit.plan_field,
+                plan_value: limit.plan_value,
+                claim_input: limit.limit_id === 'newborn' ?
+                    { newborn_expenses: limit.amount } :
+                    { delivery_type: result.maternity_details.delivery_type, amount: limit.amount },
+                outcome: deduction ? 'applied' : 'passed',
+                effect: deduction ? 'reduces_payable' : 'none',
+                amount: deduction ? deduction.amount : 0,
+                detail: `Capped at ${limit.basis}`
+            });
+        }
+
+        // Itemised bills: one entry per line that is not paid in full
+        for (const item of (result.bill_adjudication?.items || []).filter(item => item.non_payable_amount > 0)) {
+            const planField = BILL_ITEM_CATEGORIES[item.assessed_as].plan_field;
+            this.traceRule(result, {
+                rule_id: `bill_item.${item.assessed_as}`,
+                plan_field: planField,
+                plan_value: planField ? sources[planField] : null,
+                claim_input: { category: item.category, description: item.description, amount: item.amount, date: item.date },
+                outcome: 'applied',
+                effect: 'reduces_payable',
+                amount: item.non_payable_amount,
+                detail: item.reason
+            });
+        }
+
+        // The plan's share of the co-pay is what remains after disease rule co-pays
+        const ruleCopays = breakdown.rule_copays || [];
+        const planCopayAmount = Math.max(0, breakdown.copay_amount - ruleCopays.reduce((sum, copay) => sum + copay.amount, 0));
+        const copayActive = Boolean(normalized.sub_limits.copay?.available);
+        this.traceRule(result, {
+            rule_id: 'copay',
+            plan_field: 'sub_limits.copay',
+            plan_value: sources['sub_limits.copay'] || null,
+            claim_input: { patient_age: claimData.patient_age },
+            outcome: planCopayAmount > 0 ? 'applied' : 'not_applicable',
+            effect: planCopayAmount > 0 ? 'reduces_payable' : 'none',
+            amount: planCopayAmount,
+            detail: planCopayAmount > 0 ?
+                (ruleCopays.length > 0 ? `${breakdown.copay_percentage - ruleCopays.reduce((sum, copay) => sum + copay.percentage, 0)}% plan co-pay` : breakdown.copay_reason) :
+                (copayActive ? 'Co-pay rule does not apply to this claim' : 'Plan has no co-pay')
+        });
+        for (const copay of ruleCopays) {
+            this.traceRule(result, {
+                rule_id: `disease_rule.${copay.rule_id}`,
+                plan_field: copay.source === 'plan' ? 'disease_rule_overrides' : null,
+                source: copay.source,
+                claim_input: { condition: claimData.illness_type || claimData.medical_condition || null },
+                outcome: 'applied',
+                effect: 'reduces_payable',
+                amount: copay.amount,
+                detail: `${copay.percentage}% co-pay: ${copay.reason}`
+            });
+        }
+    }
+
+    /**
+     * Room rent and ICU deductions against the plan's per-day limits.
+     * A room above the entitled rent also reduces associated charges (doctor fees,
+     * nursing, investigations) in the ratio of entitled rent to actual rent.
+     * Claim inputs: room_category, room_charge_per_day, length_of_stay,
+     * icu_charge_per_day, icu_days, associated_charges, entitled_room_charge_per_day
+     * @returns {Object} - { deductions: [...], summary }
+     */
+    calculateRoomRentDeductions(claimData, plan) {
+        const deductions = [];
+        const roomCharge = Number(claimData.room_charge_per_day) || 0;
+        const stayDays = Number(claimData.length_of_stay) || 0;
+        const icuCharge = Number(claimData.icu_charge_per_day) || 0;
+        const icuDays = Number(claimData.icu_days) || 0;
+
+        if ((!roomCharge || !stayDays) && (!icuCharge || !icuDays)) {
+            return { deductions: deductions, summary: null };
+        }
+
+        const normalized = PlanNormalizer.normalize(plan);
+        const roomLimit = normalized.sub_limits?.room_rent_per_day;
+        const icuLimit = normalized.sub_limits?.icu_per_day;
+        const summary = {
+            room_category: claimData.room_category || null,
+            room_charge_per_day: roomCharge,
+            length_of_stay: stayDays,
+            eligible_room_rent_per_day: null,
+            room_plan_value: normalized.sources['sub_limits.room_rent_per_day'] || null,
+            icu_charge_per_day: icuCharge,
+            icu_days: icuDays,
+            eligible_icu_per_day: null,
+            icu_plan_value: normalized.sources['sub_limits.icu_per_day'] || null,
+            proportion_applied: 1,
+            notes: []
+        };
+
+        let proportion = 1;
+        if (roomCharge && stayDays && roomLimit) {
+            const eligibleRent = this.getEligibleRoomRent(roomLimit, claimData, summary);
+            summary.eligible_room_rent_per_day = eligibleRent;
+
+            if (eligibleRent !== null && roomCharge > eligibleRent) {
+                const excess = (roomCharge - eligibleRent) * stayDays;
+                deductions.push({
+                    type: 'room_rent_excess',
+                    description: `Room rent above the eligible ₹${eligibleRent.toLocaleString('en-IN')}/day for ${stayDays} day(s)`,
+                    amount: excess,
+                    plan_field: 'sub_limits.room_rent_per_day',
+                    plan_value: summary.room_plan_value
+                });
+                proportion = eligibleRent / roomCharge;
+            }
+        }
+
+        if (icuCharge && icuDays && icuLimit) {
+            const icuEvaluation = this.evaluatePlanLimit(icuLimit, claimData, icuCharge);
+            summary.eligible_icu_per_day = icuEvaluation.cap;
+
+            if (icuEvaluation.excess > 0) {
+                deductions.push({
+                    type: 'icu_excess',
+                    description: `ICU charges above the eligible ₹${icuEvaluation.cap.toLocaleString('en-IN')}/day for ${icuDays} day(s)`,
+                    amount: icuEvaluation.excess * icuDays,
+                    plan_field: 'sub_limits.icu_per_day',
+                    plan_value: summary.icu_plan_value
+                });
+            }
+        }
+
+        if (proportion < 1) {
+            // Without an itemised bill every non-room, non-ICU charge is treated as associated
+            const associatedCharges = claimData.associated_charges !== undefined ?
+                Number(claimData.associated_charges) || 0 :
+                Math.max(0, claimData.claim_amount - roomCharge * stayDays - icuCharge * icuDays);
+            if (claimData.associated_charges === undefined) {
+                summary.notes.push('Associated charges not provided; all other charges treated as associated charges');
+            }
+
+            const proportionateDeduction = Math.round(associatedCharges * (1 - proportion));
+            summary.proportion_applied = Math.round(proportion * 10000) / 10000;
+            if (proportionateDeduction > 0) {
+                deductions.push({
+                    type: 'proportionate_deduction',
+                    description: `Associated charges of ₹${associatedCharges.toLocaleString('en-IN')} paid in proportion ${summary.eligible_room_rent_per_day}/${roomCharge} of room rent`,
+                    amount: proportionateDeduction,
+                    plan_field: 'sub_limits.room_rent_per_day',
+                    plan_value: summary.room_plan_value
+                });
+            }
+        }
+
+        return { deductions: deductions, summary: summary };
+    }
+
+    /**
+     * Eligible room rent per day, or null when it cannot be determined
+     */
+    getEligibleRoomRent(roomLimit, claimData, summary) {
+        if (roomLimit.kind === 'category') {
+            const entitled = LimitParser.parseRoomCategory(roomLimit.category);
+            const occupied = claimData.room_category ? LimitParser.parseRoomCategory(claimData.room_category) : null;
+
+            if (!occupied) {
+                summary.notes.push(`Plan limits room to ${roomLimit.raw}; room category not provided`);
+                return null;
+            }
+            if (occupied.rank <= entitled.rank) {
+                return null;
+            }
+            if (!claimData.entitled_room_charge_per_day) {
+                summary.notes.push(`Room category ${occupied.key} is above the entitled ${entitled.key}; provide entitled_room_charge_per_day to compute the deduction`);
+                return null;
+            }
+            return Number(claimData.entitled_room_charge_per_day);
+        }
+
+        const evaluation = this.evaluatePlanLimit(roomLimit, claimData, Number(claimData.room_charge_per_day));
+        return evaluation.cap;
+    }
+
+    /**
+     * Find disease-specific limits for the claimed condition and cap the amount.
+     * The most restrictive matching limit wins.
+     * @returns {Object} - { limits: [{ limit_id, plan_value, cap, basis, capped_difference }], deduction }
+     */
+    applyDiseaseSpecificLimits(claimData, plan, amount) {
+        const condition = (claimData.illness_type || claimData.medical_condition || '').toLowerCase().trim();
+        const limits = [];
+        if ((!condition && !claimData.diagnosis?.code) || amount <= 0) {
+            return { limits: limits, deduction: null };
+        }
+
+        const normalized = PlanNormalizer.normalize(plan);
+        const code = claimData.diagnosis?.code;
+        for (const rule of DISEASE_SPECIFIC_LIMITS) {
+            // Whole-phrase match: partial word matching would tie any "surgery" to robotic surgery
+            if (!rule.conditions.some(keyword => condition.includes(keyword)) &&
+                !(code && rule.codes?.some(prefix => code.startsWith(prefix)))) {
+                continue;
+            }
+
+            const candidates = [];
+            if (rule.field) {
+                const [section, field] = rule.field.split('.');
+                if (normalized[section]?.[field]) {
+                    candidates.push({ limit: normalized[section][field], plan_field: rule.field, plan_value: normalized.sources[rule.field] });
+                }
+            }
+            if (rule.feature) {
+                for (const feature of normalized.special_features.filter(f => rule.feature.test(f.text.toUpperCase()))) {
+                    candidates.push({ limit: feature.limit, plan_field: `special_features.${feature.id}`, plan_value: feature.text });
+                }
+            }
+
+            for (const candidate of candidates) {
+                const units = rule.unit_input ? Number(claimData[rule.unit_input]) || 1 : 1;
+                const evaluation = this.evaluatePlanLimit(candidate.limit, claimData, amount, units);
+                if (evaluation.cap === null) {
+                    continue;
+                }
+
+                // Yearly and per-policy limits are shared with earlier claims in the ledger
+                const usedThisYear = this.isAnnualLimit(candidate.limit) ? (claimData.ledger_usage?.[rule.id] || 0) : 0;
+                const cap = Math.max(0, evaluation.cap - usedThisYear);
+                limits.push({
+                    limit_id: rule.id,
+                    plan_field: candidate.plan_field,
+                    plan_value: candidate.plan_value,
+                    cap: cap,
+                    basis: usedThisYear > 0 ? `${evaluation.basis}, less ₹${usedThisYear.toLocaleString('en-IN')} used this policy year` : evaluation.basis,
+                    used_this_year: usedThisYear,
+                    capped_difference: Math.max(0, amount - cap)
+                });
+            }
+        }
+
+        const binding = limits.reduce((lowest, limit) => (!lowest || limit.cap < lowest.cap ? limit : lowest), null);
+        if (!binding || binding.capped_difference <= 0) {
+            return { limits: limits, deduction: null };
+        }
+
+        console.log(`💰 Disease-specific limit ${binding.limit_id} caps claim at ₹${binding.cap.toLocaleString('en-IN')}`);
+        return {
+            limits: limits,
+            deduction: {
+                type: 'disease_limit',
+                limit_id: binding.limit_id,
+                description: `${binding.limit_id.replace(/_/g, ' ')} limited to ${binding.basis}`,
+                amount: binding.capped_difference,
+                plan_field: binding.plan_field,
+                plan_value: binding.plan_value
+            }
+        };
+    }
+
+    /**
+     * Policy member report: composition, per-member checks and shared floater usage
+     */
+    summarizePolicyMembers(policyValidation, ledgerSummary, result) {
+        const usedByMember = {};
+        for (const entry of ledgerSummary?.entries || []) {
+            usedByMember[entry.member_id] = (usedByMember[entry.member_id] || 0) + entry.amount_approved;
+        }
+
+        if (policyValidation.issues.length > 0 && result.risk_level === 'low') {
+            result.risk_level = 'medium';
+        }
+
+        return {
+            policy_type: policyValidation.policy_type,
+            members: policyValidation.members,
+            composition: policyValidation.composition,
+            issues: policyValidation.issues,
+            shared_sum_insured: policyValidation.policy_type === 'floater' ? {
+                available: result.sum_insured_details?.effective_sum_insured ?? null,
+                used_by_member: usedByMember
+            } : null
+        };
+    }
+
+    /**
+     * Whether a limit is an annual or per-policy allowance rather than per claim
+     */
+    isAnnualLimit(limit) {
+        return ['year', 'policy'].includes(limit.per) ||
+            /PER\s*POLICY|\/\s*(?:YEAR|YR)\b|POLICY\s*PERIOD/.test(String(limit.raw || '').toUpperCase());
+    }
+
+    /**
+     * Ledger totals for the claim's policy year, or null when the claim names no policy.
+     * Floater policies total all members. Claim inputs: policy_number, member_id (defaults to patient_name), claim_date
+     */
+    async getLedgerSummary(claimData) {
+        if (!claimData.policy_number || !claimData.policy_start_date) {
+            return null;
+        }
+
+        // Floater members share one sum insured, so every member's claims count
+        const memberId = claimData.policy_type === 'floater' ? null : (claimData.member_id || claimData.patient_name);
+        return this.claimsLedger.getPolicyYearSummary(claimData.policy_number, memberId, {
+            policy_start_date: claimData.policy_start_date,
+            as_of: claimData.claim_date || new Date()
+        });
+    }
+
+    /**
+     * Every ledger entry for the claimant, across policy years, or none when the claim names no policy
+     */
+    async getPriorClaims(claimData) {
+        if (!claimData.policy_number) {
+            return [];
+        }
+        return this.claimsLedger.getEntries(claimData.policy_number, claimData.member_id || claimData.patient_name);
+    }
+
+    /**
+     * Waiting periods the claim had to serve and passed (waived and emergency-relaxed ones excluded)
+     * @returns {Array} - [{ waiting_period, label, days }]
+     */
+    getServedWaitingPeriods(result, claimData, plan, rulebook) {
+        const waitingPeriods = result.applied_waiting_periods;
+        const passed = result.rule_trace.filter(entry => entry.outcome === 'passed');
+        const served = [];
+
+        if (waitingPeriods && passed.some(entry => ['initial_waiting', 'domestic_accident_waiting'].includes(entry.rule_id))) {
+            served.push({ waiting_period: 'initial', label: 'Initial waiting period', days: waitingPeriods.initial.days });
+        }
+        if (waitingPeriods && claimData.pre_existing_disease && passed.some(entry => entry.rule_id === 'pre_existing_waiting')) {
+            served.push({ waiting_period: 'pre_existing', label: 'Pre-existing disease waiting period', days: waitingPeriods.pre_existing.days });
+        }
+
+        const diseaseEntry = passed.find(entry => entry.rule_id.startsWith('specific_disease_waiting.') && !entry.claim_input?.emergency_treatment);
+        const rule = diseaseEntry && rulebook.ruleSet.rules.find(candidate => candidate.id === diseaseEntry.rule_id.slice('specific_disease_waiting.'.length));
+        if (rule) {
+            served.push({ waiting_period: 'specific_disease', label: `Specific disease waiting period for ${rule.name}`, days: this.getDiseaseWaitingDays(rule, waitingPeriods) });
+        }
+
+        if (passed.some(entry => entry.rule_id === 'maternity_waiting')) {
+            const days = WaitingPeriodParser.resolve(this.resolveMaternityCover(plan)?.first_delivery_waiting, claimData);
+            if (days !== null) {
+                served.push({ waiting_period: 'maternity', label: 'Maternity waiting period', days: days });
+            }
+        }
+        return served;
+    }
+
+    /**
+     * Record the payable amount of an eligible claim in the ledger
+     * @param {number|null} [amountApproved] - Amount a reviewer approved, in place of the payable amount
+     * @returns {Promise<Object|null>} - Ledger entry, or null when nothing was recorded
+     */
+    async recordApprovedClaim(claimData, result, amountApproved = null) {
+        if (!result.eligible || !claimData.policy_number) {
+            return null;
+        }
+
+        const coverage = result.sum_insured_details || {};
+        return this.claimsLedger.recordClaim({
+            policy_number: claimData.policy_number,
+            member_id: claimData.member_id || claimData.patient_name,
+            policy_start_date: claimData.policy_start_date,
+            claim_date: claimData.claim_date,
+            amount_approved: amountApproved ?? result.financial_breakdown?.final_amount ?? claimData.claim_amount,
+            condition: claimData.illness_type || claimData.medical_condition || null,
+            limit_id: result.financial_breakdown?.disease_limits?.[0]?.limit_id || null,
+            restore_used: Boolean(coverage.restore_triggered && claimData.claim_amount > coverage.remaining_before_restore),
+            claim_reference: claimData.claim_reference
+        });
+    }
+
+    /**
+     * Validate the inputs of a claim request before analysis: itemised bills,
+     * policy members, maternity details, ICD-10 code and numeric fields
+     * @returns {string|null} - Error message, or null when the claim can be analysed
+     */
+    validateClaimRequest(claimData) {
+        if (!claimData || typeof claimData !== 'object' || Array.isArray(claimData)) {
+            return 'Claim details are required';
+        }
+
+        // Itemised bills replace claim_amount; reject malformed lines up front
+        if (claimData.bill_items !== undefined) {
+            const billError = this.validateBillItems(claimData.bill_items) || this.validateHospitalisationDates(claimData);
+            if (billError) {
+                return billError;
+            }
+        }
+
+        // Floater policies list every insured member; member_id names the claimant
+        if (claimData.policy_members !== undefined) {
+            if (!claimData.member_id) {
+                return 'member_id is required when policy_members is provided';
+            }
+            const membersError = PolicyMembers.validateShape(claimData.policy_members, claimData.member_id);
+            if (membersError) {
+                return membersError;
+            }
+        }
+
+        if (claimData.claim_type === 'Maternity') {
+            const maternityError = this.validateMaternityClaim(claimData);
+            if (maternityError) {
+                return maternityError;
+            }
+        }
+
+        if (claimData.icd10_code && !MedicalVocabulary.isValidCode(claimData.icd10_code)) {
+            return 'icd10_code must be an ICD-10 code such as N20.0';
+        }
+
+        const priorCoverageError = this.validatePriorCoverage(claimData);
+        if (priorCoverageError) {
+            return priorCoverageError;
+        }
+
+        for (const field of ['claim_free_years', 'prior_claims_paid', 'hospitalisation_hours']) {
+            if (claimData[field] !== undefined && claimData[field] !== null && claimData[field] !== '' && !(Number(claimData[field]) >= 0)) {
+                return `${field} must be a non-negative number`;
+            }
+        }
+
+        if (claimData.submitted_documents !== undefined) {
+            if (!Array.isArray(claimData.submitted_documents)) {
+                return 'submitted_documents must be an array of document types';
+            }
+            const unknown = claimData.submitted_documents.find(type => !this.documentRequirements.isKnownDocument(type));
+            if (unknown !== undefined) {
+                return `Unknown document type in submitted_documents: ${unknown}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The documents the claim needs and which of them are still missing
+     * @param {Object} claimData - Claim inputs (the diagnosis is resolved when not given)
+     * @param {string[]} submitted - Document types already provided
+     * @returns {Object} - { documents: [...checklist], missing: [{ id, name }], ready }
+     */
+    assessDocuments(claimData, submitted = []) {
+        const conditionText = claimData.illness_type || claimData.medical_condition;
+        const diagnosis = claimData.diagnosis ||
+            (conditionText || claimData.icd10_code ? this.vocabulary.resolve(conditionText, claimData.icd10_code) : null);
+        const documents = this.documentRequirements.checklist({ ...claimData, diagnosis: diagnosis }, submitted);
+        const missing = documents.filter(document => !document.submitted).map(document => ({ id: document.id, name: document.name }));
+
+        return {
+            documents: documents,
+            missing: missing,
+            ready: missing.length === 0
+        };
+    }
+
+    /**
+     * Validate an itemised bill
+     * @returns {string|null} - Error message, or null when the bill is valid
+     */
+    validateBillItems(billItems) {
+        if (!Array.isArray(billItems) || billItems.length === 0) {
+            return 'bill_items must be a non-empty array';
+        }
+
+        for (const [index, item] of billItems.entries()) {
+            if (!item || !BILL_ITEM_CATEGORIES[item.category]) {
+                return `bill_items[${index}].category must be one of: ${Object.keys(BILL_ITEM_CATEGORIES).join(', ')}`;
+            }
+            if (typeof item.amount !== 'number' || !isFinite(item.amount) || item.amount < 0) {
+                return `bill_items[${index}].amount must be a non-negative number`;
+            }
+            if (item.days !== undefined && (typeof item.days !== 'number' || item.days <= 0)) {
+                return `bill_items[${index}].days must be a positive number`;
+            }
+            if (item.date !== undefined && isNaN(new Date(item.date).getTime())) {
+                return `bill_items[${index}].date must be a valid date`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Admission and discharge dates place dated bill lines before, during or after the stay
+     * @returns {string|null} - Error message, or null when the dates are usable
+     */
+    validateHospitalisationDates(claimData) {
+        for (const field of ['admission_date', 'discharge_date']) {
+            if (claimData[field] && isNaN(new Date(claimData[field]).getTime())) {
+                return `${field} must be a valid date`;
+            }
+        }
+        if (claimData.admission_date && claimData.discharge_date &&
+            new Date(claimData.discharge_date) < new Date(claimData.admission_date)) {
+            return 'discharge_date must not be before admission_date';
+        }
+        const dated = Array.isArray(claimData.bill_items) && claimData.bill_items.some(item => item?.date);
+        if (dated && (!claimData.admission_date || !claimData.discharge_date)) {
+            return 'admission_date and discharge_date are required when bill_items carry dates';
+        }
+        return null;
+    }
+
+    /**
+     * Place a dated bill line relative to the hospital stay
+     * @returns {Object} - { period, days_from_stay } where period is pre_hospitalisation,
+     *   hospitalisation or post_hospitalisation, and both are null for undated lines
+     */
+    getBillItemPeriod(item, claimData) {
+        if (!item.date || !claimData.admission_date || !claimData.discharge_date) {
+            return { period: null, days_from_stay: null };
+        }
+
+        const dayOf = value => Math.floor(new Date(value).getTime() / (1000 * 60 * 60 * 24));
+        const date = dayOf(item.date);
+        const admission = dayOf(claimData.admission_date);
+        const discharge = dayOf(claimData.discharge_date);
+
+        if (date < admission) {
+            return { period: 'pre_hospitalisation', days_from_stay: admission - date };
+        }
+        if (date > discharge) {
+            return { period: 'post_hospitalisation', days_from_stay: date - discharge };
+        }
+        return { period: 'hospitalisation', days_from_stay: 0 };
+    }
+
+    /**
+     * Adjudicate an itemised bill line by line against the plan's coverages and sub-limits.
+     * Lines dated before admission or after discharge are assessed as pre- or
+     * post-hospitalisation expenses against the plan's windows, whatever their category.
+     * Each line: { category, description, amount, days, date }
+     * @returns {Object} - { items, total_billed, total_payable, total_non_payable, deductions, room_rent }
+     */
+    adjudicateBillItems(claimData, plan) {
+        const normalized = PlanNormalizer.normalize(plan);
+        const coverages = normalized.coverages || {};
+        const billItems = claimData.bill_items.map(item => {
+            const placement = this.getBillItemPeriod(item, claimData);
+            const outsideStay = ['pre_hospitalisation', 'post_hospitalisation'].includes(placement.period);
+            return { ...item, ...placement, assessed_as: outsideStay ? placement.period : item.category };
+        });
+
+        // Room and ICU lines drive the room rent limit and the proportion for associated charges
+        const roomItems = billItems.filter(item => item.assessed_as === 'room');
+        const icuItems = billItems.filter(item => item.assessed_as === 'icu');
+        const roomDays = roomItems.reduce((sum, item) => sum + (item.days || 0), 0) || Number(claimData.length_of_stay) || 0;
+        const icuDays = icuItems.reduce((sum, item) => sum + (item.days || 0), 0) || Number(claimData.icu_days) || 0;
+        const roomTotal = roomItems.reduce((sum, item) => sum + item.amount, 0);
+        const icuTotal = icuItems.reduce((sum, item) => sum + item.amount, 0);
+        const hospitalisationTotal = billItems
+            .filter(item => !['room', 'pre_hospitalisation', 'post_hospitalisation'].includes(item.assessed_as))
+            .reduce((sum, item) => sum + item.amount, 0);
+        const associatedTotal = billItems
+            .filter(item => BILL_ITEM_CATEGORIES[item.assessed_as].associated)
+            .reduce((sum, item) => sum + item.amount, 0);
+
+        const roomRent = this.calculateRoomRentDeductions({
+            ...claimData,
+            room_charge_per_day: roomDays ? roomTotal / roomDays : 0,
+            length_of_stay: roomDays,
+            icu_charge_per_day: icuDays ? icuTotal / icuDays : 0,
+            icu_days: icuDays,
+            associated_charges: associatedTotal
+        }, plan);
+        const proportion = roomRent.summary ? roomRent.summary.proportion_applied : 1;
+
+        const items = billItems.map(item => {
+            const category = BILL_ITEM_CATEGORIES[item.assessed_as];
+            const decision = this.adjudicateBillItem(item, category, {
+                claimData: claimData,
+                coverages: coverages,
+                sources: normalized.sources,
+                roomRent: roomRent,
+                roomTotal: roomTotal,
+                icuTotal: icuTotal,
+                hospitalisationTotal: hospitalisationTotal,
+                proportion: proportion
+            });
+            const payable = Math.max(0, Math.min(item.amount, Math.round(decision.payable)));
+            const status = payable === item.amount ? 'payable' : (payable === 0 ? 'non_payable' : 'partially_payable');
+
+            return {
+                category: item.category,
+                assessed_as: item.assessed_as,
+                description: item.description || BILL_ITEM_CATEGORIES[item.category].label,
+                date: item.date || null,
+                period: item.period,
+                days_from_stay: item.days_from_stay,
+                amount: item.amount,
+                status: status,
+                payable_amount: payable,
+                non_payable_amount: item.amount - payable,
+                reason: decision.reason
+            };
+        });
+
+        const totalBilled = items.reduce((sum, item) => sum + item.amount, 0);
+        const totalPayable = items.reduce((sum, item) => sum + item.payable_amount, 0);
+
+        return {
+            items: items,
+            total_billed: totalBilled,
+            total_payable: totalPayable,
+            total_non_payable: totalBilled - totalPayable,
+            deductions: items
+                .filter(item => item.non_payable_amount > 0)
+                .map(item => {
+                    const planField = BILL_ITEM_CATEGORIES[item.assessed_as].plan_field;
+                    return {
+                        type: 'bill_item',
+                        description: `${item.description}: ${item.reason}`,
+                        amount: item.non_payable_amount,
+                        plan_field: planField,
+                        plan_value: (planField && normalized.sources[planField]) || null
+                    };
+                }),
+            room_rent: roomRent.summary
+        };
+    }
+
+    /**
+     * Decide a single bill line
+     * @returns {Object} - { payable, reason }
+     */
+    adjudicateBillItem(item, category, context) {
+        const { claimData, coverages, sources, roomRent, proportion } = context;
+        const share = (total, deductionType) => {
+            const deduction = roomRent.deductions.find(d => d.type === deductionType);
+            return deduction && total ? item.amount - deduction.amount * (item.amount / total) : item.amount;
+        };
+
+        switch (item.assessed_as) {
+            case 'room': {
+                const eligible = roomRent.summary?.eligible_room_rent_per_day;
+                const payable = share(context.roomTotal, 'room_rent_excess');
                 return {
-                    applies: false,
-                    percentage: 0,
-                    reason: `Patient age ${patientAge} is below co-pay threshold of ${ageThreshold} years`
+                    payable: payable,
+                    reason: payable < item.amount ?
+                        `Room rent limited to ₹${eligible.toLocaleString('en-IN')}/day (${roomRent.summary.room_plan_value})` :
+                        `Within room rent limit (${roomRent.summary?.room_plan_value || 'as per policy'})`
                 };
             }
-        }
-        
-        // Pattern 3: Age range patterns like "60-70YEARS 10%" or "ABOVE 60 YEARS 10%"
-        const ageRangePattern = /(?:ABOVE\s+)?(\d+)(?:\s*-\s*(\d+))?\s*YEARS?\s*.*?(\d+)%/i;
-        const ageRangeMatch = rule.match(ageRangePattern);
-        
-        if (ageRangeMatch) {
-            const minAge = parseInt(ageRangeMatch[1]);
-            const maxAge = ageRangeMatch[2] ? parseInt(ageRangeMatch[2]) : 999;
-            const percentage = parseInt(ageRangeMatch[3]);
-            
-            console.log(`📊 Found age range rule: ${minAge}-${maxAge === 999 ? '∞' : maxAge} years = ${percentage}% co-pay`);
-            
-            if (patientAge >= minAge && patientAge <= maxAge) {
+            case 'icu': {
+                const eligible = roomRent.summary?.eligible_icu_per_day;
+                const payable = share(context.icuTotal, 'icu_excess');
                 return {
-                    applies: true,
-                    percentage: percentage,
-                    reason: maxAge === 999 ? 
-                        `Age-based co-pay for patients above ${minAge} years` :
-                        `Age-based co-pay for patients between ${minAge}-${maxAge} years`
+                    payable: payable,
+                    reason: payable < item.amount ?
+                        `ICU limited to ₹${eligible.toLocaleString('en-IN')}/day (${roomRent.summary.icu_plan_value})` :
+                        `Within ICU limit (${roomRent.summary?.icu_plan_value || 'as per policy'})`
                 };
-            } else {
+            }
+            case 'consumables': {
+                const consumables = coverages.consumables;
+                if (consumables?.covered === false) {
+                    return { payable: 0, reason: `Consumables not covered (${sources['coverages.consumables']})` };
+                }
+                if (consumables?.note) {
+                    return { payable: item.amount, reason: `Covered ${consumables.note.toLowerCase()}; items outside the list are not payable` };
+                }
+                return { payable: item.amount, reason: 'Consumables covered under the plan' };
+            }
+            case 'pre_hospitalisation':
+            case 'post_hospitalisation': {
+                const field = `${item.assessed_as}_days`;
+                const days = coverages[field];
+                const planValue = sources[`coverages.${field}`];
+                if (item.period === 'hospitalisation') {
+                    return { payable: 0, reason: `Dated during the hospital stay, not ${item.assessed_as === 'pre_hospitalisation' ? 'before admission' : 'after discharge'}; bill it under its hospital category` };
+                }
+                if (!days && planValue) {
+                    // Some plans state an amount instead ("7% OF HOSPITALISATION WITHOUT ROOM RENT, MAX Rs.5,000")
+                    const limit = LimitParser.parse(planValue);
+                    const evaluation = this.evaluatePlanLimit(limit, claimData, limit.kind === 'percent_of_expense' ? context.hospitalisationTotal : item.amount);
+                    if (limit.covered !== false && evaluation.cap !== null) {
+                        return { payable: Math.min(item.amount, evaluation.cap), reason: `${category.label} limited to ${evaluation.basis} (${planValue})` };
+                    }
+                }
+                if (!days) {
+                    return { payable: 0, reason: `${category.label} not covered under the plan` };
+                }
+                if (item.days_from_stay !== null) {
+                    const when = `${item.days_from_stay} day${item.days_from_stay === 1 ? '' : 's'} ${item.assessed_as === 'pre_hospitalisation' ? 'before admission' : 'after discharge'}`;
+                    return item.days_from_stay > days ?
+                        { payable: 0, reason: `${when}, outside the ${days}-day window (${planValue})` } :
+                        { payable: item.amount, reason: `${when}, within the ${days}-day window (${planValue})` };
+                }
+                return { payable: item.amount, reason: `${category.label} covered up to ${days} days (${planValue}); undated, so the window was not checked` };
+            }
+            case 'ambulance': {
+                const ambulance = coverages.emergency_ambulance;
+                if (!ambulance) {
+                    return { payable: item.amount, reason: 'No ambulance limit stated in the plan' };
+                }
+                const evaluation = this.evaluatePlanLimit(ambulance, claimData, item.amount);
                 return {
-                    applies: false,
-                    percentage: 0,
-                    reason: `Patient age ${patientAge} is outside co-pay age range (${minAge}-${maxAge === 999 ? '∞' : maxAge} years)`
+                    payable: evaluation.payable,
+                    reason: ambulance.covered === false ?
+                        'Ambulance charges not covered' :
+                        `Ambulance limit: ${evaluation.basis} (${sources['coverages.emergency_ambulance']})`
                 };
             }
+            default:
+                if (category.associated && proportion < 1) {
+                    return {
+                        payable: item.amount * proportion,
+                        reason: `Proportionate deduction: room rent exceeds the eligible limit (paid at ${Math.round(proportion * 100)}%)`
+                    };
+                }
+                return { payable: item.amount, reason: `${category.label} payable as part of hospitalisation` };
         }
-        
-        // Pattern 4: Simple percentage without age condition
-        const simplePercentPattern = /(\d+)%/i;
-        const simplePercentMatch = rule.match(simplePercentPattern);
-        
-        if (simplePercentMatch && !rule.includes('YEAR') && !rule.includes('AGE')) {
-            const percentage = parseInt(simplePercentMatch[1]);
-            console.log(`📊 Found universal co-pay rule: ${percentage}% for all ages`);
-            
-            return {
-                applies: true,
-                percentage: percentage,
-                reason: `Universal co-pay applicable to all ages`
-            };
+    }
+
+    /**
+     * Work out the plan co-pay for one patient
+     * @param {Object} copay - Normalized co-pay rule (sub_limits.copay)
+     * @param {Object} claimData - Claim with patient_age and pre_existing_disease
+     * @returns {Object} - { applies: boolean, percentage: number, reason: string }
+     */
+    planCopayFor(copay, claimData) {
+        const patientAge = claimData.patient_age;
+
+        if (!copay?.available) {
+            return { applies: false, percentage: 0, reason: 'Plan has no co-pay' };
         }
-        
-        console.log(`⚠️ Could not parse co-pay rule: "${copayRule}"`);
-        return {
-            applies: false,
-            percentage: 0,
-            reason: `Could not parse co-pay rule format`
-        };
+        if (claimData.pre_existing_disease && copay.ped_percentage !== null) {
+            return { applies: true, percentage: copay.ped_percentage, reason: 'Co-pay for a pre-existing disease' };
+        }
+
+        const condition = copay.age_condition;
+        if (!condition) {
+            return { applies: true, percentage: copay.percentage, reason: 'Universal co-pay applicable to all ages' };
+        }
+
+        const { min_age_years: minAge, max_age_years: maxAge, min_inclusive: inclusive } = condition;
+        const aboveMin = inclusive ? patientAge >= minAge : patientAge > minAge;
+        if (maxAge !== null) {
+            return aboveMin && patientAge <= maxAge ?
+                { applies: true, percentage: copay.percentage, reason: `Age-based co-pay for patients between ${minAge}-${maxAge} years` } :
+                { applies: false, percentage: 0, reason: `Patient age ${patientAge} is outside co-pay age range (${minAge}-${maxAge} years)` };
+        }
+        return aboveMin ?
+            { applies: true, percentage: copay.percentage, reason: inclusive ? `Age-based co-pay for patients ${minAge} years and above` : `Age-based co-pay for patients above ${minAge} years` } :
+            { applies: false, percentage: 0, reason: `Patient age ${patientAge} is below co-pay threshold of ${minAge} years` };
     }
 
     /**
      * Extract coverage details from plan
      */
     extractCoverageDetails(plan) {
-        const basicCoverages = plan.basic_coverages || {};
+        const normalized = PlanNormalizer.normalize(plan);
+        const sources = normalized.sources;
         
         return {
-            pre_hospitalization: basicCoverages['Pre-Hospitalization'] || 'As per policy',
-            post_hospitalization: basicCoverages['Post-Hospitalization'] || 'As per policy',
-            room_rent_limit: plan.sub_limits?.['Room Rent/day'] || 'As per policy',
-            consumables: basicCoverages['Consumables'] === 'YES' ? 'Covered' : 'Not Covered',
-            emergency_ambulance: basicCoverages['Emergency Ambulance'] || 'As per policy',
-            day_care: basicCoverages['DAY CARE (PROCEDURE/SURGERY)'] === 'YES' ? 'Covered' : 'Not Covered'
+            pre_hospitalization: sources['coverages.pre_hospitalisation_days'] || 'As per policy',
+            post_hospitalization: sources['coverages.post_hospitalisation_days'] || 'As per policy',
+            room_rent_limit: sources['sub_limits.room_rent_per_day'] || 'As per policy',
+            consumables: normalized.coverages.consumables?.covered ? 'Covered' : 'Not Covered',
+            emergency_ambulance: sources['coverages.emergency_ambulance'] || 'As per policy',
+            day_care: !normalized.coverages.day_care ? 'As per policy' :
+                (normalized.coverages.day_care.covered ? `Covered (${sources['coverages.day_care']})` : 'Not Covered')
         };
     }
 
+    /**
+     * Grade the result and score the engine's confidence in it.
+     * Plan fields the decision relied on that could not be read are added as review flags.
+     * status: not_eligible when any rule rejects the claim; needs_review when anything is
+     * flagged for a person to confirm; partially_eligible when deductions leave part of the
+     * claim unpaid; otherwise eligible
+     * Sets result.status, result.confidence (0-1), result.confidence_factors and
+     * result.manual_review_required
+     */
+    assessVerdict(result, claimData, plan) {
+        const factors = [];
+
+        // Plan fields behind a traced rule that the normalizer could not read (the engine fell back to defaults)
+        const issues = PlanNormalizer.normalize(plan).issues;
+        const usedFields = new Set(result.rule_trace.map(entry => entry.plan_field).filter(Boolean));
+        for (const field of [...new Set(issues.map(issue => issue.field))].filter(field => usedFields.has(field))) {
+            const problems = issues.filter(issue => issue.field === field);
+            const raw = problems.find(issue => issue.raw !== null)?.raw;
+            const reason = `Plan field ${field} ${raw ? `("${raw}") ` : ''}could not be read reliably: ${problems.map(issue => issue.problem).join('; ')}`;
+            result.review_flags.push({ rule_id: 'plan_field_unreadable', plan_field: field, reason: reason });
+            factors.push({ factor: 'unreadable_plan_field', weight: CONFIDENCE_WEIGHTS.unreadable_plan_field, detail: reason });
+        }
+
+        // Required documents not yet submitted: nobody has seen the evidence the claim rests on
+        const missingDocuments = result.document_checklist?.missing || [];
+        if (missingDocuments.length > 0) {
+            const reason = `Required documents not submitted: ${missingDocuments.map(document => document.name).join(', ')}`;
+            result.review_flags.push({ rule_id: 'documents_missing', documents: missingDocuments.map(document => document.id), reason: reason });
+            factors.push({ factor: 'documents_missing', weight: CONFIDENCE_WEIGHTS.documents_missing, detail: reason });
+        }
+
+        // The other review flags, raised by the rules themselves
+        for (const flag of result.review_flags.filter(flag => !['plan_field_unreadable', 'documents_missing'].includes(flag.rule_id))) {
+            factors.push({ factor: 'review_flag', weight: CONFIDENCE_WEIGHTS.review_flag, detail: flag.reason });
+        }
+
+        // How surely the condition was read; an unread condition leaves the disease rules matching on text alone
+        const diagnosis = claimData.diagnosis;
+        if (diagnosis && result.rule_trace.some(entry => entry.rule_id === 'diagnosis_code')) {
+            if (diagnosis.code === null) {
+                factors.push({ factor: 'unrecognised_condition', weight: CONFIDENCE_WEIGHTS.unrecognised_condition, detail: `"${diagnosis.input}" did not resolve to an ICD-10 code` });
+            } else if (diagnosis.confidence < 1) {
+                factors.push({ factor: 'diagnosis_confidence', weight: diagnosis.confidence, detail: `${diagnosis.code} from a ${diagnosis.match_type} match on "${diagnosis.matched_on}"` });
+            }
+        }
+
+        if (result.review_flags.length > 0 && result.risk_level === 'low') {
+            result.risk_level = 'medium';
+        }
+
+        let status;
+        if (!result.eligible) {
+            status = 'not_eligible';
+        } else if (result.review_flags.length > 0) {
+            status = 'needs_review';
+        } else if ((result.financial_breakdown?.total_deductions || 0) > 0) {
+            status = 'partially_eligible';
+        } else {
+            status = 'eligible';
+        }
+
+        result.status = status;
+        result.confidence = Math.round(factors.reduce((confidence, factor) => confidence * factor.weight, 1) * 100) / 100;
+        result.confidence_factors = factors;
+        result.manual_review_required = status === 'needs_review';
+        console.log(`⚖️ Verdict: ${status} (confidence ${result.confidence})`);
+    }
+
+    /**
+     * Add a review flag to a graded result after assessVerdict has run: the
+     * confidence is scaled down and an approving status becomes needs_review
+     */
+    flagForReview(result, flag) {
+        result.review_flags.push(flag);
+        result.confidence_factors = [...(result.confidence_factors || []),
+            { factor: 'review_flag', weight: CONFIDENCE_WEIGHTS.review_flag, detail: flag.reason }];
+        result.confidence = Math.round((result.confidence ?? 1) * CONFIDENCE_WEIGHTS.review_flag * 100) / 100;
+        if (['eligible', 'partially_eligible'].includes(result.status)) {
+            result.status = 'needs_review';
+        }
+        result.manual_review_required = result.status === 'needs_review';
+        if (result.risk_level === 'low') {
+            result.risk_level = 'medium';
+        }
+    }
+
     /**
      * Generate summary based on eligibility result
      */
@@ -879,6 +2906,11 @@ class ClaimEligibilityEngine {
                 if (result.illness_details?.pre_existing) {
                     recommendations.push('Provide complete medical history and previous treatment records');
                 }
+            } else if (result.claim_type === 'Maternity') {
+                recommendations.push('Keep the discharge summary stating the type of delivery');
+                if (result.maternity_details?.newborn_expenses > 0) {
+                    recommendations.push('Bill newborn expenses separately so the newborn cover can be applied');
+                }
             }
             
             // General recommendations for eligible claims
@@ -918,6 +2950,10 @@ class ClaimEligibilityEngine {
                 if (result.illness_details?.pre_existing) {
                     recommendations.push('Consider emergency treatment provisions for pre-existing conditions');
                 }
+            } else if (result.claim_type === 'Maternity') {
+                if (result.waiting_periods.maternity) {
+                    recommendations.push('Wait for the maternity waiting period to complete');
+                }
             }
             
             // General waiting period recommendations
@@ -949,22 +2985,22 @@ class ClaimEligibilityEngine {
             // Flow-specific next steps
             if (result.claim_type === 'Accident') {
                 if (result.accident_details?.type === 'RTA') {
-                    steps.push('Submit police documentation (FIR/accident report)');
                     steps.push('Get immediate medical examination and treatment');
-                } else if (result.accident_details?.type === 'Domestic') {
-                    steps.push('Provide medical consultation records');
-                    steps.push('Submit hospital/clinic documentation');
                 }
                 steps.push('File accident claim within 7 days of incident');
             } else if (result.claim_type === 'Illness') {
                 steps.push('Submit pre-authorization request if required');
-                steps.push('Provide complete medical history and test reports');
-                if (result.illness_details?.pre_existing) {
-                    steps.push('Submit previous treatment records for pre-existing conditions');
-                }
+            } else if (result.claim_type === 'Maternity') {
+                steps.push('Inform the insurer of the expected delivery date before admission');
+            }
+
+            // The document checklist names exactly what is still to be submitted
+            const missing = result.document_checklist?.missing || [];
+            if (missing.length > 0) {
+                steps.push(`Submit the required documents: ${missing.map(document => document.name).join(', ')}`);
+            } else if (!result.document_checklist) {
+                steps.push('Prepare all medical documents and bills');
             }
-            
-            steps.push('Prepare all medical documents and bills');
             steps.push('Follow cashless or reimbursement process');
             steps.push('Maintain communication with insurance team');
             
@@ -987,6 +3023,10 @@ class ClaimEligibilityEngine {
                 if (result.waiting_periods.specific_disease) {
                     steps.push('Wait for specific disease waiting period to complete');
                 }
+            } else if (result.claim_type === 'Maternity') {
+                if (result.waiting_periods.maternity) {
+                    steps.push('Wait for the maternity waiting period to complete');
+                }
             }
             
             steps.push('Consult insurance advisor for guidance');
@@ -1024,64 +3064,86 @@ class ClaimEligibilityEngine {
      */
     parseSumInsured(sumInsured) {
         if (!sumInsured) return 0;
-        
-        const cleanStr = sumInsured.toString().replace(/[₹,\s]/g, '').toUpperCase();
-        console.log(`💰 Parsing sum insured: "${sumInsured}" → "${cleanStr}"`);
-        
-        let result = 0;
-        
-        if (cleanStr.includes('CR') || cleanStr.includes('CRORE')) {
-            result = parseFloat(cleanStr.replace(/CR|CRORE/g, '')) * 10000000; // 1 Crore = 10M
-        } else if (cleanStr.includes('L') || cleanStr.includes('LAKH')) {
-            result = parseFloat(cleanStr.replace(/L|LAKH/g, '')) * 100000; // 1 Lakh = 100K
-        } else {
-            result = parseFloat(cleanStr) || 0;
-        }
-        
-        console.log(`💰 Parsed sum insured result: ₹${result.toLocaleString()}`);
+
+        const result = LimitParser.parseAmount(sumInsured) || 0;
+        console.log(`💰 Parsed sum insured: "${sumInsured}" → ₹${result.toLocaleString('en-IN')}`);
         return result;
     }
 
+    /**
+     * Add an entry to the result's rule trace
+     * @param {Object} result - Eligibility result with a rule_trace array
+     * @param {Object} entry - { rule_id, plan_field, plan_value, source, claim_input, outcome, effect, amount, detail }
+     *   source: global | plan for disease rules, otherwise omitted
+     *   outcome: passed | failed | applied | waived | flagged | not_applicable
+     *   effect: none | rejects_claim | reduces_payable | increases_cover
+     */
+    traceRule(result, entry) {
+        const effect = entry.effect || 'none';
+        result.rule_trace.push({
+            rule_id: entry.rule_id,
+            plan_field: entry.plan_field || null,
+            plan_value: entry.plan_value ?? null,
+            source: entry.source || null,
+            claim_input: entry.claim_input ?? null,
+            outcome: entry.outcome,
+            effect: {
+                type: effect,
+                // Rupees added to or removed from the payable amount; a rejection removes all of it
+                amount: effect === 'rejects_claim' ? null : (entry.amount || 0)
+            },
+            detail: entry.detail || null
+        });
+    }
+
+    /**
+     * Evaluate a parsed plan limit against the claim
+     * @param {Object} limit - PlanLimit from the normalized plan
+     * @param {Object} claimData - Claim data (sum_insured is used for % of SI and tiers)
+     * @param {number} claimAmount - Amount the limit applies to
+     * @param {number} [units] - Days, eyes, consultations, etc.
+     * @returns {Object} - { cap, payable, excess, basis }
+     */
+    evaluatePlanLimit(limit, claimData, claimAmount, units = 1) {
+        return LimitParser.evaluate(limit, {
+            sumInsured: this.parseSumInsured(claimData.sum_insured),
+            claimAmount: claimAmount,
+            units: units
+        });
+    }
+
     /**
      * Check if disease is covered
      */
     isCovered(diseaseName) {
-        const condition = diseaseName.toLowerCase();
-        return Object.keys(this.diseaseRules.covered).some(disease => condition.includes(disease));
+        return this.diseaseRules.findCovered(diseaseName, this.vocabulary.resolve(diseaseName).code, { code_from_text: true }) !== null;
     }
 
     /**
      * Check if waiting period is satisfied
      */
     isWaitingPeriodSatisfied(disease, policyAgeDays, isEmergency = false) {
-        const condition = disease.toLowerCase();
-        
-        for (const [diseaseName, rules] of Object.entries(this.diseaseRules.covered)) {
-            if (condition.includes(diseaseName)) {
-                // Emergency treatments may have relaxed waiting periods
-                if (isEmergency && rules.waiting_period > 30) {
-                    return policyAgeDays >= 30; // Minimum 30 days for emergency
-                }
-                return policyAgeDays >= rules.waiting_period;
-            }
+        const rule = this.diseaseRules.findCovered(disease, this.vocabulary.resolve(disease).code, { code_from_text: true });
+        if (!rule) {
+            return true; // Unknown diseases default to no waiting period
         }
-        
-        return true; // Unknown diseases default to no waiting period
+
+        // Emergency treatments may have relaxed waiting periods
+        if (isEmergency && rule.waiting_period > 30) {
+            return policyAgeDays >= 30; // Minimum 30 days for emergency
+        }
+        return policyAgeDays >= rule.waiting_period;
     }
 
     /**
      * Check if required documents are available
      */
     hasRequiredDocuments(diseaseName, treatmentType) {
-        const condition = diseaseName.toLowerCase();
-        
-        for (const [disease, rules] of Object.entries(this.diseaseRules.covered)) {
-            if (condition.includes(disease)) {
-                return !rules.requires_hospital || treatmentType.toLowerCase().includes('hospitalization');
-            }
+        const rule = this.diseaseRules.findCovered(diseaseName, this.vocabulary.resolve(diseaseName).code, { code_from_text: true });
+        if (!rule) {
+            return true; // Default to true for unknown diseases
         }
-        
-        return true; // Default to true for unknown diseases
+        return !rule.requires_hospital || treatmentType.toLowerCase().includes('hospitalization');
     }
 }
 
@@ -0,0 +1,212 @@
+/**
+ * Claim Red Flags - Deterministic fraud and anomaly indicators for a claim
+ *
+ * Runs after ClaimEligibilityEngine has adjudicated the claim and scores the
+ * patterns investigators look for:
+ *
+ *   waiting_period_just_cleared - claim filed soon after a waiting period it had to serve
+ *   accident_near_policy_start  - accident soon after (or before) cover began
+ *   amount_near_sum_insured     - claim close to the whole sum insured
+ *   repeated_claims             - several claims, or the same condition again, for the member
+ *   accident_type_mismatch      - the description reads like a different kind of accident
+ *
+ * Flags do not change the verdict; they are scored (0-100 overall) for the
+ * people who review the claim.
+ */
+const { LimitParser } = require('./limitParser.js');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Points per flag; the overall score is their sum, capped at 100
+const FLAG_SCORES = {
+    waiting_period_just_cleared: 20,
+    waiting_period_just_cleared_within_week: 30,
+    accident_near_policy_start: 15,
+    accident_near_policy_start_within_week: 25,
+    accident_before_policy_start: 40,
+    amount_near_sum_insured: 15,
+    amount_at_sum_insured: 25,
+    repeated_claims: 15,
+    repeated_claims_per_extra_claim: 5,
+    repeated_claims_max: 30,
+    repeated_condition: 15,
+    accident_type_mismatch: 20
+};
+
+const SCORE_LEVELS = [
+    { level: 'high', min: 50 },
+    { level: 'medium', min: 25 },
+    { level: 'low', min: 0 }
+];
+
+const WAITING_PERIOD_WINDOW_DAYS = 30;
+const ACCIDENT_WINDOW_DAYS = 30;
+const NEAR_SUM_INSURED_RATIO = 0.9;
+const AT_SUM_INSURED_RATIO = 0.98;
+const REPEAT_WINDOW_DAYS = 365;
+const REPEAT_CLAIMS_THRESHOLD = 2;
+const REPEAT_CONDITION_WINDOW_DAYS = 180;
+
+// Words that place an accident on the road or at home
+const ACCIDENT_KEYWORDS = {
+    RTA: ['road', 'traffic', 'vehicle', 'car', 'bike', 'motorbike', 'motorcycle', 'scooter', 'two-wheeler', 'truck',
+        'lorry', 'bus', 'auto-rickshaw', 'rickshaw', 'collision', 'collided', 'highway', 'pedestrian', 'overturned'],
+    Domestic: ['home', 'house', 'kitchen', 'stairs', 'staircase', 'bathroom', 'bedroom', 'fell from bed', 'slipped',
+        'ladder', 'cooking', 'pressure cooker', 'household', 'terrace', 'balcony']
+};
+
+class ClaimRedFlags {
+    /**
+     * Score a claim's red flags
+     * @param {Object} claimData - Claim inputs as adjudicated
+     * @param {Object} result - The engine's eligibility result
+     * @param {Object} context - { policy_age_days, served_waiting_periods: [{ waiting_period, label, days }],
+     *   prior_claims: ledger entries for the member, as_of }
+     * @returns {Object} - { score, level, flags: [{ flag_id, score, reason, evidence }] }
+     */
+    assess(claimData, result, context = {}) {
+        const flags = [
+            this.checkWaitingPeriodTiming(context.served_waiting_periods || [], context.policy_age_days),
+            this.checkAccidentTiming(claimData),
+            this.checkAmountNearSumInsured(claimData, result),
+            ...this.checkRepeatedClaims(claimData, context.prior_claims || [], context.as_of),
+            this.checkAccidentTypeMismatch(claimData)
+        ].filter(Boolean).sort((a, b) => b.score - a.score);
+
+        const score = Math.min(100, flags.reduce((sum, flag) => sum + flag.score, 0));
+        const level = SCORE_LEVELS.find(candidate => score >= candidate.min).level;
+        if (flags.length > 0) {
+            console.log(`🚩 Red flags: ${flags.map(flag => flag.flag_id).join(', ')} (score ${score}, ${level})`);
+        }
+        return { score: score, level: level, flags: flags };
+    }
+
+    /**
+     * Filed within a few weeks of the end of a waiting period the claim had to serve
+     */
+    checkWaitingPeriodTiming(servedWaitingPeriods, policyAgeDays) {
+        if (typeof policyAgeDays !== 'number') return null;
+
+        const closest = servedWaitingPeriods
+            .filter(period => period.days > 0)
+            .map(period => ({ ...period, days_after: policyAgeDays - period.days }))
+            .filter(period => period.days_after >= 0 && period.days_after <= WAITING_PERIOD_WINDOW_DAYS)
+            .sort((a, b) => a.days_after - b.days_after)[0];
+        if (!closest) return null;
+
+        return {
+            flag_id: 'waiting_period_just_cleared',
+            score: closest.days_after <= 7 ? FLAG_SCORES.waiting_period_just_cleared_within_week : FLAG_SCORES.waiting_period_just_cleared,
+            reason: `Claim filed ${closest.days_after} day(s) after the ${closest.label.toLowerCase()} (${closest.days} days) cleared`,
+            evidence: { waiting_period: closest.waiting_period, waiting_days: closest.days, policy_age_days: policyAgeDays, days_after: closest.days_after }
+        };
+    }
+
+    /**
+     * Accident within a few weeks of the member's cover starting, or before it
+     */
+    checkAccidentTiming(claimData) {
+        if (claimData.claim_type !== 'Accident' || !claimData.accident_date) return null;
+
+        const coverStart = claimData.member?.date_of_joining || claimData.policy_start_date;
+        const days = Math.floor((new Date(claimData.accident_date) - new Date(coverStart)) / DAY_MS);
+        if (isNaN(days) || days > ACCIDENT_WINDOW_DAYS) return null;
+
+        const evidence = { accident_date: claimData.accident_date, cover_start: coverStart, days_after_cover_start: days };
+        if (days < 0) {
+            return {
+                flag_id: 'accident_near_policy_start',
+                score: FLAG_SCORES.accident_before_policy_start,
+                reason: `Accident date is ${-days} day(s) before cover started`,
+                evidence: evidence
+            };
+        }
+        return {
+            flag_id: 'accident_near_policy_start',
+            score: days <= 7 ? FLAG_SCORES.accident_near_policy_start_within_week : FLAG_SCORES.accident_near_policy_start,
+            reason: `Accident ${days} day(s) after cover started`,
+            evidence: evidence
+        };
+    }
+
+    /**
+     * Claim amount close to the sum insured available
+     */
+    checkAmountNearSumInsured(claimData, result) {
+        const sumInsured = result.sum_insured_details?.effective_sum_insured || LimitParser.parseAmount(claimData.sum_insured);
+        const amount = Number(claimData.claim_amount) || 0;
+        if (!sumInsured || amount <= 0) return null;
+
+        const ratio = amount / sumInsured;
+        if (ratio < NEAR_SUM_INSURED_RATIO) return null;
+
+        return {
+            flag_id: 'amount_near_sum_insured',
+            score: ratio >= AT_SUM_INSURED_RATIO ? FLAG_SCORES.amount_at_sum_insured : FLAG_SCORES.amount_near_sum_insured,
+            reason: `Claim of ₹${amount.toLocaleString('en-IN')} is ${Math.round(ratio * 100)}% of the ₹${sumInsured.toLocaleString('en-IN')} sum insured`,
+            evidence: { claim_amount: amount, sum_insured: sumInsured, ratio: Math.round(ratio * 100) / 100 }
+        };
+    }
+
+    /**
+     * Several paid claims for the member in the last year, or the same condition claimed recently
+     * @param {Array} priorClaims - Ledger entries for the member, any policy year
+     */
+    checkRepeatedClaims(claimData, priorClaims, asOf) {
+        const claimDate = new Date(claimData.claim_date || asOf || Date.now());
+        const daysBefore = entry => Math.floor((claimDate - new Date(entry.claim_date)) / DAY_MS);
+        const flags = [];
+
+        const lastYear = priorClaims.filter(entry => daysBefore(entry) >= 0 && daysBefore(entry) <= REPEAT_WINDOW_DAYS);
+        if (lastYear.length >= REPEAT_CLAIMS_THRESHOLD) {
+            flags.push({
+                flag_id: 'repeated_claims',
+                score: Math.min(FLAG_SCORES.repeated_claims_max,
+                    FLAG_SCORES.repeated_claims + (lastYear.length - REPEAT_CLAIMS_THRESHOLD) * FLAG_SCORES.repeated_claims_per_extra_claim),
+                reason: `${lastYear.length} claims paid for this member in the last ${REPEAT_WINDOW_DAYS} days`,
+                evidence: { claims_count: lastYear.length, entry_ids: lastYear.map(entry => entry.entry_id) }
+            });
+        }
+
+        const condition = String(claimData.illness_type || claimData.medical_condition || '').toLowerCase().trim();
+        const sameCondition = condition ? lastYear.filter(entry =>
+            String(entry.condition || '').toLowerCase().trim() === condition && daysBefore(entry) <= REPEAT_CONDITION_WINDOW_DAYS) : [];
+        if (sameCondition.length > 0) {
+            flags.push({
+                flag_id: 'repeated_condition',
+                score: FLAG_SCORES.repeated_condition,
+                reason: `"${condition}" was already claimed for this member ${Math.min(...sameCondition.map(daysBefore))} day(s) earlier`,
+                evidence: { condition: condition, entry_ids: sameCondition.map(entry => entry.entry_id) }
+            });
+        }
+        return flags;
+    }
+
+    /**
+     * The claim's descriptions mention only the other kind of accident
+     */
+    checkAccidentTypeMismatch(claimData) {
+        const stated = claimData.accident_type;
+        if (claimData.claim_type !== 'Accident' || !ACCIDENT_KEYWORDS[stated]) return null;
+
+        const text = [claimData.accident_description, claimData.overall_description, claimData.basic_description, claimData.additional_info]
+            .filter(Boolean).join(' ').toLowerCase();
+        if (!text.trim()) return null;
+
+        const found = type => ACCIDENT_KEYWORDS[type].filter(keyword =>
+            new RegExp(`\\b${keyword.replace(/[-\s]/g, '[-\\s]?')}\\b`).test(text));
+        const other = stated === 'RTA' ? 'Domestic' : 'RTA';
+        const supporting = found(stated);
+        const contradicting = found(other);
+        if (contradicting.length === 0 || supporting.length > 0) return null;
+
+        return {
+            flag_id: 'accident_type_mismatch',
+            score: FLAG_SCORES.accident_type_mismatch,
+            reason: `Stated as ${stated === 'RTA' ? 'a road traffic' : 'a domestic'} accident, but the description mentions ${contradicting.map(keyword => `"${keyword}"`).join(', ')}`,
+            evidence: { accident_type: stated, keywords: contradicting }
+        };
+    }
+}
+
+module.exports = { ClaimRedFlags };
@@ -0,0 +1,244 @@
+/**
+ * Claim Simulator - When a condition becomes claimable under a plan, and for how much
+ *
+ * Builds a timeline of the waiting periods that apply to the scenario (initial,
+ * specific-disease, pre-existing and maternity), each counted from policy start
+ * (or the previous delivery). ClaimEligibilityEngine then adjudicates the claim
+ * as of the day the last of them clears, so co-pay, sub-limits and exclusions
+ * are applied exactly as they would be on a real claim.
+ */
+const { WaitingPeriodParser } = require('./waitingPeriodParser.js');
+const { MedicalVocabulary } = require('./medicalVocabulary.js');
+const { LimitParser } = require('./limitParser.js');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const CLAIM_TYPES = ['Illness', 'Maternity'];
+
+class ClaimSimulator {
+    /**
+     * @param {Object} options - { engine: ClaimEligibilityEngine }
+     */
+    constructor(options) {
+        this.engine = options.engine;
+    }
+
+    /**
+     * Scenario inputs are checked before simulation
+     * @returns {string|null} - Error message, or null when the scenario is usable
+     */
+    validateScenario(scenario) {
+        const claimType = scenario.claim_type || 'Illness';
+        if (!CLAIM_TYPES.includes(claimType)) {
+            return `claim_type must be one of: ${CLAIM_TYPES.join(', ')}`;
+        }
+        if (!scenario.policy_start_date || isNaN(new Date(scenario.policy_start_date).getTime())) {
+            return 'policy_start_date must be a valid date';
+        }
+        if (claimType === 'Illness' && !scenario.condition && !scenario.icd10_code) {
+            return 'condition or icd10_code is required';
+        }
+        if (scenario.icd10_code && !MedicalVocabulary.isValidCode(scenario.icd10_code)) {
+            return 'icd10_code must be an ICD-10 code such as N20.0';
+        }
+        if (!(Number(scenario.claim_amount) > 0)) {
+            return 'claim_amount must be a positive number';
+        }
+        if (!(LimitParser.parseAmount(scenario.sum_insured) > 0)) {
+            return 'sum_insured must be a positive amount (e.g. 500000 or "5L")';
+        }
+        if (scenario.patient_age !== undefined && scenario.patient_age !== '' && !(Number(scenario.patient_age) >= 0)) {
+            return 'patient_age must be a non-negative number';
+        }
+        if (scenario.as_of && isNaN(new Date(scenario.as_of).getTime())) {
+            return 'as_of must be a valid date';
+        }
+        return claimType === 'Maternity' ? this.engine.validateMaternityClaim(scenario) : null;
+    }
+
+    /**
+     * Simulate a claim for the scenario
+     * @param {Object} scenario - { claim_type, condition, icd10_code, policy_start_date, patient_age, sum_insured,
+     *   claim_amount, pre_existing_disease, as_of, plus any other claim input the engine reads }
+     * @returns {Object} - { timeline, earliest_eligible_date, eligible_now, days_until_eligible, projected, verdict }
+     */
+    async simulate(scenario, planFilePath) {
+        const error = this.validateScenario(scenario);
+        if (error) {
+            throw new Error(error);
+        }
+
+        try {
+            const claimType = scenario.claim_type || 'Illness';
+            const today = ClaimSimulator.toDate(scenario.as_of || new Date());
+            const claimData = { ...scenario, claim_type: claimType, illness_type: scenario.condition };
+            const diagnosis = scenario.condition || scenario.icd10_code ?
+                this.engine.vocabulary.resolve(scenario.condition, scenario.icd10_code) :
+                null;
+
+            const planDetails = await this.engine.planManager.getPlan(planFilePath, { normalized: true });
+            const timeline = this.buildTimeline(planDetails.data, { ...claimData, diagnosis: diagnosis }, today)
+                .sort((a, b) => (a.clears_on || '9999').localeCompare(b.clears_on || '9999'));
+
+            // The claim is first possible once every waiting period with a known length has cleared
+            const clearDate = [today, ...timeline.map(entry => entry.clears_on).filter(Boolean)].sort().pop();
+            const yearsAhead = Math.floor(ClaimSimulator.daysBetween(today, clearDate) / 365);
+            const result = await this.engine.analyzeClaimEligibility({
+                ...claimData,
+                claim_date: clearDate,
+                patient_age: scenario.patient_age === undefined || scenario.patient_age === '' ?
+                    scenario.patient_age :
+                    Number(scenario.patient_age) + yearsAhead
+            }, planFilePath, { as_of: clearDate });
+
+            const breakdown = result.financial_breakdown || {};
+            console.log(`🔮 Simulated ${claimType.toLowerCase()} claim: ${result.eligible ? `eligible from ${clearDate}` : 'not eligible on any date'}`);
+            return {
+                claim_type: claimType,
+                condition: scenario.condition || null,
+                diagnosis: diagnosis && { code: diagnosis.code, name: diagnosis.name, match_type: diagnosis.match_type, confidence: diagnosis.confidence },
+                policy_start_date: ClaimSimulator.toDate(scenario.policy_start_date),
+                as_of: today,
+                timeline: timeline,
+                earliest_eligible_date: result.eligible ? clearDate : null,
+                eligible_now: result.eligible && clearDate === today,
+                days_until_eligible: result.eligible ? ClaimSimulator.daysBetween(today, clearDate) : null,
+                // Waiting periods were served by then; what still rejects the claim does not expire
+                blockers: result.eligible ? [] : result.rejection_reasons,
+                projected: result.eligible ? {
+                    claim_amount: breakdown.total_claim,
+                    deductions: breakdown.deductions,
+                    total_deductions: breakdown.total_deductions,
+                    admissible_amount: breakdown.admissible_amount,
+                    copay_percentage: breakdown.copay_percentage,
+                    copay_amount: breakdown.copay_amount,
+                    payable_amount: breakdown.final_amount,
+                    patient_age: breakdown.patient_age
+                } : null,
+                verdict: {
+                    status: result.status,
+                    confidence: result.confidence,
+                    summary: result.summary,
+                    review_flags: result.review_flags,
+                    rule_trace: result.rule_trace
+                },
+                plan_details: result.plan_details
+            };
+        } catch (error) {
+            throw new Error(`Failed to simulate claim: ${error.message}`);
+        }
+    }
+
+    /**
+     * Waiting periods that apply to the scenario, each with the date it clears
+     * @returns {Array} - [{ waiting_period, label, days, source, plan_field, plan_value, starts_on, clears_on, cleared, days_remaining }]
+     */
+    buildTimeline(plan, claimData, today) {
+        const waitingPeriods = this.engine.resolvePlanWaitingPeriods(plan, claimData);
+        const policyStart = ClaimSimulator.toDate(claimData.policy_start_date);
+        const entry = (waitingPeriod, label, days, details) => {
+            const startsOn = details.starts_on === undefined ? policyStart : details.starts_on;
+            const clearsOn = days === null || !startsOn ? null : ClaimSimulator.addDays(startsOn, days);
+            return {
+                waiting_period: waitingPeriod,
+                label: label,
+                days: days,
+                source: details.source || null,
+                plan_field: details.plan_field || null,
+                plan_value: details.plan_value ?? null,
+                starts_on: startsOn,
+                clears_on: clearsOn,
+                cleared: clearsOn !== null && clearsOn <= today,
+                days_remaining: clearsOn === null ? null : Math.max(0, ClaimSimulator.daysBetween(today, clearsOn)),
+                detail: details.detail || null
+            };
+        };
+
+        const timeline = [entry('initial', 'Initial waiting period', waitingPeriods.initial.days, {
+            source: waitingPeriods.initial.source,
+            plan_field: 'waiting_periods.initial',
+            plan_value: waitingPeriods.initial.plan_value
+        })];
+
+        if (claimData.pre_existing_disease) {
+            timeline.push(entry('pre_existing', 'Pre-existing disease waiting period', waitingPeriods.pre_existing.days, {
+                source: waitingPeriods.pre_existing.source,
+                plan_field: 'waiting_periods.pre_existing',
+                plan_value: waitingPeriods.pre_existing.plan_value
+            }));
+        }
+
+        if (claimData.claim_type === 'Illness') {
+            const condition = String(claimData.condition || '').toLowerCase().trim();
+            const match = this.engine.matchCoveredDisease(this.engine.getDiseaseRules(plan).ruleSet, condition, claimData.diagnosis, waitingPeriods);
+            if (match) {
+                const fromPlan = this.engine.usesPlanSpecificDiseaseWaiting(match.rule, waitingPeriods);
+                timeline.push(entry('specific_disease', `Specific disease waiting period for ${match.rule.name}`,
+                    this.engine.getDiseaseWaitingDays(match.rule, waitingPeriods), {
+                        source: fromPlan ? 'plan' : `${match.rule.source} disease rules`,
+                        plan_field: fromPlan ? 'waiting_periods.specific_disease' : null,
+                        plan_value: fromPlan ? waitingPeriods.specific_disease.plan_value : null
+                    }));
+            }
+        }
+
+        if (claimData.claim_type === 'Maternity') {
+            timeline.push(...this.buildMaternityTimeline(plan, claimData, entry));
+        }
+        return timeline;
+    }
+
+    /**
+     * Maternity waiting periods: the first-delivery period from policy start, and for
+     * later deliveries the second-delivery period (from the previous delivery when the plan says so)
+     */
+    buildMaternityTimeline(plan, claimData, entry) {
+        const cover = this.engine.resolveMaternityCover(plan);
+        if (!cover || !cover.available) {
+            return [];
+        }
+
+        const first = cover.first_delivery_waiting;
+        const entries = [];
+        if (first?.applies !== false) {
+            const days = WaitingPeriodParser.resolve(first, claimData);
+            entries.push(entry('maternity', 'Maternity waiting period', days, {
+                source: 'plan',
+                plan_field: 'maternity.first_delivery_waiting',
+                plan_value: first?.raw ?? null,
+                detail: days === null ? 'Waiting period not stated in the plan' : null
+            }));
+        }
+
+        const second = cover.second_delivery_waiting;
+        if ((Number(claimData.delivery_number) || 1) > 1 && second && second.applies !== false) {
+            const fromPrevious = second.from_previous_delivery;
+            entries.push(entry('maternity_second_delivery', 'Waiting period for later deliveries', second.days, {
+                source: 'plan',
+                plan_field: 'maternity.second_delivery_waiting',
+                plan_value: second.raw,
+                starts_on: fromPrevious ? (claimData.previous_delivery_date ? ClaimSimulator.toDate(claimData.previous_delivery_date) : null) : undefined,
+                detail: fromPrevious && !claimData.previous_delivery_date ?
+                    'Counted from the previous delivery, which was not given' :
+                    (second.days === null ? 'Waiting period not stated in the plan' : null)
+            }));
+        }
+        return entries;
+    }
+
+    /**
+     * @returns {string} - YYYY-MM-DD
+     */
+    static toDate(value) {
+        return new Date(value).toISOString().split('T')[0];
+    }
+
+    static addDays(date, days) {
+        return new Date(new Date(date).getTime() + days * DAY_MS).toISOString().split('T')[0];
+    }
+
+    static daysBetween(from, to) {
+        return Math.round((new Date(to) - new Date(from)) / DAY_MS);
+    }
+}
+
+module.exports = { ClaimSimulator };
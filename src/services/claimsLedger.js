@@ -0,0 +1,199 @@
+/**
+ * Claims Ledger - Persistent record of approved claim amounts per policy and member
+ *
+ * Entries are stored in a local JSON file outside the statically served paths
+ * (storage/ by default, or CLAIMS_LEDGER_PATH). The engine reads the ledger to
+ * reduce the available sum insured by earlier claims in the same policy year.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class ClaimsLedger {
+    constructor(filePath = process.env.CLAIMS_LEDGER_PATH) {
+        this.filePath = filePath || path.join(__dirname, '../../storage/claims-ledger.json');
+        // Writes are serialised so concurrent requests cannot drop each other's entries
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Read all entries; a missing file is an empty ledger
+     */
+    async load() {
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf-8');
+            const data = JSON.parse(raw);
+            return Array.isArray(data.entries) ? data.entries : [];
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw new Error(`Failed to read claims ledger: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write all entries atomically (temp file + rename)
+     */
+    async save(entries) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ version: 1, entries: entries }, null, 2), 'utf-8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Run a read-modify-write against the ledger file in order
+     */
+    update(mutator) {
+        const run = this.writeQueue.then(async () => {
+            const entries = await this.load();
+            const result = mutator(entries);
+            await this.save(entries);
+            return result;
+        });
+        // Keep the queue alive after a failed write
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Validate and record an approved claim amount
+     * @param {Object} claim - { policy_number, member_id, policy_start_date, claim_date, amount_approved,
+     *   condition, limit_id, restore_used, claim_reference }
+     * @returns {Promise<Object>} - The stored entry
+     */
+    async recordClaim(claim) {
+        const error = ClaimsLedger.validateClaim(claim);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const claimDate = claim.claim_date || new Date().toISOString().split('T')[0];
+        const policyYear = ClaimsLedger.getPolicyYear(claim.policy_start_date, claimDate);
+        const entry = {
+            entry_id: crypto.randomUUID(),
+            policy_number: String(claim.policy_number),
+            member_id: String(claim.member_id),
+            policy_year_start: policyYear.start,
+            claim_date: claimDate,
+            amount_approved: Number(claim.amount_approved),
+            condition: claim.condition || null,
+            limit_id: claim.limit_id || null,
+            restore_used: Boolean(claim.restore_used),
+            claim_reference: claim.claim_reference || null,
+            recorded_at: new Date().toISOString()
+        };
+
+        await this.update(entries => entries.push(entry));
+        console.log(`📒 Recorded ₹${entry.amount_approved.toLocaleString('en-IN')} for ${entry.policy_number}/${entry.member_id}`);
+        return entry;
+    }
+
+    /**
+     * Remove an entry (e.g., a claim later reversed)
+     * @returns {Promise<boolean>} - true when an entry was removed
+     */
+    async removeEntry(entryId) {
+        return this.update(entries => {
+            const index = entries.findIndex(entry => entry.entry_id === entryId);
+            if (index === -1) return false;
+            entries.splice(index, 1);
+            return true;
+        });
+    }
+
+    /**
+     * Entries for a policy, optionally narrowed to a member and policy year
+     */
+    async getEntries(policyNumber, memberId = null, policyYearStart = null) {
+        const entries = await this.load();
+        return entries.filter(entry => entry.policy_number === String(policyNumber) &&
+            (memberId === null || entry.member_id === String(memberId)) &&
+            (policyYearStart === null || entry.policy_year_start === policyYearStart));
+    }
+
+    /**
+     * Totals for the policy year containing `asOf`
+     * @param {string} policyNumber
+     * @param {string|null} memberId - null sums every member (floater policies)
+     * @param {Object} options - { policy_start_date, as_of }
+     * @returns {Promise<Object>} - { policy_year_start, policy_year_end, total_paid, claims_count, by_limit, restore_used, entries }
+     */
+    async getPolicyYearSummary(policyNumber, memberId, options = {}) {
+        const policyYear = ClaimsLedger.getPolicyYear(options.policy_start_date, options.as_of || new Date());
+        const entries = await this.getEntries(policyNumber, memberId, policyYear.start);
+        const byLimit = {};
+
+        for (const entry of entries) {
+            if (entry.limit_id) {
+                byLimit[entry.limit_id] = (byLimit[entry.limit_id] || 0) + entry.amount_approved;
+            }
+        }
+
+        return {
+            policy_number: String(policyNumber),
+            member_id: memberId === null ? null : String(memberId),
+            policy_year_start: policyYear.start,
+            policy_year_end: policyYear.end,
+            total_paid: entries.reduce((sum, entry) => sum + entry.amount_approved, 0),
+            claims_count: entries.length,
+            by_limit: byLimit,
+            restore_used: entries.some(entry => entry.restore_used),
+            entries: entries
+        };
+    }
+
+    /**
+     * Policy year (anniversary to anniversary) containing the given date
+     * @returns {{start: string, end: string}} - ISO dates, end inclusive
+     */
+    static getPolicyYear(policyStartDate, onDate) {
+        const start = new Date(policyStartDate);
+        const date = new Date(onDate);
+        if (isNaN(start.getTime()) || isNaN(date.getTime())) {
+            throw new Error('A valid policy_start_date and claim date are required to find the policy year');
+        }
+
+        let years = date.getUTCFullYear() - start.getUTCFullYear();
+        const anniversary = new Date(Date.UTC(start.getUTCFullYear() + years, start.getUTCMonth(), start.getUTCDate()));
+        if (anniversary > date) {
+            years -= 1;
+        }
+        years = Math.max(0, years);
+
+        const yearStart = new Date(Date.UTC(start.getUTCFullYear() + years, start.getUTCMonth(), start.getUTCDate()));
+        const yearEnd = new Date(Date.UTC(start.getUTCFullYear() + years + 1, start.getUTCMonth(), start.getUTCDate() - 1));
+        return {
+            start: yearStart.toISOString().split('T')[0],
+            end: yearEnd.toISOString().split('T')[0]
+        };
+    }
+
+    /**
+     * @returns {string|null} - Error message, or null when the claim can be recorded
+     */
+    static validateClaim(claim) {
+        if (!claim || typeof claim !== 'object') {
+            return 'Claim details are required';
+        }
+        for (const field of ['policy_number', 'member_id', 'policy_start_date']) {
+            if (!claim[field]) {
+                return `Missing required field: ${field}`;
+            }
+        }
+        if (isNaN(new Date(claim.policy_start_date).getTime())) {
+            return 'policy_start_date must be a valid date';
+        }
+        if (claim.claim_date && isNaN(new Date(claim.claim_date).getTime())) {
+            return 'claim_date must be a valid date';
+        }
+        const amount = Number(claim.amount_approved);
+        if (claim.amount_approved === undefined || claim.amount_approved === null || !isFinite(amount) || amount < 0) {
+            return 'amount_approved must be a non-negative number';
+        }
+        return null;
+    }
+}
+
+module.exports = { ClaimsLedger };
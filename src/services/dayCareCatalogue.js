@@ -0,0 +1,102 @@
+/**
+ * Day Care Catalogue - Procedures that need less than 24 hours in hospital
+ *
+ * Entries in data/day-care-procedures.json list the terms a procedure is
+ * written as on a claim. A short stay for a listed procedure is day care; a
+ * short stay for anything else fails the 24-hour hospitalisation requirement.
+ */
+const fs = require('fs');
+
+class DayCareCatalogue {
+    /**
+     * @param {Array} procedures - Validated procedures (see validate)
+     */
+    constructor(procedures = []) {
+        this.procedures = procedures;
+        this.terms = procedures.flatMap(procedure => procedure.terms.map(term => {
+            const text = term.toLowerCase().trim();
+            const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+            return {
+                procedure: procedure,
+                text: text,
+                // Whole words, optionally plural
+                regex: new RegExp(`(?:^|[^a-z0-9])${escaped}(?:s|es)?(?![a-z0-9])`, 'i')
+            };
+        }));
+    }
+
+    /**
+     * Load and validate a catalogue file; throws with every problem found
+     */
+    static fromFile(filePath) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read day care catalogue: ${error.message}`);
+        }
+
+        const errors = this.validate(data?.procedures);
+        if (errors.length > 0) {
+            throw new Error(`Invalid day care catalogue in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+        }
+        return new DayCareCatalogue(data.procedures);
+    }
+
+    /**
+     * @returns {string[]} - Problems found; empty when the procedures are valid
+     */
+    static validate(procedures) {
+        if (!Array.isArray(procedures) || procedures.length === 0) {
+            return ['procedures must be a non-empty array'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+        procedures.forEach((procedure, index) => {
+            const at = `procedures[${index}]${procedure?.id ? ` (${procedure.id})` : ''}`;
+            if (!procedure || typeof procedure !== 'object') {
+                errors.push(`${at} must be an object`);
+                return;
+            }
+            if (!procedure.id || typeof procedure.id !== 'string') {
+                errors.push(`${at}.id is required`);
+            } else if (ids.has(procedure.id)) {
+                errors.push(`${at}.id is a duplicate`);
+            }
+            ids.add(procedure.id);
+
+            if (typeof procedure.name !== 'string' || !procedure.name.trim()) {
+                errors.push(`${at}.name is required`);
+            }
+            if (!Array.isArray(procedure.terms) || procedure.terms.length === 0 ||
+                !procedure.terms.every(term => typeof term === 'string' && term.trim())) {
+                errors.push(`${at}.terms must be a non-empty list of strings`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * The listed procedure the text describes; the longest matching term wins
+     * @returns {Object|null} - { id, name, specialty, matched_on }
+     */
+    match(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+
+        const best = this.terms
+            .filter(term => term.regex.test(value))
+            .sort((a, b) => b.text.length - a.text.length)[0];
+        if (!best) return null;
+
+        return {
+            id: best.procedure.id,
+            name: best.procedure.name,
+            specialty: best.procedure.specialty || null,
+            matched_on: best.text
+        };
+    }
+}
+
+module.exports = { DayCareCatalogue };
@@ -0,0 +1,425 @@
+/**
+ * Disease Rule Set - Declarative disease rules from data/disease-rules.json
+ *
+ * Each rule matches the claimed condition by ICD-10 code prefixes (`codes`,
+ * used whenever the condition resolved to a code), or by terms and synonyms
+ * (matched from the start of a word, so "kidney stone" also matches "kidney
+ * stones") and regular expression patterns. `when` / `unless` conditions decide
+ * whether the rule's effects apply to a claim:
+ *
+ *   age                - { min, max } patient age in years
+ *   gender             - ["female", "male", ...]
+ *   treatment_type     - ["planned surgery", ...] (substring of the claim's treatment type)
+ *   emergency          - true | false
+ *   policy_tenure_days - { min, max } days since the policy (or member) started
+ *
+ * Effects the engine applies when a rule matches and its conditions hold:
+ *
+ *   reject      - { reason }                            claim is not payable
+ *   cap         - { amount } or { percentage_of_si }    payable amount capped
+ *   copay       - { percentage, reason }                added to the plan co-pay
+ *   flag_review - { reason }                            claim needs manual review
+ *
+ * Covered diseases also carry waiting_period (days), requires_hospital and risk_level.
+ * specific_disease: true marks the diseases a plan's SPECIFIC DISEASE waiting
+ * period applies to in place of waiting_period.
+ *
+ * A plan can adjust the rulebook with a `disease_rule_overrides` block:
+ *
+ *   rules   - rules merged over the global rule with the same id (match and
+ *             effects are replaced whole), or new rules with a new id
+ *   disable - ids of global rules that do not apply to the plan
+ *
+ * Every rule records its source ('global' or 'plan'); plan rules also list
+ * the overridden_fields the plan set.
+ */
+const fs = require('fs');
+
+const CATEGORIES = ['covered', 'excluded', 'conditional'];
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const EFFECT_TYPES = ['reject', 'cap', 'copay', 'flag_review'];
+const CONDITION_KEYS = ['age', 'gender', 'treatment_type', 'emergency', 'policy_tenure_days'];
+
+class DiseaseRuleSet {
+    /**
+     * @param {Array} rules - Validated rules (see validate)
+     */
+    constructor(rules) {
+        this.rules = rules.map(rule => ({
+            ...rule,
+            name: rule.name || rule.match.terms?.[0] || rule.id,
+            source: rule.source || 'global',
+            effects: rule.effects || [],
+            matchers: DiseaseRuleSet.compileMatchers(rule.match)
+        }));
+    }
+
+    /**
+     * Load and validate a rules file; throws with every problem found
+     */
+    static fromFile(filePath) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read disease rules: ${error.message}`);
+        }
+        return this.fromData(data, filePath);
+    }
+
+    /**
+     * Build a rule set from parsed JSON in either the rules format or the
+     * original { covered, excluded, conditional } maps
+     */
+    static fromData(data, source = 'disease rules') {
+        const rules = Array.isArray(data?.rules) ? data.rules : this.convertLegacy(data || {});
+        const errors = this.validate(rules);
+        if (errors.length > 0) {
+            throw new Error(`Invalid disease rules in ${source}:\n  - ${errors.join('\n  - ')}`);
+        }
+        return new DiseaseRuleSet(rules);
+    }
+
+    /**
+     * Merge a plan's overrides over this rule set
+     * @param {Object} overrides - { rules: [...], disable: [ids] }
+     * @param {string} source - Plan name used in error messages
+     * @returns {Object} - { ruleSet, overridden, added, disabled }; throws with every problem found
+     */
+    withOverrides(overrides, source = 'plan') {
+        const errors = DiseaseRuleSet.validateOverrides(overrides, this.rules.map(rule => rule.id));
+        if (errors.length > 0) {
+            throw new Error(`Invalid disease rule overrides in ${source}:\n  - ${errors.join('\n  - ')}`);
+        }
+
+        const disabled = overrides.disable || [];
+        const overriding = new Map((overrides.rules || []).map(rule => [rule.id, rule]));
+        const overridden = [];
+        const rules = this.rules
+            .filter(rule => !disabled.includes(rule.id))
+            .map(({ matchers, ...rule }) => {
+                const override = overriding.get(rule.id);
+                if (!override) return rule;
+                overridden.push(rule.id);
+                return { ...rule, ...override, source: 'plan', overridden_fields: Object.keys(override).filter(key => key !== 'id') };
+            });
+        const added = [...overriding.keys()].filter(id => !overridden.includes(id));
+        rules.push(...added.map(id => ({
+            ...overriding.get(id),
+            source: 'plan',
+            overridden_fields: Object.keys(overriding.get(id)).filter(key => key !== 'id')
+        })));
+
+        const ruleErrors = DiseaseRuleSet.validate(rules);
+        if (ruleErrors.length > 0) {
+            throw new Error(`Invalid disease rule overrides in ${source}:\n  - ${ruleErrors.join('\n  - ')}`);
+        }
+        return {
+            ruleSet: new DiseaseRuleSet(rules),
+            overridden: overridden,
+            added: added,
+            disabled: disabled
+        };
+    }
+
+    /**
+     * Shape checks for a plan's override block; merged rules are checked by validate
+     * @param {string[]} globalIds - Ids in the global rule set
+     * @returns {string[]} - Problems found; empty when the block is usable
+     */
+    static validateOverrides(overrides, globalIds) {
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            return ['disease_rule_overrides must be an object with rules and/or disable'];
+        }
+
+        const errors = [];
+        const unknownKeys = Object.keys(overrides).filter(key => !['rules', 'disable'].includes(key));
+        if (unknownKeys.length > 0) {
+            errors.push(`disease_rule_overrides has unknown keys: ${unknownKeys.join(', ')}`);
+        }
+        if (overrides.rules !== undefined && !Array.isArray(overrides.rules)) {
+            errors.push('disease_rule_overrides.rules must be a list');
+        }
+        if (overrides.disable !== undefined && !Array.isArray(overrides.disable)) {
+            errors.push('disease_rule_overrides.disable must be a list of rule ids');
+        }
+        if (errors.length > 0) return errors;
+
+        const overrideIds = new Set();
+        (overrides.rules || []).forEach((rule, index) => {
+            if (!rule || typeof rule !== 'object' || !rule.id || typeof rule.id !== 'string') {
+                errors.push(`disease_rule_overrides.rules[${index}].id is required`);
+            } else if (overrideIds.has(rule.id)) {
+                errors.push(`disease_rule_overrides.rules[${index}].id ${rule.id} is a duplicate`);
+            } else {
+                overrideIds.add(rule.id);
+            }
+        });
+        for (const id of overrides.disable || []) {
+            if (!globalIds.includes(id)) {
+                errors.push(`disease_rule_overrides.disable: ${id} is not a global rule`);
+            } else if (overrideIds.has(id)) {
+                errors.push(`disease_rule_overrides: ${id} is both overridden and disabled`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Convert { covered: { name: {...} }, excluded: { name: reason }, conditional: { name: note } }
+     */
+    static convertLegacy(data) {
+        const toId = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        return [
+            ...Object.entries(data.covered || {}).map(([name, rule]) => ({
+                id: toId(name),
+                category: 'covered',
+                match: { terms: [name] },
+                ...rule
+            })),
+            ...Object.entries(data.excluded || {}).map(([name, reason]) => ({
+                id: `excluded_${toId(name)}`,
+                category: 'excluded',
+                name: name,
+                match: { terms: [name] },
+                effects: [{ type: 'reject', reason: reason }]
+            })),
+            ...Object.entries(data.conditional || {}).map(([name, note]) => ({
+                id: `conditional_${toId(name)}`,
+                category: 'conditional',
+                name: name,
+                match: { terms: [name] },
+                effects: [{ type: 'flag_review', reason: note }]
+            }))
+        ];
+    }
+
+    /**
+     * @returns {string[]} - Problems found; empty when the rules are valid
+     */
+    static validate(rules) {
+        const errors = [];
+        const ids = new Set();
+        const isRange = value => value && typeof value === 'object' &&
+            ['min', 'max'].some(key => value[key] !== undefined) &&
+            ['min', 'max'].every(key => value[key] === undefined || typeof value[key] === 'number');
+        const isStringList = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+
+        if (!Array.isArray(rules) || rules.length === 0) {
+            return ['rules must be a non-empty array'];
+        }
+
+        rules.forEach((rule, index) => {
+            const at = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${at} must be an object`);
+                return;
+            }
+            if (!rule.id || typeof rule.id !== 'string') {
+                errors.push(`${at}.id is required`);
+            } else if (ids.has(rule.id)) {
+                errors.push(`${at}.id is a duplicate`);
+            }
+            ids.add(rule.id);
+
+            if (!CATEGORIES.includes(rule.category)) {
+                errors.push(`${at}.category must be one of: ${CATEGORIES.join(', ')}`);
+            }
+
+            const match = rule.match || {};
+            if (!match.terms && !match.patterns && !match.codes) {
+                errors.push(`${at}.match needs terms, patterns or codes`);
+            }
+            for (const key of ['terms', 'synonyms', 'patterns', 'codes']) {
+                if (match[key] !== undefined && !isStringList(match[key])) {
+                    errors.push(`${at}.match.${key} must be a non-empty list of strings`);
+                }
+            }
+            for (const code of Array.isArray(match.codes) ? match.codes : []) {
+                if (!/^[A-Z]([0-9]{1,2}(\.[0-9A-Z]{1,2})?)?$/.test(code)) {
+                    errors.push(`${at}.match.codes: ${code} is not an ICD-10 code or code prefix`);
+                }
+            }
+            for (const pattern of match.patterns || []) {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (error) {
+                    errors.push(`${at}.match.patterns: ${error.message}`);
+                }
+            }
+
+            if (rule.category === 'covered' && !(Number.isInteger(rule.waiting_period) && rule.waiting_period >= 0)) {
+                errors.push(`${at}.waiting_period must be a whole number of days for covered diseases`);
+            }
+            if (rule.specific_disease !== undefined && typeof rule.specific_disease !== 'boolean') {
+                errors.push(`${at}.specific_disease must be true or false`);
+            }
+            if (rule.requires_hospital !== undefined && typeof rule.requires_hospital !== 'boolean') {
+                errors.push(`${at}.requires_hospital must be true or false`);
+            }
+            if (rule.risk_level !== undefined && !RISK_LEVELS.includes(rule.risk_level)) {
+                errors.push(`${at}.risk_level must be one of: ${RISK_LEVELS.join(', ')}`);
+            }
+
+            for (const clause of ['when', 'unless']) {
+                const conditions = rule[clause];
+                if (conditions === undefined) continue;
+                if (!conditions || typeof conditions !== 'object' || Object.keys(conditions).length === 0) {
+                    errors.push(`${at}.${clause} must be a non-empty object`);
+                    continue;
+                }
+                for (const [key, value] of Object.entries(conditions)) {
+                    if (!CONDITION_KEYS.includes(key)) {
+                        errors.push(`${at}.${clause}.${key} is not a known condition (${CONDITION_KEYS.join(', ')})`);
+                    } else if (['age', 'policy_tenure_days'].includes(key) && !isRange(value)) {
+                        errors.push(`${at}.${clause}.${key} must be { min, max } with numbers`);
+                    } else if (['gender', 'treatment_type'].includes(key) && !isStringList(value)) {
+                        errors.push(`${at}.${clause}.${key} must be a non-empty list of strings`);
+                    } else if (key === 'emergency' && typeof value !== 'boolean') {
+                        errors.push(`${at}.${clause}.emergency must be true or false`);
+                    }
+                }
+            }
+
+            if (rule.effects !== undefined && !Array.isArray(rule.effects)) {
+                errors.push(`${at}.effects must be a list`);
+            }
+            (Array.isArray(rule.effects) ? rule.effects : []).forEach((effect, effectIndex) => {
+                const effectAt = `${at}.effects[${effectIndex}]`;
+                if (!EFFECT_TYPES.includes(effect?.type)) {
+                    errors.push(`${effectAt}.type must be one of: ${EFFECT_TYPES.join(', ')}`);
+                    return;
+                }
+                if (['reject', 'flag_review'].includes(effect.type) && (typeof effect.reason !== 'string' || !effect.reason.trim())) {
+                    errors.push(`${effectAt}.reason is required`);
+                }
+                if (effect.type === 'cap' && !((effect.amount > 0) !== (effect.percentage_of_si > 0))) {
+                    errors.push(`${effectAt} needs either a positive amount or a positive percentage_of_si`);
+                }
+                if (effect.type === 'copay' && !(effect.percentage > 0 && effect.percentage <= 100)) {
+                    errors.push(`${effectAt}.percentage must be between 0 and 100`);
+                }
+            });
+            if (rule.category === 'excluded' && !(rule.effects || []).some(effect => effect?.type === 'reject')) {
+                errors.push(`${at} is excluded but has no reject effect`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Terms and synonyms match from the start of a word; patterns are regular expressions
+     */
+    static compileMatchers(match) {
+        const escape = text => text.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        return [
+            ...[...(match.terms || []), ...(match.synonyms || [])].map(term => ({
+                label: term,
+                regex: new RegExp(`\\b${escape(term)}`, 'i')
+            })),
+            ...(match.patterns || []).map(pattern => ({
+                label: `/${pattern}/`,
+                regex: new RegExp(pattern, 'i')
+            }))
+        ];
+    }
+
+    /**
+     * Rules matching the condition, in file order. A rule matches when the ICD-10 code
+     * falls under one of its codes, or when the text matches its terms. A text match on
+     * a rule whose codes the resolved code is not under is marked code_mismatch: the
+     * condition stated and the code given disagree, and both rules apply.
+     * A code resolved from the text itself already reflects it ("hearing aids" is H91.9,
+     * not AIDS), so with code_from_text rules that list codes match on the code alone.
+     * @param {string} condition - Claimed condition text
+     * @param {string|null} category - covered | excluded | conditional
+     * @param {string|null} code - ICD-10 code, stated on the claim or resolved from the text
+     * @param {Object} [options] - { code_from_text }
+     * @returns {Array<{rule: Object, matched_on: string, code_mismatch: boolean}>}
+     */
+    match(condition, category = null, code = null, options = {}) {
+        const text = String(condition || '').trim();
+        if (!text && !code) return [];
+
+        const matches = [];
+        for (const rule of this.rules) {
+            if (category && rule.category !== category) continue;
+            const prefix = code && rule.match.codes ? rule.match.codes.find(candidate => code.startsWith(candidate)) : null;
+            if (prefix) {
+                matches.push({ rule: rule, matched_on: `ICD-10 ${prefix}`, code_mismatch: false });
+                continue;
+            }
+            if (code && rule.match.codes && options.code_from_text) continue;
+            const matcher = text && rule.matchers.find(candidate => candidate.regex.test(text));
+            if (matcher) {
+                matches.push({ rule: rule, matched_on: matcher.label, code_mismatch: Boolean(code && rule.match.codes) });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * First covered disease matching the condition, or null
+     */
+    findCovered(condition, code = null, options = {}) {
+        return this.match(condition, 'covered', code, options)[0]?.rule || null;
+    }
+
+    /**
+     * Check a rule's when / unless conditions against the claim
+     * @param {Object} context - { age, gender, treatment_type, emergency, policy_tenure_days }
+     * @returns {Object} - { applies, reason }
+     */
+    evaluateConditions(rule, context) {
+        if (rule.when) {
+            const unmet = this.describeUnmet(rule.when, context);
+            if (unmet) {
+                return { applies: false, reason: `Condition not met: ${unmet}` };
+            }
+        }
+        if (rule.unless && !this.describeUnmet(rule.unless, context)) {
+            return { applies: false, reason: `Exception applies: ${Object.keys(rule.unless).join(', ')}` };
+        }
+        return { applies: true, reason: null };
+    }
+
+    /**
+     * @returns {string|null} - The first condition the claim does not meet; missing inputs never meet a condition
+     */
+    describeUnmet(conditions, context) {
+        for (const [key, expected] of Object.entries(conditions)) {
+            const actual = context[key];
+            if (actual === undefined || actual === null || actual === '') {
+                return `${key} not provided`;
+            }
+
+            switch (key) {
+                case 'age':
+                case 'policy_tenure_days':
+                    if ((expected.min !== undefined && actual < expected.min) || (expected.max !== undefined && actual > expected.max)) {
+                        return `${key} ${actual} outside ${expected.min ?? ''}-${expected.max ?? ''}`;
+                    }
+                    break;
+                case 'gender':
+                    if (!expected.some(value => value.toLowerCase() === String(actual).toLowerCase())) {
+                        return `gender ${actual} not in ${expected.join('/')}`;
+                    }
+                    break;
+                case 'treatment_type':
+                    if (!expected.some(value => String(actual).toLowerCase().includes(value.toLowerCase()))) {
+                        return `treatment type ${actual} not in ${expected.join('/')}`;
+                    }
+                    break;
+                case 'emergency':
+                    if (Boolean(actual) !== expected) {
+                        return `emergency is ${Boolean(actual)}`;
+                    }
+                    break;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = { DiseaseRuleSet };
@@ -0,0 +1,186 @@
+/**
+ * Document Requirements - The documents a claim must be submitted with
+ *
+ * data/document-requirements.json lists the documents the insurer accepts and
+ * the requirements that ask for them. A requirement applies when every
+ * condition in its `when` block holds for the claim:
+ *
+ *   claim_type           - ["Illness", "Accident", "Maternity"]
+ *   accident_type        - ["RTA", "Domestic"]
+ *   treatment_type       - ["emergency", ...] (substring of the claim's treatment type)
+ *   codes                - ICD-10 code prefixes of the resolved diagnosis
+ *   pre_existing_disease - true | false
+ *   bill_categories      - any itemised bill line in these categories
+ *   min_claim_amount     - claim amount of at least this many rupees
+ *
+ * A document can `confirm` claim answers: an uploaded FIR answers rta_proof "Yes".
+ */
+const fs = require('fs');
+
+const CONDITION_KEYS = ['claim_type', 'accident_type', 'treatment_type', 'codes', 'pre_existing_disease', 'bill_categories', 'min_claim_amount'];
+
+class DocumentRequirements {
+    /**
+     * @param {Object} data - Validated { documents, requirements } (see validate)
+     */
+    constructor(data = { documents: [], requirements: [] }) {
+        this.documents = data.documents;
+        this.requirements = data.requirements;
+        this.byId = new Map(this.documents.map(document => [document.id, document]));
+    }
+
+    /**
+     * Load and validate a requirements file; throws with every problem found
+     */
+    static fromFile(filePath) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read document requirements: ${error.message}`);
+        }
+
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid document requirements in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+        }
+        return new DocumentRequirements(data);
+    }
+
+    /**
+     * @returns {string[]} - Problems found; empty when the data is valid
+     */
+    static validate(data) {
+        if (!Array.isArray(data?.documents) || data.documents.length === 0) {
+            return ['documents must be a non-empty array'];
+        }
+        if (!Array.isArray(data.requirements)) {
+            return ['requirements must be an array'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+        data.documents.forEach((document, index) => {
+            const at = `documents[${index}]${document?.id ? ` (${document.id})` : ''}`;
+            if (!document?.id || typeof document.id !== 'string') {
+                errors.push(`${at}.id is required`);
+            } else if (ids.has(document.id)) {
+                errors.push(`${at}.id is a duplicate`);
+            }
+            ids.add(document?.id);
+            if (typeof document?.name !== 'string' || !document.name.trim()) {
+                errors.push(`${at}.name is required`);
+            }
+            if (document?.confirms !== undefined && (typeof document.confirms !== 'object' || Array.isArray(document.confirms))) {
+                errors.push(`${at}.confirms must be an object of claim answers`);
+            }
+        });
+
+        data.requirements.forEach((requirement, index) => {
+            const at = `requirements[${index}]${requirement?.id ? ` (${requirement.id})` : ''}`;
+            if (!requirement?.id || typeof requirement.id !== 'string') {
+                errors.push(`${at}.id is required`);
+            }
+            if (!Array.isArray(requirement?.documents) || requirement.documents.length === 0) {
+                errors.push(`${at}.documents must be a non-empty list`);
+            } else {
+                for (const documentId of requirement.documents.filter(id => !ids.has(id))) {
+                    errors.push(`${at}.documents: unknown document "${documentId}"`);
+                }
+            }
+            for (const key of Object.keys(requirement?.when || {})) {
+                if (!CONDITION_KEYS.includes(key)) {
+                    errors.push(`${at}.when.${key} is not a known condition (${CONDITION_KEYS.join(', ')})`);
+                } else if (key === 'min_claim_amount' ? typeof requirement.when[key] !== 'number' :
+                    key === 'pre_existing_disease' ? typeof requirement.when[key] !== 'boolean' :
+                        !Array.isArray(requirement.when[key]) || requirement.when[key].length === 0) {
+                    errors.push(`${at}.when.${key} has the wrong type`);
+                }
+            }
+        });
+        return errors;
+    }
+
+    isKnownDocument(documentId) {
+        return this.byId.has(documentId);
+    }
+
+    /**
+     * Documents the claim needs, each with the requirements that ask for it
+     * @param {Object} claimData - Claim inputs; diagnosis.code is used for code conditions
+     * @param {string[]} [submitted] - Document ids already provided
+     * @returns {Array} - [{ id, name, description, reasons, requirement_ids, submitted }] in catalogue order
+     */
+    checklist(claimData, submitted = []) {
+        const needed = new Map();
+        for (const requirement of this.requirements.filter(candidate => this.applies(candidate, claimData))) {
+            for (const documentId of requirement.documents) {
+                const entry = needed.get(documentId) || { reasons: [], requirement_ids: [] };
+                entry.reasons.push(requirement.reason || requirement.id);
+                entry.requirement_ids.push(requirement.id);
+                needed.set(documentId, entry);
+            }
+        }
+
+        return this.documents
+            .filter(document => needed.has(document.id))
+            .map(document => ({
+                id: document.id,
+                name: document.name,
+                description: document.description || null,
+                reasons: [...new Set(needed.get(document.id).reasons)],
+                requirement_ids: needed.get(document.id).requirement_ids,
+                submitted: submitted.includes(document.id)
+            }));
+    }
+
+    /**
+     * Does every condition of the requirement hold for the claim?
+     */
+    applies(requirement, claimData) {
+        const when = requirement.when || {};
+        const amount = Array.isArray(claimData.bill_items) ?
+            claimData.bill_items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0) :
+            Number(claimData.claim_amount) || 0;
+        const inList = (values, value) => values.some(expected => expected.toLowerCase() === String(value || '').toLowerCase());
+
+        return Object.entries(when).every(([key, expected]) => {
+            switch (key) {
+                case 'claim_type':
+                    return inList(expected, claimData.claim_type);
+                case 'accident_type':
+                    return inList(expected, claimData.accident_type);
+                case 'treatment_type':
+                    return expected.some(value => String(claimData.treatment_type || '').toLowerCase().includes(value.toLowerCase()));
+                case 'codes':
+                    return Boolean(claimData.diagnosis?.code) && expected.some(prefix => claimData.diagnosis.code.startsWith(prefix));
+                case 'pre_existing_disease':
+                    return Boolean(claimData.pre_existing_disease) === expected;
+                case 'bill_categories':
+                    return Array.isArray(claimData.bill_items) && claimData.bill_items.some(item => expected.includes(item?.category));
+                case 'min_claim_amount':
+                    return amount >= expected;
+                default:
+                    return false;
+            }
+        });
+    }
+
+    /**
+     * Claim answers the submitted documents confirm, for questions the claim left unanswered
+     * @returns {Object} - e.g. { rta_proof: 'Yes' }
+     */
+    confirmedAnswers(claimData, submitted = []) {
+        const answers = {};
+        for (const documentId of submitted) {
+            for (const [field, value] of Object.entries(this.byId.get(documentId)?.confirms || {})) {
+                if (!claimData[field]) {
+                    answers[field] = value;
+                }
+            }
+        }
+        return answers;
+    }
+}
+
+module.exports = { DocumentRequirements };
@@ -193,6 +193,83 @@ Provide ONLY the JSON response with thorough, professional analysis. Use your ex
     }
   }
 
+  /**
+   * Review a verdict from the rules engine against the plan JSON. The engine's
+   * verdict and numbers stand; the model reports where it disagrees.
+   * @param {Object} verdict - Summary of the engine result (status, reasons, rule trace, payable)
+   * @param {Object} planData - Raw plan JSON
+   * @param {Object} claimData - Claim as submitted
+   * @returns {Object} - { status, agrees_with_engine, estimated_payable, discrepancies, summary }
+   */
+  async reviewEngineVerdict(verdict, planData, claimData) {
+    const prompt = `You are a senior health insurance claims auditor. A rules engine has adjudicated the claim below against the plan. Check its verdict against the plan terms and report where you disagree.
+
+PLAN (JSON):
+${JSON.stringify(planData, null, 2)}
+
+CLAIM (JSON):
+${JSON.stringify(claimData, null, 2)}
+
+RULES ENGINE VERDICT (JSON):
+${JSON.stringify(verdict, null, 2)}
+
+Only report disagreements you can tie to a specific plan field or clause. Do not restate rules the engine applied correctly.
+
+Respond with ONLY this JSON:
+{
+  "status": "eligible" | "partially_eligible" | "needs_review" | "not_eligible",
+  "agrees_with_engine": boolean,
+  "estimated_payable": number or null,
+  "discrepancies": [
+    {
+      "topic": "Short name of the rule or amount in dispute",
+      "plan_reference": "Plan field or clause relied on",
+      "engine_position": "What the engine decided",
+      "ai_position": "What the plan supports instead",
+      "severity": "low" | "medium" | "high"
+    }
+  ],
+  "summary": "One or two sentences"
+}`;
+
+    try {
+      const response = await this.callGroqAPI(prompt, { temperature: 0.1 });
+      return this.parseVerdictReview(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      console.error('Groq verdict review failed:', errorMessage);
+      throw new Error(`Groq verdict review failed: ${errorMessage}`);
+    }
+  }
+
+  parseVerdictReview(response) {
+    const match = response.match(/\{[\s\S]*\}/);
+    if (!match) {
+      throw new Error('No JSON found in verdict review');
+    }
+
+    const parsed = JSON.parse(match[0]);
+    const statuses = ['eligible', 'partially_eligible', 'needs_review', 'not_eligible'];
+    const severities = ['low', 'medium', 'high'];
+    const estimated = Number(parsed.estimated_payable);
+
+    return {
+      status: statuses.includes(parsed.status) ? parsed.status : null,
+      agrees_with_engine: parsed.agrees_with_engine === true,
+      estimated_payable: parsed.estimated_payable !== null && parsed.estimated_payable !== undefined && !isNaN(estimated) ? estimated : null,
+      discrepancies: (Array.isArray(parsed.discrepancies) ? parsed.discrepancies : [])
+        .filter(item => item && typeof item.topic === 'string')
+        .map(item => ({
+          topic: item.topic,
+          plan_reference: item.plan_reference || null,
+          engine_position: item.engine_position || null,
+          ai_position: item.ai_position || null,
+          severity: severities.includes(item.severity) ? item.severity : 'medium'
+        })),
+      summary: parsed.summary || ''
+    };
+  }
+
   async testConnection() {
     try {
       const testPrompt = 'Hello! Please respond with "Groq API is working correctly" to confirm the connection.';
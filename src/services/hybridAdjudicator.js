@@ -0,0 +1,133 @@
+/**
+ * Hybrid Adjudicator - Rules engine verdict cross-checked by the LLM
+ *
+ * ClaimEligibilityEngine decides the claim and computes every amount. GroqAnalyzer
+ * then reviews that verdict against the plan JSON. Its disagreements are reported
+ * as discrepancies; medium and high severity ones send the claim to review. The
+ * engine's eligibility and financial breakdown are never replaced.
+ */
+
+// AI payable estimates within this share of the engine's amount are not a discrepancy
+const PAYABLE_TOLERANCE = 0.1;
+
+class HybridAdjudicator {
+    /**
+     * @param {Object} options - { engine: ClaimEligibilityEngine, groqAnalyzer: GroqAnalyzer }
+     */
+    constructor(options) {
+        this.engine = options.engine;
+        this.groqAnalyzer = options.groqAnalyzer;
+    }
+
+    /**
+     * Adjudicate with the rules engine, then have the LLM review the verdict
+     * @returns {Object} - Engine result with adjudication_mode, ai_review and discrepancies
+     */
+    async adjudicate(claimData, planFilePath) {
+        const result = await this.engine.analyzeClaimEligibility(claimData, planFilePath);
+        return this.review(result, claimData, planFilePath);
+    }
+
+    /**
+     * Review an engine result; when the LLM is unavailable the engine verdict stands unreviewed
+     */
+    async review(result, claimData, planFilePath) {
+        result.adjudication_mode = 'hybrid';
+        result.discrepancies = [];
+
+        let review;
+        try {
+            const plan = await this.engine.planManager.getPlan(planFilePath);
+            review = await this.groqAnalyzer.reviewEngineVerdict(this.summarizeVerdict(result), plan.data, claimData);
+        } catch (error) {
+            console.warn(`⚠️ AI review unavailable, keeping the rules verdict: ${error.message}`);
+            result.ai_review = { available: false, error: error.message };
+            return result;
+        }
+
+        result.ai_review = {
+            available: true,
+            status: review.status,
+            agrees_with_engine: review.agrees_with_engine,
+            estimated_payable: review.estimated_payable,
+            summary: review.summary
+        };
+        result.discrepancies = this.findDiscrepancies(result, review);
+
+        for (const discrepancy of result.discrepancies.filter(item => item.severity !== 'low')) {
+            this.engine.flagForReview(result, {
+                rule_id: 'ai_discrepancy',
+                reason: `AI review disagrees on ${discrepancy.topic}: ${discrepancy.ai_position || 'see discrepancies'}` +
+                    `${discrepancy.engine_position ? ` (rules: ${discrepancy.engine_position})` : ''}` +
+                    `${discrepancy.plan_reference ? ` [${discrepancy.plan_reference}]` : ''}`
+            });
+        }
+
+        console.log(`🤝 Hybrid review: ${result.discrepancies.length} discrepanc${result.discrepancies.length === 1 ? 'y' : 'ies'}, status ${result.status}`);
+        return result;
+    }
+
+    /**
+     * The parts of the engine result the LLM needs to check it
+     */
+    summarizeVerdict(result) {
+        const breakdown = result.financial_breakdown || {};
+        return {
+            claim_type: result.claim_type || result.treatment_type,
+            status: result.status,
+            eligible: result.eligible,
+            rejection_reasons: result.rejection_reasons,
+            review_flags: result.review_flags.map(flag => flag.reason),
+            rule_trace: result.rule_trace.map(entry => ({
+                rule_id: entry.rule_id,
+                plan_field: entry.plan_field,
+                plan_value: entry.plan_value,
+                outcome: entry.outcome,
+                amount: entry.effect.amount,
+                detail: entry.detail
+            })),
+            financial_breakdown: {
+                total_claim: breakdown.total_claim,
+                deductions: (breakdown.deductions || []).map(deduction => ({ description: deduction.description, amount: deduction.amount })),
+                copay_amount: breakdown.copay_amount,
+                final_amount: breakdown.final_amount
+            }
+        };
+    }
+
+    /**
+     * Status and payable disagreements, plus those the LLM reported itself
+     * @returns {Array} - [{ topic, plan_reference, engine_position, ai_position, severity }]
+     */
+    findDiscrepancies(result, review) {
+        const discrepancies = [];
+
+        if (review.status && review.status !== result.status) {
+            const opposite = [review.status, result.status].includes('eligible') && [review.status, result.status].includes('not_eligible');
+            discrepancies.push({
+                topic: 'status',
+                plan_reference: null,
+                engine_position: result.status,
+                ai_position: review.status,
+                severity: opposite ? 'high' : 'medium'
+            });
+        }
+
+        const enginePayable = result.eligible ? (result.financial_breakdown?.final_amount ?? 0) : 0;
+        if (review.estimated_payable !== null &&
+            Math.abs(review.estimated_payable - enginePayable) > Math.max(1, enginePayable * PAYABLE_TOLERANCE)) {
+            // Amounts stay the engine's; the difference is reported for a person to look at
+            discrepancies.push({
+                topic: 'payable_amount',
+                plan_reference: null,
+                engine_position: `₹${enginePayable.toLocaleString('en-IN')}`,
+                ai_position: `₹${review.estimated_payable.toLocaleString('en-IN')}`,
+                severity: 'low'
+            });
+        }
+
+        return [...discrepancies, ...review.discrepancies];
+    }
+}
+
+module.exports = { HybridAdjudicator };
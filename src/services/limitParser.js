@@ -0,0 +1,468 @@
+/**
+ * Limit Parser - Parses Indian currency and limit expressions from plan data
+ *
+ * Understands lakh/crore shorthand ("75L", "1CR", "2.5L"), Indian digit
+ * grouping ("Rs.1,00,000"), percentages of sum insured with caps
+ * ("10% OF SI, MAX 5L"), per-unit limits ("Rs.1,000/DAY", "Rs.60,000 per eye"),
+ * sum-insured tiers ("1&2L-15K,4L-20K") and deductible tables ("Rs.50,000-45%").
+ */
+
+const UNIT_MULTIPLIERS = {
+    CRORES: 10000000,
+    CRORE: 10000000,
+    CR: 10000000,
+    LAKHS: 100000,
+    LAKH: 100000,
+    LACS: 100000,
+    LAC: 100000,
+    L: 100000,
+    K: 1000
+};
+
+const UNIT_PATTERN = 'CRORES?|CR|LAKHS?|LACS?|L|K';
+
+// Amounts written without Rs./₹ or a lakh/crore unit: digit-grouped ("1,00,000", "25,000"), or
+// three or more plain digits ("5000") that are not a percentage or a count of days, years or visits
+const BARE_AMOUNT_PATTERN = '(?<![\\d.,])\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d+)?(?![\\d,%])' +
+    '|(?<![\\d.,])\\d{3,}(?:\\.\\d+)?(?![\\d.,]|\\s*(?:%|DAYS?\\b|MONTHS?\\b|YEARS?\\b|YRS?\\b|TIMES\\b|HOURS?\\b|HRS?\\b|CONSULTATIONS?\\b|VISITS?\\b))';
+
+const NOT_COVERED_VALUES = ['NO', 'NIL', 'NONE', 'NOT COVERED', 'N/A'];
+const UNLIMITED_VALUES = ['ACTUAL', 'ACTUALS', 'ALL', 'YES', 'UPTO SI', 'UP TO SI', 'UPTO SUM INSURED', 'UP TO SUM INSURED'];
+
+// Room categories in ascending order of entitlement
+const ROOM_CATEGORIES = [
+    { key: 'general_ward', rank: 1, pattern: /GENERAL\s*WARD/ },
+    { key: 'shared', rank: 2, pattern: /SHARED|TWIN\s*SHARING|SEMI[\s-]*PRIVATE/ },
+    { key: 'single_private', rank: 3, pattern: /SINGLE\s*(?:PVT|PRIVATE)?\s*(?:NON[\s-]*A\/?C)\s*ROOM/ },
+    { key: 'single_private_ac', rank: 4, pattern: /SINGLE\s*(?:PVT\.?|PRIVATE)?\s*A\/?C\s*ROOM|SINGLE\s*(?:PVT\.?|PRIVATE)\s*ROOM/ },
+    { key: 'deluxe', rank: 5, pattern: /DELUXE/ },
+    { key: 'suite', rank: 6, pattern: /SUITE/ }
+];
+
+const PER_UNITS = {
+    DAY: 'day',
+    YEAR: 'year',
+    YR: 'year',
+    DELIVERY: 'delivery',
+    EYE: 'eye',
+    HOSPITALISATION: 'hospitalisation',
+    HOSPITALIZATION: 'hospitalisation',
+    CONSULTATION: 'consultation',
+    POLICY: 'policy'
+};
+
+class LimitParser {
+
+    static ROOM_CATEGORIES = ROOM_CATEGORIES;
+
+    /**
+     * Parse a single currency amount ("75L", "1CR", "Rs.1,00,000", "₹2.5 lakh", 500000)
+     * @returns {number|null} - Amount in rupees
+     */
+    static parseAmount(value) {
+        const parsed = this.parseAmountDetailed(value);
+        return parsed ? parsed.amount : null;
+    }
+
+    /**
+     * Parse a currency amount, reporting irregular digit grouping
+     * @returns {{amount: number, warnings: string[]}|null}
+     */
+    static parseAmountDetailed(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'number') {
+            return isFinite(value) ? { amount: value, warnings: [] } : null;
+        }
+
+        const text = String(value).toUpperCase().replace(/₹|RS\.?|INR/g, ' ').trim();
+        const match = text.match(new RegExp(`(\\d[\\d,]*(?:\\.\\d+)?)\\s*(${UNIT_PATTERN})?\\b`));
+        if (!match) return null;
+
+        const warnings = [];
+        const digits = match[1];
+        if (digits.includes(',') && !this.isValidGrouping(digits)) {
+            warnings.push(`Irregular digit grouping in "${digits}"`);
+        }
+
+        const number = parseFloat(digits.replace(/,/g, ''));
+        if (isNaN(number)) return null;
+
+        const multiplier = match[2] ? UNIT_MULTIPLIERS[match[2]] : 1;
+        return { amount: Math.round(number * multiplier), warnings: warnings };
+    }
+
+    /**
+     * Check Indian ("1,00,000") or international ("100,000") digit grouping
+     */
+    static isValidGrouping(digits) {
+        const integerPart = digits.split('.')[0];
+        return /^\d{1,2}(,\d{2})*,\d{3}$/.test(integerPart) || /^\d{1,3}(,\d{3})+$/.test(integerPart);
+    }
+
+    /**
+     * Parse a list of amounts sharing a trailing unit ("10/15/20/25/50L/1Cr/UNLIMITED")
+     * @returns {{options: number[], unlimited: boolean}|null}
+     */
+    static parseAmountList(value) {
+        const text = this.canonical(value).replace(/₹|RS\.?/g, '');
+        const tokens = text.split(/\/|,|\bAND\b/).map(token => token.trim()).filter(Boolean);
+        const options = [];
+        let unlimited = false;
+        let pendingUnitless = [];
+
+        for (const token of tokens) {
+            if (token.includes('UNLIMITED')) {
+                unlimited = true;
+                continue;
+            }
+
+            const match = token.replace(/\s+/g, '').match(new RegExp(`^(\\d+(?:\\.\\d+)?)(${UNIT_PATTERN})?$`));
+            if (!match) continue;
+
+            if (match[2]) {
+                // A unit applies to the bare numbers listed before it ("10/15/20L")
+                const multiplier = UNIT_MULTIPLIERS[match[2]];
+                options.push(...pendingUnitless.map(bare => Math.round(bare * multiplier)));
+                pendingUnitless = [];
+                options.push(Math.round(parseFloat(match[1]) * multiplier));
+            } else {
+                pendingUnitless.push(parseFloat(match[1]));
+            }
+        }
+        options.push(...pendingUnitless);
+
+        if (options.length === 0 && !unlimited) return null;
+        return { options: options.sort((a, b) => a - b), unlimited: unlimited };
+    }
+
+    /**
+     * Parse a limit expression into a structured limit
+     * @param {string} value - Plan value (e.g., "10% OF SI, MAX 5L")
+     * @returns {import('./planSchema.js').PlanLimit}
+     */
+    static parse(value) {
+        const limit = this.emptyLimit(value);
+        const text = this.canonical(value);
+
+        if (!text) {
+            return limit;
+        }
+
+        if (NOT_COVERED_VALUES.includes(text)) {
+            limit.kind = 'not_covered';
+            limit.covered = false;
+            return limit;
+        }
+
+        if (UNLIMITED_VALUES.includes(text)) {
+            limit.kind = 'unlimited';
+            limit.covered = true;
+            limit.unlimited = true;
+            return limit;
+        }
+
+        const noteMatch = text.match(/\(([^)]*)\)/);
+        // Parentheses holding an amount ("(Max Rs.5,000)") are part of the limit, not a note
+        if (noteMatch && noteMatch[1].trim() && !/RS\.?\s*\d|₹|\d\s*%|\d\s*(?:L|CR|K)\b/.test(noteMatch[1])) {
+            limit.note = noteMatch[1].trim();
+        }
+        const body = (limit.note ? text.replace(/\([^)]*\)/g, ' ') : text.replace(/[()]/g, ' '))
+            .replace(/\s+/g, ' ').trim();
+
+        if (this.parseDeductibleOptions(body, limit) || this.parseTiers(body, limit)) {
+            limit.covered = true;
+            return limit;
+        }
+
+        this.parseSimpleLimit(body, limit);
+        return limit;
+    }
+
+    /**
+     * Evaluate a limit against a concrete claim
+     * @param {Object} limit - Result of parse()
+     * @param {Object} context - { sumInsured, claimAmount, units }
+     * @returns {Object} - { cap, payable, excess, basis } where cap is null when no limit applies
+     */
+    static evaluate(limit, context = {}) {
+        const claimAmount = Number(context.claimAmount) || 0;
+        const sumInsured = Number(context.sumInsured) || 0;
+        const units = context.units === undefined ? 1 : Number(context.units);
+        let cap = null;
+        let basis = 'No limit';
+
+        if (!limit || ['unknown', 'covered', 'category', 'deductible_options'].includes(limit.kind)) {
+            basis = limit?.kind === 'category' ? `Category limit: ${limit.category}` : 'Limit could not be evaluated';
+        } else if (limit.kind === 'not_covered') {
+            cap = 0;
+            basis = 'Not covered';
+        } else if (limit.kind === 'unlimited') {
+            basis = 'Up to sum insured';
+            cap = sumInsured || null;
+        } else if (limit.kind === 'tiered') {
+            const tier = this.selectTier(limit, sumInsured);
+            if (tier) {
+                const tierResult = this.evaluate(tier.limit, context);
+                return { ...tierResult, basis: `${tierResult.basis} (tier for sum insured ${this.formatAmount(tier.sum_insured_min)}-${this.formatAmount(tier.sum_insured_max)})` };
+            }
+            basis = 'No tier matches the sum insured';
+        } else {
+            const multiplier = limit.per && !['policy', 'year', 'hospitalisation'].includes(limit.per) ? Math.min(units, limit.max_units || Infinity) : 1;
+
+            if (limit.kind === 'percent_of_si') {
+                cap = Math.round(sumInsured * limit.percentage_of_si / 100) * multiplier;
+                basis = `${limit.percentage_of_si}% of sum insured`;
+            } else if (limit.kind === 'percent_of_expense') {
+                cap = Math.round(claimAmount * limit.percentage / 100);
+                basis = `${limit.percentage}% of ${limit.base.toLowerCase()}`;
+            } else if (limit.kind === 'fixed') {
+                cap = limit.amount * multiplier;
+                basis = `${this.formatAmount(limit.amount)}${limit.per ? ` per ${limit.per}` : ''}`;
+            }
+
+            if (cap !== null && limit.max_amount !== null && cap > limit.max_amount) {
+                cap = limit.max_amount;
+                basis += `, capped at ${this.formatAmount(limit.max_amount)}`;
+            }
+        }
+
+        const payable = cap === null ? claimAmount : Math.min(claimAmount, cap);
+        return {
+            cap: cap,
+            payable: payable,
+            excess: claimAmount - payable,
+            basis: basis
+        };
+    }
+
+    /**
+     * Pick the tier whose sum insured band contains the given sum insured
+     */
+    static selectTier(limit, sumInsured) {
+        if (!limit.tiers || limit.tiers.length === 0) return null;
+
+        return limit.tiers.find(tier => sumInsured >= tier.sum_insured_min && sumInsured <= tier.sum_insured_max) ||
+            [...limit.tiers].reverse().find(tier => sumInsured >= tier.sum_insured_min) ||
+            null;
+    }
+
+    /**
+     * Map a room description to a canonical room category
+     * @returns {{key: string, rank: number}|null}
+     */
+    static parseRoomCategory(value) {
+        const text = this.canonical(value).replace(/_/g, ' ');
+        const byKey = ROOM_CATEGORIES.find(category => category.key === String(value).toLowerCase());
+        const category = byKey || ROOM_CATEGORIES.slice().reverse().find(candidate => candidate.pattern.test(text));
+        return category ? { key: category.key, rank: category.rank } : null;
+    }
+
+    static emptyLimit(value) {
+        return {
+            kind: 'unknown',
+            covered: null,
+            unlimited: false,
+            amount: null,
+            percentage_of_si: null,
+            percentage: null,
+            base: null,
+            max_amount: null,
+            max_units: null,
+            per: null,
+            category: null,
+            tiers: [],
+            options: [],
+            note: null,
+            warnings: [],
+            raw: value === undefined || value === null ? null : String(value)
+        };
+    }
+
+    static canonical(value) {
+        if (value === undefined || value === null) return '';
+        return String(value).toUpperCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Amount, percentage, cap and unit from a single (non-tiered) expression
+     */
+    static parseSimpleLimit(body, limit) {
+        const category = this.parseRoomCategory(body);
+        const amountPattern = new RegExp(`(?:RS\\.?|₹)\\s*-?\\s*\\d[\\d,]*(?:\\.\\d+)?\\s*(?:${UNIT_PATTERN})?\\b|\\b\\d+(?:\\.\\d+)?\\s*(?:CRORES?|CR|LAKHS?|LACS?|L)\\b|${BARE_AMOUNT_PATTERN}`, 'g');
+
+        // "10% OF SI" or a bare "100%"; "7% OF HOSPITALISATION" uses another base,
+        // and premium discounts are not limits at all
+        const percentMatch = body.match(/(\d+(?:\.\d+)?)\s*%\s*(?:OF\s*([A-Z]+(?:\s+[A-Z]+)?))?/);
+        if (percentMatch && !/DISCOUNT|PREMIUM/.test(body)) {
+            if (!percentMatch[2] || /^(SI|SUM)/.test(percentMatch[2])) {
+                limit.percentage_of_si = parseFloat(percentMatch[1]);
+            } else {
+                limit.percentage = parseFloat(percentMatch[1]);
+                limit.base = percentMatch[2].split(' ')[0];
+            }
+        }
+
+        // "MAX Rs.5,000" / "MAX 5L" / "Rs.1,00,000 per policy" are caps; "MAX 4 TIMES" caps units
+        const maxMatch = body.match(new RegExp(`MAX(?:IMUM)?\\.?\\s*((?:RS\\.?|₹)\\s*\\d[\\d,]*(?:\\.\\d+)?\\s*(?:${UNIT_PATTERN})?|\\d+(?:\\.\\d+)?\\s*(?:${UNIT_PATTERN})\\b|${BARE_AMOUNT_PATTERN})`));
+        if (maxMatch) {
+            limit.max_amount = this.parseAmountWithWarnings(maxMatch[1], limit);
+        }
+        const maxUnitsMatch = body.match(/MAX(?:IMUM)?\.?\s*(\d+)\s*(?:TIMES|DAYS|CONSULTATIONS|VISITS)/);
+        if (maxUnitsMatch) {
+            limit.max_units = parseInt(maxUnitsMatch[1]);
+        }
+
+        const amounts = [...body.matchAll(amountPattern)].filter(match => !maxMatch || match.index < maxMatch.index || match.index > maxMatch.index + maxMatch[0].length);
+        if (amounts.length > 0) {
+            limit.amount = this.parseAmountWithWarnings(amounts[0][0], limit);
+            const perPolicy = amounts.slice(1).find(match => /^\s*PER\s*POLICY/.test(body.slice(match.index + match[0].length)));
+            if (perPolicy && limit.max_amount === null) {
+                limit.max_amount = this.parseAmountWithWarnings(perPolicy[0], limit);
+            }
+        } else if (limit.percentage_of_si === null && limit.percentage === null && limit.max_amount !== null) {
+            // "MAX Rs.20,000/-" on its own is a flat limit
+            limit.amount = limit.max_amount;
+            limit.max_amount = null;
+        }
+
+        const perMatch = body.match(/(?:\/|\bPER)\s*(DAY|YEAR|YR|DELIVERY|EYE|HOSPITALI[SZ]ATION|CONSULTATION|POLICY)/);
+        if (perMatch) {
+            limit.per = PER_UNITS[perMatch[1]];
+        }
+
+        const unlimitedPhrase = UNLIMITED_VALUES.includes(body) || /\bUP\s*TO\s*(?:SI|SUM\s*INSURED)\b/.test(body);
+
+        if (limit.percentage_of_si !== null) {
+            limit.kind = 'percent_of_si';
+        } else if (limit.percentage !== null) {
+            limit.kind = 'percent_of_expense';
+        } else if (limit.amount !== null) {
+            limit.kind = 'fixed';
+        } else if (category) {
+            limit.kind = 'category';
+            limit.category = category.key;
+        } else if (unlimitedPhrase) {
+            // "YES (AS PER LIST 1)" is covered but restricted to the list
+            limit.kind = body === 'YES' && limit.note ? 'covered' : 'unlimited';
+            limit.unlimited = limit.kind === 'unlimited';
+        }
+
+        limit.covered = !(/\bNO\b/.test(body) && limit.kind === 'unknown');
+
+        // Anything without an amount, percentage or recognised keyword is kept as a note
+        if (limit.kind === 'unknown' && !limit.note) {
+            limit.note = body;
+        }
+    }
+
+    /**
+     * Sum-insured tiers: "1&2L-15K,4L-20K,5K-21.5K,7.5L-23K" or "1-5L -1% OF SI, 7.5L-Rs.6,000/-"
+     */
+    static parseTiers(body, limit) {
+        const tierHead = new RegExp(`(?:^|[,\\s])(?:UPTO\\s*)?(\\d+(?:\\.\\d+)?\\s*(?:${UNIT_PATTERN})?(?:\\s*[-&]\\s*\\d+(?:\\.\\d+)?)?\\s*(?:${UNIT_PATTERN}))\\s*-\\s*(?=RS|₹|\\d)`, 'g');
+        const heads = [...body.matchAll(tierHead)];
+        if (heads.length < 2) {
+            return false;
+        }
+
+        limit.kind = 'tiered';
+        heads.forEach((head, index) => {
+            const start = head.index + head[0].length;
+            const end = index + 1 < heads.length ? heads[index + 1].index : body.length;
+            const tierText = body.slice(start, end).replace(/^[\s,-]+|[\s,]+$/g, '');
+            const band = this.parseSumInsuredBand(head[1], /UPTO/.test(head[0]), limit);
+            const tierLimit = this.emptyLimit(tierText);
+
+            // A bare figure in a tier ("15K") is an amount, not a sum insured
+            if (/^\d+(?:\.\d+)?\s*K$/.test(tierText)) {
+                tierLimit.kind = 'fixed';
+                tierLimit.covered = true;
+                tierLimit.amount = this.parseAmount(tierText);
+            } else {
+                this.parseSimpleLimit(tierText, tierLimit);
+            }
+            limit.warnings.push(...tierLimit.warnings);
+
+            limit.tiers.push({
+                sum_insured_min: band.min,
+                sum_insured_max: band.max,
+                limit: tierLimit
+            });
+        });
+
+        limit.tiers.sort((a, b) => a.sum_insured_min - b.sum_insured_min);
+        for (let i = 0; i < limit.tiers.length - 1; i++) {
+            if (limit.tiers[i].sum_insured_max === limit.tiers[i].sum_insured_min && limit.tiers[i + 1].sum_insured_min > limit.tiers[i].sum_insured_max) {
+                // Point tiers cover the gap up to the next listed sum insured
+                limit.tiers[i].sum_insured_max = limit.tiers[i + 1].sum_insured_min - 1;
+            }
+        }
+        limit.tiers[limit.tiers.length - 1].sum_insured_max = Infinity;
+        return true;
+    }
+
+    /**
+     * Parse a tier key: "4L", "1&2L", "1-5L", "5L-7.5L"
+     */
+    static parseSumInsuredBand(key, upTo, limit) {
+        const match = key.replace(/\s+/g, '').match(new RegExp(`^(\\d+(?:\\.\\d+)?)(${UNIT_PATTERN})?(?:([-&])(\\d+(?:\\.\\d+)?))?(${UNIT_PATTERN})$`));
+        const unit = match[5];
+        let multiplier = UNIT_MULTIPLIERS[unit];
+
+        // Sums insured are quoted in lakhs; "5K" among lakh tiers is a typo for "5L"
+        if (unit === 'K' && parseFloat(match[4] || match[1]) * multiplier < UNIT_MULTIPLIERS.L) {
+            multiplier = UNIT_MULTIPLIERS.L;
+            limit.warnings.push(`Sum insured tier "${key}" read as lakhs`);
+        }
+
+        const first = Math.round(parseFloat(match[1]) * (match[2] ? UNIT_MULTIPLIERS[match[2]] : multiplier));
+        const second = match[4] ? Math.round(parseFloat(match[4]) * multiplier) : first;
+
+        return {
+            min: upTo ? 0 : first,
+            max: second
+        };
+    }
+
+    /**
+     * Deductible tables: "UPTO20L SI- Rs.50,000-45%, Rs.1,00,000-55%, >20L SI- Rs.50,000-35%"
+     */
+    static parseDeductibleOptions(body, limit) {
+        const pairPattern = /(?:RS\.?|₹)\s*(\d[\d,]*)\s*-\s*(\d+(?:\.\d+)?)\s*%/g;
+        const pairs = [...body.matchAll(pairPattern)];
+        if (pairs.length === 0) {
+            return false;
+        }
+
+        const bandPattern = new RegExp(`(UPTO|UP TO|>|ABOVE)\\s*(\\d+(?:\\.\\d+)?\\s*(?:${UNIT_PATTERN}))\\s*SI`, 'g');
+        const bands = [...body.matchAll(bandPattern)];
+
+        limit.kind = 'deductible_options';
+        for (const pair of pairs) {
+            const band = bands.filter(candidate => candidate.index < pair.index).pop();
+            const bandAmount = band ? this.parseAmount(band[2]) : null;
+
+            limit.options.push({
+                deductible: this.parseAmountWithWarnings(pair[1], limit),
+                percentage: parseFloat(pair[2]),
+                sum_insured_min: band && !/UP/.test(band[1]) ? bandAmount + 1 : 0,
+                sum_insured_max: band && /UP/.test(band[1]) ? bandAmount : null
+            });
+        }
+        return true;
+    }
+
+    static parseAmountWithWarnings(text, limit) {
+        const parsed = this.parseAmountDetailed(text);
+        if (!parsed) return null;
+        limit.warnings.push(...parsed.warnings);
+        return parsed.amount;
+    }
+
+    static formatAmount(amount) {
+        if (amount === Infinity) return 'any';
+        return `₹${Number(amount).toLocaleString('en-IN')}`;
+    }
+}
+
+module.exports = { LimitParser };
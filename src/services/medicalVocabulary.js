@@ -0,0 +1,236 @@
+/**
+ * Medical Vocabulary - Resolves free-text conditions to ICD-10 codes
+ *
+ * Entries in data/medical-vocabulary.json map terms, abbreviations and common
+ * misspellings to an ICD-10 code and a canonical disease key:
+ *
+ *   { code: "N20.0", name: "Calculus of kidney", disease_key: "kidney_stone",
+ *     terms: ["kidney stone", "renal calculi"], abbreviations: [], misspellings: ["kidny stone"] }
+ *
+ * Resolution tries, in order: an ICD-10 code given with the claim, the whole
+ * text as a known phrase, the longest known phrase inside the text, and finally
+ * an approximate (edit distance) match. Each step reports a lower confidence.
+ */
+const fs = require('fs');
+
+const CODE_PATTERN = /^[A-Z][0-9]{2}(\.[0-9A-Z]{1,2})?$/;
+const PHRASE_KINDS = ['terms', 'abbreviations', 'misspellings'];
+
+// Confidence for a phrase that is the whole input, or only part of it
+const CONFIDENCE = {
+    code: 1,
+    exact: { terms: 1, abbreviations: 0.95, misspellings: 0.9 },
+    contained: { terms: 0.9, abbreviations: 0.8, misspellings: 0.8 },
+    // Another diagnosis of equal weight appears in the same text
+    ambiguous_penalty: 0.2,
+    // Approximate matches scale the text similarity down to at most this
+    approximate_max: 0.8
+};
+const MIN_SIMILARITY = 0.8;
+
+class MedicalVocabulary {
+    /**
+     * @param {Array} entries - Validated entries (see validate)
+     */
+    constructor(entries = []) {
+        this.entries = entries;
+        this.byCode = new Map(entries.map(entry => [entry.code, entry]));
+        this.phrases = [];
+        for (const entry of entries) {
+            for (const kind of PHRASE_KINDS) {
+                for (const phrase of entry[kind] || []) {
+                    const text = MedicalVocabulary.normalizeText(phrase);
+                    this.phrases.push({
+                        entry: entry,
+                        kind: kind,
+                        text: text,
+                        label: phrase,
+                        regex: new RegExp(`(^|\\s)${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=\\s|$)`)
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Load and validate a vocabulary file; throws with every problem found
+     */
+    static fromFile(filePath) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read medical vocabulary: ${error.message}`);
+        }
+
+        const errors = this.validate(data?.entries);
+        if (errors.length > 0) {
+            throw new Error(`Invalid medical vocabulary in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+        }
+        return new MedicalVocabulary(data.entries);
+    }
+
+    /**
+     * @returns {string[]} - Problems found; empty when the entries are valid
+     */
+    static validate(entries) {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return ['entries must be a non-empty array'];
+        }
+
+        const errors = [];
+        const codes = new Set();
+        const phrases = new Map();
+        entries.forEach((entry, index) => {
+            const at = `entries[${index}]${entry?.code ? ` (${entry.code})` : ''}`;
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${at} must be an object`);
+                return;
+            }
+            if (!this.isValidCode(entry.code)) {
+                errors.push(`${at}.code must be an ICD-10 code such as N20.0`);
+            } else if (codes.has(entry.code)) {
+                errors.push(`${at}.code is a duplicate`);
+            }
+            codes.add(entry.code);
+
+            for (const field of ['name', 'disease_key']) {
+                if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+                    errors.push(`${at}.${field} is required`);
+                }
+            }
+            if (!Array.isArray(entry.terms) || entry.terms.length === 0) {
+                errors.push(`${at}.terms must be a non-empty list`);
+            }
+
+            for (const kind of PHRASE_KINDS) {
+                if (entry[kind] === undefined) continue;
+                if (!Array.isArray(entry[kind]) || !entry[kind].every(phrase => typeof phrase === 'string' && phrase.trim())) {
+                    errors.push(`${at}.${kind} must be a list of strings`);
+                    continue;
+                }
+                // One phrase may only ever resolve to one code
+                for (const phrase of entry[kind]) {
+                    const text = this.normalizeText(phrase);
+                    if (phrases.has(text) && phrases.get(text) !== entry.code) {
+                        errors.push(`${at}.${kind}: "${phrase}" already maps to ${phrases.get(text)}`);
+                    }
+                    phrases.set(text, entry.code);
+                }
+            }
+        });
+        return errors;
+    }
+
+    static isValidCode(code) {
+        return typeof code === 'string' && CODE_PATTERN.test(code.trim().toUpperCase());
+    }
+
+    /**
+     * Lower case, punctuation other than / ' and - removed, whitespace collapsed
+     */
+    static normalizeText(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9/'\-\s]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Resolve a condition to an ICD-10 code
+     * @param {string} condition - Free text such as the claim's illness_type
+     * @param {string} [code] - ICD-10 code stated on the claim, which takes precedence
+     * @returns {Object} - { input, code, name, disease_key, match_type, matched_on, confidence, alternatives }
+     *   match_type: code | exact | abbreviation | misspelling | contained | approximate | none
+     */
+    resolve(condition, code = null) {
+        const input = String(condition || '').trim();
+        const result = (entry, matchType, matchedOn, confidence, alternatives = []) => ({
+            input: input,
+            code: entry ? entry.code : null,
+            name: entry ? entry.name : null,
+            disease_key: entry ? entry.disease_key : null,
+            match_type: matchType,
+            matched_on: matchedOn,
+            confidence: Math.round(confidence * 100) / 100,
+            alternatives: alternatives.map(alternative => ({ code: alternative.code, name: alternative.name }))
+        });
+
+        if (code) {
+            const stated = String(code).trim().toUpperCase();
+            const entry = this.byCode.get(stated);
+            if (entry) {
+                return result(entry, 'code', stated, CONFIDENCE.code);
+            }
+            // A valid code outside the vocabulary still adjudicates on its own
+            return { ...result(null, 'code', stated, CONFIDENCE.code), code: stated };
+        }
+
+        const text = MedicalVocabulary.normalizeText(input);
+        if (!text) {
+            return result(null, 'none', null, 0);
+        }
+
+        const exact = this.phrases.find(phrase => phrase.text === text);
+        if (exact) {
+            return result(exact.entry, exact.kind === 'terms' ? 'exact' : exact.kind.replace(/s$/, ''), exact.label, CONFIDENCE.exact[exact.kind]);
+        }
+
+        // Longest phrase in the text wins; "hearing aids" over "aids"
+        const contained = this.phrases
+            .filter(phrase => phrase.regex.test(text))
+            .sort((a, b) => b.text.length - a.text.length);
+        if (contained.length > 0) {
+            const best = contained[0];
+            const alternatives = [...new Map(contained
+                .filter(phrase => phrase.entry.disease_key !== best.entry.disease_key && !best.text.includes(phrase.text))
+                .map(phrase => [phrase.entry.code, phrase.entry])).values()];
+            const confidence = CONFIDENCE.contained[best.kind] - (alternatives.length > 0 ? CONFIDENCE.ambiguous_penalty : 0);
+            return result(best.entry, 'contained', best.label, confidence, alternatives);
+        }
+
+        const approximate = this.findApproximate(text);
+        if (approximate) {
+            return result(approximate.phrase.entry, 'approximate', approximate.phrase.label,
+                approximate.similarity * CONFIDENCE.approximate_max);
+        }
+        return result(null, 'none', null, 0);
+    }
+
+    /**
+     * Closest term or misspelling by edit distance, compared against runs of
+     * words in the text of the same length as the phrase
+     * @returns {Object|null} - { phrase, similarity }
+     */
+    findApproximate(text) {
+        const words = text.split(' ');
+        let best = null;
+
+        for (const phrase of this.phrases.filter(candidate => candidate.kind !== 'abbreviations' && candidate.text.length >= 5)) {
+            const size = phrase.text.split(' ').length;
+            for (let start = 0; start + size <= words.length; start++) {
+                const window = words.slice(start, start + size).join(' ');
+                const similarity = 1 - MedicalVocabulary.editDistance(window, phrase.text) / Math.max(window.length, phrase.text.length);
+                if (similarity >= MIN_SIMILARITY && (!best || similarity > best.similarity)) {
+                    best = { phrase: phrase, similarity: similarity };
+                }
+            }
+        }
+        return best;
+    }
+
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+}
+
+module.exports = { MedicalVocabulary };
@@ -1,6 +1,8 @@
 /**
  * Plan Context Manager - Handles plan data loading and context extraction
  */
+const { PlanNormalizer } = require('./planNormalizer.js');
+
 class PlanContextManager {
     constructor(planManager) {
         this.planManager = planManager;
@@ -22,7 +24,7 @@ class PlanContextManager {
         }
 
         try {
-            const planData = await this.planManager.getPlan(planId);
+            const planData = await this.planManager.getPlan(planId, { normalized: true });
             
             if (!planData) {
                 throw new Error(`Plan not found: ${planId}`);
@@ -73,6 +75,9 @@ class PlanContextManager {
             // Maternity coverage
             maternityCover: this.extractMaternityCover(planData),
             
+            // Typed view of the plan (amounts in rupees, durations in days)
+            normalizedPlan: this.extractNormalizedPlan(planData),
+            
             // Raw data for AI processing
             rawPlanData: planData
         };
@@ -170,6 +175,13 @@ class PlanContextManager {
         return planData.maternity_cover || {};
     }
 
+    /**
+     * Extract normalized plan view, from a getPlan() result or raw plan JSON
+     */
+    extractNormalizedPlan(planData) {
+        return planData.normalized || PlanNormalizer.normalize(planData.data || planData);
+    }
+
     /**
      * Get default context for missing plan data
      */
@@ -185,6 +197,7 @@ class PlanContextManager {
             renewalBenefits: {},
             specialFeatures: {},
             maternityCover: {},
+            normalizedPlan: null,
             rawPlanData: null
         };
     }
@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { PlanNormalizer } = require('./planNormalizer.js');
+const { LimitParser } = require('./limitParser.js');
 
 class PlanManager {
     constructor() {
@@ -71,8 +73,8 @@ class PlanManager {
         }
     }
 
-    // Get plan by file path
-    async getPlan(requestedFilePath) {
+    // Get plan by file path; pass { normalized: true } to include the typed view next to the raw data
+    async getPlan(requestedFilePath, options = {}) {
         try {
             // Handle both normalized paths from web and absolute paths
             let actualFilePath = requestedFilePath;
@@ -98,7 +100,7 @@ class PlanManager {
             const planData = JSON.parse(content);
             const stats = await fs.stat(actualFilePath);
             
-            return {
+            const plan = {
                 data: planData,
                 filename: path.basename(actualFilePath),
                 book: path.basename(path.dirname(actualFilePath)),
@@ -106,6 +108,12 @@ class PlanManager {
                 size: stats.size,
                 absolutePath: actualFilePath
             };
+
+            if (options.normalized) {
+                plan.normalized = PlanNormalizer.normalize(planData);
+            }
+
+            return plan;
         } catch (error) {
             throw new Error(`Failed to read plan: ${error.message}`);
         }
@@ -138,6 +146,7 @@ class PlanManager {
                 company: planData.plan_details?.Company || 'Unknown Company',
                 sumInsuredRange: planData.plan_details?.['Sum Insured Range'] || 'Unknown',
                 normalizedSumInsured: this.normalizeSumInsured(planData.plan_details?.['Sum Insured Range'] || ''),
+                sumInsuredOptions: this.parseSumInsuredOptions(planData.plan_details?.['Sum Insured Range']),
                 generatedFilename: fileName,
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
@@ -174,6 +183,7 @@ class PlanManager {
                 company: planData.plan_details?.Company || 'Unknown Company',
                 sumInsuredRange: planData.plan_details?.['Sum Insured Range'] || 'Unknown',
                 normalizedSumInsured: this.normalizeSumInsured(planData.plan_details?.['Sum Insured Range'] || ''),
+                sumInsuredOptions: this.parseSumInsuredOptions(planData.plan_details?.['Sum Insured Range']),
                 generatedFilename: fileName,
                 updatedAt: new Date().toISOString()
             };
@@ -283,10 +293,30 @@ class PlanManager {
         }
     }
 
-    // Utility function to normalize sum insured values
+    // Utility function to normalize sum insured values into a canonical key
+    // ("10/15/20L/1Cr" → "10l/15l/20l/1cr"); unparseable values are only lowercased
     normalizeSumInsured(sumInsured) {
         if (!sumInsured) return '';
-        return sumInsured.toLowerCase().replace(/\s+/g, '');
+
+        const parsed = LimitParser.parseAmountList(sumInsured);
+        if (!parsed) {
+            return sumInsured.toLowerCase().replace(/\s+/g, '');
+        }
+
+        const labels = parsed.options.map(amount => {
+            if (amount >= 10000000) return `${amount / 10000000}cr`;
+            if (amount >= 100000) return `${amount / 100000}l`;
+            return String(amount);
+        });
+        if (parsed.unlimited) {
+            labels.push('unlimited');
+        }
+        return labels.join('/');
+    }
+
+    // Sum insured options in rupees
+    parseSumInsuredOptions(sumInsured) {
+        return LimitParser.parseAmountList(sumInsured || '')?.options || [];
     }
 
     // Validate plan data structure
@@ -0,0 +1,379 @@
+/**
+ * Plan Normalizer - Converts free-text plan JSON into the canonical typed schema
+ */
+const { PLAN_SCHEMA, PLAN_SCHEMA_VERSION } = require('./planSchema.js');
+const { WaitingPeriodParser } = require('./waitingPeriodParser.js');
+const { LimitParser } = require('./limitParser.js');
+
+const NOT_COVERED_VALUES = ['NO', 'NIL', 'NONE', 'NOT COVERED', 'N/A'];
+
+// Normalized views are derived data; cache them per raw plan object
+const normalizedCache = new WeakMap();
+
+class PlanNormalizer {
+
+    /**
+     * Normalize a raw plan JSON object
+     * @param {Object} planData - Raw plan file contents
+     * @returns {import('./planSchema.js').NormalizedPlan}
+     */
+    static normalize(planData) {
+        if (!planData || typeof planData !== 'object') {
+            throw new Error('Plan data is required for normalization');
+        }
+
+        if (normalizedCache.has(planData)) {
+            return normalizedCache.get(planData);
+        }
+
+        const normalized = {
+            schema_version: PLAN_SCHEMA_VERSION,
+            sources: {},
+            issues: []
+        };
+
+        for (const [sectionName, section] of Object.entries(PLAN_SCHEMA)) {
+            const rawSection = planData[section.source];
+
+            if (!rawSection || typeof rawSection !== 'object') {
+                normalized[sectionName] = section.optional ? null : this.emptySection(section);
+                if (!section.optional) {
+                    normalized.issues.push({ field: sectionName, raw: null, problem: `missing section ${section.source}` });
+                }
+                continue;
+            }
+
+            normalized[sectionName] = {};
+            for (const [fieldName, field] of Object.entries(section.fields)) {
+                const fieldPath = `${sectionName}.${fieldName}`;
+                const rawValue = this.findRawValue(rawSection, field.keys);
+
+                if (rawValue === null || rawValue === undefined) {
+                    normalized[sectionName][fieldName] = null;
+                    if (rawValue === null) {
+                        normalized.issues.push({ field: fieldPath, raw: null, problem: 'no value in plan' });
+                    }
+                    continue;
+                }
+
+                const value = this.convert(field.type, rawValue);
+                normalized[sectionName][fieldName] = value;
+                normalized.sources[fieldPath] = rawValue;
+
+                if (value === null || value.recognised === false) {
+                    normalized.issues.push({ field: fieldPath, raw: rawValue, problem: `could not parse as ${field.type}` });
+                }
+                for (const warning of value?.warnings || []) {
+                    normalized.issues.push({ field: fieldPath, raw: rawValue, problem: warning });
+                }
+            }
+        }
+
+        // A maternity section where every entry is NO means the plan has no maternity cover
+        if (normalized.maternity && normalized.maternity.availability?.covered === false) {
+            normalized.maternity.available = false;
+        } else if (normalized.maternity) {
+            normalized.maternity.available = true;
+        }
+
+        normalized.special_features = this.normalizeSpecialFeatures(planData.special_features_others);
+
+        normalizedCache.set(planData, normalized);
+        return normalized;
+    }
+
+    /**
+     * Build a section with every field set to null
+     */
+    static emptySection(section) {
+        return Object.fromEntries(Object.keys(section.fields).map(fieldName => [fieldName, null]));
+    }
+
+    /**
+     * Find a field value by any of its known keys, ignoring case and spacing.
+     * Returns undefined when the plan has no such key, and null when the key is
+     * present without a value (empty, or a header row repeating the key).
+     */
+    static findRawValue(rawSection, keys) {
+        const wanted = keys.map(key => this.canonicalKey(key));
+
+        for (const [rawKey, rawValue] of Object.entries(rawSection)) {
+            if (!wanted.includes(this.canonicalKey(rawKey))) {
+                continue;
+            }
+            if (rawValue === undefined || rawValue === null) {
+                return null;
+            }
+
+            const value = String(rawValue).trim();
+            if (!value || this.canonicalKey(value) === this.canonicalKey(rawKey)) {
+                return null;
+            }
+            return value;
+        }
+
+        return undefined;
+    }
+
+    static canonicalKey(key) {
+        return String(key).toUpperCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Convert a raw value to the schema type
+     */
+    static convert(type, rawValue) {
+        switch (type) {
+            case 'text':
+                return rawValue;
+            case 'age_range':
+                return this.parseAgeRange(rawValue);
+            case 'amount_list':
+                return this.parseAmountList(rawValue);
+            case 'number_list':
+                return this.parseNumberList(rawValue);
+            case 'member_composition':
+                return this.parseMemberComposition(rawValue);
+            case 'duration':
+                return WaitingPeriodParser.extractDuration(this.canonicalKey(rawValue));
+            case 'waiting_period':
+                return WaitingPeriodParser.parse(rawValue);
+            case 'coverage':
+            case 'limit':
+                return this.parseLimit(rawValue);
+            case 'bonus':
+                return this.parseBonus(rawValue);
+            case 'restore':
+                return this.parseRestore(rawValue);
+            case 'mid_term_inclusion':
+                return this.parseMidTermInclusion(rawValue);
+            case 'copay':
+                return this.parseCopay(rawValue);
+            default:
+                throw new Error(`Unknown plan schema type: ${type}`);
+        }
+    }
+
+    /**
+     * Parse a rupee expression such as "Rs.1,00,000", "5L", "1CR" or "15K"
+     * @returns {number|null} - Amount in rupees
+     */
+    static parseRupees(text) {
+        return LimitParser.parseAmount(text);
+    }
+
+    /**
+     * Parse an age range such as "18 - 75 YRS", "91DAYS -17YRS" or "50Y - Whole Life"
+     */
+    static parseAgeRange(rawValue) {
+        const text = this.canonicalKey(rawValue);
+        if (NOT_COVERED_VALUES.includes(text)) {
+            return { min_age_years: null, max_age_years: null, offered: false, note: null };
+        }
+
+        const bound = /(\d+(?:\.\d+)?)\s*(DAYS?|MONTHS?|YRS?|YEARS?|Y)?/;
+        const [minText, maxText = ''] = text.replace(/\([^)]*\)/g, '').split('-');
+        const minMatch = minText.match(bound);
+        const maxMatch = maxText.match(bound);
+        if (!minMatch) return null;
+
+        const toYears = (match, defaultUnit) => {
+            const unit = match[2] || defaultUnit;
+            if (unit.startsWith('DAY')) return Math.round((parseFloat(match[1]) / 365) * 100) / 100;
+            if (unit.startsWith('MONTH')) return Math.round((parseFloat(match[1]) / 12) * 100) / 100;
+            return parseFloat(match[1]);
+        };
+
+        // A unit on the upper bound ("18-40 YEARS") also applies to the lower bound
+        const sharedUnit = maxMatch?.[2] || 'YEARS';
+        const note = text.match(/\(([^)]*)\)/);
+
+        return {
+            min_age_years: toYears(minMatch, sharedUnit),
+            // Open-ended ranges ("50Y - Whole Life") have no upper bound
+            max_age_years: maxMatch ? toYears(maxMatch, 'YEARS') : null,
+            offered: true,
+            note: note ? note[1].trim() : null
+        };
+    }
+
+    /**
+     * Parse sum insured options such as "10/15/20/25/50L/1Cr/UNLIMITED" or "Rs.75 LAKHS and Rs.1 CR"
+     */
+    static parseAmountList(rawValue) {
+        return LimitParser.parseAmountList(rawValue);
+    }
+
+    /**
+     * Parse a list of numbers such as "1/2/3 YRS"
+     */
+    static parseNumberList(rawValue) {
+        const numbers = (String(rawValue).match(/\d+(?:\.\d+)?/g) || []).map(Number);
+        return numbers.length > 0 ? numbers : null;
+    }
+
+    /**
+     * Parse who can be covered, e.g. "6A+3C (...)", "Family upto 2 adults and 3 children", "INDIVIDUAL"
+     */
+    static parseMemberComposition(rawValue) {
+        const text = this.canonicalKey(rawValue);
+        const shorthand = text.match(/(\d+)\s*A\s*\+\s*(\d+)\s*C\b/);
+        const adults = text.match(/(\d+)\s*ADULTS?/);
+        const children = text.match(/(\d+)\s*CHILD(?:REN)?S?/);
+        const individual = /INDIVIDUAL|ONE FEMALE|SELF/.test(text);
+
+        if (shorthand) {
+            return { max_adults: parseInt(shorthand[1]), max_children: parseInt(shorthand[2]), individual: individual, family: true };
+        }
+        if (adults || children) {
+            return {
+                max_adults: adults ? parseInt(adults[1]) : 1,
+                max_children: children ? parseInt(children[1]) : 0,
+                individual: individual,
+                family: true
+            };
+        }
+        if (individual) {
+            return { max_adults: 1, max_children: 0, individual: true, family: false };
+        }
+        return null;
+    }
+
+    /**
+     * Parse a coverage or limit value into a PlanLimit
+     * @returns {import('./planSchema.js').PlanLimit}
+     */
+    static parseLimit(rawValue) {
+        return LimitParser.parse(rawValue);
+    }
+
+    /**
+     * Parse a no claim bonus rule such as "25% FOR EVERY CLAIM FREE YR MAX 100%"
+     */
+    static parseBonus(rawValue) {
+        const text = this.canonicalKey(rawValue);
+        if (NOT_COVERED_VALUES.includes(text)) {
+            return { available: false, percentage_per_year: 0, max_percentage: 0 };
+        }
+
+        const percentages = (text.match(/\d+(?:\.\d+)?\s*%/g) || []).map(p => parseFloat(p));
+        if (percentages.length === 0) return null;
+
+        const perYear = /EVERY|PER\s*(?:YEAR|YR)|EACH/.test(text);
+        const maxMatch = text.match(/MAX\.?\s*(\d+(?:\.\d+)?)\s*%/);
+
+        return {
+            available: true,
+            percentage_per_year: perYear ? percentages[0] : null,
+            max_percentage: maxMatch ? parseFloat(maxMatch[1]) : percentages[percentages.length - 1]
+        };
+    }
+
+    /**
+     * Parse a sum insured restoration rule such as "100% Refill Use Same Claim" or "REINSTATEMENT 100%"
+     */
+    static parseRestore(rawValue) {
+        const text = this.canonicalKey(rawValue);
+        if (NOT_COVERED_VALUES.includes(text)) {
+            return { available: false, percentage: 0, same_claim: false };
+        }
+
+        const percentage = text.match(/(\d+(?:\.\d+)?)\s*%/);
+        if (!percentage && !/RESTOR|REINSTATE|REFILL|RECHARGE/.test(text)) return null;
+
+        return {
+            available: true,
+            percentage: percentage ? parseFloat(percentage[1]) : 100,
+            // Restored cover usually serves later claims only, unless the plan says otherwise
+            same_claim: /SAME\s*CLAIM/.test(text)
+        };
+    }
+
+    /**
+     * Parse mid-term inclusion rules such as "SPOUSE WITHIN 45 DAYS, CHILD WITHIN 90 DAYS" or "SPOUSE/CHILD WITHIN 45DAYS"
+     */
+    static parseMidTermInclusion(rawValue) {
+        const text = this.canonicalKey(rawValue);
+        if (NOT_COVERED_VALUES.includes(text)) {
+            return { allowed: false, windows: {} };
+        }
+        if (text === 'YES') {
+            return { allowed: true, windows: {} };
+        }
+
+        const windows = {};
+        for (const clause of text.split(',')) {
+            const days = WaitingPeriodParser.extractDuration(clause);
+            if (days === null) continue;
+            if (/SPOUSE|WIFE|HUSBAND/.test(clause)) windows.spouse = days;
+            if (/CHILD|NEW\s*BORN/.test(clause)) windows.child = days;
+        }
+        if (Object.keys(windows).length === 0) return null;
+
+        return { allowed: true, windows: windows };
+    }
+
+    /**
+     * Parse a co-pay rule such as "20%", ">60YEARS AGE ENTRY -10%", "60-70 YEARS 10%" or "30%, IF PED-50%".
+     * "> N YEARS" excludes age N itself; "N YEARS", "ABOVE N YEARS" and ">= N YEARS" include it.
+     */
+    static parseCopay(rawValue) {
+        const text = this.canonicalKey(rawValue);
+        if (NOT_COVERED_VALUES.includes(text)) {
+            return { available: false, percentage: 0, age_condition: null, ped_percentage: null, recognised: true };
+        }
+
+        // A separate rate for pre-existing diseases ("IF PED-50%") is not the general co-pay
+        const ped = text.match(/PED\s*-?\s*(\d+(?:\.\d+)?)\s*%/);
+        const general = ped ? text.replace(ped[0], '') : text;
+        const age = general.match(/(>=|>|ABOVE)?\s*(\d+)\s*(?:-\s*(\d+))?\s*(?:YEARS?|YRS?)\b.*?(\d+(?:\.\d+)?)\s*%/);
+        const percentage = general.match(/(\d+(?:\.\d+)?)\s*%/);
+
+        if (age) {
+            return {
+                available: true,
+                percentage: parseFloat(age[4]),
+                age_condition: {
+                    min_age_years: parseInt(age[2]),
+                    max_age_years: age[3] ? parseInt(age[3]) : null,
+                    min_inclusive: age[1] !== '>'
+                },
+                ped_percentage: ped ? parseFloat(ped[1]) : null,
+                recognised: true
+            };
+        }
+        // A percentage next to an age wording we could not read must not become a co-pay for everyone
+        if (!percentage || /YEAR|AGE/.test(general)) {
+            return { available: false, percentage: 0, age_condition: null, ped_percentage: null, recognised: false };
+        }
+
+        return {
+            available: true,
+            percentage: parseFloat(percentage[1]),
+            age_condition: null,
+            ped_percentage: ped ? parseFloat(ped[1]) : null,
+            recognised: true
+        };
+    }
+
+    /**
+     * Normalize numbered special feature entries into a list with parsed limits
+     */
+    static normalizeSpecialFeatures(rawFeatures) {
+        if (!rawFeatures || typeof rawFeatures !== 'object') {
+            return [];
+        }
+
+        return Object.entries(rawFeatures)
+            .filter(([key, value]) => value && String(value).trim() &&
+                this.canonicalKey(value) !== this.canonicalKey(key) &&
+                !NOT_COVERED_VALUES.includes(this.canonicalKey(value)))
+            .map(([key, value]) => ({
+                id: key,
+                text: String(value).trim(),
+                limit: this.parseLimit(String(value).trim())
+            }));
+    }
+}
+
+module.exports = { PlanNormalizer };
@@ -0,0 +1,139 @@
+/**
+ * Plan Schema - Canonical field layout for plan JSON files under data/plans
+ *
+ * Each canonical section maps to a section of the raw plan file. Every field
+ * lists the raw keys it may appear under (matched case- and whitespace-
+ * insensitively) and the type the normalizer converts its value to:
+ *
+ *   text               - trimmed string
+ *   age_range          - { min_age_years, max_age_years, note }
+ *   amount_list        - { options: [rupees], unlimited }
+ *   number_list        - [numbers]
+ *   member_composition - { max_adults, max_children, individual, family }
+ *   duration           - days
+ *   waiting_period     - { applies, days, conditions, notes }
+ *   coverage / limit   - PlanLimit, parsed by LimitParser
+ *   bonus              - { percentage_per_year, max_percentage }
+ *   restore            - { available, percentage, same_claim }
+ *   mid_term_inclusion - { allowed, windows: { spouse, child } } (days after marriage / birth)
+ *   copay              - { available, percentage, age_condition, ped_percentage, recognised }
+ *                        age_condition: { min_age_years, max_age_years, min_inclusive } or null for all ages
+ */
+
+/**
+ * @typedef {Object} PlanLimit
+ * @property {string} kind - not_covered | unlimited | covered | fixed | percent_of_si |
+ *   percent_of_expense | tiered | deductible_options | category | unknown
+ * @property {boolean|null} covered - false when the plan says NO
+ * @property {boolean} unlimited - true for ACTUAL / ALL / UPTO SI style values
+ * @property {number|null} amount - Flat amount in rupees
+ * @property {number|null} percentage_of_si - Percentage of sum insured
+ * @property {number|null} percentage - Percentage of another base (see base)
+ * @property {string|null} base - Base for percentage, e.g. "HOSPITALISATION"
+ * @property {number|null} max_amount - Overall cap in rupees
+ * @property {number|null} max_units - Cap on the number of units (e.g., "MAX 4 TIMES")
+ * @property {string|null} per - Unit the amount applies to (day, year, delivery, ...)
+ * @property {string|null} category - Room category key for category limits
+ * @property {Array<{sum_insured_min: number, sum_insured_max: number, limit: PlanLimit}>} tiers
+ * @property {Array<{deductible: number, percentage: number, sum_insured_min: number, sum_insured_max: number|null}>} options
+ * @property {string|null} note - Qualifying text such as "AS PER LIST 1"
+ * @property {string[]} warnings - Suspicious input, e.g. irregular digit grouping
+ * @property {string} raw - Original plan value
+ */
+
+/**
+ * @typedef {Object} NormalizedPlan
+ * @property {number} schema_version
+ * @property {Object} details
+ * @property {Object} coverages
+ * @property {Object} waiting_periods
+ * @property {Object} sub_limits
+ * @property {Object} renewal
+ * @property {Array<{id: string, text: string, limit: PlanLimit}>} special_features
+ * @property {Object|null} maternity - null when the plan has no maternity section
+ * @property {Object<string, string>} sources - Canonical field path → raw plan value
+ * @property {Array<{field: string, raw: string, problem: string}>} issues
+ */
+
+const PLAN_SCHEMA_VERSION = 1;
+
+const PLAN_SCHEMA = {
+    details: {
+        source: 'plan_details',
+        fields: {
+            company: { keys: ['Company'], type: 'text' },
+            plan_name: { keys: ['Plan Name'], type: 'text' },
+            adult_entry_age: { keys: ['Adult Age Entry (MIN-MAX)'], type: 'age_range' },
+            child_entry_age: { keys: ['Child Age Entry'], type: 'age_range' },
+            sum_insured: { keys: ['Sum Insured Range'], type: 'amount_list' },
+            policy_terms_years: { keys: ['Policy Duration'], type: 'number_list' },
+            members_covered: { keys: ['Who all can be covered'], type: 'member_composition' },
+            mid_term_inclusion: { keys: ['MID TERM INCLUSION'], type: 'mid_term_inclusion' },
+            medical_screening: { keys: ['Medical Screening Before Policy'], type: 'text' }
+        }
+    },
+    coverages: {
+        source: 'basic_coverages',
+        fields: {
+            pre_hospitalisation_days: { keys: ['Pre-Hospitalization', 'Pre-Hospitalisation'], type: 'duration' },
+            post_hospitalisation_days: { keys: ['Post-Hospitalization', 'Post-Hospitalisation'], type: 'duration' },
+            emergency_ambulance: { keys: ['Emergency Ambulance'], type: 'coverage' },
+            day_care: { keys: ['DAY CARE (PROCEDURE/SURGERY)', 'Day Care'], type: 'coverage' },
+            ayush: { keys: ['Non-Allopathic Treatment (AYUSH)', 'AYUSH'], type: 'coverage' },
+            domiciliary: { keys: ['Domicilary Expenses', 'Domiciliary Expenses'], type: 'coverage' },
+            consumables: { keys: ['Consumables'], type: 'coverage' },
+            si_restore: { keys: ['SI RESTORE /RECHARGE', 'SI RESTORE / RECHARGE'], type: 'restore' },
+            modern_treatments: { keys: ['MODERN TREATMENTS'], type: 'coverage' },
+            organ_donor: { keys: ['ORGAN DONOR EXPENSES'], type: 'coverage' }
+        }
+    },
+    waiting_periods: {
+        source: 'exclusions_waiting_periods',
+        fields: {
+            initial: { keys: ['INITIAL WAITING'], type: 'waiting_period' },
+            specific_disease: { keys: ['SPECIFIC DISEASE'], type: 'waiting_period' },
+            pre_existing: { keys: ['Pre Existing Disease', 'PED'], type: 'waiting_period' }
+        }
+    },
+    sub_limits: {
+        source: 'sub_limits',
+        fields: {
+            room_rent_per_day: { keys: ['Room Rent/day', 'Room Rent'], type: 'limit' },
+            icu_per_day: { keys: ['ICU/day', 'ICU'], type: 'limit' },
+            copay: { keys: ['Co - Pay', 'Co-Pay', 'Copay'], type: 'copay' },
+            cataract: { keys: ['Cataract Limits', 'Cataract'], type: 'limit' },
+            other: { keys: ['Other Sub Limits'], type: 'text' }
+        }
+    },
+    renewal: {
+        source: 'renewal_benefits',
+        fields: {
+            no_claim_bonus: { keys: ['No claim bonus', 'NCB'], type: 'bonus' },
+            health_checkup: { keys: ['Free Health Check-up'], type: 'text' },
+            discounts: { keys: ['Discounts'], type: 'text' },
+            wellness_discount: { keys: ['Wellness Discount'], type: 'text' }
+        }
+    },
+    maternity: {
+        source: 'maternity_cover',
+        optional: true,
+        fields: {
+            availability: { keys: ['AVAILABLE CONDITION'], type: 'coverage' },
+            first_delivery_waiting: { keys: ['WAITING PERIOD 1st DELIVERY'], type: 'waiting_period' },
+            second_delivery_waiting: { keys: ['WAITING PERIOD 2nd DELIVERY'], type: 'waiting_period' },
+            normal_delivery: { keys: ['Delivery charges (NORMAL)'], type: 'limit' },
+            caesarean_delivery: { keys: ['Delivery charges (Caesarean)'], type: 'limit' },
+            newborn_cover: { keys: ['NEW BORN BABY COVER'], type: 'limit' },
+            child_vaccination: { keys: ['Vaccination Exp For Child'], type: 'limit' },
+            pediatrician_consultations: { keys: ['Pediatrician Consultations for child'], type: 'limit' },
+            metabolic_screening: { keys: ['Metabolic Screening'], type: 'limit' },
+            infertility: { keys: ['INFERTILITY / ASST.REPRODUCTION'], type: 'limit' },
+            miscarriage_due_to_accident: { keys: ['Miscarriage due to Accident'], type: 'limit' },
+            in_utero_surgery: { keys: ['In Utero Fetal Surgery / Repair'], type: 'limit' },
+            ante_natal_care: { keys: ['Ante-Natal Care'], type: 'limit' },
+            voluntary_sterilisation: { keys: ['Voluntary Sterilization Exp.'], type: 'limit' }
+        }
+    }
+};
+
+module.exports = { PLAN_SCHEMA, PLAN_SCHEMA_VERSION };
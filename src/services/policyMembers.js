@@ -0,0 +1,185 @@
+/**
+ * Policy Members - Insured member model for individual and family floater policies
+ *
+ * Each member carries a relationship, age and date of joining. Members are
+ * checked against the plan's adult or child entry ages, the permitted family
+ * composition ("2A+3C") and mid-term inclusion windows.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+class PolicyMembers {
+
+    static RELATIONSHIPS = {
+        self: 'adult',
+        spouse: 'adult',
+        husband: 'adult',
+        wife: 'adult',
+        father: 'adult',
+        mother: 'adult',
+        parent: 'adult',
+        father_in_law: 'adult',
+        mother_in_law: 'adult',
+        parent_in_law: 'adult',
+        son: 'child',
+        daughter: 'child',
+        child: 'child'
+    };
+
+    /**
+     * Check the shape of a member list before analysis
+     * @returns {string|null} - Error message, or null when the list is usable
+     */
+    static validateShape(members, memberId) {
+        if (!Array.isArray(members) || members.length === 0) {
+            return 'policy_members must be a non-empty array';
+        }
+
+        const ids = new Set();
+        for (const [index, member] of members.entries()) {
+            if (!member || !member.member_id) {
+                return `policy_members[${index}].member_id is required`;
+            }
+            if (ids.has(String(member.member_id))) {
+                return `Duplicate member_id: ${member.member_id}`;
+            }
+            ids.add(String(member.member_id));
+
+            if (!this.RELATIONSHIPS[this.relationshipKey(member.relationship)]) {
+                return `policy_members[${index}].relationship must be one of: ${Object.keys(this.RELATIONSHIPS).join(', ')}`;
+            }
+            if (typeof member.age !== 'number' || member.age < 0) {
+                return `policy_members[${index}].age must be a non-negative number (years)`;
+            }
+            if (member.date_of_joining && isNaN(new Date(member.date_of_joining).getTime())) {
+                return `policy_members[${index}].date_of_joining must be a valid date`;
+            }
+        }
+
+        if (memberId && !ids.has(String(memberId))) {
+            return `member_id ${memberId} is not listed in policy_members`;
+        }
+        return null;
+    }
+
+    static relationshipKey(relationship) {
+        return String(relationship || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+    }
+
+    /**
+     * Validate members against the plan's entry ages, composition and mid-term inclusion rules
+     * @param {Array} members - [{ member_id, name, relationship, age, date_of_joining, event_date }]
+     * @param {Object} normalizedPlan - PlanNormalizer output
+     * @param {Object} policy - { policy_start_date, policy_type, as_of }
+     * @returns {Object} - { policy_type, members, composition, issues }
+     */
+    static validate(members, normalizedPlan, policy = {}) {
+        const details = normalizedPlan.details || {};
+        const policyStart = new Date(policy.policy_start_date);
+        const asOf = policy.as_of ? new Date(policy.as_of) : new Date();
+        const issues = [];
+
+        const evaluated = members.map(member => this.evaluateMember(member, details, policyStart, asOf));
+
+        const adults = evaluated.filter(member => member.band === 'adult').length;
+        const children = evaluated.filter(member => member.band === 'child').length;
+        const allowed = details.members_covered;
+        const policyType = policy.policy_type || (members.length > 1 ? 'floater' : 'individual');
+
+        if (allowed) {
+            if (adults > allowed.max_adults) {
+                issues.push(`Policy lists ${adults} adults; the plan covers at most ${allowed.max_adults}`);
+            }
+            if (children > allowed.max_children) {
+                issues.push(`Policy lists ${children} children; the plan covers at most ${allowed.max_children}`);
+            }
+            if (policyType === 'floater' && !allowed.family) {
+                issues.push('Plan is individual only; family floater cover is not offered');
+            }
+        }
+
+        return {
+            policy_type: policyType,
+            members: evaluated,
+            composition: {
+                adults: adults,
+                children: children,
+                max_adults: allowed ? allowed.max_adults : null,
+                max_children: allowed ? allowed.max_children : null,
+                plan_value: normalizedPlan.sources?.['details.members_covered'] || null
+            },
+            issues: issues
+        };
+    }
+
+    /**
+     * Entry age and mid-term inclusion checks for one member
+     */
+    static evaluateMember(member, details, policyStart, asOf) {
+        const relationship = this.relationshipKey(member.relationship);
+        const joining = member.date_of_joining ? new Date(member.date_of_joining) : policyStart;
+        const yearsSinceJoining = isNaN(joining.getTime()) ? 0 : Math.max(0, (asOf - joining) / (DAY_MS * 365));
+        const ageAtEntry = Math.round(Math.max(0, member.age - yearsSinceJoining) * 100) / 100;
+        const issues = [];
+        const notes = [];
+
+        // Children past the child entry range are insured as adults
+        let band = this.RELATIONSHIPS[relationship];
+        const childRange = details.child_entry_age;
+        if (band === 'child' && childRange?.max_age_years !== null && childRange?.max_age_years !== undefined &&
+            ageAtEntry > childRange.max_age_years) {
+            band = 'adult';
+        }
+
+        const range = band === 'child' ? childRange : details.adult_entry_age;
+        if (range) {
+            if (range.offered === false) {
+                issues.push(`Plan does not cover ${band === 'child' ? 'children' : 'adults'}`);
+            } else if (ageAtEntry < range.min_age_years || (range.max_age_years !== null && ageAtEntry > range.max_age_years)) {
+                issues.push(`Entry age ${ageAtEntry} is outside the ${band} range (${range.min_age_years}-${range.max_age_years ?? 'no limit'} years)`);
+            }
+        }
+
+        // Members added after policy start need the plan's mid-term inclusion window
+        const midTerm = !isNaN(joining.getTime()) && !isNaN(policyStart.getTime()) && joining > policyStart;
+        if (midTerm) {
+            const inclusion = details.mid_term_inclusion;
+            const windowKey = ['spouse', 'husband', 'wife'].includes(relationship) ? 'spouse' : (band === 'child' ? 'child' : null);
+
+            if (inclusion?.allowed === false || (inclusion && inclusion.allowed && Object.keys(inclusion.windows).length > 0 && !windowKey)) {
+                issues.push(`Mid-term inclusion is not permitted for ${relationship.replace(/_/g, ' ')}`);
+            } else if (inclusion && windowKey && inclusion.windows[windowKey] !== undefined && member.event_date) {
+                const daysAfterEvent = Math.floor((joining - new Date(member.event_date)) / DAY_MS);
+                if (daysAfterEvent > inclusion.windows[windowKey]) {
+                    issues.push(`Added ${daysAfterEvent} days after ${windowKey === 'spouse' ? 'marriage' : 'birth'}; plan allows ${inclusion.windows[windowKey]} days`);
+                }
+            } else if (!inclusion) {
+                notes.push('Plan does not state mid-term inclusion rules; inclusion needs insurer confirmation');
+            }
+        }
+
+        return {
+            member_id: String(member.member_id),
+            name: member.name || null,
+            relationship: relationship,
+            band: band,
+            age: member.age,
+            age_at_entry: ageAtEntry,
+            date_of_joining: isNaN(joining.getTime()) ? null : joining.toISOString().split('T')[0],
+            mid_term_inclusion: midTerm,
+            eligible: issues.length === 0,
+            issues: issues,
+            notes: notes
+        };
+    }
+
+    /**
+     * Days the member has been covered, counted from their own date of joining
+     */
+    static coverageDays(member, policyStartDate, onDate = new Date()) {
+        const joining = new Date(member?.date_of_joining || policyStartDate);
+        return Math.floor((new Date(onDate) - joining) / DAY_MS);
+    }
+}
+
+module.exports = { PolicyMembers };
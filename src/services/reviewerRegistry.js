@@ -0,0 +1,52 @@
+/**
+ * Reviewer Registry - Who may override the engine's verdicts
+ *
+ * Reviewers are configured in CLAIM_REVIEWERS as comma-separated name:token
+ * pairs ("asha:s3cret,ravi:t0ken"). Requests identify the reviewer with the
+ * X-Reviewer-Token header; the reviewer's name is taken from the registry,
+ * never from the request. With no reviewers configured, overrides are disabled.
+ */
+const crypto = require('crypto');
+
+class ReviewerRegistry {
+    /**
+     * @param {Array} reviewers - [{ name, token }]
+     */
+    constructor(reviewers = []) {
+        this.reviewers = reviewers;
+    }
+
+    static fromEnv(value = process.env.CLAIM_REVIEWERS) {
+        const reviewers = String(value || '').split(',')
+            .map(pair => pair.trim())
+            .filter(Boolean)
+            .map(pair => {
+                const separator = pair.indexOf(':');
+                return { name: pair.slice(0, separator).trim(), token: pair.slice(separator + 1).trim() };
+            })
+            .filter(reviewer => reviewer.name && reviewer.token);
+
+        console.log(reviewers.length > 0 ?
+            `✅ ${reviewers.length} claim reviewer(s) configured` :
+            '⚠️ No claim reviewers configured (CLAIM_REVIEWERS); verdict overrides are disabled');
+        return new ReviewerRegistry(reviewers);
+    }
+
+    get enabled() {
+        return this.reviewers.length > 0;
+    }
+
+    /**
+     * @returns {string|null} - The reviewer's name, or null when the token is not a reviewer's
+     */
+    authenticate(token) {
+        if (!token) return null;
+
+        const given = crypto.createHash('sha256').update(String(token)).digest();
+        const reviewer = this.reviewers.find(candidate =>
+            crypto.timingSafeEqual(given, crypto.createHash('sha256').update(candidate.token).digest()));
+        return reviewer ? reviewer.name : null;
+    }
+}
+
+module.exports = { ReviewerRegistry };
@@ -0,0 +1,172 @@
+/**
+ * Waiting Period Parser - Converts free-text plan waiting periods into structured durations
+ *
+ * Handles plan values such as "FIRST 30 DAYS", "FIRST 2 YEARS", "ONE YR",
+ * "AFTER 36 MONTHS, MAX 2 DELIVERY" and conditional variants like
+ * "FIRST 3YRS ( IF 3YRS POLICY 2.5YRS )".
+ */
+class WaitingPeriodParser {
+
+    static DAYS_PER_UNIT = {
+        DAY: 1,
+        MONTH: 365 / 12,
+        YEAR: 365
+    };
+
+    static NUMBER_WORDS = {
+        ONE: 1,
+        TWO: 2,
+        THREE: 3,
+        FOUR: 4,
+        FIVE: 5,
+        SIX: 6
+    };
+
+    static NOT_APPLICABLE_VALUES = ['NO', 'NIL', 'NONE', 'NOT APPLICABLE', 'N/A'];
+
+    /**
+     * Parse a waiting period value from plan data
+     * @param {string} value - Raw plan value (e.g., "FIRST 3YRS ( IF 3YRS POLICY 2.5YRS )")
+     * @param {string} [fieldName] - Plan field name, used to detect header placeholders
+     * @returns {Object} - { raw, recognised, applies, days, conditions: [{ when, days }], notes,
+     *   from_previous_delivery, max_deliveries } (the last two describe maternity waiting periods)
+     */
+    static parse(value, fieldName = '') {
+        const parsed = {
+            raw: value === undefined || value === null ? null : String(value),
+            recognised: false,
+            applies: null,
+            days: null,
+            conditions: [],
+            notes: [],
+            from_previous_delivery: false,
+            max_deliveries: null
+        };
+
+        if (!parsed.raw || !parsed.raw.trim()) {
+            return parsed;
+        }
+
+        const text = parsed.raw.toUpperCase().replace(/\s+/g, ' ').trim();
+
+        // Header rows copied into the value column carry no information
+        if (fieldName && text === fieldName.toUpperCase().replace(/\s+/g, ' ').trim()) {
+            return parsed;
+        }
+
+        if (this.NOT_APPLICABLE_VALUES.includes(text)) {
+            parsed.recognised = true;
+            parsed.applies = false;
+            parsed.days = 0;
+            return parsed;
+        }
+
+        // Conditional variants live in parentheses: "( IF 3YRS POLICY 2.5YRS )"
+        const conditionPattern = /\(\s*IF\s+(\d+(?:\.\d+)?)\s*(?:YRS?|YEARS?|Y)\s*POLICY\s*(\d+(?:\.\d+)?)\s*(DAYS?|MONTHS?|YRS?|YEARS?|Y)\s*\)/g;
+        let conditionMatch;
+        while ((conditionMatch = conditionPattern.exec(text)) !== null) {
+            parsed.conditions.push({
+                when: { policy_term_years: parseFloat(conditionMatch[1]) },
+                days: this.toDays(parseFloat(conditionMatch[2]), conditionMatch[3])
+            });
+        }
+
+        const baseText = text.replace(/\([^)]*\)/g, ' ');
+        const baseDays = this.extractDuration(baseText);
+
+        if (baseDays !== null) {
+            parsed.recognised = true;
+            parsed.applies = baseDays > 0;
+            parsed.days = baseDays;
+        } else if (text === 'YES') {
+            // Waiting applies but the plan does not say for how long
+            parsed.applies = true;
+            parsed.notes.push('Waiting period applies but no duration is specified');
+        }
+
+        if (/AFTER\s+(?:1ST|FIRST)\s+DELIVERY/.test(baseText)) {
+            parsed.from_previous_delivery = true;
+            parsed.notes.push('Counted from the previous delivery');
+        }
+
+        const maxDeliveries = baseText.match(/MAX\.?\s*(\d+)\s*DELIVER/);
+        if (maxDeliveries) {
+            parsed.max_deliveries = parseInt(maxDeliveries[1], 10);
+            parsed.notes.push(`Maximum ${maxDeliveries[1]} deliveries`);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Extract the first duration expression from text, in days
+     */
+    static extractDuration(text) {
+        const numericMatch = text.match(/(\d+(?:\.\d+)?)\s*(DAYS?|MONTHS?|YRS?|YEARS?|Y)\b/);
+        if (numericMatch) {
+            return this.toDays(parseFloat(numericMatch[1]), numericMatch[2]);
+        }
+
+        const wordPattern = new RegExp(`\\b(${Object.keys(this.NUMBER_WORDS).join('|')})\\s*(DAYS?|MONTHS?|YRS?|YEARS?)\\b`);
+        const wordMatch = text.match(wordPattern);
+        if (wordMatch) {
+            return this.toDays(this.NUMBER_WORDS[wordMatch[1]], wordMatch[2]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a quantity and unit token to whole days
+     */
+    static toDays(quantity, unitToken) {
+        const unit = unitToken.toUpperCase();
+        let daysPerUnit = this.DAYS_PER_UNIT.YEAR;
+
+        if (unit.startsWith('DAY')) {
+            daysPerUnit = this.DAYS_PER_UNIT.DAY;
+        } else if (unit.startsWith('MONTH')) {
+            daysPerUnit = this.DAYS_PER_UNIT.MONTH;
+        }
+
+        return Math.round(quantity * daysPerUnit);
+    }
+
+    /**
+     * Pick the applicable duration for a policy, honouring conditional variants
+     * @param {Object} parsed - Result of parse()
+     * @param {Object} policy - { policy_term_years }
+     * @returns {number|null} - Waiting days, or null if the plan value could not be parsed
+     */
+    static resolve(parsed, policy = {}) {
+        if (!parsed || !parsed.recognised) {
+            return null;
+        }
+
+        const policyTerm = parseFloat(policy.policy_term_years);
+        if (!isNaN(policyTerm)) {
+            const condition = parsed.conditions.find(c => c.when.policy_term_years === policyTerm);
+            if (condition) {
+                return condition.days;
+            }
+        }
+
+        return parsed.days;
+    }
+
+    /**
+     * Human-readable form of a day count (e.g., 1095 → "3 years", 913 → "2.5 years")
+     */
+    static describe(days) {
+        if (days >= 365) {
+            const years = Math.round((days / 365) * 10) / 10;
+            return `${years} year${years === 1 ? '' : 's'}`;
+        }
+        if (days >= 60 && days % 30 === 0) {
+            return `${days / 30} months`;
+        }
+        return `${days} day${days === 1 ? '' : 's'}`;
+    }
+}
+
+module.exports = { WaitingPeriodParser };
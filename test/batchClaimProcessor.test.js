@@ -0,0 +1,101 @@
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BatchClaimProcessor } = require('../src/services/batchClaimProcessor.js');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+after(() => fs.rmSync(storage, { recursive: true, force: true }));
+
+test('parseCsv reads quoted cells with commas, quotes and line breaks', () => {
+    const claims = BatchClaimProcessor.parseCsv(
+        'patient_name,illness_type,claim_amount\n"Rao, Priya","said ""fever""\nfor days",50000\n');
+    assert.deepEqual(claims, [{ patient_name: 'Rao, Priya', illness_type: 'said "fever"\nfor days', claim_amount: 50000 }]);
+});
+
+test('parseCsv accepts CRLF line endings and skips blank rows and empty cells', () => {
+    const claims = BatchClaimProcessor.parseCsv('patient_name,claim_amount,emergency_treatment\r\nAsha,,yes\r\n\r\nRavi,1200,no\r\n');
+    assert.deepEqual(claims, [
+        { patient_name: 'Asha', emergency_treatment: true },
+        { patient_name: 'Ravi', claim_amount: 1200, emergency_treatment: false }
+    ]);
+});
+
+test('parseCsv rejects rows with more cells than the header and unterminated quotes', () => {
+    assert.throws(() => BatchClaimProcessor.parseCsv('patient_name,claim_amount\nAsha,100,extra\n'),
+        /row 1 has more cells than the header/);
+    assert.throws(() => BatchClaimProcessor.parseCsv('patient_name\n"Asha\n'), /unterminated quoted field/);
+    assert.throws(() => BatchClaimProcessor.parseCsv('\n\n'), /CSV file is empty/);
+});
+
+test('parseCsv parses JSON cells and reports the row of invalid JSON', () => {
+    const [claim] = BatchClaimProcessor.parseCsv(
+        'patient_name,bill_items\nAsha,"[{""category"":""room"",""amount"":4000}]"\n');
+    assert.deepEqual(claim.bill_items, [{ category: 'room', amount: 4000 }]);
+    assert.throws(() => BatchClaimProcessor.parseCsv('patient_name,policy_members\nAsha,"[{""member_id"":"\n'),
+        /row 1 policy_members is not valid JSON/);
+});
+
+test('toCsv prefixes text cells a spreadsheet would run as a formula', () => {
+    const csv = BatchClaimProcessor.toCsv([
+        { row: 1, patient_name: '=HYPERLINK("http://example.com")', claim_type: '+Illness', plan_file_path: '-1', status: '@SUM(A1)', payable_amount: 0 },
+        { row: 2, patient_name: 'Asha', rejection_reasons: ['=1+1', 'Initial waiting'], payable_amount: 1200 }
+    ]);
+    const [, first, second] = csv.trim().split('\n');
+    assert.equal(first, `1,,"'=HYPERLINK(""http://example.com"")",'+Illness,'-1,'@SUM(A1),,,0,,,,,`);
+    assert.equal(second, "2,,Asha,,,,,,1200,,,'=1+1; Initial waiting,,");
+});
+
+// Stands in for ClaimEligibilityEngine: each analysis takes a while and records how many run at once
+function fakeEngine() {
+    const engine = {
+        running: 0,
+        peak: 0,
+        validateClaimRequest: claimData => (claimData.claim_amount > 0 ? null : 'claim_amount must be positive'),
+        analyzeClaimEligibility: async claimData => {
+            engine.running++;
+            engine.peak = Math.max(engine.peak, engine.running);
+            await new Promise(resolve => setTimeout(resolve, 5 + (claimData.claim_amount % 3) * 5));
+            engine.running--;
+            if (claimData.patient_name === 'fails') {
+                throw new Error('Plan file unreadable');
+            }
+            return { eligible: true, status: 'eligible', rejection_reasons: [], review_flags: [],
+                financial_breakdown: { total_claim: claimData.claim_amount, final_amount: claimData.claim_amount } };
+        }
+    };
+    return engine;
+}
+
+test('the worker pool runs at most `concurrency` claims at once and keeps results in row order', async () => {
+    const engine = fakeEngine();
+    const processor = new BatchClaimProcessor({ engine: engine, storageDir: storage, concurrency: 3 });
+    const claims = Array.from({ length: 10 }, (_, index) => ({ patient_name: `P${index + 1}`, claim_amount: 1000 + index }));
+    claims[4] = { patient_name: 'fails', claim_amount: 500 };
+    claims[7] = { patient_name: 'invalid', claim_amount: 0 };
+
+    const batch = await processor.process(claims, { plan_file_path: 'book3/merged_output.json' });
+
+    assert.equal(engine.peak, 3);
+    assert.deepEqual(batch.results.map(result => result.row), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.deepEqual(batch.results.map(result => result.patient_name), claims.map(claim => claim.patient_name));
+    assert.deepEqual([batch.results[4].status, batch.results[4].error], ['error', 'Plan file unreadable']);
+    assert.deepEqual([batch.results[7].status, batch.results[7].error], ['invalid', 'claim_amount must be positive']);
+    assert.deepEqual([batch.summary.analysed, batch.summary.errors, batch.summary.invalid], [8, 1, 1]);
+
+    const csv = await processor.getResults(batch.batch_id, 'csv');
+    assert.equal(csv.trim().split('\n').length, 11);
+});
+
+test('a batch smaller than the pool starts only one worker per claim', async () => {
+    const engine = fakeEngine();
+    const processor = new BatchClaimProcessor({ engine: engine, storageDir: storage, concurrency: 8 });
+    const batch = await processor.process([{ claim_amount: 100 }, { claim_amount: 200 }], { plan_file_path: 'book3/merged_output.json' });
+
+    assert.equal(engine.peak, 2);
+    assert.equal(batch.summary.total_payable, 300);
+});
@@ -0,0 +1,24 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatOrchestrator } = require('../src/services/chatOrchestrator.js');
+const { PlanManager } = require('../src/services/planManager.js');
+
+mock.method(console, 'log', () => {});
+
+test('the prompt names the plan and carries its normalized fields', async () => {
+    const prompts = [];
+    const groqAnalyzer = { analyzeQuery: async prompt => { prompts.push(prompt); return '<table class="plan-table"></table>'; } };
+    const orchestrator = new ChatOrchestrator(groqAnalyzer, new PlanManager());
+
+    const reply = await orchestrator.processMessage('session-1', 'Is there a co-pay?', 'book1/merged_output.json');
+    assert.equal(reply.success, true);
+    assert.notEqual(reply.planContext.company, 'Unknown');
+    assert.notEqual(reply.planContext.planName, 'Unknown Plan');
+
+    const fields = orchestrator.structuredPlanFields(orchestrator.getSession('session-1').planData);
+    assert.equal(fields.sub_limits.copay.percentage, 10);
+    assert.equal(fields.sub_limits.copay.age_condition.min_age_years, 60);
+    assert.equal(fields.sources, undefined);
+    assert.ok(prompts[0].includes(JSON.stringify(fields, null, 2)));
+    assert.ok(!prompts[0].includes('absolutePath'));
+});
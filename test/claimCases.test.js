@@ -0,0 +1,185 @@
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ClaimCases, ClaimCaseError } = require('../src/services/claimCases.js');
+const { ReviewerRegistry } = require('../src/services/reviewerRegistry.js');
+
+mock.method(console, 'log', () => {});
+
+const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'claim-cases-test-'));
+after(() => fs.rmSync(storage, { recursive: true, force: true }));
+
+const TOKEN = 'asha-token';
+const eligible = { status: 'eligible', eligible: true, claim_amount: 100000, financial_breakdown: { total_claim: 100000, final_amount: 80000 } };
+const rejected = { status: 'not_eligible', eligible: false, claim_amount: 100000, financial_breakdown: { total_claim: 100000, final_amount: 0 } };
+
+const REQUIRED_DOCUMENTS = ['claim_form', 'discharge_summary'];
+
+// Stand in for ClaimEligibilityEngine and ClaimDocuments: the analysis is fixed, ledger
+// bookings are kept, and every required document is uploaded unless left out
+function setup(analysis = eligible, uploaded = REQUIRED_DOCUMENTS) {
+    const engine = {
+        booked: [],
+        analyzeClaimEligibility: async () => analysis,
+        recordApprovedClaim: async (claimData, result, amount) => {
+            engine.booked.push({ claim_reference: claimData.claim_reference, eligible: result.eligible, amount: amount });
+            return { entry_id: `entry-${engine.booked.length}` };
+        },
+        assessDocuments: (claimData, submitted) => {
+            const documents = REQUIRED_DOCUMENTS.map(id => ({ id: id, name: id.replace('_', ' '), submitted: submitted.includes(id) }));
+            const missing = documents.filter(document => !document.submitted).map(({ id, name }) => ({ id, name }));
+            return { documents: documents, missing: missing, ready: missing.length === 0 };
+        }
+    };
+    const documents = {
+        getClaim: async () => ({ documents: uploaded.map(type => ({ document_type: type })) })
+    };
+    const cases = new ClaimCases({
+        engine: engine,
+        reviewers: new ReviewerRegistry([{ name: 'asha', token: TOKEN }]),
+        documents: documents,
+        filePath: path.join(storage, `${Math.random().toString(36).slice(2)}.json`)
+    });
+    return { engine, cases };
+}
+const READY = { ready: true, missing: [] };
+
+const claimData = { claim_type: 'Illness', patient_name: 'Test Patient', claim_amount: 100000, plan_file_path: 'book3/merged_output.json' };
+
+test('a draft moves through review to settlement and is booked once in the ledger', async () => {
+    const { engine, cases } = setup();
+    const draft = await cases.create(claimData, { status: 'draft', changed_by: 'agent' });
+
+    const submitted = await cases.transition(draft.claim_id, { status: 'submitted', changed_by: 'agent' });
+    assert.equal(submitted.analysis.status, 'eligible');
+    await cases.transition(draft.claim_id, { status: 'under_review', changed_by: 'agent' });
+
+    const approved = await cases.transition(draft.claim_id, { status: 'approved', changed_by: 'someone else' }, TOKEN);
+    assert.equal(approved.approved_amount, 80000);
+    assert.equal(approved.history[approved.history.length - 1].changed_by, 'asha');
+
+    const settled = await cases.transition(draft.claim_id, { status: 'settled' }, TOKEN);
+    assert.equal(settled.ledger_entry_id, 'entry-1');
+    assert.deepEqual(engine.booked, [{ claim_reference: draft.claim_id, eligible: true, amount: 80000 }]);
+    assert.deepEqual(settled.history.map(entry => entry.to), ['draft', 'submitted', 'under_review', 'approved', 'settled']);
+});
+
+test('decisions and settlement need an authenticated reviewer', async () => {
+    const { cases } = setup();
+    const claimCase = await cases.create(claimData, { analysis: eligible });
+
+    for (const token of [null, 'wrong-token']) {
+        await assert.rejects(cases.transition(claimCase.claim_id, { status: 'approved', changed_by: 'x' }, token),
+            /Only an authenticated reviewer can move a claim to approved/);
+        await assert.rejects(cases.transition(claimCase.claim_id, { status: 'partially_approved', changed_by: 'x' }, token), /authenticated reviewer/);
+    }
+    assert.equal((await cases.get(claimCase.claim_id)).status, 'submitted');
+
+    const disabled = new ClaimCases({ engine: cases.engine, documents: cases.documents, filePath: cases.filePath });
+    await assert.rejects(disabled.transition(claimCase.claim_id, { status: 'approved' }, TOKEN), /authenticated reviewer/);
+});
+
+test('validateTransition checks the lifecycle and who made the change', () => {
+    const claimCase = { status: 'draft', analysis: null, overrides: [] };
+    assert.match(ClaimCases.validateTransition(claimCase, { status: 'closed', changed_by: 'x' }), /status must be one of/);
+    assert.equal(ClaimCases.validateTransition(claimCase, { status: 'submitted' }), 'changed_by is required');
+    assert.match(ClaimCases.validateTransition(claimCase, { status: 'approved' }), /A draft claim cannot move to approved \(allowed: submitted\)/);
+    assert.match(ClaimCases.validateTransition({ status: 'settled' }, { status: 'under_review', changed_by: 'x' }), /cannot move to under_review$/);
+});
+
+test('a not eligible verdict cannot be approved', async () => {
+    const { cases } = setup(rejected);
+    const claimCase = await cases.create(claimData, { analysis: rejected });
+    assert.match(ClaimCases.validateTransition(claimCase, { status: 'approved' }),
+        /The engine verdict is not_eligible: record an override before approving this claim/);
+    await assert.rejects(cases.transition(claimCase.claim_id, { status: 'partially_approved', approved_amount: 1000 }, TOKEN), /record an override/);
+});
+
+test('the approved amount is capped at the verdict payable amount', async () => {
+    const { cases } = setup();
+    const claimCase = await cases.create(claimData, { analysis: eligible });
+
+    assert.match(ClaimCases.validateTransition(claimCase, { status: 'approved', approved_amount: 80001 }, READY),
+        /approved_amount cannot exceed the payable amount \(₹80,000\)/);
+    assert.match(ClaimCases.validateTransition(claimCase, { status: 'approved', approved_amount: -1 }, READY), /non-negative/);
+    assert.match(ClaimCases.validateTransition(claimCase, { status: 'under_review', changed_by: 'x', approved_amount: 10 }),
+        /only set when a claim is approved/);
+
+    const partial = await cases.transition(claimCase.claim_id, { status: 'partially_approved', approved_amount: 50000 }, TOKEN);
+    assert.equal(partial.approved_amount, 50000);
+});
+
+test('overrides need an authenticated reviewer and a reason code', async () => {
+    const { cases } = setup(rejected);
+    const claimCase = await cases.create(claimData, { analysis: rejected });
+    const request = { verdict: 'eligible', payable_amount: 60000, reason_code: 'WAITING_PERIOD_SERVED', comment: 'Ported cover' };
+
+    await assert.rejects(cases.override(claimCase.claim_id, 'wrong-token', request), /Only an authenticated reviewer can override/);
+    await assert.rejects(cases.override(claimCase.claim_id, TOKEN, { ...request, reason_code: 'BECAUSE' }), /reason_code must be one of/);
+    await assert.rejects(cases.override(claimCase.claim_id, TOKEN, { ...request, comment: ' ' }), /comment is required/);
+    assert.equal((await cases.get(claimCase.claim_id)).overrides.length, 0);
+
+    const overridden = await cases.override(claimCase.claim_id, TOKEN, request);
+    assert.equal(overridden.overrides[0].reviewer, 'asha');
+    assert.deepEqual(ClaimCases.effectiveVerdict(overridden), { status: 'eligible', eligible: true, payable_amount: 60000, source: 'override' });
+
+    const approved = await cases.transition(claimCase.claim_id, { status: 'approved' }, TOKEN);
+    assert.equal(approved.approved_amount, 60000);
+});
+
+test('validateOverride bounds the payable amount', () => {
+    const claimCase = { status: 'submitted', analysis: rejected, overrides: [] };
+    const request = { reason_code: 'OTHER', comment: 'Checked' };
+    assert.match(ClaimCases.validateOverride(claimCase, { ...request, verdict: 'eligible' }), /payable_amount is required/);
+    assert.match(ClaimCases.validateOverride(claimCase, { ...request, verdict: 'eligible', payable_amount: 100001 }), /cannot exceed the claim amount/);
+    assert.match(ClaimCases.validateOverride(claimCase, { ...request, verdict: 'not_eligible', payable_amount: 10 }), /pays nothing/);
+    assert.match(ClaimCases.validateOverride({ ...claimCase, status: 'settled' }, { ...request, verdict: 'eligible', payable_amount: 1 }), /settled/);
+});
+
+test('an eligible verdict is rejected only after an override', async () => {
+    const { cases } = setup();
+    const claimCase = await cases.create(claimData, { analysis: eligible });
+    await assert.rejects(cases.transition(claimCase.claim_id, { status: 'rejected' }, TOKEN),
+        /The engine verdict is eligible: record an override before rejecting this claim/);
+
+    await cases.override(claimCase.claim_id, TOKEN, { verdict: 'not_eligible', reason_code: 'FRAUD_SUSPECTED', comment: 'Bills altered' });
+    const rejectedCase = await cases.transition(claimCase.claim_id, { status: 'rejected' }, TOKEN);
+    assert.equal(rejectedCase.status, 'rejected');
+
+    const stats = await cases.overrideStats();
+    assert.deepEqual([stats.overridden_cases, stats.by_direction, stats.amount_change], [1, { approval_overturned: 1 }, -80000]);
+});
+
+test('a claim with missing documents is paid only after a DOCUMENTS_VERIFIED override', async () => {
+    const { cases } = setup(eligible, ['claim_form']);
+    const claimCase = await cases.create(claimData, { analysis: eligible });
+    assert.deepEqual((await cases.documentStatus(claimCase)).missing, [{ id: 'discharge_summary', name: 'discharge summary' }]);
+
+    await assert.rejects(cases.transition(claimCase.claim_id, { status: 'approved' }, TOKEN),
+        error => error instanceof ClaimCaseError && error.code === 'invalid' &&
+            /Documents are missing \(discharge summary\): upload them, or record a DOCUMENTS_VERIFIED override/.test(error.message));
+
+    await cases.override(claimCase.claim_id, TOKEN, { payable_amount: 80000, reason_code: 'DOCUMENTS_VERIFIED', comment: 'Original seen at the hospital' });
+    const approved = await cases.transition(claimCase.claim_id, { status: 'approved' }, TOKEN);
+    assert.equal(approved.status, 'approved');
+    assert.equal((await cases.transition(claimCase.claim_id, { status: 'settled' }, TOKEN)).status, 'settled');
+});
+
+test('transition errors carry a code for the caller', async () => {
+    const { cases } = setup();
+    const claimCase = await cases.create(claimData, { analysis: eligible });
+
+    await assert.rejects(cases.transition(claimCase.claim_id, { status: 'approved' }, 'wrong-token'), { code: 'unauthorized' });
+    await assert.rejects(cases.transition(claimCase.claim_id, { status: 'settled' }, TOKEN), { code: 'invalid' });
+    await assert.rejects(cases.override(claimCase.claim_id, TOKEN, { reason_code: 'OTHER' }), { code: 'invalid' });
+
+    // Both requests pass validation; the second finds the case already moved
+    const results = await Promise.allSettled([
+        cases.transition(claimCase.claim_id, { status: 'under_review', changed_by: 'agent' }),
+        cases.transition(claimCase.claim_id, { status: 'under_review', changed_by: 'agent' })
+    ]);
+    assert.equal(results[0].status, 'fulfilled');
+    assert.equal(results[1].reason.code, 'conflict');
+});
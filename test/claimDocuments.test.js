@@ -0,0 +1,62 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ClaimDocuments } = require('../src/services/claimDocuments.js');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'claim-documents-test-'));
+const documents = new ClaimDocuments(directory);
+const pdf = { document_type: 'discharge_summary', original_name: 'discharge.pdf', mime_type: 'application/pdf', buffer: Buffer.from('%PDF-1.4') };
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('isValidClaimId rejects names that reach Object.prototype', () => {
+    assert.equal(ClaimDocuments.isValidClaimId('CLM-2026_001'), true);
+    for (const claimId of ['__proto__', 'constructor', 'prototype', 'a/b', '', 'x'.repeat(65)]) {
+        assert.equal(ClaimDocuments.isValidClaimId(claimId), false, claimId);
+    }
+});
+
+test('documents are stored, listed and removed per claim', async () => {
+    const [added] = await documents.addDocuments('CLM-1', [pdf], { claim_type: 'Illness' });
+    const claim = await documents.getClaim('CLM-1');
+    assert.deepEqual(claim.claim_data, { claim_type: 'Illness' });
+    assert.equal(claim.documents[0].size, pdf.buffer.length);
+
+    assert.equal(await documents.removeDocument('CLM-1', added.document_id), true);
+    assert.equal(await documents.removeDocument('CLM-1', added.document_id), false);
+});
+
+test('reserved claim IDs neither resolve to nor write Object.prototype', async () => {
+    await assert.rejects(documents.addDocuments('__proto__', [pdf], { claim_type: 'Illness' }), /Invalid claim ID/);
+    assert.equal(Object.prototype.claim_data, undefined);
+
+    assert.equal(await documents.getClaim('constructor'), null);
+    assert.equal(await documents.getClaim('__proto__'), null);
+    assert.equal(await documents.removeDocument('toString', 'doc_1'), false);
+});
+
+test('an index holding a __proto__ key loads as an ordinary claim', async () => {
+    const polluted = path.join(directory, 'polluted');
+    fs.mkdirSync(polluted);
+    fs.writeFileSync(path.join(polluted, 'index.json'), '{"version": 1, "claims": {"__proto__": {"claim_data": {}, "documents": []}}}');
+    const index = await new ClaimDocuments(polluted).load();
+    assert.equal(Object.getPrototypeOf(index.claims), null);
+    assert.equal(Object.prototype.documents, undefined);
+});
+
+test('hasFileSignature checks the leading bytes against the declared type', () => {
+    assert.equal(ClaimDocuments.hasFileSignature('application/pdf', Buffer.from('%PDF-1.7\n')), true);
+    assert.equal(ClaimDocuments.hasFileSignature('image/jpeg', Buffer.from([0xff, 0xd8, 0xff, 0xe0])), true);
+    assert.equal(ClaimDocuments.hasFileSignature('image/png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0])), true);
+    assert.equal(ClaimDocuments.hasFileSignature('application/pdf', Buffer.from('<script>')), false);
+    assert.equal(ClaimDocuments.hasFileSignature('image/png', Buffer.from('%PDF-1.7')), false);
+    assert.equal(ClaimDocuments.hasFileSignature('text/html', Buffer.from('%PDF-1.7')), false);
+});
+
+test('addDocuments refuses a file whose content does not match its type', async () => {
+    const html = { ...pdf, original_name: 'bill.pdf', buffer: Buffer.from('<html><script>alert(1)</script>') };
+    await assert.rejects(documents.addDocuments('CLM-2', [pdf, html], { claim_type: 'Illness' }), /bill.pdf is not a valid application\/pdf file/);
+    assert.equal(await documents.getClaim('CLM-2'), null);
+});
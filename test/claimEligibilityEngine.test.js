@@ -0,0 +1,342 @@
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ClaimEligibilityEngine } = require('../src/services/claimEligibilityEngine.js');
+const { ClaimsLedger } = require('../src/services/claimsLedger.js');
+const { PlanNormalizer } = require('../src/services/planNormalizer.js');
+
+mock.method(console, 'log', () => {});
+
+const PLAN = 'book3/merged_output.json';
+const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-test-'));
+const engine = new ClaimEligibilityEngine({ claimsLedger: new ClaimsLedger(path.join(storage, 'ledger.json')) });
+
+after(() => fs.rmSync(storage, { recursive: true, force: true }));
+
+// Everything the checklist asks of an illness claim, so only the rule under test decides the verdict
+const ILLNESS_DOCUMENTS = ['claim_form', 'policy_copy', 'cancelled_cheque', 'discharge_summary', 'final_bill',
+    'payment_receipts', 'investigation_reports', 'prescriptions'];
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+const claim = overrides => ({
+    claim_type: 'Illness',
+    patient_name: 'Test Patient',
+    patient_age: 40,
+    sum_insured: '10L',
+    policy_start_date: daysAgo(100),
+    claim_amount: 50000,
+    submitted_documents: ILLNESS_DOCUMENTS,
+    ...overrides
+});
+const flagIds = result => (result.review_flags || []).map(flag => flag.rule_id);
+
+test('a stated ICD-10 code does not bypass the waiting period the condition text carries', async () => {
+    const result = await engine.analyzeClaimEligibility(claim({ illness_type: 'cataract', icd10_code: 'J18.9' }), PLAN);
+    assert.equal(result.status, 'not_eligible');
+    assert.match(result.rejection_reasons.join(' '), /waiting period not completed for cataract/);
+    assert.ok(flagIds(result).includes('diagnosis_code_mismatch'));
+});
+
+test('a stated ICD-10 code does not bypass an exclusion the condition text carries', async () => {
+    const result = await engine.analyzeClaimEligibility(claim({ illness_type: 'cosmetic surgery', icd10_code: 'J18.9' }), PLAN);
+    assert.equal(result.status, 'not_eligible');
+    assert.match(result.rejection_reasons.join(' '), /Cosmetic procedures are not covered/);
+});
+
+test('text and code that agree raise no mismatch', async () => {
+    const stated = await engine.analyzeClaimEligibility(claim({ illness_type: 'pneumonia', icd10_code: 'J18.9' }), PLAN);
+    assert.equal(stated.status, 'eligible');
+    assert.ok(!flagIds(stated).includes('diagnosis_code_mismatch'));
+
+    const resolved = await engine.analyzeClaimEligibility(claim({ illness_type: 'hearing aids' }), PLAN);
+    assert.equal(resolved.status, 'eligible');
+    assert.deepEqual(resolved.rejection_reasons, []);
+});
+
+test('missing documents send an otherwise eligible claim to review', async () => {
+    const complete = await engine.analyzeClaimEligibility(claim({ illness_type: 'pneumonia' }), PLAN);
+    assert.deepEqual([complete.status, complete.confidence], ['eligible', 1]);
+
+    const submitted = ILLNESS_DOCUMENTS.filter(document => document !== 'discharge_summary');
+    const result = await engine.analyzeClaimEligibility(claim({ illness_type: 'pneumonia', submitted_documents: submitted }), PLAN);
+    assert.equal(result.eligible, true);
+    assert.equal(result.status, 'needs_review');
+    assert.equal(result.confidence, 0.85);
+    const flag = result.review_flags.find(candidate => candidate.rule_id === 'documents_missing');
+    assert.deepEqual(flag.documents, ['discharge_summary']);
+    assert.match(flag.reason, /Discharge summary/);
+});
+
+test('room rent above the plan limit is deducted with associated charges in proportion', async () => {
+    const plan = (await engine.planManager.getPlan('book6/merged_output.json', { normalized: true })).data;
+    const claimData = claim({ claim_amount: 200000, room_charge_per_day: 25000, length_of_stay: 4 });
+
+    const { deductions, summary } = engine.calculateRoomRentDeductions(claimData, plan);
+    assert.equal(summary.eligible_room_rent_per_day, 20000);
+    assert.equal(summary.proportion_applied, 0.8);
+    // ₹5,000/day over the limit for 4 days, and 20% of the ₹1,00,000 other charges
+    assert.deepEqual(deductions.map(deduction => [deduction.type, deduction.amount]), [['room_rent_excess', 20000], ['proportionate_deduction', 20000]]);
+    assert.equal(engine.calculateRoomRentDeductions(claim({ claim_amount: 200000 }), plan).summary, null);
+
+    const result = await engine.analyzeClaimEligibility({ ...claimData, illness_type: 'fever' }, 'book6/merged_output.json');
+    const breakdown = result.financial_breakdown;
+    assert.equal(breakdown.total_deductions, 40000);
+    assert.equal(breakdown.admissible_amount, 160000);
+    assert.equal(breakdown.final_amount, breakdown.admissible_amount - breakdown.copay_amount);
+});
+
+test('age-based co-pay applies above the age threshold only', () => {
+    const copay = PlanNormalizer.parseCopay('>60YEARS AGE ENTRY -10%');
+    const senior = engine.planCopayFor(copay, { patient_age: 65 });
+    assert.deepEqual([senior.applies, senior.percentage], [true, 10]);
+    assert.equal(engine.planCopayFor(copay, { patient_age: 60 }).applies, false);
+    assert.equal(engine.planCopayFor(copay, { patient_age: 45 }).applies, false);
+});
+
+test('the plan co-pay is read from the normalized plan, with its own rate for pre-existing diseases', async () => {
+    const result = await engine.analyzeClaimEligibility(claim({ patient_age: 65, illness_type: 'pneumonia' }), 'book1/merged_output.json');
+    assert.equal(result.financial_breakdown.copay_percentage, 10);
+    const trace = result.rule_trace.find(entry => entry.rule_id === 'copay');
+    assert.deepEqual([trace.plan_value, trace.outcome], ['>60YEARS AGE ENTRY -10%', 'applied']);
+
+    const younger = await engine.analyzeClaimEligibility(claim({ patient_age: 45, illness_type: 'pneumonia' }), 'book1/merged_output.json');
+    assert.equal(younger.financial_breakdown.copay_percentage, 0);
+    assert.equal(younger.rule_trace.find(entry => entry.rule_id === 'copay').detail, 'Co-pay rule does not apply to this claim');
+
+    // Plan: "30%, IF PED-50%"
+    const copay = (await engine.planManager.getPlan('book5/merged_output.json', { normalized: true })).normalized.sub_limits.copay;
+    assert.equal(engine.planCopayFor(copay, { patient_age: 65 }).percentage, 30);
+    assert.equal(engine.planCopayFor(copay, { patient_age: 65, pre_existing_disease: true }).percentage, 50);
+});
+
+test('adult entry age comes from the normalized range and open-ended ranges have no upper bound', async () => {
+    // Plan: "60-75 Yrs"
+    const outside = await engine.analyzeClaimEligibility(claim({ patient_age: 80, illness_type: 'pneumonia' }), 'book5/merged_output.json');
+    assert.ok(outside.rejection_reasons.includes('Patient age (80) is outside plan coverage range (60-75 years)'));
+
+    const plan = (await engine.planManager.getPlan('book6/merged_output.json', { normalized: true })).data;
+    const check = age => {
+        const result = { eligible: true, rejection_reasons: [], rule_trace: [] };
+        return [engine.checkAdultEntryAge(result, { patient_age: age }, plan), result.rule_trace[0].plan_value];
+    };
+    // Plan: "50Y - Whole Life"
+    assert.deepEqual(check(101), [true, '50Y - Whole Life']);
+    assert.deepEqual(check(45), [false, '50Y - Whole Life']);
+});
+
+test('effective sum insured adds the no claim bonus and restores after earlier claims', async () => {
+    // Plan: 50% bonus per claim-free year up to 100%; 100% restoration, not for the claim that exhausts the cover
+    const plan = (await engine.planManager.getPlan(PLAN, { normalized: true })).data;
+    const effective = overrides => {
+        const coverage = engine.calculateEffectiveSumInsured(claim({ sum_insured: '5L', ...overrides }), plan);
+        return [coverage.bonus_amount, coverage.restored_amount, coverage.effective_sum_insured];
+    };
+
+    assert.deepEqual(effective({ claim_amount: 100000 }), [0, 0, 500000]);
+    assert.deepEqual(effective({ claim_amount: 100000, claim_free_years: 1 }), [250000, 0, 750000]);
+    assert.deepEqual(effective({ claim_amount: 100000, claim_free_years: 5 }), [500000, 0, 1000000]);
+    assert.deepEqual(effective({ claim_amount: 600000 }), [0, 0, 500000]);
+    assert.deepEqual(effective({ claim_amount: 400000, prior_claims_paid: 300000 }), [0, 300000, 500000]);
+});
+
+test('the plan specific disease period replaces only the rulebook specific diseases', async () => {
+    const analyse = (illness, policyAgeDays, plan = PLAN) =>
+        engine.analyzeClaimEligibility(claim({ illness_type: illness, policy_start_date: daysAgo(policyAgeDays) }), plan);
+
+    // book3 states FIRST 2 YEARS; diabetes and hypertension keep their 3 years, tuberculosis its 1 year
+    for (const illness of ['diabetes', 'hypertension']) {
+        const result = await analyse(illness, 800);
+        assert.equal(result.eligible, false, illness);
+        assert.match(result.rejection_reasons.join(' '), new RegExp(`waiting period not completed for ${illness} \\(3 years\\)`));
+    }
+    assert.equal((await analyse('tuberculosis', 400)).eligible, true);
+
+    const cataract = await analyse('cataract', 700);
+    assert.match(cataract.rejection_reasons.join(' '), /cataract \(2 years\)/);
+    const trace = cataract.rule_trace.find(entry => entry.rule_id === 'specific_disease_waiting.cataract');
+    assert.deepEqual([trace.plan_field, trace.plan_value], ['waiting_periods.specific_disease', 'FIRST 2 YEARS']);
+});
+
+test('a shorter plan specific disease period shortens only the specific diseases', async () => {
+    // book9 states FIRST 1 YEAR
+    const cataract = await engine.analyzeClaimEligibility(claim({ illness_type: 'cataract', policy_start_date: daysAgo(400) }), 'book9/merged_output.json');
+    assert.equal(cataract.eligible, true);
+    const diabetes = await engine.analyzeClaimEligibility(claim({ illness_type: 'diabetes', policy_start_date: daysAgo(400) }), 'book9/merged_output.json');
+    assert.match(diabetes.rejection_reasons.join(' '), /diabetes \(3 years\)/);
+});
+
+test('continuous prior cover counts towards waiting periods unless the break is too long', async () => {
+    // Plan: hernia is a specific disease with a 2 year waiting period; the policy is 100 days old
+    const priorCover = endedDaysAgo => ({ insurer: 'Prior Insurer', start_date: daysAgo(900), end_date: daysAgo(endedDaysAgo), sum_insured: '10L' });
+    assert.equal((await engine.analyzeClaimEligibility(claim({ illness_type: 'hernia' }), PLAN)).eligible, false);
+
+    const credited = await engine.analyzeClaimEligibility(claim({ illness_type: 'hernia', prior_coverage: priorCover(100) }), PLAN);
+    assert.equal(credited.eligible, true);
+    assert.deepEqual([credited.portability.gap_days, credited.portability.credit_days], [0, 800]);
+    assert.equal(credited.plan_details.policy_age_days, 900);
+
+    const broken = await engine.analyzeClaimEligibility(claim({ illness_type: 'hernia', prior_coverage: priorCover(145) }), PLAN);
+    assert.equal(broken.eligible, false);
+    assert.deepEqual([broken.portability.gap_days, broken.portability.credit_days], [45, 0]);
+    assert.match(broken.portability.detail, /Break of 45 days/);
+});
+
+test('the cover above the ported sum insured is capped only while its own waiting periods run', async () => {
+    const prior_coverage = { insurer: 'Prior Insurer', start_date: daysAgo(900), end_date: daysAgo(100), sum_insured: '5L' };
+    const topUp = deductions => deductions.filter(deduction => deduction.type === 'portability_top_up').map(deduction => deduction.amount);
+
+    const hernia = await engine.analyzeClaimEligibility(claim({ illness_type: 'hernia', claim_amount: 700000, prior_coverage }), PLAN);
+    assert.equal(hernia.eligible, true);
+    assert.deepEqual(hernia.portability.top_up_waiting_rules, ['specific_disease_waiting.hernia']);
+    assert.deepEqual(topUp(hernia.financial_breakdown.deductions), [200000]);
+
+    // Within the ported sum insured the top-up is never checked
+    const small = await engine.analyzeClaimEligibility(claim({ illness_type: 'hernia', claim_amount: 400000, prior_coverage }), PLAN);
+    assert.equal(small.portability.top_up_waiting, false);
+    assert.deepEqual(topUp(small.financial_breakdown.deductions), []);
+
+    // A rejection that has nothing to do with waiting periods does not cap the top-up
+    const excluded = await engine.analyzeClaimEligibility(claim({ illness_type: 'cosmetic surgery', claim_amount: 700000, prior_coverage }), PLAN);
+    assert.equal(excluded.eligible, false);
+    assert.deepEqual([excluded.portability.top_up_waiting, excluded.portability.top_up_waiting_rules], [false, []]);
+});
+
+test('a floater member\'s prior cover is credited up to their own date of joining', async () => {
+    const result = await engine.analyzeClaimEligibility(claim({
+        illness_type: 'hernia',
+        policy_start_date: daysAgo(400),
+        member_id: 'M2',
+        policy_members: [
+            { member_id: 'M1', relationship: 'self', age: 40 },
+            { member_id: 'M2', relationship: 'spouse', age: 38, date_of_joining: daysAgo(60) }
+        ],
+        prior_coverage: { insurer: 'Prior Insurer', start_date: daysAgo(800), end_date: daysAgo(60), sum_insured: '10L' }
+    }), PLAN);
+
+    assert.equal(result.portability.cover_start_date, daysAgo(60));
+    assert.deepEqual([result.portability.gap_days, result.portability.credit_days], [0, 740]);
+    assert.equal(result.eligible, true);
+});
+
+const maternity = overrides => claim({ claim_type: 'Maternity', patient_age: 30, policy_start_date: daysAgo(1200), claim_amount: 150000, delivery_type: 'normal', ...overrides });
+const maternityLimits = result => Object.fromEntries(result.maternity_details.limits.map(limit => [limit.limit_id, limit.cap]));
+const maternityDeductions = result => result.financial_breakdown.deductions.filter(deduction => deduction.type === 'maternity_limit')
+    .map(deduction => [deduction.limit_id, deduction.amount]);
+
+test('maternity claims are capped by the plan limit for the delivery type', async () => {
+    // Plan: normal delivery Rs.50,000, caesarean Rs.1,00,000, no first-delivery waiting
+    const normal = await engine.analyzeClaimEligibility(maternity(), 'book8/comprehensive_1cr.json');
+    assert.equal(normal.eligible, true);
+    assert.deepEqual(maternityLimits(normal), { delivery: 50000 });
+    assert.equal(normal.financial_breakdown.final_amount, 50000);
+
+    const caesarean = await engine.analyzeClaimEligibility(maternity({ delivery_type: 'caesarean' }), 'book8/comprehensive_1cr.json');
+    assert.deepEqual(maternityDeductions(caesarean), [['delivery', 50000]]);
+    assert.equal(caesarean.financial_breakdown.final_amount, 100000);
+    assert.equal(caesarean.rule_trace.find(entry => entry.rule_id === 'maternity_limit.delivery').plan_value, 'Rs.1,00,000/-');
+});
+
+test('a second delivery must wait the plan\'s period after the first, and deliveries beyond the maximum are rejected', async () => {
+    // Plan: "24 MONTHS AFTER 1st DELIVERY"
+    const PLAN_8 = 'book8/comprehensive_1cr.json';
+    const recent = await engine.analyzeClaimEligibility(maternity({ delivery_number: 2, previous_delivery_date: daysAgo(400) }), PLAN_8);
+    assert.equal(recent.eligible, false);
+    assert.ok(recent.rejection_reasons.includes('Delivery 2 is within the 2 years waiting period after the previous delivery'));
+    assert.equal(recent.rule_trace.find(entry => entry.rule_id === 'maternity_second_delivery_waiting').claim_input.days_since_previous_delivery, 400);
+
+    const later = await engine.analyzeClaimEligibility(maternity({ delivery_number: 2, previous_delivery_date: daysAgo(800) }), PLAN_8);
+    assert.equal(later.eligible, true);
+
+    const undated = await engine.analyzeClaimEligibility(maternity({ delivery_number: 2 }), PLAN_8);
+    assert.equal(undated.eligible, true);
+    assert.ok(flagIds(undated).includes('maternity_second_delivery_waiting'));
+
+    // Plan: "AFTER 36 MONTHS, MAX 2 DELIVERY"
+    const third = await engine.analyzeClaimEligibility(maternity({ delivery_number: 3, previous_delivery_date: daysAgo(800) }), 'book9/merged_output.json');
+    assert.ok(third.rejection_reasons.includes('Plan covers at most 2 deliveries; this is delivery 3'));
+    const early = await engine.analyzeClaimEligibility(maternity({ policy_start_date: daysAgo(500) }), 'book9/merged_output.json');
+    assert.ok(early.rejection_reasons.includes('Maternity waiting period not completed (3 years required)'));
+});
+
+test('newborn expenses are capped by the plan\'s newborn cover, and not paid where it is NO', async () => {
+    // Plan: newborn "UPTO 2 LAKHS"; caesarean Rs.1,00,000
+    const covered = await engine.analyzeClaimEligibility(
+        maternity({ delivery_type: 'caesarean', claim_amount: 400000, newborn_expenses: 250000 }), 'book8/comprehensive_1cr.json');
+    assert.deepEqual(maternityDeductions(covered), [['newborn', 50000], ['delivery', 50000]]);
+    assert.equal(covered.financial_breakdown.final_amount, 300000);
+
+    // Plan: newborn "UPTO 25% OF SI" on a 10L sum insured
+    const percentage = await engine.analyzeClaimEligibility(maternity({ claim_amount: 400000, newborn_expenses: 300000 }), 'book7/merged_output.json');
+    assert.equal(maternityLimits(percentage).newborn, 250000);
+
+    // Plan: newborn cover NO
+    const uncovered = await engine.analyzeClaimEligibility(maternity({ claim_amount: 60000, newborn_expenses: 20000 }), 'book10/merged_output.json');
+    assert.deepEqual(maternityDeductions(uncovered), [['newborn', 20000], ['delivery', 10000]]);
+    assert.equal(uncovered.financial_breakdown.final_amount, 30000);
+});
+
+test('maternity claims are rejected under plans without maternity cover or a maternity section', async () => {
+    const trace = result => result.rule_trace.find(entry => entry.rule_id === 'maternity_availability');
+
+    // Plan: maternity section present, every entry NO
+    const declined = await engine.analyzeClaimEligibility(maternity(), 'book2/merged_output.json');
+    assert.equal(declined.eligible, false);
+    assert.ok(declined.rejection_reasons.includes('Maternity expenses are not covered under this plan'));
+    assert.equal(trace(declined).detail, 'Plan maternity cover is NO');
+
+    // Plan: no maternity section at all
+    const missing = await engine.analyzeClaimEligibility(maternity(), 'book13/merged_output.json');
+    assert.equal(missing.eligible, false);
+    assert.deepEqual([trace(missing).detail, trace(missing).plan_value], ['Plan has no maternity section', null]);
+    assert.deepEqual(missing.maternity_details.limits, []);
+});
+
+test('dated bills before admission and after discharge are paid only within the plan\'s windows', async () => {
+    // Plan: pre-hospitalisation "Upto 90 days", post-hospitalisation "UPTO 180 DAYS"
+    const result = await engine.analyzeClaimEligibility(claim({
+        illness_type: 'pneumonia',
+        policy_start_date: '2025-01-01',
+        admission_date: '2026-05-10',
+        discharge_date: '2026-05-14',
+        bill_items: [
+            { category: 'room', description: 'Ward', amount: 8000, days: 4 },
+            { category: 'diagnostics', description: 'Chest X-ray', amount: 2000, date: '2026-02-09' },
+            { category: 'pharmacy', description: 'Antibiotics', amount: 1500, date: '2026-02-08' },
+            { category: 'diagnostics', description: 'Blood tests', amount: 3000, date: '2026-05-11' },
+            { category: 'post_hospitalisation', description: 'Follow-up', amount: 1000, date: '2026-11-10' },
+            { category: 'pharmacy', description: 'Inhalers', amount: 800, date: '2026-11-11' },
+            { category: 'pre_hospitalisation', description: 'Consultation', amount: 500, date: '2026-05-12' },
+            { category: 'post_hospitalisation', description: 'Physiotherapy', amount: 700 }
+        ]
+    }), PLAN);
+
+    const items = Object.fromEntries(result.bill_adjudication.items.map(item =>
+        [item.description, [item.assessed_as, item.days_from_stay, item.payable_amount]]));
+    // Any category dated outside the stay is assessed as a pre- or post-hospitalisation bill
+    assert.deepEqual(items['Chest X-ray'], ['pre_hospitalisation', 90, 2000]);
+    assert.deepEqual(items['Antibiotics'], ['pre_hospitalisation', 91, 0]);
+    assert.deepEqual(items['Blood tests'], ['diagnostics', 0, 3000]);
+    assert.deepEqual(items['Follow-up'], ['post_hospitalisation', 180, 1000]);
+    assert.deepEqual(items['Inhalers'], ['post_hospitalisation', 181, 0]);
+    // Billed as pre-hospitalisation but dated during the stay
+    assert.deepEqual(items['Consultation'], ['pre_hospitalisation', 0, 0]);
+    // Undated lines cannot be placed, so the window is not checked
+    assert.deepEqual(items['Physiotherapy'], ['post_hospitalisation', null, 700]);
+
+    const reasons = Object.fromEntries(result.bill_adjudication.items.map(item => [item.description, item.reason]));
+    assert.equal(reasons['Antibiotics'], '91 days before admission, outside the 90-day window (Upto 90 days)');
+    assert.equal(reasons['Inhalers'], '181 days after discharge, outside the 180-day window (UPTO 180 DAYS)');
+    assert.ok(result.rule_trace.some(entry => entry.rule_id === 'bill_item.pre_hospitalisation' &&
+        entry.plan_field === 'coverages.pre_hospitalisation_days' && entry.effect.amount === 1500));
+});
+
+test('dated bills need admission and discharge dates in the right order', () => {
+    const items = [{ category: 'pharmacy', description: 'Antibiotics', amount: 1500, date: '2026-02-08' }];
+    assert.equal(engine.validateClaimRequest(claim({ bill_items: items, admission_date: '2026-05-10' })),
+        'admission_date and discharge_date are required when bill_items carry dates');
+    assert.equal(engine.validateClaimRequest(claim({ bill_items: items, admission_date: '2026-05-10', discharge_date: '2026-05-01' })),
+        'discharge_date must not be before admission_date');
+    assert.equal(engine.validateClaimRequest(claim({ bill_items: items, admission_date: '2026-05-10', discharge_date: '2026-05-14' })), null);
+});
@@ -0,0 +1,109 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ClaimRedFlags } = require('../src/services/claimRedFlags.js');
+
+mock.method(console, 'log', () => {});
+
+const redFlags = new ClaimRedFlags();
+const INITIAL = { waiting_period: 'initial', label: 'Initial waiting period', days: 30 };
+const SPECIFIC = { waiting_period: 'specific_disease', label: 'Specific disease waiting period', days: 730 };
+const accident = overrides => ({ claim_type: 'Accident', policy_start_date: '2026-01-01', accident_type: 'RTA', ...overrides });
+const ledgerEntry = (id, claimDate, condition) => ({ entry_id: id, claim_date: claimDate, condition: condition });
+
+test('a claim within a week of a waiting period clearing scores higher than one within 30 days', () => {
+    const withinWeek = redFlags.checkWaitingPeriodTiming([INITIAL, SPECIFIC], 735);
+    assert.deepEqual([withinWeek.score, withinWeek.evidence.waiting_period, withinWeek.evidence.days_after], [30, 'specific_disease', 5]);
+    assert.equal(withinWeek.reason, 'Claim filed 5 day(s) after the specific disease waiting period (730 days) cleared');
+
+    assert.equal(redFlags.checkWaitingPeriodTiming([SPECIFIC], 737).score, 30);
+    assert.equal(redFlags.checkWaitingPeriodTiming([SPECIFIC], 738).score, 20);
+    assert.equal(redFlags.checkWaitingPeriodTiming([SPECIFIC], 760).score, 20);
+    assert.equal(redFlags.checkWaitingPeriodTiming([SPECIFIC], 761), null);
+    // Still inside the waiting period: the engine rejects it, there is nothing to flag
+    assert.equal(redFlags.checkWaitingPeriodTiming([SPECIFIC], 700), null);
+    assert.equal(redFlags.checkWaitingPeriodTiming([SPECIFIC], undefined), null);
+});
+
+test('an accident within a week or a month of cover starting is flagged, and one before it scores highest', () => {
+    const score = accidentDate => redFlags.checkAccidentTiming(accident({ accident_date: accidentDate }))?.score ?? null;
+    assert.equal(score('2026-01-08'), 25);
+    assert.equal(score('2026-01-09'), 15);
+    assert.equal(score('2026-01-31'), 15);
+    assert.equal(score('2026-02-01'), null);
+
+    const before = redFlags.checkAccidentTiming(accident({ accident_date: '2025-12-29' }));
+    assert.deepEqual([before.score, before.reason], [40, 'Accident date is 3 day(s) before cover started']);
+
+    // A floater member's cover starts on their date of joining
+    const member = redFlags.checkAccidentTiming(accident({ accident_date: '2026-03-03', member: { date_of_joining: '2026-03-01' } }));
+    assert.deepEqual([member.score, member.evidence.cover_start], [25, '2026-03-01']);
+    assert.equal(redFlags.checkAccidentTiming({ claim_type: 'Illness', policy_start_date: '2026-01-01', accident_date: '2026-01-02' }), null);
+});
+
+test('claims from 90% of the sum insured are flagged, and from 98% they score higher', () => {
+    const score = amount => redFlags.checkAmountNearSumInsured({ claim_amount: amount, sum_insured: '10L' }, {})?.score ?? null;
+    assert.equal(score(899999), null);
+    assert.equal(score(900000), 15);
+    assert.equal(score(979999), 15);
+    assert.equal(score(980000), 25);
+
+    // The effective sum insured (with bonus and restoration) is what the claim is measured against
+    assert.equal(redFlags.checkAmountNearSumInsured({ claim_amount: 950000, sum_insured: '10L' },
+        { sum_insured_details: { effective_sum_insured: 1500000 } }), null);
+});
+
+test('two or more claims in a year are flagged, with more points for each extra claim up to a cap', () => {
+    const claimData = { claim_date: '2026-06-30', illness_type: 'fracture' };
+    const claims = count => Array.from({ length: count }, (_, index) => ledgerEntry(`e${index}`, '2026-01-15', `condition ${index}`));
+    const repeated = count => redFlags.checkRepeatedClaims(claimData, claims(count)).find(flag => flag.flag_id === 'repeated_claims')?.score ?? null;
+
+    assert.equal(repeated(1), null);
+    assert.equal(repeated(2), 15);
+    assert.equal(repeated(3), 20);
+    assert.equal(repeated(6), 30);
+    assert.equal(repeated(9), 30);
+
+    // Claims older than a year do not count
+    const old = [ledgerEntry('a', '2025-06-29', 'x'), ledgerEntry('b', '2026-06-01', 'y')];
+    assert.deepEqual(redFlags.checkRepeatedClaims(claimData, old), []);
+});
+
+test('the same condition claimed within 180 days is flagged on its own', () => {
+    const flags = priorClaims => redFlags.checkRepeatedClaims({ claim_date: '2026-06-30', illness_type: ' Dengue ' }, priorClaims);
+
+    const recent = flags([ledgerEntry('a', '2026-05-31', 'dengue')]);
+    assert.deepEqual(recent.map(flag => [flag.flag_id, flag.score]), [['repeated_condition', 15]]);
+    assert.equal(recent[0].reason, '"dengue" was already claimed for this member 30 day(s) earlier');
+
+    assert.equal(flags([ledgerEntry('a', '2026-01-01', 'dengue')]).length, 1);
+    assert.deepEqual(flags([ledgerEntry('a', '2025-12-31', 'dengue')]), []);
+    assert.deepEqual(flags([ledgerEntry('a', '2026-05-31', 'malaria')]), []);
+});
+
+test('an accident described only in the other type\'s words is a mismatch', () => {
+    const mismatch = overrides => redFlags.checkAccidentTypeMismatch(accident(overrides));
+
+    const domesticAsRta = mismatch({ accident_type: 'RTA', accident_description: 'Slipped on the wet kitchen floor' });
+    assert.deepEqual([domesticAsRta.score, domesticAsRta.evidence.keywords], [20, ['kitchen', 'slipped']]);
+
+    const rtaAsDomestic = mismatch({ accident_type: 'Domestic', overall_description: 'Hit by a two wheeler on the highway' });
+    assert.deepEqual(rtaAsDomestic.evidence.keywords, ['two-wheeler', 'highway']);
+
+    // Words for both kinds, or none, are not a mismatch
+    assert.equal(mismatch({ accident_type: 'RTA', accident_description: 'Car hit the house gate' }), null);
+    assert.equal(mismatch({ accident_type: 'RTA', accident_description: 'Injured leg' }), null);
+    assert.equal(mismatch({ accident_type: 'Other', accident_description: 'Slipped at home' }), null);
+});
+
+test('assess sums the flag scores into a capped score and level', () => {
+    const result = redFlags.assess(
+        accident({ accident_date: '2025-12-30', claim_amount: 990000, sum_insured: '10L', accident_description: 'Fell down the stairs at home' }),
+        {},
+        { policy_age_days: 10, served_waiting_periods: [] }
+    );
+    assert.deepEqual(result.flags.map(flag => flag.flag_id), ['accident_near_policy_start', 'amount_near_sum_insured', 'accident_type_mismatch']);
+    assert.deepEqual([result.score, result.level], [85, 'high']);
+
+    const quiet = redFlags.assess({ claim_type: 'Illness', claim_amount: 1000, sum_insured: '10L' }, {}, {});
+    assert.deepEqual(quiet, { score: 0, level: 'low', flags: [] });
+});
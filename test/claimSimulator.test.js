@@ -0,0 +1,44 @@
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ClaimEligibilityEngine } = require('../src/services/claimEligibilityEngine.js');
+const { ClaimSimulator } = require('../src/services/claimSimulator.js');
+const { ClaimsLedger } = require('../src/services/claimsLedger.js');
+
+mock.method(console, 'log', () => {});
+
+const PLAN = 'book3/merged_output.json';
+const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'simulator-test-'));
+const engine = new ClaimEligibilityEngine({ claimsLedger: new ClaimsLedger(path.join(storage, 'ledger.json')) });
+const simulator = new ClaimSimulator({ engine: engine });
+
+after(() => fs.rmSync(storage, { recursive: true, force: true }));
+
+const scenario = overrides => ({
+    condition: 'total knee replacement',
+    policy_start_date: '2026-01-01',
+    as_of: '2026-10-19',
+    patient_age: 58,
+    sum_insured: '5L',
+    claim_amount: 300000,
+    ...overrides
+});
+
+test('validateScenario requires a sum insured', () => {
+    assert.equal(simulator.validateScenario(scenario()), null);
+    assert.match(simulator.validateScenario(scenario({ sum_insured: undefined })), /sum_insured must be a positive amount/);
+    assert.match(simulator.validateScenario(scenario({ sum_insured: 'NIL' })), /sum_insured/);
+});
+
+test('a joint replacement waits out the specific disease period', async () => {
+    const simulation = await simulator.simulate(scenario(), PLAN);
+    assert.equal(simulation.diagnosis.code, 'Z96.6');
+    assert.deepEqual(simulation.timeline.map(entry => [entry.waiting_period, entry.days, entry.clears_on]), [
+        ['initial', 30, '2026-01-31'],
+        ['specific_disease', 730, '2028-01-01']
+    ]);
+    assert.equal(simulation.earliest_eligible_date, '2028-01-01');
+    assert.equal(simulation.projected.payable_amount, 300000);
+});
@@ -0,0 +1,92 @@
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DayCareCatalogue } = require('../src/services/dayCareCatalogue.js');
+const { ClaimEligibilityEngine } = require('../src/services/claimEligibilityEngine.js');
+const { ClaimsLedger } = require('../src/services/claimsLedger.js');
+
+mock.method(console, 'log', () => {});
+
+const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'day-care-test-'));
+const engine = new ClaimEligibilityEngine({ claimsLedger: new ClaimsLedger(path.join(storage, 'ledger.json')) });
+const catalogue = DayCareCatalogue.fromFile(path.join(__dirname, '..', 'data', 'day-care-procedures.json'));
+
+after(() => fs.rmSync(storage, { recursive: true, force: true }));
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+// Plan: "DAY CARE (PROCEDURE/SURGERY)": "ALL"; a policy old enough for every waiting period
+const PLAN = 'book3/merged_output.json';
+const shortStay = overrides => ({
+    claim_type: 'Illness',
+    patient_name: 'Test Patient',
+    patient_age: 45,
+    sum_insured: '10L',
+    policy_start_date: daysAgo(1500),
+    claim_amount: 40000,
+    illness_type: 'cataract',
+    ...overrides
+});
+const traceOf = (result, ruleId) => result.rule_trace.find(entry => entry.rule_id === ruleId);
+
+test('match finds the procedure by whole words, plurals included, and prefers the longest term', () => {
+    assert.equal(catalogue.match('Right eye phacoemulsification with IOL').id, 'cataract_surgery');
+    assert.equal(catalogue.match('two cycles of chemotherapy').id, 'chemotherapy');
+    assert.equal(catalogue.match('Laser iridotomy, left eye').matched_on, 'laser iridotomy');
+    assert.equal(catalogue.match('phacoid lesion'), null);
+    assert.equal(catalogue.match(''), null);
+});
+
+test('validate lists every problem in a catalogue', () => {
+    assert.deepEqual(DayCareCatalogue.validate([]), ['procedures must be a non-empty array']);
+    assert.ok(DayCareCatalogue.validate([{ id: 'a', name: 'A', terms: ['x'] }, { id: 'a', name: 'A', terms: ['y'] }]).length > 0);
+});
+
+test('a stay of 24 hours or more is ordinary hospitalisation whatever the procedure', async () => {
+    const result = await engine.analyzeClaimEligibility(shortStay({ hospitalisation_hours: 24, illness_type: 'pneumonia' }), PLAN);
+    assert.equal(result.day_care.stay_type, 'inpatient');
+    assert.equal(traceOf(result, 'minimum_hospitalisation').outcome, 'passed');
+    assert.equal(result.eligible, true);
+});
+
+test('a stay under 24 hours is payable only for a listed day care procedure', async () => {
+    const cataract = await engine.analyzeClaimEligibility(shortStay({ hospitalisation_hours: 6, procedure: 'Phacoemulsification' }), PLAN);
+    assert.equal(cataract.eligible, true);
+    assert.deepEqual([cataract.day_care.stay_type, cataract.day_care.procedure.id], ['day_care', 'cataract_surgery']);
+    assert.equal(traceOf(cataract, 'minimum_hospitalisation').outcome, 'waived');
+    assert.equal(traceOf(cataract, 'day_care_coverage').outcome, 'passed');
+
+    const pneumonia = await engine.analyzeClaimEligibility(shortStay({ hospitalisation_hours: 23.5, illness_type: 'pneumonia' }), PLAN);
+    assert.equal(pneumonia.eligible, false);
+    assert.ok(pneumonia.rejection_reasons.includes(
+        'Hospitalisation of 23.5 hours is less than the required 24 hours, and "pneumonia" is not a listed day care procedure'));
+    assert.equal(traceOf(pneumonia, 'minimum_hospitalisation').outcome, 'failed');
+
+    // Without hospitalisation_hours the 24-hour rule is not checked
+    const unstated = await engine.analyzeClaimEligibility(shortStay({ illness_type: 'pneumonia' }), PLAN);
+    assert.equal(unstated.day_care, undefined);
+});
+
+test('the plan\'s day care wording decides whether a listed procedure is paid or reviewed', async () => {
+    const plan = (await engine.planManager.getPlan(PLAN, { normalized: true })).data;
+    const withDayCare = value => ({ ...plan, basic_coverages: { ...plan.basic_coverages, 'DAY CARE (PROCEDURE/SURGERY)': value } });
+    const check = dayCarePlan => {
+        const result = { eligible: true, rejection_reasons: [], review_flags: [], risk_level: 'low', rule_trace: [] };
+        engine.checkDayCareEligibility(result, shortStay({ hospitalisation_hours: 4, procedure: 'cataract surgery' }), dayCarePlan);
+        return result;
+    };
+
+    const declined = check(withDayCare('NO'));
+    assert.equal(declined.eligible, false);
+    assert.deepEqual(declined.rejection_reasons, ['Day care procedures are not covered under this plan (Cataract surgery, 4 hours)']);
+
+    const listed = check(withDayCare('541 PROCEDURES'));
+    assert.equal(listed.eligible, true);
+    assert.deepEqual(listed.review_flags.map(flag => flag.reason),
+        ['Plan covers listed day care procedures (541 PROCEDURES): confirm Cataract surgery is on the insurer\'s list']);
+
+    const unstated = check({ ...plan, basic_coverages: {} });
+    assert.deepEqual([unstated.eligible, unstated.day_care.stay_type], [true, 'day_care']);
+    assert.equal(traceOf(unstated, 'day_care_coverage').outcome, 'flagged');
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { DiseaseRuleSet } = require('../src/services/diseaseRuleSet.js');
+
+const rules = DiseaseRuleSet.fromFile(path.join(__dirname, '../data/disease-rules.json'));
+const ids = matches => matches.map(match => match.rule.id);
+
+test('match finds rules by term, synonym and pattern', () => {
+    assert.deepEqual(ids(rules.match('cataract surgery', 'covered')), ['cataract', 'surgery']);
+    assert.deepEqual(ids(rules.match('Renal calculi', 'covered')), ['kidney_stone']);
+    assert.deepEqual(ids(rules.match('high BP', 'covered')), ['hypertension']);
+    assert.deepEqual(rules.match('', 'covered'), []);
+});
+
+test('match finds rules by ICD-10 code prefix', () => {
+    const [match] = rules.match('', 'covered', 'H25.9');
+    assert.equal(match.rule.id, 'cataract');
+    assert.equal(match.matched_on, 'ICD-10 H25');
+    assert.equal(match.code_mismatch, false);
+});
+
+test('match still reads the text when a stated code points elsewhere', () => {
+    const covered = rules.match('cataract', 'covered', 'J18.9');
+    assert.deepEqual(covered.map(match => [match.rule.id, match.code_mismatch]), [['cataract', true], ['pneumonia', false]]);
+
+    const excluded = rules.match('cosmetic surgery', 'excluded', 'J18.9');
+    assert.deepEqual(excluded.map(match => [match.rule.id, match.code_mismatch]), [['cosmetic_surgery', true]]);
+});
+
+test('match trusts a code resolved from the text itself', () => {
+    assert.deepEqual(rules.match('hearing aids', 'excluded', 'H91.9', { code_from_text: true }), []);
+    assert.deepEqual(ids(rules.match('hearing aids', 'excluded', 'H91.9')), ['aids']);
+});
+
+test('evaluateConditions applies when and unless clauses', () => {
+    const senior = rules.rules.find(rule => rule.id === 'senior_chronic_condition');
+    assert.equal(rules.evaluateConditions(senior, { age: 65 }).applies, true);
+    assert.equal(rules.evaluateConditions(senior, { age: 45 }).applies, false);
+
+    const cosmetic = rules.rules.find(rule => rule.id === 'cosmetic_surgery');
+    assert.equal(rules.evaluateConditions(cosmetic, { treatment_type: 'reconstructive' }).applies, false);
+    assert.equal(rules.evaluateConditions(cosmetic, { treatment_type: 'planned' }).applies, true);
+});
+
+test('fromData rejects an invalid rule file', () => {
+    assert.throws(() => DiseaseRuleSet.fromData({ version: 2, rules: [{ id: 'x', category: 'covered' }] }));
+    assert.deepEqual(DiseaseRuleSet.validate([{ id: 'x', category: 'covered', match: { terms: ['x'] }, waiting_period: 730, specific_disease: 'yes' }]),
+        ['rules[0] (x).specific_disease must be true or false']);
+});
@@ -0,0 +1,117 @@
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ClaimEligibilityEngine } = require('../src/services/claimEligibilityEngine.js');
+const { ClaimsLedger } = require('../src/services/claimsLedger.js');
+const { HybridAdjudicator } = require('../src/services/hybridAdjudicator.js');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const PLAN = 'book3/merged_output.json';
+const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'hybrid-test-'));
+const engine = new ClaimEligibilityEngine({ claimsLedger: new ClaimsLedger(path.join(storage, 'ledger.json')) });
+
+after(() => fs.rmSync(storage, { recursive: true, force: true }));
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+// Pneumonia with every document, so the engine alone finds it eligible
+const claimData = {
+    claim_type: 'Illness',
+    patient_name: 'Test Patient',
+    patient_age: 40,
+    sum_insured: '10L',
+    policy_start_date: daysAgo(100),
+    claim_amount: 50000,
+    illness_type: 'pneumonia',
+    submitted_documents: ['claim_form', 'policy_copy', 'cancelled_cheque', 'discharge_summary', 'final_bill',
+        'payment_receipts', 'investigation_reports', 'prescriptions']
+};
+
+// Stands in for GroqAnalyzer: returns a fixed review and keeps the verdicts it was shown
+function adjudicator(review) {
+    const groqAnalyzer = {
+        verdicts: [],
+        reviewEngineVerdict: async verdict => {
+            groqAnalyzer.verdicts.push(verdict);
+            if (review instanceof Error) {
+                throw review;
+            }
+            return { status: null, agrees_with_engine: true, estimated_payable: null, discrepancies: [], summary: '', ...review };
+        }
+    };
+    return { groqAnalyzer, hybrid: new HybridAdjudicator({ engine, groqAnalyzer }) };
+}
+
+test('the rules verdict stands unreviewed when the LLM is unavailable', async () => {
+    const { hybrid } = adjudicator(new Error('Groq verdict review failed: 503'));
+    const result = await hybrid.adjudicate(claimData, PLAN);
+
+    assert.equal(result.adjudication_mode, 'hybrid');
+    assert.deepEqual(result.ai_review, { available: false, error: 'Groq verdict review failed: 503' });
+    assert.deepEqual(result.discrepancies, []);
+    assert.equal(result.status, 'eligible');
+    assert.ok(!result.review_flags.some(flag => flag.rule_id === 'ai_discrepancy'));
+});
+
+test('the LLM sees the engine verdict and its rule trace', async () => {
+    const { groqAnalyzer, hybrid } = adjudicator({ status: 'eligible' });
+    const result = await hybrid.adjudicate(claimData, PLAN);
+
+    assert.equal(result.ai_review.available, true);
+    const [verdict] = groqAnalyzer.verdicts;
+    assert.equal(verdict.status, 'eligible');
+    assert.equal(verdict.financial_breakdown.final_amount, result.financial_breakdown.final_amount);
+    assert.ok(verdict.rule_trace.some(entry => entry.rule_id === 'initial_waiting' && entry.outcome === 'passed'));
+});
+
+test('an eligible / not eligible disagreement is high severity and sends the claim to review', async () => {
+    const { hybrid } = adjudicator({ status: 'not_eligible', agrees_with_engine: false });
+    const result = await hybrid.adjudicate(claimData, PLAN);
+
+    assert.deepEqual(result.discrepancies, [
+        { topic: 'status', plan_reference: null, engine_position: 'eligible', ai_position: 'not_eligible', severity: 'high' }
+    ]);
+    assert.equal(result.status, 'needs_review');
+    assert.equal(result.manual_review_required, true);
+    assert.match(result.review_flags.find(flag => flag.rule_id === 'ai_discrepancy').reason,
+        /AI review disagrees on status: not_eligible \(rules: eligible\)/);
+    // The engine's decision and amounts are kept
+    assert.equal(result.eligible, true);
+});
+
+test('a lesser status disagreement is medium severity and also goes to review', async () => {
+    const { hybrid } = adjudicator({ status: 'partially_eligible' });
+    const result = await hybrid.adjudicate(claimData, PLAN);
+
+    assert.equal(result.discrepancies[0].severity, 'medium');
+    assert.equal(result.status, 'needs_review');
+});
+
+test('payable estimates within the tolerance are not a discrepancy; others are low severity', async () => {
+    const payable = (await engine.analyzeClaimEligibility(claimData, PLAN)).financial_breakdown.final_amount;
+
+    const close = await adjudicator({ status: 'eligible', estimated_payable: Math.round(payable * 1.05) }).hybrid.adjudicate(claimData, PLAN);
+    assert.deepEqual(close.discrepancies, []);
+    assert.equal(close.status, 'eligible');
+
+    const far = await adjudicator({ status: 'eligible', estimated_payable: Math.round(payable * 1.5) }).hybrid.adjudicate(claimData, PLAN);
+    assert.deepEqual(far.discrepancies.map(item => [item.topic, item.severity]), [['payable_amount', 'low']]);
+    // Low severity discrepancies are reported without sending the claim to review
+    assert.equal(far.status, 'eligible');
+    assert.equal(far.financial_breakdown.final_amount, payable);
+});
+
+test('discrepancies the LLM reports itself are kept and reviewed by severity', async () => {
+    const { hybrid } = adjudicator({
+        status: 'eligible',
+        discrepancies: [{ topic: 'room rent', plan_reference: 'sub_limits.Room Rent', engine_position: 'no cap', ai_position: '1% of SI', severity: 'high' }]
+    });
+    const result = await hybrid.adjudicate(claimData, PLAN);
+
+    assert.equal(result.discrepancies.length, 1);
+    assert.equal(result.status, 'needs_review');
+    assert.match(result.review_flags.find(flag => flag.rule_id === 'ai_discrepancy').reason, /\[sub_limits.Room Rent\]$/);
+});
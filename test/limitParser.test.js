@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LimitParser } = require('../src/services/limitParser.js');
+
+test('parseAmount reads lakh/crore shorthand and Indian digit grouping', () => {
+    assert.equal(LimitParser.parseAmount('75L'), 7500000);
+    assert.equal(LimitParser.parseAmount('1CR'), 10000000);
+    assert.equal(LimitParser.parseAmount('₹2.5 lakh'), 250000);
+    assert.equal(LimitParser.parseAmount('Rs.1,00,000'), 100000);
+    assert.equal(LimitParser.parseAmount(500000), 500000);
+    assert.equal(LimitParser.parseAmount('NIL'), null);
+});
+
+test('parseAmountDetailed warns about irregular digit grouping', () => {
+    assert.deepEqual(LimitParser.parseAmountDetailed('1,0,00').warnings, ['Irregular digit grouping in "1,0,00"']);
+    assert.deepEqual(LimitParser.parseAmountDetailed('1,00,000').warnings, []);
+});
+
+test('parse reads amounts without a currency prefix or unit', () => {
+    const cases = [
+        ['UPTO 1,00,000', 100000, null],
+        ['40000 PER EYE', 40000, 'eye'],
+        ['25,000/DAY', 25000, 'day'],
+        ['5000 PER DAY', 5000, 'day']
+    ];
+    for (const [value, amount, per] of cases) {
+        const limit = LimitParser.parse(value);
+        assert.equal(limit.kind, 'fixed', value);
+        assert.equal(limit.amount, amount, value);
+        assert.equal(limit.per, per, value);
+    }
+});
+
+test('parse keeps day and visit counts out of amounts', () => {
+    assert.equal(LimitParser.parse('60 DAYS').amount, null);
+    assert.equal(LimitParser.parse('180 DAYS').amount, null);
+    assert.equal(LimitParser.parse('MAX 4 TIMES').max_units, 4);
+});
+
+test('parse reads percentages of sum insured with a cap', () => {
+    const prefixed = LimitParser.parse('10% OF SI, MAX 5L');
+    assert.equal(prefixed.kind, 'percent_of_si');
+    assert.equal(prefixed.percentage_of_si, 10);
+    assert.equal(prefixed.max_amount, 500000);
+
+    const bare = LimitParser.parse('10% OF SI, MAX 50,000');
+    assert.equal(bare.max_amount, 50000);
+    assert.equal(bare.amount, null);
+});
+
+test('parse reads sum-insured tiers', () => {
+    const limit = LimitParser.parse('1&2L-15K,4L-20K');
+    assert.equal(limit.kind, 'tiered');
+    assert.deepEqual(limit.tiers.map(tier => [tier.sum_insured_min, tier.limit.amount]), [[100000, 15000], [400000, 20000]]);
+    assert.equal(LimitParser.evaluate(limit, { sumInsured: 500000, claimAmount: 30000 }).cap, 20000);
+});
+
+test('evaluate caps per-unit limits by the units claimed', () => {
+    const result = LimitParser.evaluate(LimitParser.parse('Rs.1,000/DAY'), { claimAmount: 10000, units: 4 });
+    assert.deepEqual([result.cap, result.payable, result.excess], [4000, 4000, 6000]);
+});
+
+test('parse recognises not-covered and unlimited values', () => {
+    assert.equal(LimitParser.parse('NOT COVERED').covered, false);
+    assert.equal(LimitParser.parse('UPTO SI').kind, 'unlimited');
+});
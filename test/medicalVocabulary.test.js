@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { MedicalVocabulary } = require('../src/services/medicalVocabulary.js');
+
+const vocabulary = MedicalVocabulary.fromFile(path.join(__dirname, '../data/medical-vocabulary.json'));
+
+test('resolve prefers the code stated on the claim', () => {
+    const diagnosis = vocabulary.resolve('cataract', 'j18.9');
+    assert.equal(diagnosis.match_type, 'code');
+    assert.equal(diagnosis.code, 'J18.9');
+});
+
+test('resolve reads exact terms, contained phrases and misspellings', () => {
+    assert.equal(vocabulary.resolve('Cataract').match_type, 'exact');
+    assert.equal(vocabulary.resolve('bilateral hearing aids fitted').code, 'H91.9');
+    assert.equal(vocabulary.resolve('catarct').match_type, 'misspelling');
+    assert.equal(vocabulary.resolve('zzzz').match_type, 'none');
+});
+
+test('isValidCode checks the ICD-10 shape', () => {
+    assert.equal(MedicalVocabulary.isValidCode('H25.9'), true);
+    assert.equal(MedicalVocabulary.isValidCode('25H'), false);
+});
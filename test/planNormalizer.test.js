@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PlanNormalizer } = require('../src/services/planNormalizer.js');
+
+const readPlan = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'plans', file), 'utf-8'));
+
+test('parseCopay types plain, age-conditional and pre-existing disease co-pays', () => {
+    assert.deepEqual(PlanNormalizer.parseCopay('NO'),
+        { available: false, percentage: 0, age_condition: null, ped_percentage: null, recognised: true });
+    assert.deepEqual(PlanNormalizer.parseCopay('>60YEARS AGE ENTRY -10%'), {
+        available: true,
+        percentage: 10,
+        age_condition: { min_age_years: 60, max_age_years: null, min_inclusive: false },
+        ped_percentage: null,
+        recognised: true
+    });
+    assert.deepEqual(PlanNormalizer.parseCopay('60-70 YEARS 15%').age_condition,
+        { min_age_years: 60, max_age_years: 70, min_inclusive: true });
+    assert.equal(PlanNormalizer.parseCopay('>=60 YEARS 10%').age_condition.min_inclusive, true);
+
+    const ped = PlanNormalizer.parseCopay('30%,  IF PED-50%');
+    assert.deepEqual([ped.percentage, ped.age_condition, ped.ped_percentage], [30, null, 50]);
+});
+
+test('parseCopay does not turn unreadable rules into a co-pay for everyone', () => {
+    assert.deepEqual(PlanNormalizer.parseCopay('PROPORTION TO ROOM RENT / CATEGORY'),
+        { available: false, percentage: 0, age_condition: null, ped_percentage: null, recognised: false });
+    assert.equal(PlanNormalizer.parseCopay('SENIOR AGE 10%').recognised, false);
+});
+
+test('normalize types the co-pay and reports header rows and unreadable rules', () => {
+    const book1 = PlanNormalizer.normalize(readPlan('book1/merged_output.json'));
+    assert.equal(book1.sub_limits.copay.percentage, 10);
+    assert.equal(book1.sub_limits.copay.age_condition.min_age_years, 60);
+    assert.equal(book1.sources['sub_limits.copay'], '>60YEARS AGE ENTRY -10%');
+
+    const copayIssues = plan => plan.issues.filter(issue => issue.field === 'sub_limits.copay').map(issue => issue.problem);
+    const headerOnly = PlanNormalizer.normalize({ sub_limits: { 'Co - Pay': 'Co - Pay' } });
+    assert.equal(headerOnly.sub_limits.copay, null);
+    assert.deepEqual(copayIssues(headerOnly), ['no value in plan']);
+    assert.deepEqual(copayIssues(PlanNormalizer.normalize({ sub_limits: { 'Co-Pay': 'PROPORTION TO ROOM RENT' } })),
+        ['could not parse as copay']);
+});
+
+test('normalize reads the adult entry age range, including open-ended ranges', () => {
+    const details = plan => PlanNormalizer.normalize({ plan_details: plan }).details.adult_entry_age;
+    assert.deepEqual(details({ 'Adult Age Entry (MIN-MAX)': '18 - 75 YRS' }),
+        { min_age_years: 18, max_age_years: 75, offered: true, note: null });
+    assert.equal(details({ 'Adult Age Entry (MIN-MAX)': '50Y - Whole Life' }).max_age_years, null);
+    assert.equal(details({ 'Adult Age Entry (MIN-MAX)': 'Adult Age Entry (MIN-MAX)' }), null);
+});
@@ -0,0 +1,98 @@
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PolicyMembers } = require('../src/services/policyMembers.js');
+const { PlanNormalizer } = require('../src/services/planNormalizer.js');
+const { ClaimEligibilityEngine } = require('../src/services/claimEligibilityEngine.js');
+const { ClaimsLedger } = require('../src/services/claimsLedger.js');
+
+mock.method(console, 'log', () => {});
+
+const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'members-test-'));
+const ledger = new ClaimsLedger(path.join(storage, 'ledger.json'));
+const engine = new ClaimEligibilityEngine({ claimsLedger: ledger });
+
+after(() => fs.rmSync(storage, { recursive: true, force: true }));
+
+// Plan: adults 18 - 99 YRS, children 91DAYS - 25YRS, 2A+4C, spouse/child within 45 days
+const PLAN = 'book3/merged_output.json';
+const book3 = PlanNormalizer.normalize(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'plans', PLAN), 'utf-8')));
+const POLICY = { policy_start_date: '2025-01-01', as_of: '2025-07-01' };
+const member = (id, relationship, age, extra = {}) => ({ member_id: id, relationship: relationship, age: age, ...extra });
+const validate = (members, policy = POLICY) => PolicyMembers.validate(members, book3, policy);
+const issues = (members, id) => validate(members).members.find(candidate => candidate.member_id === id).issues;
+
+test('children are checked against the child range and past it are insured as adults', () => {
+    const result = validate([
+        member('1', 'self', 40),
+        member('2', 'son', 10),
+        member('3', 'daughter', 27),
+        member('4', 'son', 0.1)
+    ]);
+    const byId = Object.fromEntries(result.members.map(evaluated => [evaluated.member_id, evaluated]));
+
+    assert.deepEqual([byId['2'].band, byId['2'].eligible], ['child', true]);
+    assert.deepEqual([byId['3'].band, byId['3'].eligible], ['adult', true]);
+    assert.deepEqual(byId['4'].issues, ['Entry age 0 is outside the child range (0.25-25 years)']);
+    assert.deepEqual([result.composition.adults, result.composition.children], [2, 2]);
+});
+
+test('adults are checked against the adult range at their age on joining', () => {
+    // 18 today, but 17.5 when the policy started six months ago
+    assert.deepEqual(issues([member('1', 'self', 18)], '1'), ['Entry age 17.5 is outside the adult range (18-99 years)']);
+    assert.deepEqual(issues([member('1', 'self', 19)], '1'), []);
+
+    // A son of 25.9 joined at 25.4 and is past the child range; one of 25.4 joined within it
+    const son = age => validate([member('1', 'self', 50), member('2', 'son', age)]).members[1];
+    assert.deepEqual([son(25.9).band, son(25.9).age_at_entry], ['adult', 25.4]);
+    assert.deepEqual([son(25.4).band, son(25.4).age_at_entry, son(25.4).eligible], ['child', 24.9, true]);
+});
+
+test('the floater composition and mid-term inclusion window come from the plan', () => {
+    const crowded = validate([member('1', 'self', 40), member('2', 'spouse', 38), member('3', 'father', 68)]);
+    assert.deepEqual(crowded.issues, ['Policy lists 3 adults; the plan covers at most 2']);
+    assert.equal(crowded.policy_type, 'floater');
+    assert.equal(crowded.composition.plan_value, '2A+4C');
+
+    const spouse = extra => issues([member('1', 'self', 40), member('2', 'wife', 35, { date_of_joining: '2025-03-01', ...extra })], '2');
+    assert.deepEqual(spouse({ event_date: '2025-02-01' }), []);
+    assert.deepEqual(spouse({ event_date: '2025-01-01' }), ['Added 59 days after marriage; plan allows 45 days']);
+    assert.deepEqual(issues([member('1', 'self', 40), member('2', 'father', 70, { date_of_joining: '2025-03-01' })], '2'),
+        ['Mid-term inclusion is not permitted for father']);
+
+    const individualOnly = { details: { members_covered: { max_adults: 1, max_children: 0, individual: true, family: false } } };
+    assert.ok(PolicyMembers.validate([member('1', 'self', 40), member('2', 'spouse', 38)], individualOnly, POLICY).issues
+        .includes('Plan is individual only; family floater cover is not offered'));
+});
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+test('a floater\'s shared sum insured counts every member\'s claims; an individual policy only the claimant\'s', async () => {
+    const policyStart = daysAgo(200);
+    await ledger.recordClaim({ policy_number: 'FLT-1', member_id: 'M1', policy_start_date: policyStart, claim_date: daysAgo(20), amount_approved: 300000 });
+    await ledger.recordClaim({ policy_number: 'FLT-1', member_id: 'M2', policy_start_date: policyStart, claim_date: daysAgo(10), amount_approved: 100000 });
+    const claim = overrides => ({
+        claim_type: 'Illness',
+        patient_name: 'Meera',
+        illness_type: 'pneumonia',
+        sum_insured: '10L',
+        policy_number: 'FLT-1',
+        policy_start_date: policyStart,
+        claim_amount: 50000,
+        member_id: 'M2',
+        policy_members: [member('M1', 'self', 42), member('M2', 'spouse', 39)],
+        ...overrides
+    });
+
+    const floater = await engine.analyzeClaimEligibility(claim(), PLAN);
+    assert.equal(floater.policy.policy_type, 'floater');
+    assert.deepEqual(floater.policy.shared_sum_insured.used_by_member, { M1: 300000, M2: 100000 });
+    assert.equal(floater.ledger.total_paid, 400000);
+    assert.equal(floater.sum_insured_details.prior_claims_paid, 400000);
+
+    const individual = await engine.analyzeClaimEligibility(claim({ policy_type: 'individual', policy_members: [member('M2', 'spouse', 39)] }), PLAN);
+    assert.equal(individual.policy.shared_sum_insured, null);
+    assert.equal(individual.ledger.total_paid, 100000);
+});
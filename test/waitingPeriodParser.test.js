@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { WaitingPeriodParser } = require('../src/services/waitingPeriodParser.js');
+
+test('parse converts days, months, years and number words to days', () => {
+    assert.equal(WaitingPeriodParser.parse('FIRST 30 DAYS').days, 30);
+    assert.equal(WaitingPeriodParser.parse('FIRST 2 YEARS').days, 730);
+    assert.equal(WaitingPeriodParser.parse('AFTER 36 MONTHS').days, 1095);
+    assert.equal(WaitingPeriodParser.parse('ONE YR').days, 365);
+});
+
+test('parse marks not-applicable values and leaves unknown ones unrecognised', () => {
+    const none = WaitingPeriodParser.parse('NIL');
+    assert.deepEqual([none.recognised, none.applies, none.days], [true, false, 0]);
+
+    const unstated = WaitingPeriodParser.parse('YES');
+    assert.deepEqual([unstated.recognised, unstated.applies], [false, true]);
+    assert.equal(WaitingPeriodParser.parse('').recognised, false);
+    assert.equal(WaitingPeriodParser.parse('Waiting Period', 'waiting period').recognised, false);
+});
+
+test('resolve picks the conditional variant for the policy term', () => {
+    const parsed = WaitingPeriodParser.parse('FIRST 3YRS ( IF 3YRS POLICY 2.5YRS )');
+    assert.equal(WaitingPeriodParser.resolve(parsed), 1095);
+    assert.equal(WaitingPeriodParser.resolve(parsed, { policy_term_years: 3 }), 913);
+    assert.equal(WaitingPeriodParser.resolve(WaitingPeriodParser.parse('YES')), null);
+});
+
+test('parse reads maternity delivery limits', () => {
+    const parsed = WaitingPeriodParser.parse('AFTER 36 MONTHS, MAX 2 DELIVERY');
+    assert.equal(parsed.days, 1095);
+    assert.equal(parsed.max_deliveries, 2);
+    assert.equal(WaitingPeriodParser.parse('2 YEARS AFTER 1ST DELIVERY').from_previous_delivery, true);
+});
+
+test('describe renders days as years, months or days', () => {
+    assert.equal(WaitingPeriodParser.describe(1095), '3 years');
+    assert.equal(WaitingPeriodParser.describe(913), '2.5 years');
+    assert.equal(WaitingPeriodParser.describe(90), '3 months');
+    assert.equal(WaitingPeriodParser.describe(1), '1 day');
+});